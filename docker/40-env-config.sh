@@ -0,0 +1,21 @@
+#!/bin/sh
+# Writes the SPA's runtime configuration when the container starts, so the same
+# image can point at staging, prod or an on-prem backend.
+# Run by the nginx image entrypoint (/docker-entrypoint.d) before nginx starts.
+set -eu
+
+ENV_CONFIG_FILE=/usr/share/nginx/html/env-config.js
+
+# Escape backslashes and double quotes so values are safe inside JS strings
+js_escape() {
+  printf '%s' "$1" | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g'
+}
+
+cat > "$ENV_CONFIG_FILE" <<CONFIG
+window.__ENV__ = {
+  API_BASE_URL: "$(js_escape "${API_BASE_URL:-}")",
+  HEALTH_CHECK_PATH: "$(js_escape "${HEALTH_CHECK_PATH:-}")"
+}
+CONFIG
+
+echo "env-config: API_BASE_URL=${API_BASE_URL:-<unset, using build default>}"
@@ -0,0 +1,4 @@
+// Runtime configuration placeholder for `npm run dev` and plain static hosting.
+// In the Docker image this file is rewritten at container start from the
+// API_BASE_URL / HEALTH_CHECK_PATH environment variables.
+window.__ENV__ = window.__ENV__ || {}
@@ -0,0 +1,45 @@
+import { formatFileSize } from './attachments'
+
+const FILE_KIND_LABELS = { pdf: 'PDF', text: 'TXT' }
+
+// One attached file: image thumbnail, or a file card with name and size
+const AttachmentPreview = ({ attachment, onRemove }) => {
+  const card = attachment.kind === 'image' && attachment.preview ? (
+    <img src={attachment.preview} alt={attachment.filename} className="attachment-image" />
+  ) : (
+    <div className="attachment-file" title={attachment.excerpt || attachment.filename}>
+      <span className={`attachment-file-icon attachment-file-${attachment.kind}`}>
+        {FILE_KIND_LABELS[attachment.kind] || 'FILE'}
+      </span>
+      <span className="attachment-file-info">
+        <span className="attachment-file-name">{attachment.filename}</span>
+        {attachment.size != null && <span className="attachment-file-size">{formatFileSize(attachment.size)}</span>}
+      </span>
+    </div>
+  )
+
+  return (
+    <div className={`attachment-preview attachment-preview-${attachment.kind}`}>
+      {!onRemove && attachment.url ? (
+        <a href={attachment.url} target="_blank" rel="noopener noreferrer" download={attachment.kind === 'image' ? undefined : attachment.filename}>
+          {card}
+        </a>
+      ) : card}
+      {onRemove && (
+        <button type="button" className="attachment-remove-btn" onClick={() => onRemove(attachment.id)} title="Remove attachment">
+          ×
+        </button>
+      )}
+    </div>
+  )
+}
+
+const AttachmentList = ({ attachments, onRemove, className }) => (
+  <div className={`attachment-list ${className || ''}`}>
+    {attachments.map(attachment => (
+      <AttachmentPreview key={attachment.id} attachment={attachment} onRemove={onRemove} />
+    ))}
+  </div>
+)
+
+export default AttachmentList
@@ -0,0 +1,107 @@
+import { useMemo, useState } from 'react'
+import 'highlight.js/styles/github-dark.css'
+import { highlightCode, splitHighlightedLines, fileExtensionFor } from './highlight'
+
+// Blocks longer than this start collapsed to the first COLLAPSED_LINES lines
+const COLLAPSE_THRESHOLD = 30
+const COLLAPSED_LINES = 15
+
+// Line numbers / wrapping are a reading preference, so they stick across blocks and reloads
+const PREFS_KEY = 'code_block_prefs'
+
+const loadPrefs = () => {
+  try {
+    return { lineNumbers: false, wrap: false, ...JSON.parse(localStorage.getItem(PREFS_KEY)) }
+  } catch {
+    return { lineNumbers: false, wrap: false }
+  }
+}
+
+const CodeBlock = ({ code, language }) => {
+  const [copied, setCopied] = useState(false)
+  const [prefs, setPrefs] = useState(loadPrefs)
+  const [expanded, setExpanded] = useState(false)
+
+  const highlighted = useMemo(() => highlightCode(code || '', language), [code, language])
+  const lines = useMemo(() => splitHighlightedLines(highlighted.html), [highlighted])
+  const collapsible = lines.length > COLLAPSE_THRESHOLD
+  const visibleLines = collapsible && !expanded ? lines.slice(0, COLLAPSED_LINES) : lines
+  const label = language && language !== 'code' ? language : (highlighted.language || 'code')
+
+  const togglePref = (key) => {
+    setPrefs(prev => {
+      const next = { ...prev, [key]: !prev[key] }
+      localStorage.setItem(PREFS_KEY, JSON.stringify(next))
+      return next
+    })
+  }
+
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(code)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  const downloadFile = () => {
+    // Prefer what the backend reported (html, tsx) over the grammar used to highlight it
+    const resolvedOrReported = language && language !== 'code' ? language : highlighted.language
+    const extension = fileExtensionFor(resolvedOrReported)
+    // Dockerfile has no extension - it's the whole file name
+    const filename = extension === 'Dockerfile' ? 'Dockerfile' : `snippet.${extension}`
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/plain;charset=utf-8' }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="code-block-container">
+      <div className="code-block-header">
+        <span className="code-language">{label}</span>
+        <div className="code-block-actions">
+          <button
+            className={`code-toggle-btn ${prefs.lineNumbers ? 'active' : ''}`}
+            onClick={() => togglePref('lineNumbers')}
+            title="Toggle line numbers"
+          >
+            #
+          </button>
+          <button
+            className={`code-toggle-btn ${prefs.wrap ? 'active' : ''}`}
+            onClick={() => togglePref('wrap')}
+            title="Toggle line wrapping"
+          >
+            Wrap
+          </button>
+          <button className="copy-code-btn" onClick={downloadFile} title="Download as file">
+            Download
+          </button>
+          <button className="copy-code-btn" onClick={copyToClipboard}>
+            {copied ? '✓ Copied' : 'Copy'}
+          </button>
+        </div>
+      </div>
+      <pre className={`code-block-content ${prefs.wrap ? 'wrap' : ''} ${prefs.lineNumbers ? 'numbered' : ''}`}>
+        <code>
+          {visibleLines.map((line, idx) => (
+            <span key={idx} className="code-line">
+              {prefs.lineNumbers && <span className="code-line-number">{idx + 1}</span>}
+              <span className="code-line-text" dangerouslySetInnerHTML={{ __html: line || '\u200b' }} />
+            </span>
+          ))}
+        </code>
+      </pre>
+      {collapsible && (
+        <button className="code-collapse-btn" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? 'Collapse' : `Show all ${lines.length} lines`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default CodeBlock
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useId, useMemo, useState } from 'react'
+import Plot from 'react-plotly.js'
+import CodeBlock from './CodeBlock'
+
+// ===== DIAGRAM BLOCKS =====
+// ```mermaid fences render as diagrams and ```plotly (or Plotly-shaped ```json)
+// fences as interactive charts. Anything that doesn't parse falls back to the
+// normal CodeBlock, so a half-streamed or broken spec still reads as code.
+
+// Mermaid is large and only needed when a diagram shows up - load it on first use
+let mermaidPromise = null
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({
+        startOnLoad: false,
+        theme: 'dark',
+        // Sanitizes labels and disables click handlers / scripts in diagrams
+        securityLevel: 'strict',
+        suppressErrorRendering: true
+      })
+      return mermaid
+    })
+  }
+  return mermaidPromise
+}
+
+// A Plotly figure is `{ data: [trace, ...], layout?, config? }`; a bare trace
+// array is accepted too. Plain ```json only counts when it has both data and layout.
+const parsePlotlySpec = (code, language) => {
+  let spec
+  try {
+    spec = JSON.parse(code)
+  } catch {
+    return null
+  }
+  if (Array.isArray(spec) && language === 'plotly') spec = { data: spec }
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.data) || spec.data.length === 0) return null
+  if (!spec.data.every(trace => trace && typeof trace === 'object' && !Array.isArray(trace))) return null
+  if (language === 'json' && (!spec.layout || typeof spec.layout !== 'object')) return null
+  return spec
+}
+
+const CHART_LAYOUT = {
+  paper_bgcolor: 'transparent',
+  plot_bgcolor: 'transparent',
+  font: { color: '#e0e0e0' },
+  margin: { t: 40, r: 20, b: 40, l: 50 },
+  xaxis: { gridcolor: '#2a2a2a' },
+  yaxis: { gridcolor: '#2a2a2a' }
+}
+
+const MermaidDiagram = ({ code, onError }) => {
+  const [svg, setSvg] = useState(null)
+  // Mermaid needs a DOM-safe id for the scratch element it renders into
+  const id = `mermaid-${useId().replace(/[^a-zA-Z0-9-]/g, '')}`
+
+  useEffect(() => {
+    let cancelled = false
+    loadMermaid()
+      .then(mermaid => mermaid.render(id, code))
+      .then(result => {
+        if (!cancelled) setSvg(result.svg)
+      })
+      .catch(() => {
+        if (!cancelled) onError()
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [code, id, onError])
+
+  if (!svg) return <div className="diagram-loading">Rendering diagram…</div>
+  // Mermaid's strict security level sanitizes the SVG before it gets here
+  return <div className="diagram-mermaid" dangerouslySetInnerHTML={{ __html: svg }} />
+}
+
+const PlotlyChart = ({ spec }) => (
+  <Plot
+    data={spec.data}
+    layout={{
+      ...CHART_LAYOUT,
+      ...spec.layout,
+      font: { ...CHART_LAYOUT.font, ...spec.layout?.font },
+      autosize: true
+    }}
+    config={{ displaylogo: false, responsive: true, ...spec.config }}
+    style={{ width: '100%', height: spec.layout?.height ? `${spec.layout.height}px` : '400px' }}
+    useResizeHandler
+  />
+)
+
+const DiagramBlock = ({ code, language }) => {
+  const [showSource, setShowSource] = useState(false)
+  // Failures are remembered per source, so an edited / re-streamed spec gets another try
+  const [failedCode, setFailedCode] = useState(null)
+  const plotlySpec = useMemo(() => (language === 'mermaid' ? null : parsePlotlySpec(code, language)), [code, language])
+  const handleMermaidError = useCallback(() => setFailedCode(code), [code])
+
+  const renderable = language === 'mermaid' ? failedCode !== code : Boolean(plotlySpec)
+  if (!renderable) return <CodeBlock code={code} language={language} />
+
+  return (
+    <div className="diagram-block">
+      <div className="code-block-header">
+        <span className="code-language">{language === 'mermaid' ? 'mermaid' : 'chart'}</span>
+        <button className="copy-code-btn" onClick={() => setShowSource(prev => !prev)}>
+          {showSource ? 'View diagram' : 'View source'}
+        </button>
+      </div>
+      {showSource ? (
+        <CodeBlock code={code} language={language === 'mermaid' ? 'mermaid' : 'json'} />
+      ) : (
+        <div className="diagram-body">
+          {language === 'mermaid'
+            ? <MermaidDiagram code={code} onError={handleMermaidError} />
+            : <PlotlyChart spec={plotlySpec} />}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DiagramBlock
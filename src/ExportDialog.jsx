@@ -0,0 +1,119 @@
+import { useState } from 'react'
+import {
+  EXPORT_FORMATS,
+  loadConversation,
+  embedImages,
+  toMarkdown,
+  toJSON,
+  toHTML,
+  exportFilename,
+  downloadFile,
+  printHTML
+} from './exporters'
+
+const FORMAT_PREF_KEY = 'export_format'
+
+// Pick sessions and a format, then download them as one file (or print them,
+// for PDF). `initialSelection` preselects sessions, e.g. the one whose menu
+// opened the dialog; `feedback` is the local feedback store (see feedback.js)
+// and `systemPrompts` maps session ids to their system prompt.
+const ExportDialog = ({ sessions, initialSelection = [], feedback, systemPrompts, onClose }) => {
+  const [selected, setSelected] = useState(() => new Set(initialSelection))
+  const [format, setFormat] = useState(() => localStorage.getItem(FORMAT_PREF_KEY) || 'markdown')
+  const [progress, setProgress] = useState(null) // { done, total } while exporting
+  const [error, setError] = useState(null)
+
+  const allSelected = sessions.length > 0 && selected.size === sessions.length
+
+  const toggleSession = (sessionId) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(sessionId)) next.delete(sessionId)
+      else next.add(sessionId)
+      return next
+    })
+  }
+
+  const handleExport = async () => {
+    const chosen = sessions.filter(s => selected.has(s.session_id))
+    if (chosen.length === 0) return
+    localStorage.setItem(FORMAT_PREF_KEY, format)
+    setError(null)
+    setProgress({ done: 0, total: chosen.length })
+    try {
+      const conversations = []
+      for (const session of chosen) {
+        const conversation = await loadConversation(session, feedback, systemPrompts)
+        conversations.push(await embedImages(conversation))
+        setProgress({ done: conversations.length, total: chosen.length })
+      }
+
+      if (format === 'markdown') {
+        downloadFile(toMarkdown(conversations), exportFilename(conversations, 'md'), 'text/markdown;charset=utf-8')
+      } else if (format === 'json') {
+        downloadFile(toJSON(conversations), exportFilename(conversations, 'json'), 'application/json')
+      } else if (format === 'html') {
+        downloadFile(await toHTML(conversations), exportFilename(conversations, 'html'), 'text/html;charset=utf-8')
+      } else {
+        await printHTML(await toHTML(conversations))
+      }
+      onClose()
+    } catch (err) {
+      console.error('Export failed:', err)
+      setError(err.message || 'Export failed')
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={progress ? undefined : onClose}>
+      <div className="modal-content export-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Export conversations</h3>
+        <div className="export-session-list">
+          <label className="export-session-item export-select-all">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => setSelected(allSelected ? new Set() : new Set(sessions.map(s => s.session_id)))}
+            />
+            Select all ({sessions.length})
+          </label>
+          {sessions.map(session => (
+            <label key={session.session_id} className="export-session-item">
+              <input
+                type="checkbox"
+                checked={selected.has(session.session_id)}
+                onChange={() => toggleSession(session.session_id)}
+              />
+              <span>{session.title || session.summary || 'New conversation'}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="export-format">
+          <label htmlFor="export-format-select">Format</label>
+          <select id="export-format-select" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {EXPORT_FORMATS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+        </div>
+        {format === 'pdf' && (
+          <p className="export-hint">Opens the print dialog - choose “Save as PDF” as the destination.</p>
+        )}
+        {selected.size > 1 && (
+          <p className="export-hint">{selected.size} conversations will be combined into one file.</p>
+        )}
+        {error && <p className="export-error">{error}</p>}
+
+        <div className="confirmation-actions">
+          <button className="btn-secondary" onClick={onClose} disabled={Boolean(progress)}>Cancel</button>
+          <button className="btn-primary" onClick={handleExport} disabled={selected.size === 0 || Boolean(progress)}>
+            {progress ? `Exporting ${progress.done}/${progress.total}…` : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ExportDialog
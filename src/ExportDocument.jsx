@@ -0,0 +1,74 @@
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeKatex from 'rehype-katex'
+import { highlightCode } from './highlight'
+import { withMathDelimiters } from './markdown'
+import { formatFileSize } from './attachments'
+import { conversationMeta, feedbackSummary, messageSource, speakerOf } from './exporters'
+
+// Static markup for exported HTML / PDF (rendered with renderToStaticMarkup,
+// see exporters.js). No buttons or lazy widgets: code is pre-highlighted,
+// math is MathML so no KaTeX fonts are needed, and mermaid / chart specs stay
+// as their source.
+
+const nodeText = (node) => {
+  if (!node) return ''
+  if (node.type === 'text') return node.value
+  return (node.children || []).map(nodeText).join('')
+}
+
+const components = {
+  pre: ({ node }) => {
+    const codeNode = node?.children?.find(child => child.tagName === 'code')
+    const languageClass = (codeNode?.properties?.className || []).find(c => String(c).startsWith('language-'))
+    const { html, language } = highlightCode(
+      nodeText(codeNode).replace(/\n$/, ''),
+      languageClass ? String(languageClass).replace('language-', '') : null
+    )
+    return (
+      <pre data-language={language || undefined}>
+        <code dangerouslySetInnerHTML={{ __html: html }} />
+      </pre>
+    )
+  }
+}
+
+const remarkPlugins = [remarkGfm, remarkMath]
+const rehypePlugins = [[rehypeKatex, { output: 'mathml', throwOnError: false, strict: 'ignore' }]]
+
+const ExportDocument = ({ conversations }) => (
+  <>
+    {conversations.map(conversation => (
+      <article key={conversation.session_id} className="export-conversation">
+        <h1>{conversation.title}</h1>
+        <p className="export-meta">{conversationMeta(conversation)}</p>
+        {conversation.system_prompt && <p className="export-system-prompt"><strong>System prompt:</strong> {conversation.system_prompt}</p>}
+        {conversation.messages.map(message => (
+          <section key={message.id} className={`export-message ${message.role}`}>
+            <div className="export-speaker">{speakerOf(message)}</div>
+            <ReactMarkdown remarkPlugins={remarkPlugins} rehypePlugins={rehypePlugins} components={components}>
+              {withMathDelimiters(messageSource(message))}
+            </ReactMarkdown>
+            {message.attachments.length > 0 && (
+              <div className="export-attachments">
+                {message.attachments.map((a, idx) => (a.kind === 'image' && a.url
+                  ? <img key={idx} src={a.url} alt={a.filename} />
+                  : <span key={idx} className="export-file">📎 {a.filename}{a.size != null && ` (${formatFileSize(a.size)})`}</span>
+                ))}
+              </div>
+            )}
+            {message.feedback && (
+              <p className="export-footnote">Feedback: {feedbackSummary(message.feedback)}</p>
+            )}
+            {message.feedback?.ideal_answer && (
+              <p className="export-footnote">Ideal answer: {message.feedback.ideal_answer}</p>
+            )}
+          </section>
+        ))}
+      </article>
+    ))}
+  </>
+)
+
+export default ExportDocument
@@ -0,0 +1,235 @@
+import { useEffect, useRef, useState } from 'react'
+import {
+  MAX_DIMENSION_OPTIONS,
+  loadImagePrefs,
+  saveImagePrefs,
+  decodeImage,
+  renderImage,
+  toImageFile
+} from './imageProcessing'
+import { formatFileSize } from './attachments'
+
+// Crops smaller than this (as a fraction of either side) are treated as a click
+const MIN_CROP = 0.02
+const PREVIEW_DIMENSION = 800
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value))
+
+// Rectangle spanned by two points, in fractions of the preview
+const rectFrom = (a, b) => ({
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(a.x - b.x),
+  height: Math.abs(a.y - b.y)
+})
+
+// Rotate / crop / resize one image before it joins the attachment tray.
+// Shows the original and processed byte size so the savings are visible.
+const ImageEditor = ({ file, remaining, onAttach, onCancel }) => {
+  const [bitmap, setBitmap] = useState(null)
+  const [rotation, setRotation] = useState(0)
+  const [crop, setCrop] = useState(null)
+  const [draftCrop, setDraftCrop] = useState(null)
+  const [prefs, setPrefs] = useState(loadImagePrefs)
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+  const dragStartRef = useRef(null)
+  const stageRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let decoded = null
+    decodeImage(file)
+      .then(bmp => {
+        decoded = bmp
+        if (cancelled) bmp.close()
+        else setBitmap(bmp)
+      })
+      .catch(() => {
+        if (!cancelled) setError('This image could not be read')
+      })
+    return () => {
+      cancelled = true
+      if (decoded) decoded.close()
+    }
+  }, [file])
+
+  // Rotated, uncropped preview to draw the crop rectangle on
+  useEffect(() => {
+    if (!bitmap) return undefined
+    let cancelled = false
+    let url = null
+    renderImage(bitmap, { rotation, maxDimension: PREVIEW_DIMENSION, format: 'image/jpeg', quality: 0.8 })
+      .then(({ blob }) => {
+        if (cancelled) return
+        url = URL.createObjectURL(blob)
+        setPreviewUrl(url)
+      })
+      .catch(() => {
+        if (!cancelled) setError('This image could not be processed')
+      })
+    return () => {
+      cancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [bitmap, rotation])
+
+  // The image that will actually be attached
+  useEffect(() => {
+    if (!bitmap) return undefined
+    let cancelled = false
+    renderImage(bitmap, { rotation, crop, ...prefs })
+      .then(rendered => {
+        if (!cancelled) setResult(rendered)
+      })
+      .catch(() => {
+        if (!cancelled) setError('This image could not be processed')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [bitmap, rotation, crop, prefs])
+
+  const updatePrefs = (changes) => {
+    setPrefs(prev => {
+      const next = { ...prev, ...changes }
+      saveImagePrefs(next)
+      return next
+    })
+  }
+
+  // Crop coordinates live in the rotated image, so a new rotation starts over
+  const rotate = (degrees) => {
+    setRotation(prev => (prev + degrees + 360) % 360)
+    setCrop(null)
+  }
+
+  const pointFromEvent = (e) => {
+    const box = stageRef.current.getBoundingClientRect()
+    return { x: clamp01((e.clientX - box.left) / box.width), y: clamp01((e.clientY - box.top) / box.height) }
+  }
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragStartRef.current = pointFromEvent(e)
+    setDraftCrop(null)
+  }
+
+  const handlePointerMove = (e) => {
+    if (!dragStartRef.current) return
+    setDraftCrop(rectFrom(dragStartRef.current, pointFromEvent(e)))
+  }
+
+  const handlePointerUp = (e) => {
+    if (!dragStartRef.current) return
+    const rect = rectFrom(dragStartRef.current, pointFromEvent(e))
+    dragStartRef.current = null
+    setDraftCrop(null)
+    if (rect.width >= MIN_CROP && rect.height >= MIN_CROP) setCrop(rect)
+  }
+
+  const shownCrop = draftCrop || crop
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content image-editor-modal">
+        <h2>Prepare image</h2>
+        {error ? (
+          <p className="image-editor-error">{error}</p>
+        ) : (
+          <>
+            <div
+              ref={stageRef}
+              className="image-editor-stage"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            >
+              {previewUrl ? (
+                <img src={previewUrl} alt={file.name} draggable={false} />
+              ) : (
+                <div className="image-editor-loading">Loading image…</div>
+              )}
+              {previewUrl && shownCrop && (
+                <div
+                  className="image-editor-crop"
+                  style={{
+                    left: `${shownCrop.x * 100}%`,
+                    top: `${shownCrop.y * 100}%`,
+                    width: `${shownCrop.width * 100}%`,
+                    height: `${shownCrop.height * 100}%`
+                  }}
+                />
+              )}
+            </div>
+            <p className="image-editor-hint">Drag on the image to crop.</p>
+
+            <div className="image-editor-tools">
+              <button type="button" className="btn-secondary" onClick={() => rotate(-90)} title="Rotate left">⟲</button>
+              <button type="button" className="btn-secondary" onClick={() => rotate(90)} title="Rotate right">⟳</button>
+              <button type="button" className="btn-secondary" onClick={() => setCrop(null)} disabled={!crop}>Reset crop</button>
+            </div>
+
+            <div className="image-editor-settings">
+              <label>
+                Max size
+                <select
+                  value={prefs.maxDimension}
+                  onChange={(e) => updatePrefs({ maxDimension: Number(e.target.value) })}
+                >
+                  {MAX_DIMENSION_OPTIONS.map(size => (
+                    <option key={size} value={size}>{size ? `${size}px` : 'Original'}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Format
+                <select value={prefs.format} onChange={(e) => updatePrefs({ format: e.target.value })}>
+                  <option value="image/webp">WebP</option>
+                  <option value="image/jpeg">JPEG</option>
+                </select>
+              </label>
+              <label>
+                Quality {Math.round(prefs.quality * 100)}%
+                <input
+                  type="range"
+                  min="0.4"
+                  max="1"
+                  step="0.05"
+                  value={prefs.quality}
+                  onChange={(e) => updatePrefs({ quality: Number(e.target.value) })}
+                />
+              </label>
+            </div>
+
+            <div className="image-editor-size">
+              <span>Original: {formatFileSize(file.size)}</span>
+              <span className="image-editor-size-arrow">→</span>
+              <span className={result && result.blob.size < file.size ? 'image-editor-size-smaller' : ''}>
+                {result ? `${formatFileSize(result.blob.size)} (${result.width}×${result.height})` : '…'}
+              </span>
+            </div>
+            <p className="image-editor-hint">Location and camera metadata (EXIF) are removed.</p>
+          </>
+        )}
+
+        <div className="confirmation-actions">
+          <button type="button" className="btn-secondary" onClick={onCancel}>
+            {remaining > 0 ? 'Skip' : 'Cancel'}
+          </button>
+          <button
+            type="button"
+            className="btn-primary"
+            disabled={!result || Boolean(error)}
+            onClick={() => onAttach(toImageFile(result.blob, file.name))}
+          >
+            Attach{remaining > 0 ? ` (${remaining} more)` : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImageEditor
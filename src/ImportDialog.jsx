@@ -0,0 +1,202 @@
+import { useState } from 'react'
+import { api, isMissingRoute } from './api/client'
+import { QUERY_MODES, MODE_LABELS } from './modes'
+import { formatFileSize } from './attachments'
+import {
+  MAX_IMPORT_BYTES,
+  IMPORT_FORMAT_LABELS,
+  parseImportFile,
+  extraRoles,
+  toImportRequest
+} from './importers'
+
+const STANDARD_ROLE_LABELS = { user: 'You', assistant: 'Assistant' }
+const PREVIEW_MESSAGES = 6
+
+const previewText = (content) => (content.length > 280 ? `${content.slice(0, 280)}…` : content)
+
+// Pick an archive, check what was found and how it maps onto sessions, then
+// create the sessions. onImported gets the new session ids.
+const ImportDialog = ({ onImported, onClose }) => {
+  const [parsed, setParsed] = useState(null) // { format, conversations, filename }
+  const [selected, setSelected] = useState(new Set())
+  const [titles, setTitles] = useState({})
+  const [previewKey, setPreviewKey] = useState(null)
+  const [mode, setMode] = useState('normal')
+  const [roleMap, setRoleMap] = useState({})
+  const [progress, setProgress] = useState(null) // { done, total } while importing
+  const [failures, setFailures] = useState([])
+  const [error, setError] = useState(null)
+
+  const handleFile = async (file) => {
+    if (!file) return
+    setError(null)
+    if (file.size > MAX_IMPORT_BYTES) {
+      setError(`Archives must be under ${formatFileSize(MAX_IMPORT_BYTES)}.`)
+      return
+    }
+    try {
+      const result = parseImportFile(await file.text(), file.name)
+      setParsed({ ...result, filename: file.name })
+      setSelected(new Set(result.conversations.map(c => c.key)))
+      setTitles(Object.fromEntries(result.conversations.map(c => [c.key, c.title])))
+      setPreviewKey(result.conversations[0].key)
+      setRoleMap(Object.fromEntries(extraRoles(result.conversations).map(role => [role, 'skip'])))
+      setFailures([])
+    } catch (err) {
+      setParsed(null)
+      setError(err.message)
+    }
+  }
+
+  const toggleConversation = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) next.delete(key)
+      else next.add(key)
+      return next
+    })
+  }
+
+  const handleImport = async () => {
+    const chosen = parsed.conversations.filter(c => selected.has(c.key))
+    setError(null)
+    setFailures([])
+    setProgress({ done: 0, total: chosen.length })
+    const imported = []
+    const failed = []
+    for (const conversation of chosen) {
+      try {
+        const data = await api.sessions.import(toImportRequest(conversation, { title: titles[conversation.key], mode, roleMap }))
+        imported.push(data.session_id)
+      } catch (err) {
+        if (isMissingRoute(err)) {
+          setError('This server doesn\'t support importing conversations.')
+          break
+        }
+        console.error('Failed to import conversation:', conversation.title, err)
+        failed.push(conversation)
+      }
+      setProgress({ done: imported.length + failed.length, total: chosen.length })
+    }
+    setProgress(null)
+    if (imported.length) onImported(imported)
+    if (failed.length) {
+      setFailures(failed.map(c => titles[c.key] || c.title))
+      setSelected(new Set(failed.map(c => c.key)))
+    } else if (imported.length) {
+      onClose()
+    }
+  }
+
+  const preview = parsed?.conversations.find(c => c.key === previewKey)
+  const roles = Object.keys(roleMap)
+
+  return (
+    <div className="modal-overlay" onClick={progress ? undefined : onClose}>
+      <div className="modal-content import-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Import conversations</h3>
+        <input
+          type="file"
+          accept=".json,.jsonl,application/json"
+          onChange={(e) => handleFile(e.target.files?.[0])}
+          disabled={Boolean(progress)}
+        />
+        <p className="export-hint">
+          Exports from this app, ChatGPT (conversations.json) and Claude, or any JSON / JSONL list of {'{ role, content }'} messages.
+        </p>
+
+        {parsed && (
+          <>
+            <p className="import-summary">
+              {IMPORT_FORMAT_LABELS[parsed.format]} · {parsed.conversations.length} conversation{parsed.conversations.length === 1 ? '' : 's'}
+            </p>
+            <div className="import-body">
+              <div className="export-session-list import-conversation-list">
+                {parsed.conversations.map(conversation => (
+                  <div
+                    key={conversation.key}
+                    className={`export-session-item ${previewKey === conversation.key ? 'active' : ''}`}
+                    onClick={() => setPreviewKey(conversation.key)}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.has(conversation.key)}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={() => toggleConversation(conversation.key)}
+                    />
+                    <input
+                      type="text"
+                      className="import-title-input"
+                      value={titles[conversation.key] ?? ''}
+                      onChange={(e) => setTitles(prev => ({ ...prev, [conversation.key]: e.target.value }))}
+                    />
+                    <span className="import-count">{conversation.messages.length}</span>
+                  </div>
+                ))}
+              </div>
+              {preview && (
+                <div className="import-preview">
+                  {preview.messages.slice(0, PREVIEW_MESSAGES).map((message, idx) => {
+                    const role = STANDARD_ROLE_LABELS[message.role] || message.role
+                    const skipped = !(message.role in STANDARD_ROLE_LABELS) && roleMap[message.role] === 'skip'
+                    return (
+                      <div key={idx} className={`import-preview-message ${skipped ? 'skipped' : ''}`}>
+                        <span className="import-preview-role">{role}</span>
+                        <p>{previewText(message.content)}</p>
+                      </div>
+                    )
+                  })}
+                  {preview.messages.length > PREVIEW_MESSAGES && (
+                    <p className="export-hint">…and {preview.messages.length - PREVIEW_MESSAGES} more</p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="export-format">
+              <label htmlFor="import-mode-select">Mode</label>
+              <select id="import-mode-select" value={mode} onChange={(e) => setMode(e.target.value)}>
+                {QUERY_MODES.map(m => <option key={m} value={m}>{MODE_LABELS[m]}</option>)}
+              </select>
+            </div>
+            {roles.map(role => (
+              <div key={role} className="export-format">
+                <label htmlFor={`import-role-${role}`}>“{role}” messages</label>
+                <select
+                  id={`import-role-${role}`}
+                  value={roleMap[role]}
+                  onChange={(e) => setRoleMap(prev => ({ ...prev, [role]: e.target.value }))}
+                >
+                  <option value="skip">Skip</option>
+                  <option value="user">Import as user</option>
+                  <option value="assistant">Import as assistant</option>
+                </select>
+              </div>
+            ))}
+          </>
+        )}
+
+        {failures.length > 0 && (
+          <p className="export-error">Couldn't import: {failures.join(', ')}. They're still selected to retry.</p>
+        )}
+        {error && <p className="export-error">{error}</p>}
+
+        <div className="confirmation-actions">
+          <button className="btn-secondary" onClick={onClose} disabled={Boolean(progress)}>
+            {failures.length ? 'Close' : 'Cancel'}
+          </button>
+          <button
+            className="btn-primary"
+            onClick={handleImport}
+            disabled={!parsed || selected.size === 0 || Boolean(progress)}
+          >
+            {progress ? `Importing ${progress.done}/${progress.total}…` : `Import ${selected.size || ''}`.trim()}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportDialog
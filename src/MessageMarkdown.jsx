@@ -0,0 +1,78 @@
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeKatex from 'rehype-katex'
+import 'katex/dist/katex.min.css'
+import CodeBlock from './CodeBlock'
+import DiagramBlock from './DiagramBlock'
+import { messageMarkdownSource } from './markdown'
+
+// ===== MESSAGE MARKDOWN =====
+// CommonMark + GFM (tables, task lists, strikethrough, autolinks). Raw HTML in
+// a message is shown as text, never rendered, and react-markdown's default URL
+// transform drops javascript:/data: links - so model output can't inject markup.
+// Math ($...$, $$...$$, \(...\), \[...\]) is typeset with KaTeX, bundled locally.
+
+// Plain text of a hast node (the code element inside a fenced block)
+const nodeText = (node) => {
+  if (!node) return ''
+  if (node.type === 'text') return node.value
+  return (node.children || []).map(nodeText).join('')
+}
+
+// Fences DiagramBlock tries to draw; plain json only when it's a Plotly figure
+const DIAGRAM_LANGUAGES = ['mermaid', 'plotly', 'json']
+
+// react-markdown passes the hast `node` to every component - keep it off the DOM
+const withoutNode = (props) => {
+  const { node: _node, ...rest } = props
+  return rest
+}
+
+// Fenced / indented code goes through CodeBlock (or DiagramBlock for
+// mermaid / chart specs); inline `code` stays inline. A diagram spec still
+// streaming in is incomplete, so it shows as code until the message is done.
+const preBlock = (drawDiagrams) => ({ node }) => {
+  const codeNode = node?.children?.find(child => child.tagName === 'code')
+  const className = codeNode?.properties?.className || []
+  const languageClass = className.find(c => String(c).startsWith('language-'))
+  const language = languageClass ? String(languageClass).replace('language-', '') : 'code'
+  const code = nodeText(codeNode).replace(/\n$/, '')
+  if (drawDiagrams && DIAGRAM_LANGUAGES.includes(language.toLowerCase())) {
+    return <DiagramBlock code={code} language={language.toLowerCase()} />
+  }
+  return <CodeBlock code={code} language={language} />
+}
+
+const components = {
+  pre: preBlock(true),
+  code: (props) => {
+    const { className, children, ...rest } = withoutNode(props)
+    return <code className={`message-inline-code ${className || ''}`.trim()} {...rest}>{children}</code>
+  },
+  h1: (props) => <h1 className="message-h1" {...withoutNode(props)} />,
+  h2: (props) => <h2 className="message-h2" {...withoutNode(props)} />,
+  h3: (props) => <h3 className="message-h3" {...withoutNode(props)} />,
+  table: (props) => (
+    <div className="message-table-wrapper">
+      <table className="message-table" {...withoutNode(props)} />
+    </div>
+  ),
+  a: (props) => <a {...withoutNode(props)} target="_blank" rel="noopener noreferrer" />
+}
+
+const streamingComponents = { ...components, pre: preBlock(false) }
+
+const remarkPlugins = [remarkGfm, remarkMath]
+// Bad TeX renders as red source instead of throwing, so one typo can't blank a message
+const rehypePlugins = [[rehypeKatex, { throwOnError: false, strict: 'ignore', errorColor: '#dc3545' }]]
+
+const MessageMarkdown = ({ content, codeBlocks, streaming = false }) => (
+  <div className="message-text-content message-markdown">
+    <ReactMarkdown remarkPlugins={remarkPlugins} rehypePlugins={rehypePlugins} components={streaming ? streamingComponents : components}>
+      {messageMarkdownSource(content, codeBlocks)}
+    </ReactMarkdown>
+  </div>
+)
+
+export default MessageMarkdown
@@ -0,0 +1,60 @@
+import { renderToStaticMarkup } from 'react-dom/server'
+import { describe, expect, it, vi } from 'vitest'
+import MessageMarkdown from './MessageMarkdown'
+
+// Plotly needs a browser to load; diagrams only leave a marker here
+vi.mock('./DiagramBlock', () => ({ default: ({ language }) => <div data-diagram={language} /> }))
+
+const render = (content, codeBlocks, streaming) => renderToStaticMarkup(
+  <MessageMarkdown content={content} codeBlocks={codeBlocks} streaming={streaming} />
+)
+
+describe('MessageMarkdown', () => {
+  it('renders nested lists', () => {
+    const html = render('- one\n  - one.a\n    1. deep\n- two')
+    expect(html).toMatch(/<ul>\s*<li>one\s*<ul>\s*<li>one\.a\s*<ol>\s*<li>deep<\/li>/)
+    expect(html).toMatch(/<li>two<\/li>\s*<\/ul>/)
+  })
+
+  it('keeps escaped pipes inside a table cell', () => {
+    const html = render('| expr | means |\n| --- | --- |\n| `a \\| b` | a or b |\n| x \\| y | either |')
+    expect(html).toContain('<table class="message-table">')
+    expect(html).toContain('<code class="message-inline-code">a | b</code>')
+    expect(html).toContain('<td>x | y</td>')
+    expect(html.match(/<td>/g)).toHaveLength(4)
+  })
+
+  it('renders task lists as disabled checkboxes', () => {
+    const html = render('- [x] done\n- [ ] todo')
+    expect(html).toMatch(/<input type="checkbox" disabled="" checked=""\/> done/)
+    expect(html).toMatch(/<input type="checkbox" disabled=""\/> todo/)
+  })
+
+  it('drops javascript: links', () => {
+    const html = render('[click](javascript:alert(1)) and [ok](https://example.com)')
+    expect(html).not.toContain('javascript:')
+    expect(html).toContain('href="https://example.com"')
+    expect(html).toContain('rel="noopener noreferrer"')
+  })
+
+  it('shows raw HTML as text instead of rendering it', () => {
+    const html = render('<img src=x onerror="alert(1)"> <b>bold</b>\n\n<script>alert(1)</script>')
+    expect(html).not.toMatch(/<img|<script|<b>/)
+    expect(html).toContain('&lt;b&gt;bold&lt;/b&gt;')
+  })
+
+  it('treats $5 and $10 as currency but typesets real math', () => {
+    const prices = render('Between $5 and $10 a month')
+    expect(prices).not.toContain('katex')
+    expect(prices).toContain('Between $5 and $10 a month')
+    expect(render('Solve $x^2 = 4$')).toContain('class="katex"')
+  })
+
+  it('draws diagrams only once the message is complete', () => {
+    const source = '```mermaid\ngraph TD\n  A --> B\n```'
+    expect(render(source)).toContain('data-diagram="mermaid"')
+    const streaming = render(source, [], true)
+    expect(streaming).not.toContain('data-diagram')
+    expect(streaming).toContain('<span class="code-language">mermaid</span>')
+  })
+})
@@ -0,0 +1,189 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { api, isMissingRoute, messagesFrom } from './api/client'
+import {
+  loadSearchIndex,
+  saveSearchIndex,
+  indexEntryFor,
+  staleSessions,
+  pruneSearchIndex,
+  searchIndex,
+  snippetSegments,
+  fromServerResult
+} from './search'
+import { QUERY_MODES, MODE_LABELS } from './modes'
+
+const SEARCH_DEBOUNCE_MS = 250
+const INDEX_CONCURRENCY = 3
+
+// Flipped off for the rest of the visit once the backend turns out not to
+// have a search route; everything then goes through the local index
+let serverSearchAvailable = true
+
+const formatResultDate = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString()
+}
+
+// Search box over every session's messages (Ctrl/⌘+K). Picking a result
+// hands it to onOpen, which loads the session and scrolls to the message.
+const SessionSearch = ({ userId, sessions, models, onOpen, onClose }) => {
+  const [query, setQuery] = useState('')
+  const [mode, setMode] = useState('')
+  const [model, setModel] = useState('')
+  const [results, setResults] = useState([])
+  const [selected, setSelected] = useState(0)
+  const [status, setStatus] = useState('idle') // idle | searching | indexing
+  const [progress, setProgress] = useState(null) // { done, total } while indexing
+  const indexRef = useRef(null)
+  const indexingRef = useRef(null)
+  const requestRef = useRef(0)
+
+  // Fetch sessions the local index doesn't have yet (or that changed), a few at a time
+  const ensureLocalIndex = useCallback(() => {
+    if (indexingRef.current) return indexingRef.current
+    indexingRef.current = (async () => {
+      let index = pruneSearchIndex(loadSearchIndex(userId), sessions)
+      const stale = staleSessions(index, sessions)
+      if (stale.length) {
+        setStatus('indexing')
+        setProgress({ done: 0, total: stale.length })
+        const queue = [...stale]
+        let done = 0
+        const worker = async () => {
+          while (queue.length) {
+            const session = queue.shift()
+            try {
+              const data = await api.sessions.get(session.session_id)
+              index = { ...index, [session.session_id]: indexEntryFor(session, messagesFrom(data)) }
+            } catch (err) {
+              console.error('Failed to index session:', session.session_id, err)
+            }
+            done += 1
+            setProgress({ done, total: stale.length })
+          }
+        }
+        await Promise.all(Array.from({ length: Math.min(INDEX_CONCURRENCY, stale.length) }, worker))
+        setProgress(null)
+      }
+      saveSearchIndex(userId, index)
+      indexRef.current = index
+      return index
+    })()
+    return indexingRef.current
+  }, [userId, sessions])
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    const requestId = ++requestRef.current
+    if (!trimmed) return undefined
+
+    const timer = setTimeout(async () => {
+      const filters = { mode: mode || null, model: model || null }
+      setStatus('searching')
+      let found = null
+      if (serverSearchAvailable) {
+        try {
+          const data = await api.sessions.search({ q: trimmed, mode: filters.mode, model: filters.model })
+          found = (data?.results || []).map(fromServerResult)
+        } catch (err) {
+          if (isMissingRoute(err)) {
+            serverSearchAvailable = false
+          } else {
+            console.error('Search failed, using local index:', err)
+          }
+        }
+      }
+      if (!found) {
+        const index = indexRef.current || await ensureLocalIndex()
+        found = searchIndex(index, trimmed, filters)
+      }
+      if (requestId !== requestRef.current) return // a newer search is running
+      setResults(found)
+      setSelected(0)
+      setStatus('idle')
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [query, mode, model, ensureLocalIndex])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose()
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setSelected(prev => Math.min(prev + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setSelected(prev => Math.max(prev - 1, 0))
+    } else if (e.key === 'Enter' && results[selected]) {
+      e.preventDefault()
+      onOpen(results[selected])
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content session-search-modal" onClick={(e) => e.stopPropagation()} onKeyDown={handleKeyDown}>
+        <input
+          type="text"
+          className="session-search-input"
+          placeholder="Search all conversations..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            if (!e.target.value.trim()) {
+              setResults([])
+              setStatus('idle')
+            }
+          }}
+          autoFocus
+        />
+        <div className="session-search-filters">
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="">All modes</option>
+            {QUERY_MODES.map(m => <option key={m} value={m}>{MODE_LABELS[m]}</option>)}
+          </select>
+          <select value={model} onChange={(e) => setModel(e.target.value)}>
+            <option value="">All models</option>
+            {models.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          {status === 'indexing' && progress && (
+            <span className="session-search-status">Indexing {progress.done}/{progress.total} conversations…</span>
+          )}
+          {status === 'searching' && <span className="session-search-status">Searching…</span>}
+        </div>
+
+        <div className="session-search-results">
+          {query.trim() && status === 'idle' && results.length === 0 && (
+            <p className="session-search-empty">No messages match “{query.trim()}”</p>
+          )}
+          {results.map((result, idx) => (
+            <button
+              key={`${result.sessionId}-${result.messageId}`}
+              className={`session-search-result ${idx === selected ? 'selected' : ''}`}
+              onMouseEnter={() => setSelected(idx)}
+              onClick={() => onOpen(result)}
+            >
+              <div className="session-search-result-meta">
+                <span className="session-search-result-title">{result.sessionTitle}</span>
+                <span className="session-search-result-date">
+                  {result.role === 'user' ? 'You' : (result.model || 'Assistant')}
+                  {formatResultDate(result.createdAt) && ` · ${formatResultDate(result.createdAt)}`}
+                </span>
+              </div>
+              <div className="session-search-result-snippet">
+                {snippetSegments(result.content, query).map((segment, sIdx) => (
+                  segment.match ? <mark key={sIdx}>{segment.text}</mark> : <span key={sIdx}>{segment.text}</span>
+                ))}
+              </div>
+            </button>
+          ))}
+        </div>
+        <p className="session-search-hint">↑↓ to navigate · Enter to open · Esc to close</p>
+      </div>
+    </div>
+  )
+}
+
+export default SessionSearch
@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import { api } from './api/client'
+import { loadConversation, embedImages } from './exporters'
+import { SHARE_VISIBILITIES, shareUrl, snapshotMessages } from './shares'
+
+// Create a read-only link to `session` as it looks now (selected branches
+// included). The link shows up under Settings > Shared links for revoking.
+const ShareDialog = ({ session, systemPrompts, onShared, onClose }) => {
+  const [visibility, setVisibility] = useState('public')
+  const [creating, setCreating] = useState(false)
+  const [link, setLink] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleCreate = async () => {
+    setCreating(true)
+    setError(null)
+    try {
+      // Stored images may sit behind auth, so the snapshot carries its own copies
+      const conversation = await embedImages(await loadConversation(session, {}, systemPrompts))
+      const share = await api.shares.create({
+        session_id: session.session_id,
+        title: conversation.title,
+        system_prompt: conversation.system_prompt || undefined,
+        visibility,
+        messages: snapshotMessages(conversation)
+      })
+      setLink(shareUrl(share))
+      if (onShared) {
+        onShared({ session_id: session.session_id, title: conversation.title, visibility, created_at: new Date().toISOString(), ...share })
+      }
+    } catch (err) {
+      console.error('Failed to create share link:', err)
+      setError(err.message || 'Failed to create share link')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Failed to copy link:', err)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={creating ? undefined : onClose}>
+      <div className="modal-content share-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>Share “{session.title || session.summary || 'New conversation'}”</h3>
+        {link ? (
+          <>
+            <p className="export-hint">
+              {visibility === 'org' ? 'Members of your organization' : 'Anyone'} who opens this link sees the conversation as it is now, read-only.
+            </p>
+            <div className="share-link-row">
+              <input type="text" value={link} readOnly onFocus={(e) => e.target.select()} />
+              <button className="btn-primary" onClick={handleCopy}>{copied ? 'Copied' : 'Copy'}</button>
+            </div>
+            <div className="confirmation-actions">
+              <button className="btn-secondary" onClick={onClose}>Done</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="export-hint">
+              Creates a snapshot - messages sent after sharing aren't included. You can revoke the link in Settings.
+            </p>
+            <div className="share-visibility-options">
+              {SHARE_VISIBILITIES.map(option => (
+                <label key={option.key} className={`share-visibility-option ${visibility === option.key ? 'selected' : ''}`}>
+                  <input
+                    type="radio"
+                    name="share-visibility"
+                    value={option.key}
+                    checked={visibility === option.key}
+                    onChange={() => setVisibility(option.key)}
+                  />
+                  <span>
+                    <span className="share-visibility-label">{option.label}</span>
+                    <span className="share-visibility-hint">{option.hint}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            {error && <p className="export-error">{error}</p>}
+            <div className="confirmation-actions">
+              <button className="btn-secondary" onClick={onClose} disabled={creating}>Cancel</button>
+              <button className="btn-primary" onClick={handleCreate} disabled={creating}>
+                {creating ? 'Creating link…' : 'Create link'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ShareDialog
@@ -0,0 +1,117 @@
+import { useEffect, useState } from 'react'
+import './App.css'
+import { api, ApiError } from './api/client'
+import { getTokens } from './api/tokens'
+import { attachmentsFromMessage } from './attachments'
+import MessageMarkdown from './MessageMarkdown'
+import AttachmentList from './AttachmentList'
+import { visibilityLabel } from './shares'
+
+const needsSignIn = (err) => err instanceof ApiError && (err.status === 401 || err.status === 403 || err.code === 'unauthorized')
+
+// Org-only links answer 401/403 to anonymous requests - retry signed in if we can
+const fetchShare = async (shareId) => {
+  try {
+    return await api.shares.view(shareId)
+  } catch (err) {
+    if (needsSignIn(err) && getTokens()) return api.shares.view(shareId, { auth: true })
+    throw err
+  }
+}
+
+const formatSharedDate = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString()
+}
+
+// Read-only viewer for /share/:id - the same message rendering as the chat,
+// without the composer, sidebar or any account UI
+const SharedConversation = ({ shareId }) => {
+  const [share, setShare] = useState(null)
+  const [error, setError] = useState(null) // { title, detail }
+
+  useEffect(() => {
+    let cancelled = false
+    fetchShare(shareId)
+      .then(data => {
+        if (!cancelled) setShare(data)
+      })
+      .catch(err => {
+        if (cancelled) return
+        console.error('Failed to load shared conversation:', err)
+        if (needsSignIn(err)) {
+          setError({ title: 'Sign in to view', detail: 'This conversation is only shared with members of its organization.' })
+        } else if (err instanceof ApiError && (err.status === 404 || err.status === 410)) {
+          setError({ title: 'Link not available', detail: 'This share link doesn\'t exist or has been revoked.' })
+        } else {
+          setError({ title: 'Couldn\'t load this conversation', detail: err.message || 'Please try again later.' })
+        }
+      })
+    return () => { cancelled = true }
+  }, [shareId])
+
+  return (
+    <div className="shared-root">
+      <header className="shared-header">
+        <a href="/" className="shared-brand">Vector</a>
+        {share && (
+          <div className="shared-title">
+            <h1>{share.title || 'Shared conversation'}</h1>
+            <span className="shared-meta">
+              Read-only · {visibilityLabel(share.visibility)}
+              {share.owner_name && ` · shared by ${share.owner_name}`}
+              {formatSharedDate(share.created_at) && ` · ${formatSharedDate(share.created_at)}`}
+            </span>
+          </div>
+        )}
+      </header>
+
+      <section className="chat-messages shared-messages">
+        {error ? (
+          <div className="shared-error">
+            <h2>{error.title}</h2>
+            <p>{error.detail}</p>
+            <a href="/" className="btn-primary">Go to Vector</a>
+          </div>
+        ) : !share ? (
+          <div className="loading">Loading conversation…</div>
+        ) : (
+          <>
+            {share.system_prompt && (
+              <div className="system-prompt-banner">
+                <div className="system-prompt-banner-header">
+                  <strong>System prompt</strong>
+                </div>
+                <p>{share.system_prompt}</p>
+              </div>
+            )}
+            {(share.messages || []).map((m, idx) => {
+              const attachments = attachmentsFromMessage({ ...m, id: m.id ?? idx })
+              return (
+                <div key={m.id ?? idx} className={`chat-message ${m.role === 'user' ? 'chat-message-user' : 'chat-message-assistant'}`}>
+                  <div className="avatar">
+                    <span className="avatar-initial">{m.role === 'user' ? 'U' : 'AI'}</span>
+                  </div>
+                  <div className="chat-bubble">
+                    <div className="chat-bubble-content">
+                      {attachments.length > 0 && <AttachmentList attachments={attachments} className="message-attachments" />}
+                      {(m.content || !attachments.length) && <MessageMarkdown content={m.content} codeBlocks={m.code_blocks} />}
+                    </div>
+                    {m.role === 'assistant' && m.model_used && (
+                      <div className="shared-model">
+                        <span className="model-chip">{m.model_used}</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default SharedConversation
@@ -0,0 +1,70 @@
+import { useState } from 'react'
+import { shareUrl, visibilityLabel } from './shares'
+
+const formatCreated = (value) => {
+  if (!value) return '-'
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '-' : date.toLocaleString()
+}
+
+// Settings > Shared links: every snapshot the user has shared, with revoke
+const SharedLinksPanel = ({ links, loading, error, onRevoke }) => {
+  const [copiedId, setCopiedId] = useState(null)
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share))
+      setCopiedId(share.share_id)
+      setTimeout(() => setCopiedId(prev => (prev === share.share_id ? null : prev)), 2000)
+    } catch (err) {
+      console.error('Failed to copy link:', err)
+    }
+  }
+
+  if (loading) return <div className="loading">Loading shared links...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="shared-links-panel">
+      <h2>Shared links</h2>
+      <p className="shared-links-intro">
+        Read-only snapshots of your conversations. Revoking a link makes it stop working immediately.
+      </p>
+      {links.length === 0 ? (
+        <p className="shared-links-empty">You haven't shared any conversations yet. Use “Share…” in a chat's menu.</p>
+      ) : (
+        <table className="shared-links-table">
+          <thead>
+            <tr>
+              <th>Conversation</th>
+              <th>Visible to</th>
+              <th>Created</th>
+              <th>Views</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {links.map(share => (
+              <tr key={share.share_id}>
+                <td>
+                  <a href={shareUrl(share)} target="_blank" rel="noopener noreferrer">{share.title || 'Untitled conversation'}</a>
+                </td>
+                <td>{visibilityLabel(share.visibility)}</td>
+                <td>{formatCreated(share.created_at)}</td>
+                <td>{share.view_count ?? '-'}</td>
+                <td className="shared-links-actions">
+                  <button className="btn-small btn-secondary" onClick={() => copyLink(share)}>
+                    {copiedId === share.share_id ? 'Copied' : 'Copy link'}
+                  </button>
+                  <button className="btn-small btn-danger" onClick={() => onRevoke(share)}>Revoke</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default SharedLinksPanel
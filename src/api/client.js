@@ -0,0 +1,290 @@
+import { API_BASE_URL } from '../config'
+import { getAccessToken, isAccessTokenExpired, refreshAccessToken, clearTokens } from './tokens'
+
+// ===== API CLIENT =====
+// Every backend call goes through request() so they all get the same
+// token refresh + retry on 401, timeout, cancellation and error shape.
+
+const DEFAULT_TIMEOUT_MS = 30000
+
+/**
+ * Error thrown for any failed API call.
+ * @property {number|null} status - HTTP status, null for network errors / timeouts
+ * @property {'http'|'unauthorized'|'timeout'|'network'} code
+ * @property {object|null} data - Parsed JSON error body, if the backend sent one
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = 'http', data = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.data = data
+  }
+}
+
+export const isUnauthorizedError = (err) => err instanceof ApiError && err.code === 'unauthorized'
+
+// What backends without an optional route (search, import, feedback history)
+// answer - callers fall back to doing it locally
+export const isMissingRoute = (err) => err instanceof ApiError && [404, 405, 501].includes(err.status)
+
+// Called once when an authenticated request fails even after a token refresh.
+// App registers this to show the "session expired" modal.
+let unauthorizedHandler = null
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler
+}
+
+// FastAPI sends `detail` as a string or a list of validation errors; other
+// routes use `error` or `message`
+const errorMessageFrom = (data, fallback) => {
+  if (!data || typeof data !== 'object') return fallback
+  if (typeof data.detail === 'string') return data.detail
+  if (Array.isArray(data.detail)) {
+    return data.detail.map(d => d.msg || JSON.stringify(d)).join('; ') || fallback
+  }
+  return data.error || data.message || fallback
+}
+
+const buildUrl = (path, query) => {
+  const params = new URLSearchParams()
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value)
+  })
+  const qs = params.toString()
+  return `${API_BASE_URL}${path}${qs ? `?${qs}` : ''}`
+}
+
+const withAuthHeader = (headers, token) => {
+  const next = new Headers(headers)
+  next.set('Authorization', `Bearer ${token}`)
+  return next
+}
+
+const failUnauthorized = () => {
+  clearTokens()
+  if (unauthorizedHandler) unauthorizedHandler()
+  return new ApiError('Authentication required', { status: 401, code: 'unauthorized' })
+}
+
+/**
+ * Perform a request against the backend.
+ * @param {string} path - Route path, e.g. '/api/me'
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.query] - Query params; null/undefined/'' values are dropped
+ * @param {*} [options.body] - Serialized as JSON unless it is FormData/Blob
+ * @param {boolean} [options.auth=true] - Attach the access token and refresh on 401
+ * @param {AbortSignal} [options.signal] - Caller cancellation; rejects with the usual AbortError
+ * @param {number} [options.timeout=30000] - Milliseconds, 0 disables (needed for SSE streams)
+ * @param {'json'|'blob'|'response'} [options.responseType='json'] - 'response' returns the raw
+ *   Response (for streams) after the status check
+ * @returns {Promise<*>}
+ */
+export const request = async (path, {
+  method = 'GET',
+  query,
+  body,
+  auth = true,
+  signal,
+  timeout = DEFAULT_TIMEOUT_MS,
+  responseType = 'json',
+  headers: extraHeaders
+} = {}) => {
+  const url = buildUrl(path, query)
+  let headers = new Headers(extraHeaders || {})
+  let payload = body
+  if (body !== undefined && !(body instanceof FormData) && !(body instanceof Blob)) {
+    headers.set('Content-Type', 'application/json')
+    payload = JSON.stringify(body)
+  }
+
+  // One controller for both the caller's signal and our timeout
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort() }, timeout) : null
+  const onCallerAbort = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) controller.abort()
+    else signal.addEventListener('abort', onCallerAbort)
+  }
+
+  const send = () => fetch(url, { method, headers, body: payload, signal: controller.signal })
+
+  try {
+    let res
+    try {
+      if (auth) {
+        let token = getAccessToken()
+        if (!token || isAccessTokenExpired()) {
+          const refreshed = await refreshAccessToken()
+          if (!refreshed) throw failUnauthorized()
+          token = refreshed.access_token
+        }
+        headers = withAuthHeader(headers, token)
+        res = await send()
+
+        // Token may have been revoked server-side - refresh and retry once
+        if (res.status === 401) {
+          const refreshed = await refreshAccessToken()
+          if (!refreshed) throw failUnauthorized()
+          headers = withAuthHeader(headers, refreshed.access_token)
+          res = await send()
+          if (res.status === 401) throw failUnauthorized()
+        }
+      } else {
+        res = await send()
+      }
+    } catch (err) {
+      if (err instanceof ApiError) throw err
+      if (err.name === 'AbortError') {
+        if (timedOut) {
+          throw new ApiError(`Request timed out after ${Math.round(timeout / 1000)}s`, { code: 'timeout' })
+        }
+        throw err
+      }
+      throw new ApiError('Network error - could not reach the server', { code: 'network' })
+    }
+
+    if (!res.ok) {
+      const data = await res.json().catch(() => null)
+      throw new ApiError(errorMessageFrom(data, res.statusText || `Request failed (${res.status})`), {
+        status: res.status,
+        data
+      })
+    }
+
+    if (responseType === 'response') return res
+    if (responseType === 'blob') return res.blob()
+    if (res.status === 204) return null
+    const text = await res.text()
+    return text ? JSON.parse(text) : null
+  } finally {
+    // Streams keep using the connection after we return, so leave their signal alone
+    if (timer) clearTimeout(timer)
+    if (signal && responseType !== 'response') signal.removeEventListener('abort', onCallerAbort)
+  }
+}
+
+// Messages of a GET /api/sessions/:id response - a bare array, { messages }
+// or, from older backends, a single message object
+export const messagesFrom = (data) => {
+  if (Array.isArray(data)) return data
+  if (data?.content) {
+    return [{ id: data.id, role: data.role || 'assistant', content: data.content, code_blocks: data.code_blocks || [] }]
+  }
+  if (Array.isArray(data?.messages)) return data.messages
+  return []
+}
+
+// ===== ROUTES =====
+// One method per backend route. Options (signal, timeout) pass through to request().
+
+export const api = {
+  auth: {
+    signup: (form) => request('/api/signup', { method: 'POST', body: form, auth: false }),
+    login: (username, password) => request('/api/login', { method: 'POST', body: { username, password }, auth: false }),
+    logout: (sessionId) => request('/api/logout', { method: 'POST', query: { session_id: sessionId }, auth: false }),
+    requestEmailVerification: (email) => request('/api/email/verify/request', { method: 'POST', body: { email }, auth: false }),
+    confirmEmailVerification: (email, otp) => request('/api/email/verify/confirm', { method: 'POST', body: { email, otp }, auth: false }),
+    requestPasswordReset: (email) => request('/api/password/reset/request', { method: 'POST', body: { email }, auth: false }),
+    confirmPasswordReset: ({ email, token, newPassword }) => request('/api/password/reset/confirm', {
+      method: 'POST',
+      body: { email, token, new_password: newPassword },
+      auth: false
+    })
+  },
+
+  user: {
+    me: () => request('/api/me'),
+    getProfile: () => request('/api/user/profile'),
+    updateProfile: (profile) => request('/api/user/profile', { method: 'PUT', body: profile }),
+    modelUsage: () => request('/api/user/model_usage'),
+    upgradeSubscription: () => request('/api/user/subscription', { method: 'POST' }),
+    savePaymentMethod: (paymentMethod) => request('/api/user/payment-method', { method: 'POST', body: paymentMethod })
+  },
+
+  sessions: {
+    list: (userId) => request(`/api/users/${encodeURIComponent(userId)}/sessions`),
+    get: (sessionId, options) => request(`/api/sessions/${encodeURIComponent(sessionId)}`, options),
+    updateSystemPrompt: (sessionId, systemPrompt) => request(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'PATCH',
+      body: { system_prompt: systemPrompt }
+    }),
+    create: () => request('/api/chat/new', { method: 'POST' }),
+    rename: (sessionId, title) => request('/api/chat/update_title', {
+      method: 'POST',
+      query: { session_id: sessionId, new_title: title }
+    }),
+    remove: (sessionId) => request('/api/delete_chat_session', { method: 'POST', query: { session_id: sessionId } }),
+    // Full-text search over the user's messages; 404 on backends without it (see search.js)
+    search: ({ q, mode, model, limit = 50 }) => request('/api/search/messages', { query: { q, mode, model, limit } }),
+    // New session from an imported conversation (see importers.js)
+    import: (conversation) => request('/api/sessions/import', { method: 'POST', body: conversation, timeout: 0 })
+  },
+
+  // Read-only conversation snapshots (see shares.js)
+  shares: {
+    create: (share) => request('/api/shares', { method: 'POST', body: share, timeout: 0 }),
+    list: () => request('/api/shares'),
+    revoke: (shareId) => request(`/api/shares/${encodeURIComponent(shareId)}`, { method: 'DELETE' }),
+    // Public links open without an account; org-only ones need the viewer signed in
+    view: (shareId, { auth = false } = {}) => request(`/api/shared/${encodeURIComponent(shareId)}`, { auth })
+  },
+
+  chat: {
+    // Resolves to the raw Response: SSE when stream_status is set, JSON otherwise
+    sendMessage: (body, { signal } = {}) => request('/api/chat/message', {
+      method: 'POST',
+      body,
+      signal,
+      timeout: 0,
+      responseType: 'response'
+    }),
+    confirm: (confirmationId, confirmed, chatInput) => request('/api/chat/confirm', {
+      method: 'POST',
+      body: { confirmation_id: confirmationId, confirmed, chat_input: chatInput },
+      timeout: 0
+    }),
+    feedback: (body) => request('/api/feedback', { method: 'POST', body }),
+    feedbackHistory: () => request('/api/feedback'),
+    removeFeedback: (messageId) => request(`/api/feedback/${encodeURIComponent(messageId)}`, { method: 'DELETE' }),
+    availableModels: (mode) => request('/api/models/available', { query: { mode } })
+  },
+
+  billing: {
+    plan: () => request('/api/billing/plan'),
+    plans: () => request('/api/billing/plans'),
+    usage: () => request('/api/billing/usage'),
+    usageWarnings: () => request('/api/billing/usage/warnings'),
+    history: ({ start, end, limit } = {}) => request('/api/billing/history', {
+      query: { start_date: start, end_date: end, limit }
+    }),
+    invoices: ({ start, end } = {}) => request('/api/billing/user/invoices', {
+      query: { start_date: start, end_date: end }
+    }),
+    exportUsage: ({ start, end } = {}) => request('/api/billing/usage/export', {
+      query: { start_date: start, end_date: end },
+      responseType: 'blob',
+      timeout: 120000
+    }),
+    createPaymentIntent: (body) => request('/api/billing/payment-intent', { method: 'POST', body }),
+    upgrade: (body) => request('/api/billing/upgrade', { method: 'POST', body }),
+    cancel: (reason) => request('/api/billing/cancel', { method: 'POST', body: { reason } }),
+    subscriptionDetails: () => request('/api/billing/subscription/details')
+  },
+
+  analytics: {
+    tokenUsage: () => request('/api/analytics/db/token-usage'),
+    tokenUsageTimeseries: () => request('/api/analytics/db/token-usage-timeseries'),
+    costStats: () => request('/api/analytics/db/cost-stats'),
+    vendorCostComparison: () => request('/api/analytics/db/vendor-cost-comparison')
+  },
+
+  apiKeys: {
+    status: () => request('/api/settings/api-keys'),
+    save: (vendor, apiKey) => request('/api/settings/api-keys', { method: 'POST', body: { vendor, api_key: apiKey } }),
+    remove: (vendor) => request(`/api/settings/api-keys/${encodeURIComponent(vendor)}`, { method: 'DELETE' })
+  }
+}
@@ -0,0 +1,137 @@
+import { API_BASE_URL } from '../config'
+
+// ===== TOKEN MANAGEMENT =====
+// Token storage keys
+const TOKEN_STORAGE_KEY = 'auth_tokens'
+const LEGACY_ACCESS_TOKEN_KEY = 'access_token'
+const LEGACY_SESSION_ID_KEY = 'session_id'
+
+// Save tokens to localStorage
+export const saveTokens = (response) => {
+  const tokens = {
+    access_token: response.access_token,
+    refresh_token: response.refresh_token || '',
+    session_id: response.session_id,
+    expires_at: Date.now() + ((response.expires_in || 1800) * 1000),
+    refresh_expires_at: Date.now() + ((response.refresh_expires_in || 1209600) * 1000)
+  }
+  localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens))
+  
+  // Also store legacy keys for backward compatibility
+  localStorage.setItem(LEGACY_ACCESS_TOKEN_KEY, tokens.access_token)
+  localStorage.setItem(LEGACY_SESSION_ID_KEY, tokens.session_id)
+}
+
+// Get tokens from localStorage
+export const getTokens = () => {
+  const stored = localStorage.getItem(TOKEN_STORAGE_KEY)
+  if (stored) {
+    try {
+      const tokens = JSON.parse(stored)
+      // Check if refresh token is still valid
+      if (Date.now() < tokens.refresh_expires_at) {
+        return tokens
+      } else {
+        // Refresh token expired, clear tokens
+        clearTokens()
+        return null
+      }
+    } catch (e) {
+      console.error('Error parsing tokens:', e)
+      return null
+    }
+  }
+  
+  // Fallback to legacy storage
+  const legacyToken = localStorage.getItem(LEGACY_ACCESS_TOKEN_KEY)
+  const legacySession = localStorage.getItem(LEGACY_SESSION_ID_KEY)
+  if (legacyToken && legacySession) {
+    // Migrate legacy tokens (assume they're still valid)
+    const tokens = {
+      access_token: legacyToken,
+      refresh_token: '', // No refresh token in legacy
+      session_id: legacySession,
+      expires_at: Date.now() + (30 * 60 * 1000), // Assume 30 min
+      refresh_expires_at: Date.now() + (14 * 24 * 60 * 60 * 1000) // Assume 14 days
+    }
+    saveTokens(tokens)
+    return tokens
+  }
+  
+  return null
+}
+
+// Clear all tokens
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY)
+  localStorage.removeItem(LEGACY_ACCESS_TOKEN_KEY)
+  localStorage.removeItem(LEGACY_SESSION_ID_KEY)
+}
+
+// Get current access token
+export const getAccessToken = () => {
+  const tokens = getTokens()
+  return tokens?.access_token || null
+}
+
+// Check if access token is expired or about to expire (within 5 minutes)
+export const isAccessTokenExpired = () => {
+  const tokens = getTokens()
+  if (!tokens) return true
+  const timeUntilExpiry = tokens.expires_at - Date.now()
+  return timeUntilExpiry < (5 * 60 * 1000) // Less than 5 minutes
+}
+
+// Refresh access token
+let refreshPromise = null
+
+export const refreshAccessToken = async () => {
+  // Prevent concurrent refresh attempts
+  if (refreshPromise) {
+    return refreshPromise
+  }
+  
+  const tokens = getTokens()
+  if (!tokens || !tokens.refresh_token) {
+    clearTokens()
+    return null
+  }
+  
+  // Check if refresh token is expired
+  if (Date.now() >= tokens.refresh_expires_at) {
+    clearTokens()
+    return null
+  }
+  
+  refreshPromise = fetch(`${API_BASE_URL}/api/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      session_id: tokens.session_id,
+      refresh_token: tokens.refresh_token
+    })
+  })
+    .then(async (res) => {
+      if (!res.ok) {
+        if (res.status === 401) {
+          // Refresh token expired or invalid
+          clearTokens()
+          return null
+        }
+        throw new Error(`Refresh failed: ${res.status}`)
+      }
+      const data = await res.json()
+      saveTokens(data)
+      return getTokens()
+    })
+    .catch((error) => {
+      console.error('Token refresh error:', error)
+      clearTokens()
+      return null
+    })
+    .finally(() => {
+      refreshPromise = null
+    })
+  
+  return refreshPromise
+}
@@ -0,0 +1,150 @@
+// ===== ATTACHMENTS =====
+// Files attached to a message: images, PDFs and text / source files.
+//
+// Sent with /api/chat as
+//   attachments: [{ filename, mime_type, size, kind: 'image' | 'pdf' | 'text', data }]  // data = base64
+// and returned on messages from /api/sessions/:id as the same objects, where
+// `data` may be replaced by a `url` for stored files.
+
+export const MAX_ATTACHMENTS = 10
+export const MAX_TOTAL_BYTES = 25 * 1024 * 1024
+
+const MAX_FILE_BYTES = {
+  image: 10 * 1024 * 1024,
+  pdf: 20 * 1024 * 1024,
+  text: 2 * 1024 * 1024
+}
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+// Text and source files are matched on extension - browsers report many of
+// them with an empty or generic MIME type
+const TEXT_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'jsonl', 'yaml', 'yml', 'xml', 'html', 'css', 'log',
+  'py', 'js', 'jsx', 'ts', 'tsx', 'java', 'c', 'h', 'cpp', 'hpp', 'cs', 'go', 'rs', 'rb', 'php',
+  'swift', 'kt', 'scala', 'r', 'sql', 'sh', 'bash', 'toml', 'ini', 'cfg'
+]
+
+// For the file picker's `accept`
+export const ACCEPTED_FILE_TYPES = [...IMAGE_TYPES, 'application/pdf', ...TEXT_EXTENSIONS.map(ext => `.${ext}`)].join(',')
+
+const extensionOf = (name) => {
+  const match = /\.([^.]+)$/.exec(name || '')
+  return match ? match[1].toLowerCase() : ''
+}
+
+export const attachmentKind = ({ type, name }) => {
+  if (IMAGE_TYPES.includes(type)) return 'image'
+  if (type === 'application/pdf' || extensionOf(name) === 'pdf') return 'pdf'
+  if ((type || '').startsWith('text/') || TEXT_EXTENSIONS.includes(extensionOf(name))) return 'text'
+  return null
+}
+
+export const formatFileSize = (bytes) => {
+  if (bytes == null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Split `files` into the ones that can join `existing` and a message per rejected file
+export const validateAttachments = (existing, files) => {
+  const accepted = []
+  const errors = []
+  let count = existing.length
+  let total = existing.reduce((sum, a) => sum + (a.size || 0), 0)
+
+  Array.from(files).forEach(file => {
+    const kind = attachmentKind(file)
+    if (!kind) {
+      errors.push(`${file.name}: unsupported file type`)
+    } else if (file.size > MAX_FILE_BYTES[kind]) {
+      errors.push(`${file.name}: ${kind === 'image' ? 'images' : kind === 'pdf' ? 'PDFs' : 'text files'} must be under ${formatFileSize(MAX_FILE_BYTES[kind])}`)
+    } else if (count >= MAX_ATTACHMENTS) {
+      errors.push(`${file.name}: at most ${MAX_ATTACHMENTS} files per message`)
+    } else if (total + file.size > MAX_TOTAL_BYTES) {
+      errors.push(`${file.name}: attachments must total under ${formatFileSize(MAX_TOTAL_BYTES)}`)
+    } else {
+      accepted.push(file)
+      count += 1
+      total += file.size
+    }
+  })
+
+  return { accepted, errors }
+}
+
+const readAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+let nextAttachmentId = 1
+
+// Read a validated file into the tray's shape. The data URL doubles as the
+// image preview; text files also keep a short excerpt for their preview.
+export const readAttachment = async (file) => {
+  const kind = attachmentKind(file)
+  const dataUrl = await readAsDataURL(file)
+  const attachment = {
+    id: `att-${Date.now()}-${nextAttachmentId++}`,
+    kind,
+    filename: file.name || (kind === 'image' ? 'pasted-image.png' : 'file'),
+    mimeType: file.type || (kind === 'pdf' ? 'application/pdf' : 'text/plain'),
+    size: file.size,
+    data: dataUrl.split(',')[1] || '', // drop the data:...;base64, prefix
+    preview: kind === 'image' ? dataUrl : null,
+    excerpt: null
+  }
+  if (kind === 'text') {
+    attachment.excerpt = (await file.slice(0, 400).text()).trim()
+  }
+  return attachment
+}
+
+// Request payload for /api/chat. Attachments re-sent from a loaded message
+// (edit and resend) may only have a data: URL or the stored file's url.
+export const toRequestAttachments = (attachments) => attachments.map(a => {
+  const payload = { filename: a.filename, mime_type: a.mimeType, size: a.size, kind: a.kind }
+  if (a.data) return { ...payload, data: a.data }
+  if (a.url?.startsWith('data:')) return { ...payload, data: a.url.split(',')[1] || '' }
+  return { ...payload, url: a.url }
+})
+
+// Attachments on a message from /api/sessions/:id. Older messages only carry
+// the single image_data / image_mime_type pair.
+export const attachmentsFromMessage = (msg) => {
+  const list = Array.isArray(msg.attachments) ? msg.attachments : []
+  const attachments = list.map((a, idx) => {
+    const mimeType = a.mime_type || a.mimeType || ''
+    const kind = a.kind || attachmentKind({ type: mimeType, name: a.filename }) || 'text'
+    const source = a.url || (a.data ? `data:${mimeType};base64,${a.data}` : null)
+    return {
+      id: `${msg.id}-att-${idx}`,
+      kind,
+      filename: a.filename || 'file',
+      mimeType,
+      size: a.size ?? null,
+      preview: kind === 'image' ? source : null,
+      url: source,
+      excerpt: null
+    }
+  })
+  if (attachments.length === 0 && msg.image_data) {
+    const mimeType = msg.image_mime_type || 'image/png'
+    const source = `data:${mimeType};base64,${msg.image_data}`
+    attachments.push({
+      id: `${msg.id}-att-0`,
+      kind: 'image',
+      filename: msg.image_filename || 'image',
+      mimeType,
+      size: null,
+      preview: source,
+      url: source,
+      excerpt: null
+    })
+  }
+  return attachments
+}
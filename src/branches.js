@@ -0,0 +1,158 @@
+// ===== CONVERSATION BRANCHES =====
+// The backend keeps one linear history per session. Regenerating or editing a
+// message forks the conversation, so the alternatives are kept here, per
+// session, in localStorage.
+//
+// A branch point is keyed by the id of the message right before the fork
+// (ROOT_KEY when the very first message forks) and holds its variants - each
+// a snapshot of the messages that followed the fork. `live` is the variant the
+// surrounding history actually continues with (for points on the server's
+// path: what the backend returns), `active` is the one the user is looking at.
+//
+// store = { points: { [parentKey]: { variants: [[msg]], live, active } }, hidden: [id] }
+
+export const ROOT_KEY = 'root'
+
+const storageKey = (sessionId) => `chat_branches_${sessionId}`
+
+const emptyStore = () => ({ points: {}, hidden: [] })
+
+// Only the persisted fields - drop streaming/thinking flags and layout info
+const TRANSIENT_FIELDS = ['isThinking', 'isStreaming', 'thinkingStatus', 'branch']
+
+const snapshot = (messages) => messages.map(message => {
+  const copy = { ...message }
+  TRANSIENT_FIELDS.forEach(field => { delete copy[field] })
+  return copy
+})
+
+export const loadBranchStore = (sessionId) => {
+  if (!sessionId) return emptyStore()
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(sessionId)))
+    return stored && stored.points ? { hidden: [], ...stored } : emptyStore()
+  } catch {
+    return emptyStore()
+  }
+}
+
+export const saveBranchStore = (sessionId, store) => {
+  if (!sessionId) return
+  // Nothing to remember until something actually forked
+  if (Object.keys(store.points).length === 0 && store.hidden.length === 0) {
+    localStorage.removeItem(storageKey(sessionId))
+    return
+  }
+  try {
+    localStorage.setItem(storageKey(sessionId), JSON.stringify(store))
+  } catch (err) {
+    console.error('Failed to persist conversation branches:', err)
+  }
+}
+
+export const clearBranchStore = (sessionId) => {
+  if (sessionId) localStorage.removeItem(storageKey(sessionId))
+}
+
+// Key of the branch point a message at `index` of the visible conversation belongs to
+export const branchParentKey = (messages, index) => (index > 0 ? String(messages[index - 1].id) : ROOT_KEY)
+
+// Ids that live only in a non-live variant. The backend still returns some of
+// them (e.g. the answer a regeneration replaced), so they are dropped from the
+// server history before it is laid out.
+const claimedIds = (store) => {
+  const claimed = new Set(store.hidden.map(String))
+  Object.values(store.points).forEach(point => {
+    const liveIds = new Set((point.variants[point.live] || []).map(m => String(m.id)))
+    point.variants.forEach((variant, idx) => {
+      if (idx === point.live) return
+      variant.forEach(m => {
+        if (!liveIds.has(String(m.id))) claimed.add(String(m.id))
+      })
+    })
+  })
+  return claimed
+}
+
+// Lay out the conversation the user has selected.
+// Returns the visible messages (the first message of every variant carries
+// `branch: { key, index, total }` for the navigator), the store with live
+// variants synced to the server, `liveUntil` - how many leading messages are
+// still on the server's path - and `tailOwner` - the variant the visible
+// conversation ends in when that is not the server's path, so new messages can
+// be filed under it.
+export const resolveBranches = (serverMessages, store) => {
+  const claimed = claimedIds(store)
+  const points = {}
+  Object.entries(store.points).forEach(([key, point]) => {
+    points[key] = { ...point, variants: point.variants.slice() }
+  })
+
+  const visible = []
+  const visited = new Set()
+  let seq = serverMessages.filter(m => !claimed.has(String(m.id)))
+  let liveUntil = null
+  let tailOwner = null
+  let pendingBranch = null
+
+  while (true) {
+    const key = visible.length ? String(visible[visible.length - 1].id) : ROOT_KEY
+    const point = points[key]
+    if (point && !visited.has(key)) {
+      visited.add(key)
+      // Whatever the surrounding history continues with is the live variant
+      if (seq.length) point.variants[point.live] = snapshot(seq)
+      if (point.active !== point.live) {
+        if (liveUntil === null) liveUntil = visible.length
+        tailOwner = { key, index: point.active }
+      }
+      seq = point.variants[point.active] || []
+      if (point.variants.length > 1) {
+        pendingBranch = { key, index: point.active, total: point.variants.length }
+      }
+    }
+    if (!seq.length) break
+    const [next, ...rest] = seq
+    visible.push(pendingBranch ? { ...next, branch: pendingBranch } : next)
+    pendingBranch = null
+    seq = rest
+  }
+
+  return {
+    messages: visible,
+    store: { ...store, points },
+    liveUntil: liveUntil === null ? visible.length : liveUntil,
+    tailOwner: liveUntil === null ? null : tailOwner
+  }
+}
+
+// Fork at `key`: keep `previousTail` as the existing variant (if the point is
+// new) and add `newTail` as the selected one. On the server's path the new
+// variant also becomes live, since that is what the backend continues with now.
+export const addBranchVariant = (store, { key, previousTail, newTail, onLivePath }) => {
+  const existing = store.points[key]
+  const point = existing
+    ? { ...existing, variants: existing.variants.slice() }
+    : { variants: [snapshot(previousTail)], live: 0, active: 0 }
+  point.variants.push(snapshot(newTail))
+  point.active = point.variants.length - 1
+  if (onLivePath) point.live = point.active
+  return { ...store, points: { ...store.points, [key]: point } }
+}
+
+export const selectBranchVariant = (store, key, index) => {
+  const point = store.points[key]
+  if (!point || index < 0 || index >= point.variants.length) return store
+  return { ...store, points: { ...store.points, [key]: { ...point, active: index } } }
+}
+
+// File messages sent while viewing an older variant under that variant
+export const appendToVariant = (store, owner, messages) => {
+  const point = store.points[owner.key]
+  if (!point || !messages.length) return store
+  const variants = point.variants.slice()
+  variants[owner.index] = [...variants[owner.index], ...snapshot(messages)]
+  return { ...store, points: { ...store.points, [owner.key]: { ...point, variants } } }
+}
+
+export const hideMessages = (store, ids) => ({ ...store, hidden: [...store.hidden, ...ids.map(String)] })
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import {
+  ROOT_KEY,
+  addBranchVariant,
+  appendToVariant,
+  branchParentKey,
+  clearBranchStore,
+  hideMessages,
+  loadBranchStore,
+  resolveBranches,
+  saveBranchStore,
+  selectBranchVariant
+} from './branches'
+
+const user = (id, content = `question ${id}`) => ({ id, role: 'user', content })
+const answer = (id, content = `answer ${id}`) => ({ id, role: 'assistant', content })
+
+const ids = (messages) => messages.map(m => m.id)
+
+const emptyStore = () => ({ points: {}, hidden: [] })
+
+// The backend appends a regenerated answer after the one it replaces
+const regenerated = () => addBranchVariant(emptyStore(), {
+  key: '1',
+  previousTail: [answer(2)],
+  newTail: [answer(3)],
+  onLivePath: true
+})
+
+describe('resolveBranches', () => {
+  it('shows the server history as is without branch points', () => {
+    const server = [user(1), answer(2)]
+    const result = resolveBranches(server, emptyStore())
+    expect(result.messages).toEqual(server)
+    expect(result.liveUntil).toBe(2)
+    expect(result.tailOwner).toBeNull()
+  })
+
+  it('turns a regenerated answer into a second variant', () => {
+    const { messages, liveUntil, tailOwner } = resolveBranches([user(1), answer(2), answer(3)], regenerated())
+    expect(ids(messages)).toEqual([1, 3])
+    expect(messages[1].branch).toEqual({ key: '1', index: 1, total: 2 })
+    expect(liveUntil).toBe(2)
+    expect(tailOwner).toBeNull()
+  })
+
+  it('shows an older variant once it is selected', () => {
+    const store = selectBranchVariant(regenerated(), '1', 0)
+    const { messages, liveUntil, tailOwner } = resolveBranches([user(1), answer(2), answer(3)], store)
+    expect(ids(messages)).toEqual([1, 2])
+    expect(messages[1].branch).toEqual({ key: '1', index: 0, total: 2 })
+    expect(liveUntil).toBe(1)
+    expect(tailOwner).toEqual({ key: '1', index: 0 })
+  })
+
+  it('ignores out of range selections', () => {
+    const store = regenerated()
+    expect(selectBranchVariant(store, '1', 5)).toBe(store)
+    expect(selectBranchVariant(store, 'missing', 0)).toBe(store)
+  })
+
+  it('files a follow-up to an older variant under that variant', () => {
+    let store = selectBranchVariant(regenerated(), '1', 0)
+    const { tailOwner } = resolveBranches([user(1), answer(2), answer(3)], store)
+    store = appendToVariant(store, tailOwner, [user(4), answer(5)])
+
+    // The backend keeps appending to its linear history
+    const server = [user(1), answer(2), answer(3), user(4), answer(5)]
+    expect(ids(resolveBranches(server, store).messages)).toEqual([1, 2, 4, 5])
+    expect(ids(resolveBranches(server, selectBranchVariant(store, '1', 1)).messages)).toEqual([1, 3])
+  })
+
+  it('keeps the live variant in sync with what the server continues with', () => {
+    const server = [user(1), answer(2), answer(3), user(6), answer(7)]
+    const { messages, store } = resolveBranches(server, regenerated())
+    expect(ids(messages)).toEqual([1, 3, 6, 7])
+    expect(ids(store.points['1'].variants[1])).toEqual([3, 6, 7])
+  })
+
+  it('drops hidden messages, e.g. the ones an edit replaced', () => {
+    const store = addBranchVariant(hideMessages(emptyStore(), [1, 2]), {
+      key: ROOT_KEY,
+      previousTail: [user(1), answer(2)],
+      newTail: [user(3, 'edited'), answer(4)],
+      onLivePath: true
+    })
+    expect(store.hidden).toEqual(['1', '2'])
+    const { messages } = resolveBranches([user(1), answer(2), user(3, 'edited'), answer(4)], store)
+    expect(ids(messages)).toEqual([3, 4])
+    expect(messages[0].branch).toEqual({ key: ROOT_KEY, index: 1, total: 2 })
+  })
+
+  it('leaves out streaming flags when it snapshots a variant', () => {
+    const store = addBranchVariant(emptyStore(), {
+      key: '1',
+      previousTail: [{ ...answer(2), isStreaming: true, branch: { key: '1', index: 0, total: 1 } }],
+      newTail: [{ ...answer(3), isThinking: true, thinkingStatus: 'thinking' }],
+      onLivePath: false
+    })
+    expect(store.points['1'].variants).toEqual([[answer(2)], [answer(3)]])
+    expect(store.points['1'].live).toBe(0)
+    expect(store.points['1'].active).toBe(1)
+  })
+})
+
+describe('branchParentKey', () => {
+  it('is the previous message id, or the root key for the first message', () => {
+    const messages = [user(1), answer(2)]
+    expect(branchParentKey(messages, 0)).toBe(ROOT_KEY)
+    expect(branchParentKey(messages, 1)).toBe('1')
+  })
+})
+
+describe('stored branches', () => {
+  beforeEach(() => {
+    const items = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => { items.set(key, String(value)) },
+      removeItem: (key) => { items.delete(key) }
+    })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('still claims replaced answers after a reload', () => {
+    saveBranchStore(42, selectBranchVariant(regenerated(), '1', 1))
+    const server = [user(1), answer(2), answer(3)]
+    const { messages } = resolveBranches(server, loadBranchStore(42))
+    expect(ids(messages)).toEqual([1, 3])
+  })
+
+  it('stores nothing until something forked', () => {
+    saveBranchStore(42, emptyStore())
+    expect(localStorage.getItem('chat_branches_42')).toBeNull()
+    expect(loadBranchStore(42)).toEqual(emptyStore())
+  })
+
+  it('forgets a deleted session', () => {
+    saveBranchStore(42, regenerated())
+    clearBranchStore(42)
+    expect(loadBranchStore(42)).toEqual(emptyStore())
+  })
+})
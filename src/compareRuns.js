@@ -0,0 +1,142 @@
+// ===== COMPARE RUNS =====
+// Compare mode posts the prompt once per picked model to the session, each
+// request tagged with compare_group_id. The backend stores those exchanges in
+// the session's linear history, so finished runs are kept here, per session,
+// in localStorage: reloading the session shows them as columns again instead
+// of N copies of the prompt and N answers in a row. Backends that echo
+// compare_group_id on stored messages let runs be rebuilt without the local
+// copy (another browser, cleared storage).
+//
+// run = { id, sessionId, afterMessageId, prompt, mode, winner, columns: [
+//   { model, status: 'done' | 'error', content, codeBlocks, messageId, modelUsed,
+//     latencyMs, tokens, cost, costEstimated, error }
+// ] }
+
+const storageKey = (sessionId) => `compare_runs_${sessionId}`
+
+export const loadCompareRuns = (sessionId) => {
+  if (!sessionId) return []
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(sessionId)))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+// Only finished runs are kept - a column still loading can't be shown again
+export const saveCompareRuns = (sessionId, runs) => {
+  if (!sessionId) return
+  const finished = runs.filter(run => run.columns.every(col => col.status !== 'loading'))
+  if (finished.length === 0) {
+    localStorage.removeItem(storageKey(sessionId))
+    return
+  }
+  try {
+    localStorage.setItem(storageKey(sessionId), JSON.stringify(finished))
+  } catch (err) {
+    console.error('Failed to persist compare runs:', err)
+  }
+}
+
+export const clearCompareRuns = (sessionId) => {
+  if (sessionId) localStorage.removeItem(storageKey(sessionId))
+}
+
+// A run put back together from tagged messages: the first prompt copy and
+// every answer of the group
+const runFromGroup = (sessionId, groupId, groupMessages, afterMessageId) => ({
+  id: groupId,
+  sessionId,
+  afterMessageId,
+  prompt: groupMessages.find(m => m.role === 'user')?.content || '[Image uploaded]',
+  mode: null,
+  winner: null,
+  columns: groupMessages.filter(m => m.role === 'assistant').map(m => ({
+    model: m.model_used || 'unknown',
+    modelUsed: m.model_used,
+    status: 'done',
+    content: m.content || '',
+    codeBlocks: m.code_blocks || [],
+    messageId: m.id
+  }))
+})
+
+// Split a session's server history into the linear thread and the compare
+// runs posted into it: { messages, runs }
+export const separateCompareRuns = (sessionId, serverMessages, storedRuns) => {
+  const hidden = new Set()
+  const runs = storedRuns.map(run => ({ ...run, sessionId }))
+
+  // Each stored answer, and the prompt copy right before it
+  runs.forEach(run => {
+    run.columns.forEach(col => {
+      const idx = serverMessages.findIndex(m => col.messageId != null && String(m.id) === String(col.messageId))
+      if (idx === -1) return
+      hidden.add(idx)
+      for (let i = idx - 1; i >= 0; i--) {
+        if (serverMessages[i].role === 'user' && !hidden.has(i)) {
+          hidden.add(i)
+          break
+        }
+      }
+    })
+  })
+
+  // Tagged messages: hide them, and rebuild runs the local copy doesn't know
+  const groups = {}
+  serverMessages.forEach((msg, idx) => {
+    if (msg.compare_group_id == null) return
+    const groupId = String(msg.compare_group_id)
+    hidden.add(idx)
+    if (runs.some(run => String(run.id) === groupId)) return
+    if (!groups[groupId]) {
+      const before = serverMessages.slice(0, idx).filter((m, i) => !hidden.has(i))
+      groups[groupId] = { messages: [], afterMessageId: before.length ? before[before.length - 1].id : null }
+    }
+    groups[groupId].messages.push(msg)
+  })
+  Object.entries(groups).forEach(([groupId, group]) => {
+    runs.push(runFromGroup(sessionId, groupId, group.messages, group.afterMessageId))
+  })
+
+  return { messages: serverMessages.filter((m, idx) => !hidden.has(idx)), runs }
+}
+
+const findById = (messages, id) => (id == null ? null : messages.find(m => String(m.id) === String(id)))
+
+// A run as plain messages: the prompt once, then the picked answer - or every
+// answer while none is picked. The server's copies are used where they exist.
+const runMessages = (run, serverMessages) => {
+  const columns = run.columns
+    .map((col, idx) => ({ col, idx }))
+    .filter(({ col, idx }) => col.status === 'done' && (run.winner == null || run.winner === idx))
+  if (columns.length === 0) return []
+
+  const firstAnswer = serverMessages.findIndex(m => columns.some(({ col }) => col.messageId != null && String(m.id) === String(col.messageId)))
+  const serverPrompt = firstAnswer === -1 ? null : serverMessages.slice(0, firstAnswer).reverse().find(m => m.role === 'user')
+  const prompt = serverPrompt || { id: `compare-${run.id}`, role: 'user', content: run.prompt, mode: run.mode }
+
+  return [prompt, ...columns.map(({ col, idx }) => findById(serverMessages, col.messageId) || {
+    id: col.messageId ?? `compare-${run.id}-${idx}`,
+    role: 'assistant',
+    content: col.content,
+    code_blocks: col.codeBlocks || [],
+    model_used: col.modelUsed || col.model,
+    mode: run.mode
+  })]
+}
+
+// The thread with each run folded back in where the chat shows it - after the
+// message it followed, or at the end when that message isn't in `messages`.
+// For exports and search, which have no columns.
+export const withCompareRuns = (messages, runs, serverMessages) => {
+  const shownIds = new Set(messages.map(m => String(m.id)))
+  const runsAfter = (id) => runs
+    .filter(run => String(run.afterMessageId) === String(id))
+    .flatMap(run => runMessages(run, serverMessages))
+  return [
+    ...messages.flatMap(m => [m, ...runsAfter(m.id)]),
+    ...runs.filter(run => !shownIds.has(String(run.afterMessageId))).flatMap(run => runMessages(run, serverMessages))
+  ]
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { separateCompareRuns, withCompareRuns } from './compareRuns'
+
+const user = (id, content, extra) => ({ id, role: 'user', content, ...extra })
+const answer = (id, model, extra) => ({ id, role: 'assistant', content: `${model} says hi`, model_used: model, ...extra })
+
+// One exchange, then a compare run of two models posted into the same history
+const serverMessages = [
+  user(1, 'Hello'),
+  answer(2, 'router'),
+  user(3, 'Which is best?'),
+  answer(4, 'gpt-4o'),
+  user(5, 'Which is best?'),
+  answer(6, 'claude')
+]
+
+const storedRun = (winner = null) => ({
+  id: 99,
+  afterMessageId: 2,
+  prompt: 'Which is best?',
+  mode: 'normal',
+  winner,
+  columns: [
+    { model: 'gpt-4o', status: 'done', content: 'gpt-4o says hi', messageId: 4 },
+    { model: 'claude', status: 'done', content: 'claude says hi', messageId: 6 }
+  ]
+})
+
+const ids = (messages) => messages.map(m => m.id)
+
+describe('separateCompareRuns', () => {
+  it('takes the prompt copies and answers of stored runs out of the thread', () => {
+    const { messages, runs } = separateCompareRuns(7, serverMessages, [storedRun()])
+    expect(ids(messages)).toEqual([1, 2])
+    expect(runs).toEqual([{ ...storedRun(), sessionId: 7 }])
+  })
+
+  it('rebuilds runs from compare_group_id when there is no local copy', () => {
+    const tagged = serverMessages.map(m => (m.id > 2 ? { ...m, compare_group_id: 'g1' } : m))
+    const { messages, runs } = separateCompareRuns(7, tagged, [])
+    expect(ids(messages)).toEqual([1, 2])
+    expect(runs).toHaveLength(1)
+    expect(runs[0]).toMatchObject({ id: 'g1', afterMessageId: 2, prompt: 'Which is best?', winner: null })
+    expect(runs[0].columns.map(col => [col.model, col.messageId])).toEqual([['gpt-4o', 4], ['claude', 6]])
+  })
+})
+
+describe('withCompareRuns', () => {
+  const fold = (runs) => {
+    const separated = separateCompareRuns(7, serverMessages, runs)
+    return withCompareRuns(separated.messages, separated.runs, serverMessages)
+  }
+
+  it('keeps the prompt once and only the picked answer', () => {
+    expect(ids(fold([storedRun(1)]))).toEqual([1, 2, 5, 6])
+  })
+
+  it('keeps every answer while none is picked', () => {
+    expect(ids(fold([storedRun()]))).toEqual([1, 2, 3, 4, 6])
+  })
+
+  it('puts runs after a message that is not shown at the end', () => {
+    const run = { ...storedRun(0), afterMessageId: 'gone' }
+    expect(ids(withCompareRuns([user(1, 'Hello')], [run], serverMessages))).toEqual([1, 3, 4])
+  })
+
+  it('builds messages from the columns when the server has no copy', () => {
+    const run = { ...storedRun(0), columns: [{ model: 'gpt-4o', status: 'done', content: 'Local answer', codeBlocks: [] }, storedRun().columns[1]] }
+    const messages = withCompareRuns([user(1, 'Hello')], [run], [user(1, 'Hello')])
+    expect(messages.slice(1)).toEqual([
+      { id: 'compare-99', role: 'user', content: 'Which is best?', mode: 'normal' },
+      { id: 'compare-99-0', role: 'assistant', content: 'Local answer', code_blocks: [], model_used: 'gpt-4o', mode: 'normal' }
+    ])
+  })
+
+  it('skips columns that failed', () => {
+    const run = { ...storedRun(), columns: storedRun().columns.map(col => ({ ...col, status: 'error', messageId: undefined })) }
+    expect(withCompareRuns([user(1, 'Hello')], [run], [])).toEqual([user(1, 'Hello')])
+  })
+})
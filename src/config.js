@@ -0,0 +1,51 @@
+// ===== RUNTIME CONFIGURATION =====
+// One build is deployed to every environment, so the backend URL is resolved
+// when the page loads instead of when the bundle is built:
+//   1. window.__ENV__ - written to /env-config.js by the container at start
+//   2. Vite env (VITE_API_BASE_URL) - local dev and non-container builds
+//   3. http://localhost:8000
+const DEFAULT_API_BASE_URL = 'http://localhost:8000'
+const DEFAULT_HEALTH_CHECK_PATH = '/health'
+
+const runtimeEnv = (typeof window !== 'undefined' && window.__ENV__) || {}
+
+// Empty strings mean "not set" - the entrypoint writes every key even when unset
+const pick = (...values) => values.find(v => typeof v === 'string' && v.trim() !== '')
+
+export const API_BASE_URL = (
+  pick(runtimeEnv.API_BASE_URL, import.meta.env.VITE_API_BASE_URL) || DEFAULT_API_BASE_URL
+).replace(/\/+$/, '')
+
+export const HEALTH_CHECK_PATH =
+  pick(runtimeEnv.HEALTH_CHECK_PATH, import.meta.env.VITE_HEALTH_CHECK_PATH) || DEFAULT_HEALTH_CHECK_PATH
+
+// Where the value came from - shown next to the backend indicator for admins
+export const API_BASE_URL_SOURCE = pick(runtimeEnv.API_BASE_URL)
+  ? 'runtime'
+  : pick(import.meta.env.VITE_API_BASE_URL) ? 'build' : 'default'
+
+// Ping the backend health route. Never throws - returns a status object instead.
+export const checkBackendHealth = async (timeoutMs = 5000) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  const startedAt = performance.now()
+
+  try {
+    const res = await fetch(`${API_BASE_URL}${HEALTH_CHECK_PATH}`, { signal: controller.signal })
+    return {
+      status: res.ok ? 'ok' : 'down',
+      httpStatus: res.status,
+      latencyMs: Math.round(performance.now() - startedAt),
+      checkedAt: Date.now()
+    }
+  } catch (err) {
+    return {
+      status: 'down',
+      error: err.name === 'AbortError' ? `No response after ${timeoutMs / 1000}s` : (err.message || 'Network error'),
+      latencyMs: null,
+      checkedAt: Date.now()
+    }
+  } finally {
+    clearTimeout(timer)
+  }
+}
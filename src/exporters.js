@@ -0,0 +1,244 @@
+import { api, messagesFrom } from './api/client'
+import { attachmentsFromMessage, formatFileSize } from './attachments'
+import { categoryLabel, mergeFeedback } from './feedback'
+import { loadBranchStore, resolveBranches } from './branches'
+import { loadCompareRuns, separateCompareRuns, withCompareRuns } from './compareRuns'
+import { withCodeBlockFences } from './markdown'
+import hljsTheme from 'highlight.js/styles/github.css?inline'
+
+// ===== CONVERSATION EXPORT =====
+// Sessions exported as Markdown, structured JSON, a self-contained HTML page
+// or a PDF (that same page through the browser's print dialog). Exports follow
+// the branches the user has selected (see branches.js), and attached images
+// are embedded as data: URLs so the files still work offline.
+//
+// conversation = { session_id, title, mode, system_prompt, created_at, updated_at, exported_at, messages: [
+//   { id, role, content, created_at, model_used, models_tried, status_messages, code_blocks,
+//     routing_trace, generation_params,
+//     feedback: { rating: 'like' | 'dislike', categories, comment, ideal_answer } | null,
+//     attachments: [{ filename, mime_type, size, kind, url }] }
+// ] }
+
+export const EXPORT_FORMATS = [
+  { key: 'markdown', label: 'Markdown (.md)' },
+  { key: 'json', label: 'JSON (.json)' },
+  { key: 'html', label: 'HTML page (.html)' },
+  { key: 'pdf', label: 'PDF (print)' }
+]
+
+const sessionTitle = (session) => session.title || session.summary || 'New conversation'
+
+const exportFeedback = (entry) => (entry
+  ? { rating: entry.rating, categories: entry.categories || [], comment: entry.comment || null, ideal_answer: entry.idealAnswer || null }
+  : null)
+
+const exportMessage = (msg, feedback) => ({
+  id: msg.id,
+  role: msg.role,
+  content: msg.content || '',
+  created_at: msg.created_at || msg.timestamp || null,
+  model_used: msg.model_used || null,
+  models_tried: msg.models_tried || [],
+  status_messages: msg.status_messages || [],
+  code_blocks: msg.code_blocks || [],
+  routing_trace: msg.routing_trace || null,
+  generation_params: msg.generation_params || null,
+  feedback: exportFeedback(mergeFeedback(msg.feedback, feedback[msg.id])),
+  attachments: attachmentsFromMessage(msg).map(a => ({
+    filename: a.filename,
+    mime_type: a.mimeType,
+    size: a.size,
+    kind: a.kind,
+    url: a.url
+  }))
+})
+
+// One session as shown in the sidebar, laid out along its selected branches,
+// with compare runs as their prompt and picked answer (see compareRuns.js).
+// `feedback` is the local feedback store (see feedback.js) and `systemPrompts`
+// (sessionId -> prompt) covers backends that don't return one.
+export const loadConversation = async (session, feedback = {}, systemPrompts = {}) => {
+  const data = await api.sessions.get(session.session_id)
+  const serverMessages = messagesFrom(data).map(msg => ({ ...msg, attachments: attachmentsFromMessage(msg) }))
+  const { messages: threadMessages, runs } = separateCompareRuns(session.session_id, serverMessages, loadCompareRuns(session.session_id))
+  const { messages: branchMessages } = resolveBranches(threadMessages, loadBranchStore(session.session_id))
+  const messages = withCompareRuns(branchMessages, runs, serverMessages)
+  return {
+    session_id: session.session_id,
+    title: sessionTitle(session),
+    mode: session.mode || null,
+    system_prompt: data?.system_prompt || systemPrompts[session.session_id] || null,
+    created_at: session.created_at || null,
+    updated_at: session.updated_at || session.last_message_at || null,
+    exported_at: new Date().toISOString(),
+    messages: messages
+      .filter(m => m.role === 'user' || m.role === 'assistant')
+      .map(m => exportMessage(m, feedback))
+  }
+}
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(blob)
+})
+
+// Swap stored image URLs for data: URLs. Images that can't be fetched (CORS,
+// expired links) keep their URL.
+export const embedImages = async (conversation) => {
+  const messages = await Promise.all(conversation.messages.map(async message => ({
+    ...message,
+    attachments: await Promise.all(message.attachments.map(async attachment => {
+      if (attachment.kind !== 'image' || !attachment.url || attachment.url.startsWith('data:')) return attachment
+      try {
+        const res = await fetch(attachment.url)
+        if (!res.ok) throw new Error(`HTTP ${res.status}`)
+        return { ...attachment, url: await blobToDataURL(await res.blob()) }
+      } catch (err) {
+        console.error('Failed to embed image:', attachment.filename, err)
+        return attachment
+      }
+    }))
+  })))
+  return { ...conversation, messages }
+}
+
+const formatDateTime = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString()
+}
+
+// "👎 · Wrong or inaccurate, Outdated · comment" under a rated answer
+export const feedbackSummary = (feedback) => [
+  feedback.rating === 'like' ? '👍' : '👎',
+  feedback.categories.map(categoryLabel).join(', '),
+  feedback.comment
+].filter(Boolean).join(' · ')
+
+export const speakerOf = (message) => (message.role === 'user'
+  ? 'You'
+  : `Assistant${message.model_used ? ` · ${message.model_used}` : ''}`)
+
+export const conversationMeta = (conversation) => [
+  conversation.mode && `Mode: ${conversation.mode}`,
+  conversation.created_at && `Started ${formatDateTime(conversation.created_at)}`,
+  `Exported ${formatDateTime(conversation.exported_at)}`,
+  `${conversation.messages.length} messages`
+].filter(Boolean).join(' · ')
+
+// Message text with the backend's code_blocks as fences, ready for a markdown renderer
+export const messageSource = (message) => withCodeBlockFences(message.content, message.code_blocks)
+
+const markdownAttachments = (message) => message.attachments.map(a => (a.kind === 'image' && a.url
+  ? `![${a.filename}](${a.url})`
+  : `📎 ${a.filename}${a.size != null ? ` (${formatFileSize(a.size)})` : ''}`))
+
+export const toMarkdown = (conversations) => conversations.map(conversation => [
+  [
+    `# ${conversation.title}\n\n_${conversationMeta(conversation)}_`,
+    conversation.system_prompt && `> **System prompt:** ${conversation.system_prompt.replace(/\n/g, '\n> ')}`
+  ].filter(Boolean).join('\n\n'),
+  ...conversation.messages.map(message => [
+    `### ${speakerOf(message)}`,
+    messageSource(message),
+    ...markdownAttachments(message),
+    message.feedback && `_Feedback: ${feedbackSummary(message.feedback)}_`,
+    message.feedback?.ideal_answer && `_Ideal answer:_\n\n${message.feedback.ideal_answer}`
+  ].filter(Boolean).join('\n\n'))
+].join('\n\n---\n\n')).join('\n\n\n')
+
+export const toJSON = (conversations) => JSON.stringify(
+  conversations.length === 1 ? conversations[0] : { exported_at: new Date().toISOString(), conversations },
+  null,
+  2
+)
+
+const escapeHTML = (text) => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+// Light theme - these pages end up printed as often as they're read
+const EXPORT_CSS = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2328; max-width: 860px; margin: 0 auto; padding: 32px 24px; line-height: 1.6; }
+.export-conversation + .export-conversation { margin-top: 48px; page-break-before: always; }
+.export-meta { color: #6c757d; font-size: 0.85em; margin-top: -8px; }
+.export-message { border-top: 1px solid #e1e4e8; padding: 16px 0; }
+.export-speaker { font-weight: 600; color: #667eea; margin-bottom: 4px; }
+.export-message.user .export-speaker { color: #1f2328; }
+.export-message pre { background: #f6f8fa; border: 1px solid #e1e4e8; border-radius: 6px; padding: 12px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+.export-message code { font-family: 'SF Mono', Menlo, Consolas, monospace; font-size: 0.9em; }
+.export-message :not(pre) > code { background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+.export-message table { border-collapse: collapse; }
+.export-message th, .export-message td { border: 1px solid #d0d7de; padding: 4px 10px; }
+.export-message img { max-width: 100%; }
+.export-attachments { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+.export-attachments img { max-height: 320px; border-radius: 6px; border: 1px solid #e1e4e8; }
+.export-file { font-size: 0.85em; color: #6c757d; border: 1px solid #e1e4e8; border-radius: 6px; padding: 4px 8px; }
+.export-system-prompt { border-left: 3px solid #667eea; background: #f6f8fa; padding: 8px 12px; white-space: pre-wrap; }
+.export-footnote { font-size: 0.8em; color: #6c757d; }
+@media print { body { padding: 0; } .export-message pre { page-break-inside: avoid; } }
+`
+
+// A standalone page: styles inlined, math as MathML, images as data: URLs
+export const toHTML = async (conversations) => {
+  const [{ renderToStaticMarkup }, { createElement }, { default: ExportDocument }] = await Promise.all([
+    import('react-dom/server'),
+    import('react'),
+    import('./ExportDocument')
+  ])
+  const body = renderToStaticMarkup(createElement(ExportDocument, { conversations }))
+  const title = conversations.length === 1 ? conversations[0].title : `${conversations.length} conversations`
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${EXPORT_CSS}${hljsTheme}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`
+}
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'conversation'
+
+export const exportFilename = (conversations, extension) => {
+  const date = new Date().toISOString().slice(0, 10)
+  const base = conversations.length === 1 ? slugify(conversations[0].title) : `conversations-${conversations.length}`
+  return `${base}-${date}.${extension}`
+}
+
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+// Open the print dialog (where "Save as PDF" lives) for an HTML page, from a
+// hidden iframe so the app itself isn't what gets printed
+export const printHTML = (html) => new Promise(resolve => {
+  const iframe = document.createElement('iframe')
+  iframe.style.cssText = 'position:fixed;width:0;height:0;border:0;right:0;bottom:0'
+  iframe.onload = () => {
+    const frameWindow = iframe.contentWindow
+    const cleanup = () => {
+      iframe.remove()
+      resolve()
+    }
+    frameWindow.addEventListener('afterprint', cleanup, { once: true })
+    frameWindow.focus()
+    frameWindow.print()
+    // Some browsers never fire afterprint from an iframe
+    setTimeout(cleanup, 60000)
+  }
+  iframe.srcdoc = html
+  document.body.appendChild(iframe)
+})
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest'
+import { feedbackSummary, toMarkdown } from './exporters'
+
+const conversation = (messages) => ({
+  session_id: 1,
+  title: 'Units',
+  mode: 'normal',
+  system_prompt: null,
+  created_at: null,
+  exported_at: '2026-03-01T00:00:00Z',
+  messages: messages.map(m => ({ code_blocks: [], attachments: [], feedback: null, ...m }))
+})
+
+describe('feedbackSummary', () => {
+  it('lists the rating, what went wrong and the comment', () => {
+    expect(feedbackSummary({ rating: 'like', categories: [], comment: null })).toBe('👍')
+    expect(feedbackSummary({ rating: 'dislike', categories: ['wrong', 'outdated'], comment: 'Off by one' }))
+      .toBe('👎 · Wrong or inaccurate, Outdated · Off by one')
+  })
+})
+
+describe('toMarkdown', () => {
+  it('writes feedback and the ideal answer under a rated answer', () => {
+    const markdown = toMarkdown([conversation([
+      { id: 1, role: 'user', content: 'How many metres in a km?' },
+      {
+        id: 2,
+        role: 'assistant',
+        content: '100',
+        model_used: 'gpt-4o',
+        feedback: { rating: 'dislike', categories: ['wrong'], comment: null, ideal_answer: '1000' }
+      }
+    ])])
+    expect(markdown).toContain('### Assistant · gpt-4o\n\n100\n\n_Feedback: 👎 · Wrong or inaccurate_\n\n_Ideal answer:_\n\n1000')
+    expect(markdown.match(/_Feedback/g)).toHaveLength(1)
+  })
+})
@@ -0,0 +1,125 @@
+import { useAppStore } from '../../store'
+import { SUPPORTED_VENDORS, saveAPIKey, deleteAPIKey } from './actions'
+import { setEditingVendor, setApiKeyValues } from './state'
+
+// Settings > API Keys (BYOK plan only)
+const ApiKeysPanel = () => {
+  const apiKeysStatus = useAppStore(s => s.apiKeys.apiKeysStatus)
+  const editingVendor = useAppStore(s => s.apiKeys.editingVendor)
+  const apiKeyValues = useAppStore(s => s.apiKeys.apiKeyValues)
+  const apiKeysLoading = useAppStore(s => s.apiKeys.apiKeysLoading)
+  const apiKeysError = useAppStore(s => s.apiKeys.apiKeysError)
+
+  return (
+    <div className="api-keys-settings-panel">
+      {apiKeysLoading ? (
+        <div className="loading">Loading API keys status...</div>
+      ) : apiKeysError ? (
+        <div className="error">{apiKeysError}</div>
+      ) : (
+        <>
+          {/* Header */}
+          <h2 className="api-keys-header">Manage Your API keys</h2>
+
+          {/* Vendor Cards with Numbering */}
+          <div className="api-keys-vendor-list">
+            {SUPPORTED_VENDORS.map((vendor, index) => {
+              const isConfigured = apiKeysStatus?.[vendor.id] || false
+              const isEditing = editingVendor === vendor.id
+
+                return (
+                <div key={vendor.id} className="api-keys-vendor-card">
+                  <div className="vendor-number">{index + 1}</div>
+                  <div className="vendor-content">
+                    <div className="vendor-header-row">
+                      <h3 className="vendor-name">{vendor.name}</h3>
+                      {isConfigured && (
+                        <span className="vendor-status-badge configured">
+                          ✓ Configured
+                        </span>
+                      )}
+                    </div>
+                    <p className="vendor-description-text">{vendor.description}</p>
+
+                    {vendor.documentationUrl && (
+                      <a
+                        href={vendor.documentationUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="vendor-docs-link"
+                      >
+                        View Documentation →
+                      </a>
+                    )}
+
+                    {isEditing ? (
+                      <div className="vendor-input-section">
+                        <input
+                          type="password"
+                          placeholder={`Enter ${vendor.name} API key`}
+                          value={apiKeyValues[vendor.id] || ''}
+                          onChange={(e) =>
+                            setApiKeyValues(prev => ({ ...prev, [vendor.id]: e.target.value }))
+                          }
+                          className="vendor-api-key-input"
+                          autoFocus
+                        />
+                        <div className="vendor-action-buttons">
+                          <button
+                            onClick={() => saveAPIKey(vendor.id)}
+                            className="vendor-btn-primary"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => {
+                              setEditingVendor(null)
+                              setApiKeyValues(prev => ({ ...prev, [vendor.id]: '' }))
+                            }}
+                            className="vendor-btn-secondary"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="vendor-action-buttons">
+                        <button
+                          onClick={() => setEditingVendor(vendor.id)}
+                          className="vendor-btn-primary"
+                        >
+                          {isConfigured ? 'Update Key' : 'Add Key'}
+                        </button>
+                        {isConfigured && (
+                          <button
+                            onClick={() => deleteAPIKey(vendor.id)}
+                            className="vendor-btn-danger"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  </div>
+                )
+              })}
+            </div>
+
+          {/* Info Box */}
+          <div className="api-keys-info-box">
+            <h4>ℹ️ Important Notes:</h4>
+            <ul>
+              <li>Your API keys are encrypted and stored securely</li>
+              <li>Only vendors with configured keys will be used for routing</li>
+              <li>If no keys are configured, only local models will be available</li>
+              <li>You are responsible for your own API usage costs</li>
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ApiKeysPanel
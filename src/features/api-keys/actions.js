@@ -0,0 +1,93 @@
+// ===== API KEYS =====
+// BYOK plan: the user's own vendor API keys
+import { api, isUnauthorizedError } from '../../api/client'
+import { getState } from '../../store'
+import { setApiKeysStatus, setEditingVendor, setApiKeyValues, setApiKeysLoading, setApiKeysError } from './state'
+
+export const SUPPORTED_VENDORS = [
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    description: 'Google\'s AI model with web search capabilities',
+    icon: '🤖',
+    documentationUrl: 'https://ai.google.dev/docs'
+  },
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    description: 'GPT models including GPT-4, GPT-3.5',
+    icon: '🧠',
+    documentationUrl: 'https://platform.openai.com/docs'
+  },
+  {
+    id: 'groq',
+    name: 'Groq',
+    description: 'Fast inference with Llama models',
+    icon: '⚡',
+    documentationUrl: 'https://console.groq.com/docs'
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic',
+    description: 'Claude models for advanced reasoning',
+    icon: '🎯',
+    documentationUrl: 'https://docs.anthropic.com'
+  }
+]
+
+export const fetchAPIKeysStatus = async () => {
+  if (getState().auth.emailVerificationPending) return
+  setApiKeysLoading(true)
+  setApiKeysError(null)
+  try {
+    const data = await api.apiKeys.status()
+    setApiKeysStatus(data)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to fetch API keys status:', err)
+    if (err.status === 403) {
+      setApiKeysError('API key management is only available for BYOK plan users')
+      setApiKeysStatus(null)
+      return
+    }
+    setApiKeysError(err.message || 'Failed to load API keys status')
+  } finally {
+    setApiKeysLoading(false)
+  }
+}
+
+export const saveAPIKey = async (vendor) => {
+  const apiKey = getState().apiKeys.apiKeyValues[vendor]?.trim()
+  if (!apiKey) {
+    alert('Please enter an API key')
+    return
+  }
+
+  try {
+    await api.apiKeys.save(vendor, apiKey)
+
+    // Clear the input and reload status
+    setApiKeyValues(prev => ({ ...prev, [vendor]: '' }))
+    setEditingVendor(null)
+    await fetchAPIKeysStatus()
+    alert('API key saved successfully')
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    alert(err.message || 'Failed to save API key')
+  }
+}
+
+export const deleteAPIKey = async (vendor) => {
+  if (!confirm(`Are you sure you want to delete the API key for ${SUPPORTED_VENDORS.find(v => v.id === vendor)?.name || vendor}?`)) {
+    return
+  }
+
+  try {
+    await api.apiKeys.remove(vendor)
+    await fetchAPIKeysStatus()
+    alert('API key deleted successfully')
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    alert(err.message || 'Failed to delete API key')
+  }
+}
@@ -0,0 +1,9 @@
+// ===== API KEYS STATE =====
+// Setters for the `apiKeys` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setApiKeysStatus = setterFor('apiKeys', 'apiKeysStatus')
+export const setEditingVendor = setterFor('apiKeys', 'editingVendor')
+export const setApiKeyValues = setterFor('apiKeys', 'apiKeyValues')
+export const setApiKeysLoading = setterFor('apiKeys', 'apiKeysLoading')
+export const setApiKeysError = setterFor('apiKeys', 'apiKeysError')
@@ -0,0 +1,139 @@
+import { useRef } from 'react'
+import { api } from '../../api/client'
+import { saveTokens } from '../../api/tokens'
+import { parseLocation } from '../../router'
+import { useAppStore } from '../../store'
+import { loadSession } from '../chat/actions'
+import { setCurrentSessionId } from '../sessions/state'
+import { loadSettingsTab } from '../settings/actions'
+import { fetchUserProfile } from './actions'
+import {
+  setIsAuthenticated,
+  setShowAuthModal,
+  setAuthMode,
+  setUser,
+  setError,
+  setEmailVerificationPending,
+  setPendingVerificationEmail,
+  setShowPasswordReset
+} from './state'
+
+const AuthModal = () => {
+  const authMode = useAppStore(s => s.auth.authMode)
+  const error = useAppStore(s => s.auth.error)
+  const emailRef = useRef(null)
+  const usernameRef = useRef(null)
+  const firstNameRef = useRef(null)
+  const lastNameRef = useRef(null)
+  const passwordRef = useRef(null)
+
+  const handleFormSubmit = (e) => {
+    e.preventDefault()
+
+    const formData = {
+      email: emailRef.current?.value || '',
+      username: usernameRef.current?.value || '',
+      first_name: firstNameRef.current?.value || '',
+      last_name: lastNameRef.current?.value || '',
+      password: passwordRef.current?.value || ''
+    }
+
+    if (authMode === 'signup') {
+      api.auth.signup(formData)
+      .then(() => {
+        setAuthMode('login')
+        setError('Account created! Please login.')
+        if (passwordRef.current) passwordRef.current.value = ''
+      })
+      .catch(err => setError(err.message || 'Network error'))
+    } else {
+      api.auth.login(formData.email, formData.password)
+      .then(data => {
+        // Save tokens with expiry information
+        saveTokens(data)
+        // If email is not verified, show verification page and do not load profile
+        if (data && data.email_verified === false) {
+          setEmailVerificationPending(true)
+          setPendingVerificationEmail(formData.email)
+          setShowAuthModal(false)
+          setIsAuthenticated(true)
+        } else {
+          // A /c/ or /settings/ link opened while signed out - show it once signed in.
+          // The session is set first so the URL sync never sees a signed-in user without it.
+          const route = parseLocation(window.location)
+          if (route.name === 'chat') setCurrentSessionId(route.sessionId)
+          // Clear any pending verification state and mark authenticated before loading profile
+          setEmailVerificationPending(false)
+          setPendingVerificationEmail(null)
+          setShowAuthModal(false)
+          setIsAuthenticated(true)
+          // Populate minimal user immediately so UI shows chat when verified
+          setUser({ email: formData.email, email_verified: true })
+          fetchUserProfile().then(() => {
+            if (route.name === 'chat') loadSession(route.sessionId)
+            else if (route.name === 'settings') loadSettingsTab(route.tab)
+          })
+        }
+      })
+      .catch(err => {
+        setError(err.message || 'Network error')
+      })
+    }
+  }
+
+  return (
+    <>
+      <div className="modal-overlay">
+        <div className="modal-content">
+          <h2>{authMode === 'login' ? 'Login to Vector' : 'Create Account'}</h2>
+          {error && (
+            <div className={`error-message ${error.includes('created') ? 'success' : ''}`}>
+              {error}
+              {authMode === 'login' && !error.includes('created') && (
+                <div style={{ marginTop: '10px', textAlign: 'center' }}>
+                  <a
+                    href="#"
+                    onClick={(e) => {
+                      e.preventDefault()
+                      setShowPasswordReset(true)
+                      setError(null)
+                    }}
+                    style={{ color: '#007bff', textDecoration: 'underline', fontSize: '14px' }}
+                  >
+                    Forgot Password? Reset it here
+                  </a>
+                </div>
+              )}
+            </div>
+          )}
+          <form onSubmit={handleFormSubmit}>
+            <input ref={emailRef} type="email" placeholder="Email" defaultValue="" required />
+            {authMode === 'signup' && (
+              <>
+                <input ref={usernameRef} type="text" placeholder="Username" defaultValue="" required />
+                <input ref={firstNameRef} type="text" placeholder="First Name" defaultValue="" required />
+                <input ref={lastNameRef} type="text" placeholder="Last Name" defaultValue="" required />
+              </>
+            )}
+            <input ref={passwordRef} type="password" placeholder="Password" defaultValue="" required />
+            <button type="submit" className="auth-btn">
+              {authMode === 'login' ? 'Login' : 'Sign Up'}
+            </button>
+          </form>
+
+          <button
+            className="auth-switch-btn"
+            onClick={() => {
+              setAuthMode(authMode === 'login' ? 'signup' : 'login')
+              setError(null)
+            }}
+          >
+            {authMode === 'login' ? 'Need an account? Sign up' : 'Have an account? Login'}
+          </button>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default AuthModal
@@ -0,0 +1,47 @@
+import { clearTokens } from '../../api/tokens'
+import { useAppStore } from '../../store'
+import { confirmVerification, resendVerification } from './actions'
+import {
+  setIsAuthenticated,
+  setShowAuthModal,
+  setEmailVerificationPending,
+  setPendingVerificationEmail,
+  setVerificationOtp,
+  setVerificationMessage
+} from './state'
+
+// Full-page email verification screen (matches app theming)
+const EmailVerificationPage = () => {
+  const user = useAppStore(s => s.auth.user)
+  const pendingVerificationEmail = useAppStore(s => s.auth.pendingVerificationEmail)
+  const verificationOtp = useAppStore(s => s.auth.verificationOtp)
+  const verificationMessage = useAppStore(s => s.auth.verificationMessage)
+
+  return (
+    <div className="verify-page" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100vh' }}>
+      <div className="verify-container" style={{ width: '460px', padding: '28px', borderRadius: '8px', background: '#fff', boxShadow: '0 8px 30px rgba(0,0,0,0.06)' }}>
+        <h2>Email verification required</h2>
+        <p style={{ color: '#666' }}>Enter the 6-digit code sent to <strong>{pendingVerificationEmail || user?.email || 'your email'}</strong> to continue.</p>
+
+        <div style={{ marginTop: '16px', display: 'flex', gap: '8px' }}>
+          <input value={verificationOtp} onChange={(e) => setVerificationOtp(e.target.value)} type="text" placeholder="Enter OTP" style={{ flex: 1, padding: '8px' }} />
+          <button className="auth-btn" onClick={() => confirmVerification(pendingVerificationEmail || user?.email)}>Verify</button>
+        </div>
+
+        <div style={{ marginTop: '12px' }}>
+          <a href="#" onClick={(e) => { e.preventDefault(); setVerificationMessage(null); setVerificationOtp(''); resendVerification(pendingVerificationEmail || user?.email); }}>Send OTP again</a>
+        </div>
+
+        {verificationMessage && (
+          <div style={{ marginTop: '12px' }} className="success-message">{verificationMessage}</div>
+        )}
+
+        <div style={{ marginTop: '18px', textAlign: 'right' }}>
+          <a href="#" onClick={(e) => { e.preventDefault(); clearTokens(); setIsAuthenticated(false); setEmailVerificationPending(false); setPendingVerificationEmail(null); setShowAuthModal(true); }}>Logout / Switch account</a>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EmailVerificationPage
@@ -0,0 +1,209 @@
+import { useRef, useState } from 'react'
+import { api } from '../../api/client'
+import { navigate } from '../../router'
+import { useAppStore } from '../../store'
+import {
+  setAuthMode,
+  setError,
+  setShowPasswordReset,
+  setPasswordResetStep,
+  setPasswordResetEmail,
+  setPasswordResetToken
+} from './state'
+
+const PasswordResetModal = () => {
+  const passwordResetStep = useAppStore(s => s.auth.passwordResetStep)
+  const passwordResetEmail = useAppStore(s => s.auth.passwordResetEmail)
+  const passwordResetToken = useAppStore(s => s.auth.passwordResetToken)
+  const emailInputRef = useRef(null)
+  const tokenInputRef = useRef(null)
+  const newPasswordInputRef = useRef(null)
+  const confirmPasswordInputRef = useRef(null)
+  const [resetError, setResetError] = useState(null)
+  const [resetSuccess, setResetSuccess] = useState(null)
+
+  const handleRequestReset = async (e) => {
+    e.preventDefault()
+    setResetError(null)
+    setResetSuccess(null)
+
+    const email = emailInputRef.current?.value || ''
+    if (!email) {
+      setResetError('Please enter your email address')
+      return
+    }
+
+    try {
+      await api.auth.requestPasswordReset(email)
+      setPasswordResetEmail(email)
+      setPasswordResetStep('confirm')
+      setResetSuccess('Password reset email sent! Please check your inbox for the reset token.')
+    } catch (err) {
+      setResetError(err.message || 'Network error')
+    }
+  }
+
+  const handleConfirmReset = async (e) => {
+    e.preventDefault()
+    setResetError(null)
+    setResetSuccess(null)
+
+    const email = passwordResetEmail || emailInputRef.current?.value || ''
+    const token = tokenInputRef.current?.value || ''
+    const newPassword = newPasswordInputRef.current?.value || ''
+    const confirmPassword = confirmPasswordInputRef.current?.value || ''
+
+    if (!email || !token || !newPassword || !confirmPassword) {
+      setResetError('Please fill in all fields')
+      return
+    }
+
+    if (newPassword !== confirmPassword) {
+      setResetError('Passwords do not match')
+      return
+    }
+
+    if (newPassword.length < 6) {
+      setResetError('Password must be at least 6 characters long')
+      return
+    }
+
+    try {
+      await api.auth.confirmPasswordReset({ email, token, newPassword })
+      setPasswordResetStep('success')
+      setResetSuccess('Password reset successful! You can now login with your new password.')
+    } catch (err) {
+      setResetError(err.message || 'Network error')
+    }
+  }
+
+  const handleClose = () => {
+    setShowPasswordReset(false)
+    setPasswordResetStep('request')
+    setPasswordResetEmail('')
+    setPasswordResetToken('')
+    setResetError(null)
+    setResetSuccess(null)
+    // Leave /reset-password so a reload doesn't reopen the flow
+    navigate('/', { replace: true })
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2>Reset Password</h2>
+
+        {passwordResetStep === 'request' && (
+          <>
+            <p style={{ marginBottom: '20px', textAlign: 'center', color: '#666' }}>
+              Enter your email address and we'll send you a password reset token.
+            </p>
+            {resetError && (
+              <div className="error-message">{resetError}</div>
+            )}
+            {resetSuccess && (
+              <div className="error-message success">{resetSuccess}</div>
+            )}
+            <form onSubmit={handleRequestReset}>
+              <input
+                ref={emailInputRef}
+                type="email"
+                placeholder="Email"
+                defaultValue={passwordResetEmail}
+                required
+              />
+              <button type="submit" className="auth-btn">
+                Send OTP
+              </button>
+            </form>
+            <button
+              className="auth-switch-btn"
+              onClick={handleClose}
+            >
+              Back to Login
+            </button>
+          </>
+        )}
+
+        {passwordResetStep === 'confirm' && (
+          <>
+            <p style={{ marginBottom: '20px', textAlign: 'center', color: '#666' }}>
+              Enter the token sent to your email and your new password.
+            </p>
+            {resetError && (
+              <div className="error-message">{resetError}</div>
+            )}
+            {resetSuccess && (
+              <div className="error-message success">{resetSuccess}</div>
+            )}
+            <form onSubmit={handleConfirmReset}>
+              {/* Reset links without an email address */}
+              {!passwordResetEmail && (
+                <input
+                  ref={emailInputRef}
+                  type="email"
+                  placeholder="Email"
+                  required
+                />
+              )}
+              <input
+                ref={tokenInputRef}
+                type="text"
+                placeholder="Enter OTP here"
+                defaultValue={passwordResetToken}
+                required
+              />
+              <input
+                ref={newPasswordInputRef}
+                type="password"
+                placeholder="New Password"
+                required
+                minLength={6}
+              />
+              <input
+                ref={confirmPasswordInputRef}
+                type="password"
+                placeholder="Confirm New Password"
+                required
+                minLength={6}
+              />
+              <button type="submit" className="auth-btn">
+                Reset Password
+              </button>
+            </form>
+            <button
+              className="auth-switch-btn"
+              onClick={() => {
+                setPasswordResetStep('request')
+                setResetError(null)
+                setResetSuccess(null)
+              }}
+            >
+              Back
+            </button>
+          </>
+        )}
+
+        {passwordResetStep === 'success' && (
+          <>
+            <p style={{ marginBottom: '20px', textAlign: 'center', color: '#666' }}>
+              Password reset done successfully, you can return to login page.
+            </p>
+            <button
+              className="auth-btn"
+              onClick={() => {
+                handleClose()
+                setAuthMode('login')
+                setError('Password reset successful! Please login with your new password.')
+              }}
+            >
+              Go to Login
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PasswordResetModal
@@ -0,0 +1,15 @@
+import { handleSessionExpiredClose } from './actions'
+
+const SessionExpiredModal = () => (
+  <div className="modal-overlay">
+    <div className="modal-content">
+      <h2>Session Expired</h2>
+      <p style={{ marginBottom: '20px', textAlign: 'center' }}>
+        Your session has expired. Please login again to continue.
+      </p>
+      <button className="auth-btn" onClick={handleSessionExpiredClose}>OK</button>
+    </div>
+  </div>
+)
+
+export default SessionExpiredModal
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from 'react'
+import { API_BASE_URL, API_BASE_URL_SOURCE } from '../../config'
+import { useAppStore } from '../../store'
+import { selectIsAdmin } from '../../store/selectors'
+import { handleLogout, runBackendHealthCheck } from './actions'
+import { setShowUserMenu } from './state'
+
+// Avatar in the chat header and the account menu it opens
+const UserMenu = () => {
+  const userProfile = useAppStore(s => s.auth.userProfile)
+  const showUserMenu = useAppStore(s => s.auth.showUserMenu)
+  const backendHealth = useAppStore(s => s.auth.backendHealth)
+  const isAdmin = useAppStore(selectIsAdmin)
+  const userMenuRef = useRef(null)
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (userMenuRef.current && !userMenuRef.current.contains(event.target)) {
+        setShowUserMenu(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  return (
+    <div className="header-right">
+      <button
+        className="user-avatar-btn"
+        onClick={() => {
+          if (!showUserMenu && isAdmin && backendHealth.status === 'unknown') {
+            runBackendHealthCheck()
+          }
+          setShowUserMenu((v) => !v)
+        }}
+        title={userProfile?.email || 'User'}
+      >
+        {(userProfile?.first_name?.[0] || 'D').toUpperCase()}{(userProfile?.last_name?.[0] || 'K').toUpperCase()}
+      </button>
+      {showUserMenu && (
+        <div className="user-menu-pop" ref={userMenuRef}>
+          <div className="user-menu-name">{`${userProfile?.first_name || ''} ${userProfile?.last_name || ''}`.trim() || 'User'}</div>
+          <div className="user-menu-email">{userProfile?.email || '—'}</div>
+          {isAdmin && (
+            <div className="backend-indicator">
+              <div className="backend-indicator-row">
+                <span className={`backend-status-dot ${backendHealth.status}`}></span>
+                <span className="backend-indicator-label">Connected backend</span>
+                <button
+                  className="backend-recheck-btn"
+                  onClick={runBackendHealthCheck}
+                  disabled={backendHealth.status === 'checking'}
+                  title="Run health check"
+                >
+                  ↻
+                </button>
+              </div>
+              <div className="backend-indicator-url" title={`Source: ${API_BASE_URL_SOURCE} config`}>{API_BASE_URL}</div>
+              <div className="backend-indicator-meta">
+                {backendHealth.status === 'checking' && 'Checking…'}
+                {backendHealth.status === 'ok' && `Healthy • ${backendHealth.latencyMs} ms`}
+                {backendHealth.status === 'down' && (backendHealth.error || `Unhealthy (HTTP ${backendHealth.httpStatus})`)}
+                {backendHealth.status === 'unknown' && 'Not checked yet'}
+              </div>
+            </div>
+          )}
+          <button className="logout-small-btn" onClick={handleLogout}>Logout</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UserMenu
@@ -0,0 +1,195 @@
+// ===== AUTH =====
+// Signed-in user, email verification, token refresh and logout
+import { checkBackendHealth } from '../../config'
+import { getTokens, clearTokens, refreshAccessToken } from '../../api/tokens'
+import { api } from '../../api/client'
+import { clearSearchIndex } from '../../search'
+import { loadLocalInstructions } from '../../instructions'
+import { loadLocalDefaults } from '../../generation'
+import { getState } from '../../store'
+import { fetchBillingInfo } from '../billing/actions'
+import { createNewChat } from '../chat/actions'
+import { setMessages, setQueryMode, setGenerationOverrides, setGenerationParams } from '../chat/state'
+import { loadSessions } from '../sessions/actions'
+import { setSessions, setCurrentSessionId, setSystemPrompts } from '../sessions/state'
+import { setShowSettings, setCustomInstructions, setGenerationDefaults } from '../settings/state'
+import {
+  setIsAuthenticated,
+  setShowAuthModal,
+  setUser,
+  setUserProfile,
+  setShowSessionExpired,
+  setEmailVerificationPending,
+  setPendingVerificationEmail,
+  setVerificationOtp,
+  setVerificationMessage,
+  setBackendHealth
+} from './state'
+
+export const fetchUserProfile = async () => {
+  try {
+    const userData = await api.user.me()
+    setUser(userData)
+    setIsAuthenticated(true)
+    setShowAuthModal(false)
+    // If email is not verified, show the verification holding modal/page
+    if (!userData.email_verified) {
+      setEmailVerificationPending(true)
+      setPendingVerificationEmail(userData.email)
+    } else {
+      setEmailVerificationPending(false)
+      await loadSessions(userData.id)
+      loadUserProfile()
+      // Fetch billing info on login (only plan info, lazy load rest)
+      await fetchBillingInfo(false)
+    }
+    return userData
+  } catch (err) {
+    console.error('Auth check failed:', err)
+    clearTokens()
+    setShowAuthModal(true)
+    setIsAuthenticated(false)
+    return null
+  }
+}
+
+const loadUserProfile = async () => {
+  try {
+    const data = await api.user.getProfile()
+    setUserProfile(data)
+    setCustomInstructions(data?.custom_instructions ?? loadLocalInstructions(getState().auth.user?.id))
+    setGenerationDefaults(data?.generation_defaults ?? loadLocalDefaults(getState().auth.user?.id))
+    return data
+  } catch (err) {
+    console.error('Failed to load profile:', err)
+    setCustomInstructions(loadLocalInstructions(getState().auth.user?.id))
+    setGenerationDefaults(loadLocalDefaults(getState().auth.user?.id))
+    return null
+  }
+}
+
+// PUT /api/user/profile replaces the whole profile, so send the loaded one
+// with `fields` changed - a partial body would wipe everything else
+export const updateProfileFields = async (fields) => {
+  const profile = { ...getState().auth.userProfile, ...fields }
+  const data = await api.user.updateProfile(profile)
+  setUserProfile(data && typeof data === 'object' ? { ...profile, ...data } : profile)
+  return data
+}
+
+export const resendVerification = async (email) => {
+  if (!email) {
+    setVerificationMessage('Missing email address to resend OTP.')
+    return
+  }
+  try {
+    await api.auth.requestEmailVerification(email)
+    setVerificationMessage('Verification code resent if account exists.')
+  } catch (err) {
+    setVerificationMessage(err.status ? 'Failed to resend verification code. Try again.' : 'Network error while resending verification code.')
+  }
+}
+
+export const confirmVerification = async (email) => {
+  if (!email) {
+    setVerificationMessage('Missing email address to confirm verification.')
+    return
+  }
+
+  try {
+    await api.auth.confirmEmailVerification(email, getState().auth.verificationOtp)
+  } catch (err) {
+    setVerificationMessage(err.status ? (err.message || 'Verification failed. Check code and try again.') : 'Network error while verifying code.')
+    return
+  }
+
+  // Success
+  setVerificationMessage('Email verified successfully. Redirecting...')
+  setEmailVerificationPending(false)
+  setPendingVerificationEmail(null)
+  setVerificationOtp('')
+
+  // Refresh profile and load sessions, then navigate to main chat (pick first session if exists or create new)
+  if (getTokens()) {
+    try {
+      const userData = await fetchUserProfile()
+      if (userData && userData.id) {
+        const fetchedSessions = await loadSessions(userData.id)
+        if (fetchedSessions && fetchedSessions.length > 0) {
+          setCurrentSessionId(fetchedSessions[0].id)
+        } else {
+          // No existing sessions - create a new chat session and open it
+          await createNewChat()
+        }
+      }
+    } catch (err) {
+      console.error('Failed to finalize verification redirect:', err)
+    }
+  }
+}
+
+// Proactive token refresh - refresh before expiry
+export const setupProactiveTokenRefresh = () => {
+  const tokens = getTokens()
+  if (!tokens) return
+
+  const timeUntilExpiry = tokens.expires_at - Date.now()
+  const refreshTime = timeUntilExpiry - (5 * 60 * 1000) // Refresh 5 minutes before expiry
+
+  if (refreshTime > 0) {
+    setTimeout(async () => {
+      try {
+        const refreshedTokens = await refreshAccessToken()
+        if (refreshedTokens) {
+          // Schedule next refresh
+          setupProactiveTokenRefresh()
+        }
+      } catch (error) {
+        console.error('Proactive token refresh failed:', error)
+        // Will be handled by 401 interceptor on next request
+      }
+    }, refreshTime)
+  }
+}
+
+export const handleLogout = async () => {
+  const { user } = getState().auth
+  const tokens = getTokens()
+  if (tokens?.session_id) {
+    try {
+      await api.auth.logout(tokens.session_id)
+    } catch (err) {
+      console.error('Logout error:', err)
+    }
+  }
+
+  // Clear all tokens
+  clearTokens()
+  if (user?.id) clearSearchIndex(user.id)
+  localStorage.removeItem('current_session_id')
+  localStorage.removeItem('query_mode')
+
+  setIsAuthenticated(false)
+  setShowAuthModal(true)
+  setMessages([])
+  setSessions([])
+  setCurrentSessionId(null)
+  setUser(null)
+  setShowSettings(false)
+  setQueryMode('normal')
+  setCustomInstructions('')
+  setSystemPrompts({})
+  setGenerationDefaults({})
+  setGenerationOverrides({})
+  setGenerationParams({})
+}
+
+export const handleSessionExpiredClose = () => {
+  setShowSessionExpired(false)
+  handleLogout()
+}
+
+export const runBackendHealthCheck = async () => {
+  setBackendHealth(prev => ({ ...prev, status: 'checking' }))
+  setBackendHealth(await checkBackendHealth())
+}
@@ -0,0 +1,21 @@
+// ===== AUTH STATE =====
+// Setters for the `auth` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setIsAuthenticated = setterFor('auth', 'isAuthenticated')
+export const setShowAuthModal = setterFor('auth', 'showAuthModal')
+export const setAuthMode = setterFor('auth', 'authMode')
+export const setUser = setterFor('auth', 'user')
+export const setUserProfile = setterFor('auth', 'userProfile')
+export const setError = setterFor('auth', 'error')
+export const setShowSessionExpired = setterFor('auth', 'showSessionExpired')
+export const setEmailVerificationPending = setterFor('auth', 'emailVerificationPending')
+export const setPendingVerificationEmail = setterFor('auth', 'pendingVerificationEmail')
+export const setVerificationOtp = setterFor('auth', 'verificationOtp')
+export const setVerificationMessage = setterFor('auth', 'verificationMessage')
+export const setShowPasswordReset = setterFor('auth', 'showPasswordReset')
+export const setPasswordResetStep = setterFor('auth', 'passwordResetStep')
+export const setPasswordResetEmail = setterFor('auth', 'passwordResetEmail')
+export const setPasswordResetToken = setterFor('auth', 'passwordResetToken')
+export const setShowUserMenu = setterFor('auth', 'showUserMenu')
+export const setBackendHealth = setterFor('auth', 'backendHealth')
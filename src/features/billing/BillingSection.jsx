@@ -0,0 +1,87 @@
+import { useAppStore } from '../../store'
+import { setShowManageSubscription } from './state'
+
+// Settings > Billing & Invoices
+const BillingSection = () => {
+  const billingInfo = useAppStore(s => s.billing.billingInfo)
+  const billingHistory = useAppStore(s => s.billing.billingHistory)
+  const invoices = useAppStore(s => s.billing.invoices)
+
+  const totalCost = (billingHistory || []).reduce((sum, r) => sum + (r.cost_usd || 0), 0)
+
+  return (
+    <>
+      <div className="billing-section">
+        <div className="billing-header">
+          <div>
+            <h3>Billing & Invoices</h3>
+            <div className="billing-cycle">
+              {billingInfo?.start_date ? `${new Date(billingInfo.start_date).toLocaleDateString()} - ${billingInfo?.end_date ? new Date(billingInfo.end_date).toLocaleDateString() : ''}` : 'Current cycle'}
+            </div>
+          </div>
+          <button className="manage-subscription-btn" onClick={() => setShowManageSubscription(true)}>
+            Manage subscription
+          </button>
+        </div>
+
+        <div className="on-demand-usage-card">
+          <div className="odu-left">
+            <div className="odu-title">On-Demand Usage</div>
+            <div className="odu-period">
+              {billingInfo?.start_date ? `${new Date(billingInfo.start_date).toLocaleDateString()} - ${billingInfo?.end_date ? new Date(billingInfo.end_date).toLocaleDateString() : ''}` : 'Current cycle'}
+            </div>
+            <div className="odu-total">${totalCost.toFixed(2)}</div>
+          </div>
+          <div className="odu-right">
+            <div className="odu-row odu-head">
+              <span>Type</span><span>Tokens</span><span>Cost</span><span>Qty</span><span>Total</span>
+            </div>
+            <div className="odu-row">
+              <span>Requests</span><span>—</span><span>—</span><span>—</span><span>${totalCost.toFixed(2)}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="billing-history">
+          <div className="billing-history-header">
+            <h4>Invoices</h4>
+            {billingInfo && (
+              <div className="current-plan-inline">
+                <div>{billingInfo.plan_name || 'Current plan'} ({billingInfo.plan_tier || ''})</div>
+                <div className="current-plan-status">{billingInfo.status || 'active'}</div>
+                <div className="current-plan-dates">
+                  {billingInfo.start_date && `Start: ${new Date(billingInfo.start_date).toLocaleDateString()}`} {billingInfo.end_date && ` • End: ${new Date(billingInfo.end_date).toLocaleDateString()}`}
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="billing-history-table">
+            <div className="billing-row billing-head">
+              <span>Date</span>
+              <span>Description</span>
+              <span>Status</span>
+              <span>Amount</span>
+              <span>Invoice</span>
+            </div>
+            {(invoices || []).map((inv, idx) => (
+              <div key={inv.id || inv.date || idx} className="billing-row">
+                <span>{inv.date ? new Date(inv.date).toLocaleDateString() : (inv.period_end ? new Date(inv.period_end).toLocaleDateString() : '-')}</span>
+                <span>{inv.models && inv.models.length > 0 ? inv.models.join(', ') : 'Monthly Invoice'}</span>
+                <span>Paid</span>
+                <span>${(inv.total_cost_usd || 0).toFixed(2)}</span>
+                <span>
+                  <button className="invoice-view-btn" disabled>View</button>
+                </span>
+              </div>
+            ))}
+            {(invoices || []).length === 0 && (
+              <div className="billing-empty">No invoices yet.</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default BillingSection
@@ -0,0 +1,574 @@
+import { useState, useEffect, useCallback } from 'react'
+import { api, isUnauthorizedError } from '../../api/client'
+import { updateProfileFields } from '../auth/actions'
+import { fetchBillingInfo } from './actions'
+
+// Current subscription, payment method and billing details (opened from Billing & Invoices)
+const ManageSubscription = () => {
+  const [showDetails, setShowDetails] = useState(false)
+  const [showEditPayment, setShowEditPayment] = useState(false)
+  const [showEditBilling, setShowEditBilling] = useState(false)
+  const [subscriptionDetails, setSubscriptionDetails] = useState(null)
+  const [loadingSubscription, setLoadingSubscription] = useState(true)
+  const [paymentMethod, setPaymentMethod] = useState({
+    card_number: '',
+    expiry_date: '',
+    cvv: '',
+    cardholder_name: ''
+  })
+  const [billingInfoForm, setBillingInfoForm] = useState({
+    name: '',
+    email: '',
+    address: '',
+    city: '',
+    zip_code: '',
+    country: ''
+  })
+  const [savingPayment, setSavingPayment] = useState(false)
+  const [savingBilling, setSavingBilling] = useState(false)
+
+  // Fetch subscription details from API when modal opens
+  const loadSubscriptionDetails = useCallback(async () => {
+    try {
+      setLoadingSubscription(true)
+      const data = await api.billing.subscriptionDetails()
+      setSubscriptionDetails(data)
+
+      // Map payment_method from API response
+      if (data.payment_method) {
+        setPaymentMethod({
+          card_number: data.payment_method.card_last4 ? `•••• •••• •••• ${data.payment_method.card_last4}` : '',
+          expiry_date: data.payment_method.card_expiry || '',
+          cvv: '',
+          cardholder_name: ''
+        })
+      }
+
+      // Map billing_info from API response
+      if (data.billing_info) {
+        setBillingInfoForm({
+          name: data.billing_info.name || '',
+          email: data.billing_info.email || '',
+          address: data.billing_info.billing_address || '',
+          city: data.billing_info.billing_city || '',
+          zip_code: data.billing_info.billing_zip || '',
+          country: data.billing_info.billing_country || ''
+        })
+      }
+    } catch (err) {
+      if (isUnauthorizedError(err)) return
+      console.error('Failed to load subscription details:', err)
+    } finally {
+      setLoadingSubscription(false)
+    }
+  }, [])
+
+  // Fetch subscription details when modal opens
+  useEffect(() => {
+    loadSubscriptionDetails()
+  }, [loadSubscriptionDetails])
+
+
+  // Save payment method
+  const savePaymentMethod = async () => {
+    if (!paymentMethod.card_number || !paymentMethod.expiry_date || !paymentMethod.cvv) {
+      alert('Please fill in all payment method fields')
+      return
+    }
+
+    setSavingPayment(true)
+    try {
+      await api.user.savePaymentMethod(paymentMethod)
+      alert('Payment method saved successfully')
+      setShowEditPayment(false)
+      await loadSubscriptionDetails() // Reload subscription details
+    } catch (err) {
+      if (isUnauthorizedError(err)) return
+      console.error('Failed to save payment method:', err)
+      if (err.status) {
+        alert(`Failed to save payment method: ${err.message || 'Unknown error'}`)
+      } else {
+        alert('Failed to save payment method. Please try again.')
+      }
+    } finally {
+      setSavingPayment(false)
+    }
+  }
+
+  // Save billing information
+  const saveBillingInfo = async () => {
+    if (!billingInfoForm.name || !billingInfoForm.email || !billingInfoForm.address) {
+      alert('Please fill in all required billing information fields')
+      return
+    }
+
+    setSavingBilling(true)
+    try {
+      // Split name into first and last name
+      const nameParts = billingInfoForm.name.trim().split(' ')
+      const firstName = nameParts[0] || ''
+      const lastName = nameParts.slice(1).join(' ') || ''
+
+      await updateProfileFields({
+        first_name: firstName,
+        last_name: lastName,
+        email: billingInfoForm.email,
+        billing_address: billingInfoForm.address,
+        city: billingInfoForm.city,
+        zip_code: billingInfoForm.zip_code,
+        country: billingInfoForm.country
+      })
+      alert('Billing information saved successfully')
+      setShowEditBilling(false)
+      await loadSubscriptionDetails() // Reload subscription details
+    } catch (err) {
+      if (isUnauthorizedError(err)) return
+      console.error('Failed to save billing information:', err)
+      if (err.status) {
+        alert(`Failed to save billing information: ${err.message || 'Unknown error'}`)
+      } else {
+        alert('Failed to save billing information. Please try again.')
+      }
+    } finally {
+      setSavingBilling(false)
+    }
+  }
+
+  // Format dates
+  const formatDate = (dateString) => {
+    if (!dateString) return ''
+    return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+  }
+
+  // Handle cancel subscription - reload details after cancellation
+  const handleCancel = async () => {
+    if (!confirm('Are you sure you want to cancel your subscription? Your subscription will remain active until the end of the current billing period.')) return
+
+    try {
+      const data = await api.billing.cancel('User requested cancellation')
+      alert(data?.message || 'Subscription cancelled successfully. Your subscription will remain active until the end of the current billing period.')
+      await loadSubscriptionDetails() // Reload subscription details
+      await fetchBillingInfo() // Also update the plan shown elsewhere
+    } catch (err) {
+      if (isUnauthorizedError(err)) return
+      console.error('Failed to cancel subscription:', err)
+      if (err.status) {
+        alert(`Cancellation failed: ${err.message || 'Unknown error'}`)
+      } else {
+        alert('Failed to cancel subscription. Please try again.')
+      }
+    }
+  }
+
+  if (loadingSubscription) {
+    return (
+      <div className="manage-subscription-modal">
+        <div className="manage-subscription-content">
+          <div className="loading">Loading subscription details...</div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!subscriptionDetails) {
+    return (
+      <div className="manage-subscription-modal">
+        <div className="manage-subscription-content">
+          <div className="error">Failed to load subscription details</div>
+        </div>
+      </div>
+    )
+  }
+
+  // Check if trial
+  const isTrial = subscriptionDetails.status === 'pending' || subscriptionDetails.status === 'trial'
+  const trialEndDate = subscriptionDetails.end_date ? formatDate(subscriptionDetails.end_date) : ''
+
+  return (
+    <div className="manage-subscription-modal">
+      <div className="manage-subscription-content">
+        {/* Current Subscription Section */}
+        <div className="manage-subscription-section">
+          <div className="section-header-row">
+            <h3>CURRENT SUBSCRIPTION</h3>
+            <button
+              className="cancel-subscription-btn"
+              onClick={handleCancel}
+              disabled={subscriptionDetails.plan_tier === 'free'}
+            >
+              Cancel subscription
+            </button>
+          </div>
+
+          {isTrial && trialEndDate && (
+            <div className="trial-badge">
+              Trial ends {trialEndDate}
+            </div>
+          )}
+
+          <div className="subscription-info">
+            <div className="subscription-name">{subscriptionDetails.plan_name || 'No active subscription'}</div>
+            <div className="subscription-price">
+              ${subscriptionDetails.plan_tier === 'byok' ? '0.00' : (subscriptionDetails.price_monthly || 0).toFixed(2)} per month
+            </div>
+            {subscriptionDetails.end_date && subscriptionDetails.auto_renew && (
+              <div className="subscription-auto-renew">
+                After your free trial ends on {formatDate(subscriptionDetails.end_date)}, this service will continue automatically.
+              </div>
+            )}
+          </div>
+
+          {subscriptionDetails.payment_method && subscriptionDetails.payment_method.card_last4 && (
+            <div className="payment-method-preview">
+              <div className="card-icon">💳</div>
+              <div className="card-info">
+                <span>
+                  {subscriptionDetails.payment_method.card_type || 'Card'} •••• {subscriptionDetails.payment_method.card_last4}
+                </span>
+                {subscriptionDetails.payment_method.card_expiry && (
+                  <span className="expiry-text">Expires {subscriptionDetails.payment_method.card_expiry}</span>
+                )}
+                <button
+                  className="edit-icon-btn"
+                  onClick={() => setShowEditPayment(true)}
+                  title="Edit payment method"
+                >
+                  ✏️
+                </button>
+              </div>
+            </div>
+          )}
+
+          <button
+            className="view-details-btn"
+            onClick={() => setShowDetails(!showDetails)}
+          >
+            View details {showDetails ? '▲' : '▼'}
+          </button>
+
+          {showDetails && (
+            <div className="subscription-details">
+              <div className="detail-row">
+                <span>Plan:</span>
+                <span>{subscriptionDetails.plan_name || 'N/A'}</span>
+              </div>
+              <div className="detail-row">
+                <span>Status:</span>
+                <span>{subscriptionDetails.status || 'N/A'}</span>
+              </div>
+              <div className="detail-row">
+                <span>Start Date:</span>
+                <span>{subscriptionDetails.start_date ? formatDate(subscriptionDetails.start_date) : 'N/A'}</span>
+              </div>
+              <div className="detail-row">
+                <span>End Date:</span>
+                <span>{subscriptionDetails.end_date ? formatDate(subscriptionDetails.end_date) : 'N/A'}</span>
+              </div>
+              <div className="detail-row">
+                <span>Cancelled At:</span>
+                <span>{subscriptionDetails.cancelled_at ? formatDate(subscriptionDetails.cancelled_at) : 'N/A'}</span>
+              </div>
+              <div className="detail-row">
+                <span>Auto Renew:</span>
+                <span>{subscriptionDetails.auto_renew ? 'Yes' : 'No'}</span>
+              </div>
+              <div className="detail-row">
+                <span>Is Subscribed:</span>
+                <span>{subscriptionDetails.is_subscribed ? 'Yes' : 'No'}</span>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Payment Method Section */}
+        <div className="manage-subscription-section">
+          <h3>PAYMENT METHOD</h3>
+          {showEditPayment ? (
+            <div className="edit-form">
+              <div className="form-group">
+                <label>Card Number</label>
+                <input
+                  type="text"
+                  placeholder="1234 5678 9012 3456"
+                  value={paymentMethod.card_number}
+                  onChange={(e) => {
+                    const value = e.target.value.replace(/\s/g, '').replace(/\D/g, '')
+                    const formatted = value.match(/.{1,4}/g)?.join(' ') || value
+                    setPaymentMethod({ ...paymentMethod, card_number: formatted })
+                  }}
+                  maxLength="19"
+                  className="form-input"
+                />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Expiry Date (MM/YY)</label>
+                  <input
+                    type="text"
+                    placeholder="11/29"
+                    value={paymentMethod.expiry_date}
+                    onChange={(e) => {
+                      let value = e.target.value.replace(/\D/g, '')
+                      if (value.length >= 2) {
+                        value = value.slice(0, 2) + '/' + value.slice(2, 4)
+                      }
+                      setPaymentMethod({ ...paymentMethod, expiry_date: value })
+                    }}
+                    maxLength="5"
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>CVV</label>
+                  <input
+                    type="password"
+                    placeholder="123"
+                    value={paymentMethod.cvv}
+                    onChange={(e) => {
+                      const value = e.target.value.replace(/\D/g, '').slice(0, 4)
+                      setPaymentMethod({ ...paymentMethod, cvv: value })
+                    }}
+                    maxLength="4"
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Cardholder Name</label>
+                <input
+                  type="text"
+                  placeholder="John Doe"
+                  value={paymentMethod.cardholder_name}
+                  onChange={(e) => setPaymentMethod({ ...paymentMethod, cardholder_name: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-actions">
+                <button
+                  onClick={savePaymentMethod}
+                  className="btn-primary"
+                  disabled={savingPayment}
+                >
+                  {savingPayment ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => {
+                    setShowEditPayment(false)
+                    // Reset to original values from subscriptionDetails
+                    if (subscriptionDetails.payment_method && subscriptionDetails.payment_method.card_last4) {
+                      setPaymentMethod({
+                        card_number: `•••• •••• •••• ${subscriptionDetails.payment_method.card_last4}`,
+                        expiry_date: subscriptionDetails.payment_method.card_expiry || '',
+                        cvv: '',
+                        cardholder_name: ''
+                      })
+                    } else {
+                      setPaymentMethod({
+                        card_number: '',
+                        expiry_date: '',
+                        cvv: '',
+                        cardholder_name: ''
+                      })
+                    }
+                  }}
+                  className="btn-secondary"
+                  disabled={savingPayment}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {subscriptionDetails.payment_method && subscriptionDetails.payment_method.card_last4 ? (
+                <>
+                  <div className="payment-method-info">
+                    <div className="card-icon">💳</div>
+                    <div className="payment-details">
+                      <span>
+                        {subscriptionDetails.payment_method.card_type || 'Card'} •••• {subscriptionDetails.payment_method.card_last4}
+                      </span>
+                      {subscriptionDetails.payment_method.card_expiry && (
+                        <span className="expiry-date">
+                          Expires {subscriptionDetails.payment_method.card_expiry}
+                        </span>
+                      )}
+                    </div>
+                    <button className="more-options-btn">⋯</button>
+                  </div>
+                  <button
+                    className="add-payment-method-btn"
+                    onClick={() => setShowEditPayment(true)}
+                  >
+                    ✏️ Edit payment method
+                  </button>
+                </>
+              ) : (
+                <button
+                  className="add-payment-method-btn"
+                  onClick={() => setShowEditPayment(true)}
+                >
+                  + Add payment method
+                </button>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Billing Information Section */}
+        <div className="manage-subscription-section">
+          <h3>BILLING INFORMATION</h3>
+          {showEditBilling ? (
+            <div className="edit-form">
+              <div className="form-group">
+                <label>Full Name</label>
+                <input
+                  type="text"
+                  placeholder="John Doe"
+                  value={billingInfoForm.name}
+                  onChange={(e) => setBillingInfoForm({ ...billingInfoForm, name: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  placeholder="john@example.com"
+                  value={billingInfoForm.email}
+                  onChange={(e) => setBillingInfoForm({ ...billingInfoForm, email: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>Billing Address</label>
+                <input
+                  type="text"
+                  placeholder="Some street, Some city, Some country"
+                  value={billingInfoForm.address}
+                  onChange={(e) => setBillingInfoForm({ ...billingInfoForm, address: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>City</label>
+                  <input
+                    type="text"
+                    placeholder="Some city"
+                    value={billingInfoForm.city}
+                    onChange={(e) => setBillingInfoForm({ ...billingInfoForm, city: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Zip Code</label>
+                  <input
+                    type="text"
+                    placeholder="Some zip code"
+                    value={billingInfoForm.zip_code}
+                    onChange={(e) => setBillingInfoForm({ ...billingInfoForm, zip_code: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Country</label>
+                <input
+                  type="text"
+                  placeholder="Some country"
+                  value={billingInfoForm.country}
+                  onChange={(e) => setBillingInfoForm({ ...billingInfoForm, country: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-actions">
+                <button
+                  onClick={saveBillingInfo}
+                  className="btn-primary"
+                  disabled={savingBilling}
+                >
+                  {savingBilling ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => {
+                    setShowEditBilling(false)
+                    // Reset to original values from subscriptionDetails
+                    if (subscriptionDetails.billing_info) {
+                      setBillingInfoForm({
+                        name: subscriptionDetails.billing_info.name || '',
+                        email: subscriptionDetails.billing_info.email || '',
+                        address: subscriptionDetails.billing_info.billing_address || '',
+                        city: subscriptionDetails.billing_info.billing_city || '',
+                        zip_code: subscriptionDetails.billing_info.billing_zip || '',
+                        country: subscriptionDetails.billing_info.billing_country || ''
+                      })
+                    }
+                  }}
+                  className="btn-secondary"
+                  disabled={savingBilling}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {subscriptionDetails.billing_info ? (
+                <>
+                  <div className="billing-info-details">
+                    {subscriptionDetails.billing_info.name && (
+                      <div className="billing-info-row">
+                        <span className="billing-label">Name:</span>
+                        <span className="billing-value">{subscriptionDetails.billing_info.name}</span>
+                      </div>
+                    )}
+                    {subscriptionDetails.billing_info.email && (
+                      <div className="billing-info-row">
+                        <span className="billing-label">Email:</span>
+                        <span className="billing-value">{subscriptionDetails.billing_info.email}</span>
+                      </div>
+                    )}
+                    {subscriptionDetails.billing_info.billing_address && (
+                      <div className="billing-info-row">
+                        <span className="billing-label">Billing address:</span>
+                        <span className="billing-value">
+                          {[
+                            subscriptionDetails.billing_info.billing_address,
+                            subscriptionDetails.billing_info.billing_city,
+                            subscriptionDetails.billing_info.billing_zip,
+                            subscriptionDetails.billing_info.billing_country
+                          ].filter(Boolean).join(', ')}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    className="update-info-btn"
+                    onClick={() => setShowEditBilling(true)}
+                  >
+                    ✏️ Update information
+                  </button>
+                </>
+              ) : (
+                <div className="billing-info-details">
+                  <div className="billing-info-row">
+                    <span className="billing-label">No billing information on file</span>
+                  </div>
+                  <button
+                    className="update-info-btn"
+                    onClick={() => setShowEditBilling(true)}
+                  >
+                    ✏️ Add billing information
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ManageSubscription
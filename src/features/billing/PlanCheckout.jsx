@@ -0,0 +1,343 @@
+import { useAppStore } from '../../store'
+import { handlePlanSelect, handleUpgradeSubmit } from './actions'
+import { setShowPlanSelection, setShowBillingForm, setBillingPeriod, setUpgradeForm, setSelectedPaymentMethod } from './state'
+
+// Plan picker and checkout form opened from the settings page
+const PlanCheckout = () => {
+  const userProfile = useAppStore(s => s.auth.userProfile)
+  const subscriptionPlans = useAppStore(s => s.billing.subscriptionPlans)
+  const selectedPlanForUpgrade = useAppStore(s => s.billing.selectedPlanForUpgrade)
+  const showPlanSelection = useAppStore(s => s.billing.showPlanSelection)
+  const showBillingForm = useAppStore(s => s.billing.showBillingForm)
+  const billingPeriod = useAppStore(s => s.billing.billingPeriod)
+  const upgradeForm = useAppStore(s => s.billing.upgradeForm)
+  const selectedPaymentMethod = useAppStore(s => s.billing.selectedPaymentMethod)
+
+  return (
+    <>
+      {/* Plan Selection Modal - Only for selecting new plans */}
+      {showPlanSelection && !selectedPlanForUpgrade && (
+        <div className="modal-overlay" onClick={() => setShowPlanSelection(false)}>
+          <div className="plan-selection-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Select a Plan</h2>
+              <button className="close-btn" onClick={() => setShowPlanSelection(false)}>✕</button>
+            </div>
+            <div className="plan-selection-content">
+              <div className="billing-period-toggle">
+                <button
+                  className={billingPeriod === 'monthly' ? 'active' : ''}
+                  onClick={() => setBillingPeriod('monthly')}
+                >
+                  Monthly
+                </button>
+                <button
+                  className={billingPeriod === 'yearly' ? 'active' : ''}
+                  onClick={() => setBillingPeriod('yearly')}
+                >
+                  Yearly
+                </button>
+              </div>
+              <div className="plans-selection-grid">
+                {subscriptionPlans.map((plan) => (
+                  <div key={plan.id} className="plan-selection-card">
+                    <h3>{plan.plan_name}</h3>
+                    <div className="plan-price-large">
+                      ${billingPeriod === 'monthly' ? plan.price_monthly : plan.price_yearly}
+                      <span>/{billingPeriod === 'monthly' ? 'mo' : 'yr'}</span>
+                    </div>
+                    <ul className="plan-features-list">
+                      {plan.features.map((feature, idx) => (
+                        <li key={idx}>{feature}</li>
+                      ))}
+                    </ul>
+                    <button
+                      className="select-plan-modal-btn"
+                      onClick={() => handlePlanSelect(plan)}
+                    >
+                      Select {plan.plan_name}
+                    </button>
+                      </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Billing Form Modal - Cursor Style */}
+      {showBillingForm && selectedPlanForUpgrade && (
+        <div className="modal-overlay cursor-checkout-overlay" onClick={() => setShowBillingForm(false)}>
+          <div className="cursor-checkout-modal" onClick={(e) => e.stopPropagation()}>
+            <button className="cursor-checkout-close" onClick={() => setShowBillingForm(false)}>✕</button>
+
+            {/* Left Panel - Subscription Summary */}
+            <div className="cursor-checkout-left">
+              <div className="cursor-checkout-summary">
+                <h2>Subscribe to {selectedPlanForUpgrade.plan_name}</h2>
+                <div className="cursor-checkout-price">
+                  ${billingPeriod === 'monthly' ? selectedPlanForUpgrade.price_monthly : selectedPlanForUpgrade.price_yearly}
+                  <span> per {billingPeriod === 'monthly' ? 'month' : 'year'}</span>
+                </div>
+
+                <div className="cursor-plan-card">
+                  <div className="cursor-plan-logo">⚡</div>
+                  <div className="cursor-plan-info">
+                    <div className="cursor-plan-name">{selectedPlanForUpgrade.plan_name}</div>
+                    <div className="cursor-plan-desc">
+                      {selectedPlanForUpgrade.features.slice(0, 2).join(', ')} and more...
+                      <br />
+                      Billed {billingPeriod === 'monthly' ? 'monthly' : 'yearly'}.
+                    </div>
+                  </div>
+                </div>
+
+                <div className="cursor-cost-breakdown">
+                  <div className="cursor-cost-row">
+                    <span>Subtotal</span>
+                    <span>${billingPeriod === 'monthly' ? selectedPlanForUpgrade.price_monthly : selectedPlanForUpgrade.price_yearly}</span>
+                  </div>
+                  <div className="cursor-cost-row">
+                    <span>Tax <span className="cursor-info-icon" title="Enter address to calculate">ℹ️</span></span>
+                    <span className="cursor-tax-placeholder">Enter address to calculate</span>
+                  </div>
+                  <div className="cursor-cost-row cursor-total">
+                    <span>Total due today</span>
+                    <span>${billingPeriod === 'monthly' ? selectedPlanForUpgrade.price_monthly : selectedPlanForUpgrade.price_yearly}</span>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Right Panel - Payment Form */}
+            <div className="cursor-checkout-right">
+              <form onSubmit={handleUpgradeSubmit} className="cursor-payment-form">
+                {/* Apple Pay Button */}
+                <button
+                  type="button"
+                  className="cursor-apple-pay-btn"
+                  onClick={() => {
+                    setSelectedPaymentMethod('apple_pay')
+                    // In production, this would trigger Apple Pay flow
+                    // For now, it just sets the payment method
+                  }}
+                >
+                  <img
+                    src="https://developer.apple.com/pay/images/apple-pay-mark.png"
+                    alt="Apple Pay"
+                    className="apple-pay-icon"
+                    style={{ height: '20px', width: 'auto' }}
+                    onError={(e) => {
+                      // Fallback to text if image fails to load
+                      e.target.style.display = 'none'
+                      e.target.nextSibling.textContent = 'Apple Pay'
+                    }}
+                  />
+                  <span style={{ display: 'none' }}>Apple Pay</span>
+                  Pay
+                </button>
+
+                <div className="cursor-separator">
+                  <span>OR</span>
+                </div>
+
+                {/* Email Field */}
+                <div className="cursor-form-field">
+                  <label>Email</label>
+                  <input
+                    type="email"
+                    value={userProfile?.email || ''}
+                    readOnly
+                    className="cursor-email-input"
+                  />
+                </div>
+
+                {/* Payment Method Selection */}
+                <div className="cursor-payment-methods">
+                  <div className="cursor-payment-method-label">Payment method</div>
+
+                  {/* Card Option */}
+                  <label className="cursor-payment-option">
+                    <input
+                      type="radio"
+                      name="payment_method"
+                      value="card"
+                      checked={selectedPaymentMethod === 'card'}
+                      onChange={() => setSelectedPaymentMethod('card')}
+                    />
+                    <span className="cursor-payment-option-label">Card</span>
+                    <div className="cursor-card-logos">
+                      <span>Visa</span>
+                      <span>Mastercard</span>
+                      <span>Amex</span>
+                      <span>Discover</span>
+                    </div>
+                  </label>
+
+                  {/* UPI Option */}
+                  <label className="cursor-payment-option">
+                    <input
+                      type="radio"
+                      name="payment_method"
+                      value="upi"
+                      checked={selectedPaymentMethod === 'upi'}
+                      onChange={() => setSelectedPaymentMethod('upi')}
+                    />
+                    <span className="cursor-payment-option-label">UPI</span>
+                    <div className="cursor-upi-logo">🇮🇳</div>
+                  </label>
+                </div>
+
+                {/* Card Payment Fields */}
+                {selectedPaymentMethod === 'card' && (
+                  <>
+                    <div className="cursor-form-field">
+                      <label>Card number</label>
+                      <input
+                        type="text"
+                        placeholder="1234 5678 9012 3456"
+                        value={upgradeForm.card_number}
+                        onChange={(e) => {
+                          const newValue = e.target.value
+                          setUpgradeForm(prev => ({...prev, card_number: newValue}))
+                        }}
+                        autoComplete="cc-number"
+                        required={selectedPaymentMethod === 'card'}
+                      />
+                    </div>
+                    <div className="cursor-form-row">
+                      <div className="cursor-form-field">
+                        <label>Expiry date</label>
+                        <input
+                          type="text"
+                          placeholder="MM/YY"
+                          value={upgradeForm.expiry_date}
+                          onChange={(e) => {
+                            const newValue = e.target.value
+                            setUpgradeForm(prev => ({...prev, expiry_date: newValue}))
+                          }}
+                          autoComplete="cc-exp"
+                          required={selectedPaymentMethod === 'card'}
+                        />
+                      </div>
+                      <div className="cursor-form-field">
+                        <label>CVV</label>
+                        <input
+                          type="text"
+                          placeholder="123"
+                          value={upgradeForm.cvv}
+                          onChange={(e) => {
+                            const newValue = e.target.value
+                            setUpgradeForm(prev => ({...prev, cvv: newValue}))
+                          }}
+                          autoComplete="cc-csc"
+                          required={selectedPaymentMethod === 'card'}
+                        />
+                      </div>
+                    </div>
+                    <div className="cursor-form-field">
+                      <label>Billing address</label>
+                      <input
+                        type="text"
+                        placeholder="Street address"
+                        value={upgradeForm.billing_address}
+                        onChange={(e) => {
+                          const newValue = e.target.value
+                          setUpgradeForm(prev => ({...prev, billing_address: newValue}))
+                        }}
+                        autoComplete="street-address"
+                        required={selectedPaymentMethod === 'card'}
+                      />
+                    </div>
+                    <div className="cursor-form-row">
+                      <div className="cursor-form-field">
+                        <label>City</label>
+                        <input
+                          type="text"
+                          value={upgradeForm.city}
+                          onChange={(e) => {
+                            const newValue = e.target.value
+                            setUpgradeForm(prev => ({...prev, city: newValue}))
+                          }}
+                          autoComplete="address-level2"
+                          required={selectedPaymentMethod === 'card'}
+                        />
+                      </div>
+                      <div className="cursor-form-field">
+                        <label>ZIP code</label>
+                        <input
+                          type="text"
+                          value={upgradeForm.zip_code}
+                          onChange={(e) => {
+                            const newValue = e.target.value
+                            setUpgradeForm(prev => ({...prev, zip_code: newValue}))
+                          }}
+                          autoComplete="postal-code"
+                          required={selectedPaymentMethod === 'card'}
+                        />
+                      </div>
+                    </div>
+                    <div className="cursor-form-field">
+                      <label>Country</label>
+                      <input
+                        type="text"
+                        value={upgradeForm.country}
+                        onChange={(e) => {
+                          const newValue = e.target.value
+                          setUpgradeForm(prev => ({...prev, country: newValue}))
+                        }}
+                        autoComplete="country"
+                        required={selectedPaymentMethod === 'card'}
+                      />
+                    </div>
+                  </>
+                )}
+
+                {/* UPI Payment Fields */}
+                {selectedPaymentMethod === 'upi' && (
+                  <div className="cursor-form-field">
+                    <label>UPI ID</label>
+                    <input
+                      type="text"
+                      placeholder="yourname@paytm or yourname@upi"
+                      value={upgradeForm.upi_id}
+                      onChange={(e) => setUpgradeForm(prev => ({ ...prev, upi_id: e.target.value }))}
+                      required
+                    />
+                    <div className="cursor-upi-hint">Enter your UPI ID (e.g., yourname@paytm, yourname@phonepe)</div>
+                  </div>
+                )}
+
+                {/* Save Information Checkbox */}
+                <label className="cursor-save-info">
+                  <input type="checkbox" defaultChecked />
+                  <span>Save my information for faster checkout</span>
+                </label>
+                <div className="cursor-save-info-desc">Pay securely and everywhere Link is accepted.</div>
+
+                {/* Submit Button */}
+                <button type="submit" className="cursor-pay-btn">
+                  Pay and subscribe
+                </button>
+
+                <div className="cursor-authorization-text">
+                  By subscribing, you authorize us to charge you according to the terms until you cancel.
+                </div>
+
+                <div className="cursor-footer">
+                  <span>Powered by stripe</span>
+                  <div className="cursor-footer-links">
+                    <a href="#">Terms</a>
+                    <a href="#">Privacy</a>
+                  </div>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default PlanCheckout
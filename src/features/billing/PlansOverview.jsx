@@ -0,0 +1,89 @@
+import { useAppStore } from '../../store'
+import { handleUpgradeFromOverview } from './actions'
+import { setBillingPeriod } from './state'
+
+// Settings > Overview: who is signed in and the plans they can move to
+const PlansOverview = () => {
+  const userProfile = useAppStore(s => s.auth.userProfile)
+  const billingInfo = useAppStore(s => s.billing.billingInfo)
+  const subscriptionPlans = useAppStore(s => s.billing.subscriptionPlans)
+  const billingPeriod = useAppStore(s => s.billing.billingPeriod)
+
+  return (
+    <div className="overview-section">
+  <div className="overview-hero">
+    <div className="hero-avatar">
+      {(userProfile?.first_name?.[0] || 'U').toUpperCase()}
+        </div>
+    <div className="hero-text">
+      <div className="hero-name">{`${userProfile?.first_name || ''} ${userProfile?.last_name || ''}`.trim() || 'User'}</div>
+      <div className="hero-meta">
+        <span>{billingInfo?.plan_name || 'Free'}</span>
+        <span className="dot-sep">•</span>
+        <span>{userProfile?.email || '—'}</span>
+        </div>
+      </div>
+      </div>
+  <div className="plan-card-stack full-width">
+    <h3>Available Plans</h3>
+    <div className="billing-period-toggle">
+      <button
+        className={billingPeriod === 'monthly' ? 'active' : ''}
+        onClick={() => setBillingPeriod('monthly')}
+      >
+        Monthly
+      </button>
+      <button
+        className={billingPeriod === 'yearly' ? 'active' : ''}
+        onClick={() => setBillingPeriod('yearly')}
+      >
+        Yearly
+      </button>
+      </div>
+    <div className="plans-selection-grid">
+      {(subscriptionPlans || []).map(plan => {
+        const isBYOK = plan.plan_tier === 'byok'
+        return (
+          <div key={plan.id} className={`plan-selection-card compact ${isBYOK ? 'byok-plan' : ''}`}>
+            <div className="plan-selection-header">
+              <h4>{plan.plan_name}</h4>
+              <span className="plan-tier-badge">{plan.plan_tier}</span>
+      </div>
+            {isBYOK && (
+              <div className="byok-badge">
+                <span>🔑 Bring Your Own Key</span>
+      </div>
+            )}
+            <div className="plan-price-large">
+              ${billingPeriod === 'monthly' ? plan.price_monthly : plan.price_yearly}
+              <span>/{billingPeriod === 'monthly' ? 'mo' : 'yr'}</span>
+      </div>
+            <ul className="plan-features-list">
+              {plan.features.slice(0, 3).map((feature, idx) => (
+                <li key={idx}>{feature}</li>
+              ))}
+            </ul>
+            {isBYOK && (
+              <div className="byok-info">
+                <p>
+                  Use your own API keys for Gemini, OpenAI, Groq, and Anthropic.
+                  You pay for your own API usage.
+                </p>
+    </div>
+            )}
+            <button
+              className="select-plan-modal-btn"
+              onClick={() => handleUpgradeFromOverview(plan)}
+            >
+              Upgrade to {plan.plan_name}
+            </button>
+          </div>
+        )
+      })}
+    </div>
+  </div>
+    </div>
+  )
+}
+
+export default PlansOverview
@@ -0,0 +1,491 @@
+import { useState, useRef } from 'react'
+import { useAppStore } from '../../store'
+import { openSettingsTab } from '../settings/actions'
+import { fetchBillingHistory, exportCSV } from './actions'
+import { setUsageView, setUsageRange, setDateRange } from './state'
+
+// Settings > Usage: quota per mode, then every billed request in a date range
+const UsageDashboard = () => {
+  const billingInfo = useAppStore(s => s.billing.billingInfo)
+  const usageSummary = useAppStore(s => s.billing.usageSummary)
+  const usageWarnings = useAppStore(s => s.billing.usageWarnings)
+  const usageView = useAppStore(s => s.billing.usageView)
+  const usageRange = useAppStore(s => s.billing.usageRange)
+  const dateRange = useAppStore(s => s.billing.dateRange)
+  const billingHistory = useAppStore(s => s.billing.billingHistory)
+  const billingHistoryCount = useAppStore(s => s.billing.billingHistoryCount)
+  const showDownloadPrompt = useAppStore(s => s.billing.showDownloadPrompt)
+  const [showCustomCalendar, setShowCustomCalendar] = useState(false)
+  const [customDateSelection, setCustomDateSelection] = useState({ start: null, end: null, selecting: 'start' }) // 'start' | 'end'
+  const [calendarMonth, setCalendarMonth] = useState(new Date()) // Current month for calendar navigation
+  const calendarModalRef = useRef(null)
+  if (!usageSummary || !billingInfo) {
+    return (
+      <div className="usage-dashboard">
+        <h3>Usage Dashboard</h3>
+        <p className="loading-text">Loading usage data...</p>
+      </div>
+    )
+  }
+
+  const renderUsageCard = (mode, label) => {
+    const modeData = usageSummary[mode] || {}
+    const dailyLimit = billingInfo[`max_${mode}_per_day`]
+    const monthlyLimit = billingInfo[`max_${mode}_per_month`]
+    const dailyUsage = modeData.daily || 0
+    const monthlyUsage = modeData.monthly || 0
+    const dailyPercent = dailyLimit ? (dailyUsage / dailyLimit) * 100 : 0
+    const monthlyPercent = monthlyLimit ? (monthlyUsage / monthlyLimit) * 100 : 0
+
+    return (
+      <div className="usage-card" key={mode}>
+        <h4>{label}</h4>
+        <div className="usage-stats">
+          <div className="usage-item">
+            <div className="usage-label">Daily: {dailyUsage} / {dailyLimit === null ? 'Unlimited' : dailyLimit} requests</div>
+            {dailyLimit !== null && (
+              <div className="usage-progress">
+                <div className="usage-progress-bar" style={{ width: `${Math.min(dailyPercent, 100)}%` }}></div>
+              </div>
+            )}
+            <div className="usage-percent">{dailyLimit !== null ? `${Math.round(dailyPercent)}%` : 'Unlimited'}</div>
+          </div>
+          <div className="usage-item">
+            <div className="usage-label">Monthly: {monthlyUsage} / {monthlyLimit === null ? 'Unlimited' : monthlyLimit} requests</div>
+            {monthlyLimit !== null && (
+              <div className="usage-progress">
+                <div className="usage-progress-bar" style={{ width: `${Math.min(monthlyPercent, 100)}%` }}></div>
+              </div>
+            )}
+            <div className="usage-percent">{monthlyLimit !== null ? `${Math.round(monthlyPercent)}%` : 'Unlimited'}</div>
+          </div>
+          <div className="usage-reset">Resets daily at midnight</div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="usage-dashboard">
+      <div className="usage-dashboard-header">
+        <h3>Usage Dashboard</h3>
+        <button className="upgrade-btn-small" onClick={() => openSettingsTab('overview')}>
+          Upgrade Plan
+        </button>
+      </div>
+      <div className="usage-view-toggle">
+        <button className={usageView === 'daily' ? 'active' : ''} onClick={() => setUsageView('daily')}>Daily</button>
+        <button className={usageView === 'all' ? 'active' : ''} onClick={() => setUsageView('all')}>All usage</button>
+      </div>
+      {usageView === 'all' && (
+        <div className="usage-view-toggle">
+          <div className="usage-range-toggle">
+            <button
+              type="button"
+              className={usageRange === '1d' ? 'active' : ''}
+              onClick={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                setUsageView('all') // Ensure we stay on 'all' view
+                const today = new Date()
+                const yesterday = new Date(today)
+                yesterday.setDate(today.getDate() - 1)
+                const startDate = yesterday.toISOString().slice(0, 10)
+                setUsageRange('1d')
+                setDateRange({ start: startDate, end: null })
+                fetchBillingHistory({ start: startDate, end: null })
+              }}
+            >
+              1d
+            </button>
+            <button
+              type="button"
+              className={usageRange === '7d' ? 'active' : ''}
+              onClick={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                setUsageView('all') // Ensure we stay on 'all' view
+                const today = new Date()
+                const sevenDaysAgo = new Date(today)
+                sevenDaysAgo.setDate(today.getDate() - 7)
+                const startDate = sevenDaysAgo.toISOString().slice(0, 10)
+                setUsageRange('7d')
+                setDateRange({ start: startDate, end: null })
+                fetchBillingHistory({ start: startDate, end: null })
+              }}
+            >
+              7d
+            </button>
+            <button
+              type="button"
+              className={usageRange === 'custom' ? 'active' : ''}
+              onClick={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                setUsageView('all') // Ensure we stay on 'all' view
+
+                // Initialize calendar with existing date range if available
+                if (dateRange.start) {
+                  setCalendarMonth(new Date(dateRange.start))
+                  setCustomDateSelection({
+                    start: dateRange.start,
+                    end: dateRange.end || null,
+                    selecting: dateRange.end ? 'end' : 'start'
+                  })
+                } else {
+                  setCalendarMonth(new Date())
+                  setCustomDateSelection({ start: null, end: null, selecting: 'start' })
+                }
+
+                // Set both states to ensure calendar opens
+                setUsageRange('custom')
+                setShowCustomCalendar(true)
+              }}
+            >
+              Custom
+            </button>
+          </div>
+          <div className="usage-export">
+            <button
+              type="button"
+              className="export-btn"
+              onClick={(e) => {
+                e.preventDefault()
+                e.stopPropagation()
+                exportCSV(dateRange)
+              }}
+            >
+              Export CSV
+            </button>
+            {usageRange === 'custom' && dateRange.start && dateRange.end && (
+              <button
+                type="button"
+                className="export-btn"
+                onClick={(e) => {
+                  e.preventDefault()
+                  e.stopPropagation()
+                  setUsageView('all') // Ensure we stay on 'all' view
+                  fetchBillingHistory(dateRange)
+                }}
+              >
+                Apply
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Custom Date Picker Calendar */}
+      {showCustomCalendar && (() => {
+        const year = calendarMonth.getFullYear()
+        const month = calendarMonth.getMonth()
+        const firstDay = new Date(year, month, 1)
+        const lastDay = new Date(year, month + 1, 0)
+        const daysInMonth = lastDay.getDate()
+        const startingDayOfWeek = firstDay.getDay()
+
+        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+        const dayNames = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+
+        const handleDateClick = (day) => {
+          const selectedDate = new Date(year, month, day)
+          const dateStr = selectedDate.toISOString().slice(0, 10)
+
+          if (!customDateSelection.start) {
+            // First click - set start date
+            const newSelection = { start: dateStr, end: null, selecting: 'end' }
+            setCustomDateSelection(newSelection)
+            // Don't update dateRange yet - only update on Apply
+          } else if (!customDateSelection.end) {
+            // Second click - set end date
+            // If end date is before start date, swap them
+            if (dateStr < customDateSelection.start) {
+              const newSelection = { start: dateStr, end: customDateSelection.start, selecting: 'end' }
+              setCustomDateSelection(newSelection)
+              // Don't update dateRange yet - only update on Apply
+            } else {
+              const newSelection = { ...customDateSelection, end: dateStr, selecting: 'end' }
+              setCustomDateSelection(newSelection)
+              // Don't update dateRange yet - only update on Apply
+            }
+          } else {
+            // Both dates selected - allow re-selecting start date
+            const newSelection = { start: dateStr, end: null, selecting: 'end' }
+            setCustomDateSelection(newSelection)
+            // Don't update dateRange yet - only update on Apply
+          }
+          // Calendar stays open - don't close it
+        }
+
+        const isDateInRange = (day) => {
+          if (!customDateSelection.start) return false
+          const dateStr = new Date(year, month, day).toISOString().slice(0, 10)
+          if (customDateSelection.end) {
+            return dateStr >= customDateSelection.start && dateStr <= customDateSelection.end
+          }
+          return dateStr === customDateSelection.start
+        }
+
+        const isStartDate = (day) => {
+          if (!customDateSelection.start) return false
+          const dateStr = new Date(year, month, day).toISOString().slice(0, 10)
+          return dateStr === customDateSelection.start
+        }
+
+        const isEndDate = (day) => {
+          if (!customDateSelection.end) return false
+          const dateStr = new Date(year, month, day).toISOString().slice(0, 10)
+          return dateStr === customDateSelection.end
+        }
+
+        const navigateMonth = (direction) => {
+          setCalendarMonth(new Date(year, month + direction, 1))
+        }
+
+        return (
+          <div
+            className="custom-calendar-overlay"
+            onMouseDown={(e) => {
+              // Only allow closing via buttons, not by clicking overlay
+              e.stopPropagation()
+            }}
+            onClick={(e) => {
+              // Only allow closing via buttons, not by clicking overlay
+              e.stopPropagation()
+            }}
+          >
+            <div
+              ref={calendarModalRef}
+              className="custom-calendar-modal"
+              onClick={(e) => {
+                // Prevent any clicks inside modal from bubbling up to overlay
+                e.stopPropagation()
+              }}
+              onMouseDown={(e) => {
+                e.stopPropagation()
+              }}
+            >
+              <div className="custom-calendar-header">
+                <h3>Select Date Range</h3>
+                <button
+                  className="custom-calendar-close"
+                  onClick={(e) => {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    setShowCustomCalendar(false)
+                  }}
+                >
+                  ✕
+                </button>
+                            </div>
+              <div className="custom-calendar-instruction">
+                {!customDateSelection.start
+                  ? 'Click a date to set start date'
+                  : !customDateSelection.end
+                  ? `Start: ${new Date(customDateSelection.start).toLocaleDateString()}. Click a date to set end date (optional), then click Apply`
+                  : `Range: ${new Date(customDateSelection.start).toLocaleDateString()} - ${new Date(customDateSelection.end).toLocaleDateString()}. Click Apply to confirm.`}
+              </div>
+              <div
+                className="calendar-wrapper"
+                onClick={(e) => e.stopPropagation()}
+                onMouseDown={(e) => e.stopPropagation()}
+              >
+                <div className="calendar-header-nav">
+                  <button
+                    type="button"
+                    className="calendar-nav-btn"
+                    onClick={(e) => {
+                      e.preventDefault()
+                      e.stopPropagation()
+                      navigateMonth(-1)
+                    }}
+                  >
+                    ←
+                  </button>
+                  <h4 className="calendar-month-year">{monthNames[month]} {year}</h4>
+                  <button
+                    type="button"
+                    className="calendar-nav-btn"
+                    onClick={(e) => {
+                      e.preventDefault()
+                      e.stopPropagation()
+                      navigateMonth(1)
+                    }}
+                  >
+                    →
+                  </button>
+                </div>
+                <div
+                  className="calendar-grid"
+                  onClick={(e) => e.stopPropagation()}
+                  onMouseDown={(e) => e.stopPropagation()}
+                >
+                  {dayNames.map(day => (
+                    <div key={day} className="calendar-day-header">{day}</div>
+                  ))}
+                  {Array.from({ length: startingDayOfWeek }).map((_, i) => (
+                    <div key={`empty-${i}`} className="calendar-day empty"></div>
+                  ))}
+                  {Array.from({ length: daysInMonth }).map((_, i) => {
+                    const day = i + 1
+                    const dateStr = new Date(year, month, day).toISOString().slice(0, 10)
+                    const today = new Date().toISOString().slice(0, 10)
+                    const isToday = dateStr === today
+                    const inRange = isDateInRange(day)
+                    const isStart = isStartDate(day)
+                    const isEnd = isEndDate(day)
+
+                    return (
+                      <button
+                        key={day}
+                        type="button"
+                        className={`calendar-day ${inRange ? 'in-range' : ''} ${isStart ? 'start-date' : ''} ${isEnd ? 'end-date' : ''} ${isToday ? 'today' : ''}`}
+                        onClick={(e) => {
+                          e.preventDefault()
+                          e.stopPropagation()
+                          handleDateClick(day)
+                        }}
+                        onMouseDown={(e) => {
+                          e.preventDefault()
+                          e.stopPropagation()
+                        }}
+                      >
+                        {day}
+                      </button>
+                          )
+                        })}
+                      </div>
+                    </div>
+              {customDateSelection.start && (
+                <div className="custom-calendar-selected">
+                  <div>Start: {new Date(customDateSelection.start).toLocaleDateString()}</div>
+                  {customDateSelection.end && (
+                    <div>End: {new Date(customDateSelection.end).toLocaleDateString()}</div>
+                  )}
+                  </div>
+              )}
+              <div className="custom-calendar-actions">
+                {(customDateSelection.start || customDateSelection.end) && (
+                  <button
+                    type="button"
+                    className="custom-calendar-btn custom-calendar-btn-clear"
+                    onClick={(e) => {
+                      e.preventDefault()
+                      e.stopPropagation()
+                      setCustomDateSelection({ start: null, end: null, selecting: 'start' })
+                      setDateRange({ start: null, end: null })
+                    }}
+                  >
+                    Clear
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="custom-calendar-btn custom-calendar-btn-secondary"
+                  onClick={(e) => {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    setShowCustomCalendar(false)
+                    // Don't reset selection on cancel - keep it for next time
+                  }}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="custom-calendar-btn custom-calendar-btn-primary"
+                  onClick={(e) => {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    if (customDateSelection.start) {
+                      setUsageView('all') // Ensure we stay on 'all' view
+                      const selectedRange = {
+                        start: customDateSelection.start,
+                        end: customDateSelection.end || null
+                      }
+                      setDateRange(selectedRange)
+                      setShowCustomCalendar(false)
+                      fetchBillingHistory(selectedRange)
+                    }
+                  }}
+                  disabled={!customDateSelection.start}
+                >
+                  Apply
+                </button>
+              </div>
+            </div>
+          </div>
+        )
+      })()}
+      {usageWarnings && usageWarnings.length > 0 && (
+        <div className="usage-warnings">
+          {usageWarnings.map((w, idx) => (
+            <div key={idx} className="usage-warning-card">
+              <span className="warning-icon">⚠️</span>
+              <div>
+                <div className="warning-title">{w.title || 'Limit warning'}</div>
+                <div className="warning-text">{w.message || ''}</div>
+              </div>
+            </div>
+          ))}
+                </div>
+              )}
+      {usageView === 'daily' ? (
+        <div className="usage-cards">
+          {renderUsageCard('normal', 'Normal Mode')}
+          {renderUsageCard('code', 'Code Mode')}
+          {renderUsageCard('web_search', 'Web Search Mode')}
+        </div>
+      ) : (
+        <div className="usage-table">
+          <div className="usage-table-header">
+            <h4>Billing history</h4>
+            <span className="usage-table-subtitle">Filtered by date range</span>
+          </div>
+          {showDownloadPrompt && (
+            <div className="usage-download-prompt">
+              <div className="download-prompt-content">
+                <span className="download-prompt-icon">📥</span>
+                <div className="download-prompt-text">
+                  <strong>Large dataset detected</strong>
+                  <span>Showing 50 of {billingHistoryCount} records. Download CSV to view all usage metrics.</span>
+                </div>
+                <button
+                  className="download-prompt-btn"
+                  onClick={(e) => {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    exportCSV(dateRange)
+                  }}
+                >
+                  Download CSV
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="usage-table-grid">
+            <div className="usage-table-row usage-table-head">
+              <span>Date</span>
+              <span>Model</span>
+              <span>Tokens</span>
+              <span>Cost</span>
+        </div>
+            {(billingHistory || []).map(record => (
+              <div key={record.id || record.created_at} className="usage-table-row">
+                <span>{record.created_at ? new Date(record.created_at).toLocaleString() : '-'}</span>
+                <span>{record.model_name || 'default'}</span>
+                <span>{`${record.input_tokens || 0} in / ${record.output_tokens || 0} out`}</span>
+                <span>${(record.cost_usd || 0).toFixed(2)}</span>
+      </div>
+            ))}
+            {(billingHistory || []).length === 0 && (
+              <div className="usage-empty">No usage records yet.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UsageDashboard
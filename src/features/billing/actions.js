@@ -0,0 +1,244 @@
+// ===== BILLING =====
+// Plan, usage limits, billing history, invoices and plan upgrades
+import { api, isUnauthorizedError } from '../../api/client'
+import { getState, EMPTY_UPGRADE_FORM } from '../../store'
+import { fetchAPIKeysStatus } from '../api-keys/actions'
+import { setShowLimitWarning, setLimitWarningMessage } from '../chat/state'
+import {
+  setBillingInfo,
+  setSubscriptionPlans,
+  setSelectedPlanForUpgrade,
+  setShowPlanSelection,
+  setShowBillingForm,
+  setPaymentIntent,
+  setUpgradeForm,
+  setSelectedPaymentMethod,
+  setUsageSummary,
+  setUsageWarnings,
+  setBillingHistory,
+  setBillingHistoryCount,
+  setShowDownloadPrompt,
+  setInvoices
+} from './state'
+
+export const fetchBillingInfo = async (fetchAdditional = false) => {
+  if (getState().auth.emailVerificationPending) return
+  // Plan and plan list are independent - one failing shouldn't hide the other
+  try {
+    const planData = await api.billing.plan()
+    setBillingInfo(planData)
+    // If user is on BYOK plan, fetch API keys status
+    if (planData.plan_tier === 'byok') {
+      fetchAPIKeysStatus()
+    }
+  } catch (err) {
+    console.error('Failed to fetch billing plan:', err)
+    if (isUnauthorizedError(err)) return
+  }
+
+  try {
+    const plansData = await api.billing.plans()
+    setSubscriptionPlans(plansData || [])
+
+    // Only fetch additional data if explicitly requested (lazy loading)
+    if (fetchAdditional) {
+      await fetchUsageSummary()
+      await fetchBillingHistory()
+      await fetchInvoices()
+    }
+  } catch (err) {
+    console.error('Failed to fetch billing info:', err)
+  }
+}
+
+export const fetchUsageSummary = async () => {
+  if (getState().auth.emailVerificationPending) return null
+  try {
+    const data = await api.billing.usage()
+    setUsageSummary(data)
+    // Get warning banners (~80% threshold)
+    fetchUsageWarnings()
+    return data
+  } catch (err) {
+    console.error('Failed to fetch usage summary:', err)
+  }
+  return null
+}
+
+const fetchUsageWarnings = async () => {
+  if (getState().auth.emailVerificationPending) return
+  try {
+    const data = await api.billing.usageWarnings()
+    setUsageWarnings(data || [])
+  } catch (err) {
+    console.error('Failed to fetch usage warnings:', err)
+  }
+}
+
+export const fetchBillingHistory = async (range = getState().billing.dateRange) => {
+  if (getState().auth.emailVerificationPending) return
+  try {
+    const data = await api.billing.history({ start: range.start, end: range.end, limit: 100 })
+    const totalCount = data?.count || (data?.records?.length || 0)
+    setBillingHistoryCount(totalCount)
+
+    // If count > 100, limit to 50 rows and show download prompt
+    if (totalCount > 100) {
+      const limitedRecords = (data?.records || []).slice(0, 50)
+      setBillingHistory(limitedRecords)
+      setShowDownloadPrompt(true)
+    } else {
+      setBillingHistory(data?.records || [])
+      setShowDownloadPrompt(false)
+    }
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to fetch billing history:', err)
+  }
+}
+
+export const fetchInvoices = async (range = getState().billing.dateRange) => {
+  try {
+    const data = await api.billing.invoices({ start: range.start, end: range.end })
+    const inv = Array.isArray(data?.invoices) ? data.invoices : (Array.isArray(data) ? data : [])
+    setInvoices(inv)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to fetch invoices:', err)
+  }
+}
+
+export const exportCSV = async (range = getState().billing.dateRange) => {
+  try {
+    const blob = await api.billing.exportUsage({ start: range.start, end: range.end })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `usage_export_${new Date().toISOString().split('T')[0]}.csv`
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to export CSV:', err)
+    alert('Failed to export CSV. Please try again.')
+  }
+}
+
+// Whether the plan still allows a request in `mode`; warns once 80% of the daily quota is used
+export const checkLimit = (mode) => {
+  const { billingInfo, usageSummary } = getState().billing
+  if (!billingInfo || !usageSummary) return { allowed: true }
+
+  const modeKey = mode === 'web_search' ? 'web_search' : mode
+  const dailyLimit = billingInfo[`max_${modeKey}_per_day`]
+  const monthlyLimit = billingInfo[`max_${modeKey}_per_month`]
+  const dailyUsage = usageSummary[modeKey]?.daily || 0
+  const monthlyUsage = usageSummary[modeKey]?.monthly || 0
+
+  // Check daily limit
+  if (dailyLimit !== null && dailyUsage >= dailyLimit) {
+    return {
+      allowed: false,
+      error: `Daily ${modeKey} limit reached (${dailyLimit} requests/day)`,
+      limitType: 'daily',
+      currentUsage: dailyUsage,
+      limit: dailyLimit
+    }
+  }
+
+  // Check monthly limit
+  if (monthlyLimit !== null && monthlyUsage >= monthlyLimit) {
+    return {
+      allowed: false,
+      error: `Monthly ${modeKey} limit reached (${monthlyLimit} requests/month)`,
+      limitType: 'monthly',
+      currentUsage: monthlyUsage,
+      limit: monthlyLimit
+    }
+  }
+
+  // Check warning threshold (80%)
+  if (dailyLimit !== null && dailyUsage >= dailyLimit * 0.8) {
+    setShowLimitWarning(true)
+    setLimitWarningMessage(`You've used ${dailyUsage} of ${dailyLimit} ${modeKey} requests today. Upgrade to Pro for unlimited requests.`)
+  }
+
+  return { allowed: true }
+}
+
+// Create a payment intent for the chosen plan and open the billing form
+const startPlanPayment = async (plan) => {
+  try {
+    const data = await api.billing.createPaymentIntent({
+      plan_id: plan.id,
+      billing_period: getState().billing.billingPeriod,
+      payment_method: 'stripe'
+    })
+    setPaymentIntent(data)
+    setShowBillingForm(true)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to create payment intent:', err)
+    if (err.status) {
+      alert(`Failed to create payment intent: ${err.message || 'Unknown error'}`)
+    } else {
+      alert('Failed to create payment intent. Please try again.')
+    }
+  }
+}
+
+// Handler for upgrading directly from Overview page - opens payment form
+export const handleUpgradeFromOverview = async (plan) => {
+  setSelectedPlanForUpgrade(plan)
+  await startPlanPayment(plan)
+}
+
+// Shared handler for selecting a plan (used by plan selection modal)
+export const handlePlanSelect = async (plan) => {
+  setSelectedPlanForUpgrade(plan)
+  setShowPlanSelection(false)
+  await startPlanPayment(plan)
+}
+
+// Shared handler for completing upgrade (used by billing form)
+export const handleUpgradeSubmit = async (e) => {
+  e.preventDefault()
+  const { selectedPlanForUpgrade, selectedPaymentMethod, billingPeriod } = getState().billing
+  if (!selectedPlanForUpgrade) return
+
+  // Map selected payment method to backend format
+  let paymentMethod = 'stripe'
+  if (selectedPaymentMethod === 'apple_pay') {
+    paymentMethod = 'apple_pay'
+  } else if (selectedPaymentMethod === 'upi') {
+    paymentMethod = 'upi'
+  } else {
+    paymentMethod = 'stripe' // card
+  }
+
+  try {
+    await api.billing.upgrade({
+      plan_id: selectedPlanForUpgrade.id,
+      billing_period: billingPeriod,
+      payment_method: paymentMethod
+    })
+    alert('Subscription upgraded successfully!')
+    setShowBillingForm(false)
+    setShowPlanSelection(false)
+    setSelectedPlanForUpgrade(null)
+    setPaymentIntent(null)
+    setSelectedPaymentMethod('card')
+    setUpgradeForm(EMPTY_UPGRADE_FORM)
+    fetchBillingInfo()
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to upgrade:', err)
+    if (err.status) {
+      alert(`Upgrade failed: ${err.message || 'Unknown error'}`)
+    } else {
+      alert('Failed to upgrade subscription. Please try again.')
+    }
+  }
+}
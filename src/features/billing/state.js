@@ -0,0 +1,23 @@
+// ===== BILLING STATE =====
+// Setters for the `billing` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setBillingInfo = setterFor('billing', 'billingInfo')
+export const setSubscriptionPlans = setterFor('billing', 'subscriptionPlans')
+export const setSelectedPlanForUpgrade = setterFor('billing', 'selectedPlanForUpgrade')
+export const setShowPlanSelection = setterFor('billing', 'showPlanSelection')
+export const setShowBillingForm = setterFor('billing', 'showBillingForm')
+export const setBillingPeriod = setterFor('billing', 'billingPeriod')
+export const setPaymentIntent = setterFor('billing', 'paymentIntent')
+export const setUpgradeForm = setterFor('billing', 'upgradeForm')
+export const setSelectedPaymentMethod = setterFor('billing', 'selectedPaymentMethod')
+export const setUsageSummary = setterFor('billing', 'usageSummary')
+export const setUsageWarnings = setterFor('billing', 'usageWarnings')
+export const setUsageView = setterFor('billing', 'usageView')
+export const setUsageRange = setterFor('billing', 'usageRange')
+export const setDateRange = setterFor('billing', 'dateRange')
+export const setBillingHistory = setterFor('billing', 'billingHistory')
+export const setBillingHistoryCount = setterFor('billing', 'billingHistoryCount')
+export const setShowDownloadPrompt = setterFor('billing', 'showDownloadPrompt')
+export const setInvoices = setterFor('billing', 'invoices')
+export const setShowManageSubscription = setterFor('billing', 'showManageSubscription')
@@ -0,0 +1,440 @@
+import { useEffect, useRef } from 'react'
+import googleIcon from '../../assets/icons/google.png'
+import deepseekIcon from '../../assets/icons/deepseek.svg'
+import ollamaIcon from '../../assets/icons/openai.png'
+import metaIcon from '../../assets/icons/meta.png'
+import anthropicIcon from '../../assets/icons/anthropic.png'
+import MessageMarkdown from '../../MessageMarkdown'
+import AttachmentList from '../../AttachmentList'
+import { routingTraceFrom } from '../../routing'
+import { describeParams } from '../../generation'
+import { useAppStore } from '../../store'
+import { setEditingSystemPrompt } from '../sessions/state'
+import { openSettingsTab } from '../settings/actions'
+import ComparisonRun from './ComparisonRun'
+import RoutingPanel from './RoutingPanel'
+import {
+  takeScrollTarget,
+  selectBranch,
+  pickComparisonWinner,
+  handleEditAndResend,
+  handleRegenerateResponse,
+  handleThumbsUp,
+  handleThumbsDown
+} from './actions'
+import { setEditingMessage, setOpenRoutingPanels, setShowLimitWarning } from './state'
+
+// Close a trailing unterminated ``` fence so a code block that is still
+// streaming renders as code instead of raw markdown
+const closeOpenCodeFence = (content) => {
+  if (!content) return content
+  const fenceCount = (content.match(/```/g) || []).length
+  return fenceCount % 2 === 1 ? `${content}\n\`\`\`` : content
+}
+
+// The conversation: banners, messages with their actions, and comparison runs
+const ChatMessages = () => {
+  const messages = useAppStore(s => s.chat.messages)
+  const isLoading = useAppStore(s => s.chat.isLoading)
+  const statusBanner = useAppStore(s => s.chat.statusBanner)
+  const showLimitWarning = useAppStore(s => s.chat.showLimitWarning)
+  const limitWarningMessage = useAppStore(s => s.chat.limitWarningMessage)
+  const highlightedMessageId = useAppStore(s => s.chat.highlightedMessageId)
+  const editingMessage = useAppStore(s => s.chat.editingMessage)
+  const messageActions = useAppStore(s => s.chat.messageActions)
+  const routingTraces = useAppStore(s => s.chat.routingTraces)
+  const generationParams = useAppStore(s => s.chat.generationParams)
+  const openRoutingPanels = useAppStore(s => s.chat.openRoutingPanels)
+  const escalationInfo = useAppStore(s => s.chat.escalationInfo)
+  const compareRuns = useAppStore(s => s.chat.compareRuns)
+  const currentSessionId = useAppStore(s => s.sessions.currentSessionId)
+  const systemPrompt = useAppStore(s => s.sessions.systemPrompts[s.sessions.currentSessionId])
+  const messagesEndRef = useRef(null)
+
+  useEffect(() => {
+    const scrollTarget = takeScrollTarget()
+    if (scrollTarget != null) {
+      const target = document.getElementById(`message-${scrollTarget}`)
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' })
+        return
+      }
+    }
+    if (messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ behavior: 'smooth' })
+    }
+  }, [messages, isLoading])
+
+  const routingTraceFor = (message) => (message.isThinking ? null : (routingTraces[message.id] || routingTraceFrom(message)))
+  const sessionCompareRuns = compareRuns.filter(run => run.sessionId === currentSessionId)
+  const renderComparisonRun = (run) => (
+    <ComparisonRun key={run.id} run={run} onPickWinner={pickComparisonWinner} disabled={isLoading} />
+  )
+
+  return (
+    <section className="chat-messages">
+      {systemPrompt && (
+        <div className="system-prompt-banner">
+          <div className="system-prompt-banner-header">
+            <strong>System prompt</strong>
+            <button className="btn-small btn-secondary" onClick={() => setEditingSystemPrompt(true)}>Edit</button>
+          </div>
+          <p>{systemPrompt}</p>
+        </div>
+      )}
+      {statusBanner && statusBanner.type === 'escalation' && (
+        <div className="status-banner status-banner-stronger">
+          <div className="status-banner-title">
+            Trying a stronger model...
+          </div>
+          <div className="status-banner-body">
+            {(statusBanner.messages || []).map((msg, idx) => (
+              <span key={idx} className="status-chip">{msg}</span>
+            ))}
+            {statusBanner.models && statusBanner.models.length > 0 && (
+              <div className="models-tried">
+                {statusBanner.models.map((mName, idx) => (
+                  <span key={mName + idx} className="model-chip">
+                    {idx === 0 ? 'Default model' : 'Stronger model'}: {mName}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+      {showLimitWarning && (
+        <div className="limit-warning-banner">
+          <span className="warning-icon">⚠️</span>
+          <span className="warning-message">{limitWarningMessage}</span>
+          <div className="warning-actions">
+            <button className="btn-small btn-primary" onClick={() => openSettingsTab('billing')}>
+              Upgrade
+            </button>
+            <button className="btn-small btn-secondary" onClick={() => setShowLimitWarning(false)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+      {messages.length === 0 ? (
+        <div className="empty-state">
+          <h3>Vector! 👋</h3>
+          <p>Start a conversation by typing a message below.</p>
+          <div className="company-logos">
+            <img src={googleIcon} alt="Google" className="vendor-icon" />
+            <img src={deepseekIcon} alt="DeepSeek" className="vendor-icon" />
+            <img src={ollamaIcon} alt="Ollama" className="vendor-icon" />
+            <img src={metaIcon} alt="Meta" className="vendor-icon" />
+            <img src={anthropicIcon} alt="Anthropic" className="vendor-icon" />
+          </div>
+        </div>
+      ) : (
+        messages.map((m, idx) => (
+          <div
+            key={m.id}
+            id={`message-${m.id}`}
+            className={String(highlightedMessageId) === String(m.id) ? 'message-search-highlight' : ''}
+          >
+            <div
+              className={`chat-message ${m.role === 'user' ? 'chat-message-user' : 'chat-message-assistant'}`}
+            >
+              <div className="avatar">
+                {m.role === 'user' ? (
+                  <span className="avatar-initial">U</span>
+                ) : (
+                  <span className="avatar-initial">AI</span>
+                )}
+              </div>
+              <div className="chat-bubble">
+                <div className={`chat-bubble-content ${m.isStreaming ? 'streaming' : ''}`}>
+                  {m.isThinking ? (
+                    <>
+                      <div className="thinking-indicator">
+                        {m.thinkingStatus ? (
+                          <div className="current-step">
+                            {m.thinkingStatus}
+                          </div>
+                        ) : (
+                          <>
+                            <span className="thinking-text">Thinking</span>
+                            <span className="thinking-dots">
+                              <span className="dot"></span>
+                              <span className="dot"></span>
+                              <span className="dot"></span>
+                            </span>
+                          </>
+                        )}
+                      </div>
+                      {/* Chain-of-Thought banner underneath thinking */}
+                      {statusBanner && statusBanner.type === 'info' && statusBanner.steps && statusBanner.steps.length > 0 && (
+                        <div className="chain-of-thought-inline">
+                          <div className="chain-flow">
+                            {statusBanner.steps.map((step, idx) => {
+                              let stepText = step.message
+
+                              // Check for NOT ALLOWED first (before ALLOWED, since "NOT ALLOWED" contains "ALLOWED")
+                              if (step.message.includes('NOT ALLOWED')) {
+                                // Use the exact message from backend (already includes ❌ and description)
+                                stepText = step.message
+                              } else if (step.message.includes('ORCHESTRATOR ANALYSIS')) {
+                                stepText = '🔍 ORCHESTRATOR ANALYSIS'
+                              } else if (step.message.includes('Classifying')) {
+                                stepText = 'Stage 1 - Prompt Classification: Classifying the prompt'
+                              } else if (step.message.includes('Safety') || step.message.includes('🛡️')) {
+                                stepText = '🛡️ Safety Classification'
+                              } else if (step.message.includes('RISK')) {
+                                stepText = 'RISK CALCULATION'
+                              } else if (step.message.includes('ALLOWED')) {
+                                // Only show ALLOWED if it's actually allowed (not NOT ALLOWED)
+                                stepText = step.message // Use backend message directly
+                              } else if (step.message.includes('Finding')) {
+                                stepText = 'Stage 3 - Smart Routing: Finding the best model'
+                              } else if (step.message.startsWith('Using model:') || step.modelName) {
+                                const modelName = step.modelName || step.message.replace('Using model: ', '') || 'model'
+                                stepText = `Stage 4 - Model Selection: 🧑‍💻 ${modelName} → 🔥 Prompt Optimized → 💯 Continue`
+                              } else if (step.message.includes('Sharing')) {
+                                stepText = 'Stage 5 - Response Generation: Sharing the output'
+                              }
+
+                              return (
+                                <span key={idx} className="chain-step-inline">
+                                  {idx > 0 && <span className="chain-arrow"> → </span>}
+                                  <span className="chain-step-text">{stepText}</span>
+                                </span>
+                              )
+                            })}
+                          </div>
+                        </div>
+                      )}
+                    </>
+                  ) : editingMessage?.id === m.id ? (
+                    <div className="message-edit">
+                      <textarea
+                        className="message-edit-input"
+                        value={editingMessage.text}
+                        autoFocus
+                        rows={Math.min(10, Math.max(2, editingMessage.text.split('\n').length))}
+                        onChange={(e) => setEditingMessage(prev => ({ ...prev, text: e.target.value }))}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Escape') {
+                            setEditingMessage(null)
+                          } else if (e.key === 'Enter' && !e.shiftKey) {
+                            e.preventDefault()
+                            handleEditAndResend(m.id, editingMessage.text, editingMessage.attachments)
+                          }
+                        }}
+                      />
+                      {editingMessage.attachments.length > 0 && (
+                        <AttachmentList
+                          attachments={editingMessage.attachments}
+                          onRemove={(id) => setEditingMessage(prev => ({ ...prev, attachments: prev.attachments.filter(a => a.id !== id) }))}
+                          className="message-edit-attachments"
+                        />
+                      )}
+                      <div className="message-edit-actions">
+                        <button type="button" className="btn-secondary" onClick={() => setEditingMessage(null)}>
+                          Cancel
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-primary"
+                          disabled={isLoading || (!editingMessage.text.trim() && editingMessage.attachments.length === 0)}
+                          onClick={() => handleEditAndResend(m.id, editingMessage.text, editingMessage.attachments)}
+                        >
+                          Save &amp; send
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <>
+                      {m.attachments?.length > 0 && (
+                        <AttachmentList attachments={m.attachments} className="message-attachments" />
+                      )}
+                      {/* While streaming, code_blocks aren't known yet - close any open fence so it renders as code */}
+                      {(m.content || !m.attachments?.length) && (
+                        <MessageMarkdown
+                          content={m.isStreaming ? closeOpenCodeFence(m.content) : m.content}
+                          codeBlocks={m.code_blocks}
+                          streaming={m.isStreaming}
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {m.branch && (
+              <div className={`branch-nav ${m.role === 'user' ? 'branch-nav-user' : ''}`}>
+                <button
+                  className="branch-nav-btn"
+                  onClick={() => selectBranch(m.branch.key, m.branch.index - 1)}
+                  disabled={m.branch.index === 0 || isLoading}
+                  title="Previous version"
+                >
+                  &lsaquo;
+                </button>
+                <span className="branch-nav-count">{m.branch.index + 1}/{m.branch.total}</span>
+                <button
+                  className="branch-nav-btn"
+                  onClick={() => selectBranch(m.branch.key, m.branch.index + 1)}
+                  disabled={m.branch.index === m.branch.total - 1 || isLoading}
+                  title="Next version"
+                >
+                  &rsaquo;
+                </button>
+              </div>
+            )}
+
+            {m.role === 'user' && editingMessage?.id !== m.id && !isLoading && (
+              <div className="message-actions message-actions-user">
+                <button
+                  className="action-btn"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => setEditingMessage({ id: m.id, text: m.content || '', attachments: m.attachments || [] })}
+                  title="Edit message"
+                >
+                  <svg viewBox="0 0 24 24" fill="currentColor" className="action-icon">
+                    <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04a1 1 0 0 0 0-1.41l-2.34-2.34a1 1 0 0 0-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+                  </svg>
+                  Edit
+                </button>
+              </div>
+            )}
+
+            {m.role === 'assistant' && (
+              <div className="message-actions">
+              {m.status_messages && m.status_messages.length > 0 && (
+                <div className="status-chips">
+                  {m.status_messages.map((msg, sIdx) => (
+                    <span key={sIdx} className="status-chip">{msg}</span>
+                  ))}
+                </div>
+              )}
+              {m.model_used === 'policy_refusal' && (
+                <div className="safety-notice">
+                  <div className="safety-title">Response blocked for safety</div>
+                  <div className="safety-meta">
+                    {m.domain && <span>Domain: {m.domain}</span>}
+                    {m.risk_score !== undefined && <span>Risk: {m.risk_score}</span>}
+                    {m.adequacy_score !== undefined && <span>Adequacy: {m.adequacy_score}</span>}
+                    {m.is_region_red ? <span className="region-red">Region: Red</span> : null}
+                  </div>
+                </div>
+              )}
+              {(m.models_tried && m.models_tried.length > 0) || m.model_used ? (
+                <div className="model-info">
+                  <span className="model-chip">Default model: {m.models_tried && m.models_tried.length > 0 ? (typeof m.models_tried[0] === 'string' ? m.models_tried[0] : (m.models_tried[0].model || 'default model')) : (m.model_used || 'default model')}</span>
+                  {m.models_tried && m.models_tried.length > 1 && (
+                    <span className="model-chip stronger">Stronger model: {typeof m.models_tried[m.models_tried.length - 1] === 'string' ? m.models_tried[m.models_tried.length - 1] : (m.models_tried[m.models_tried.length - 1].model || 'default model')}</span>
+                  )}
+                  {generationParams[m.id] && (
+                    <span className="model-chip generation-chip" title="Sampling settings this answer was generated with">
+                      {describeParams(generationParams[m.id])}
+                    </span>
+                  )}
+                </div>
+              ) : null}
+                    <button
+                  className={`action-btn ${messageActions[m.id] === 'regenerating' ? 'regenerating' : ''}`}
+                  onMouseDown={(e) => e.preventDefault()}
+                  disabled={messageActions[m.id] === 'regenerating' || isLoading}
+                      onClick={() => {
+                    if (messageActions[m.id] !== 'regenerating' && !isLoading) {
+                      // Find the user message that prompted this assistant response
+                      // Look backwards from current message to find the preceding user message
+                      let prevUserMsg = null
+                      for (let i = idx - 1; i >= 0; i--) {
+                        if (messages[i].role === 'user') {
+                          prevUserMsg = messages[i]
+                          break
+                        }
+                      }
+                      if (prevUserMsg) {
+                          handleRegenerateResponse(m.id, prevUserMsg.content)
+                      } else {
+                        console.error('Could not find user message for regeneration')
+                      }
+                        }
+                      }}
+                      title="Regenerate response"
+                    >
+                  {messageActions[m.id] === 'regenerating' ? (
+                    <>
+                      <svg viewBox="0 0 24 24" fill="currentColor" className="action-icon spinning">
+                        <path d="M12 4V1L8 5l4 4V6c3.31 0 6 2.69 6 6 0 1.01-.25 1.97-.7 2.8l1.46 1.46C19.54 15.03 20 13.57 20 12c0-4.42-3.58-8-8-8zm0 14c-3.31 0-6-2.69-6-6 0-1.01.25-1.97.7-2.8L5.24 7.74C4.46 8.97 4 10.43 4 12c0 4.42 3.58 8 8 8v3l4-4-4-4v3z"/>
+                      </svg>
+                      Regenerating...
+                    </>
+                  ) : (
+                    <>
+                      <svg viewBox="0 0 24 24" fill="currentColor" className="action-icon">
+                        <path d="M12 4V1L8 5l4 4V6c3.31 0 6 2.69 6 6 0 1.01-.25 1.97-.7 2.8l1.46 1.46C19.54 15.03 20 13.57 20 12c0-4.42-3.58-8-8-8zm0 14c-3.31 0-6-2.69-6-6 0-1.01.25-1.97.7-2.8L5.24 7.74C4.46 8.97 4 10.43 4 12c0 4.42 3.58 8 8 8v3l4-4-4-4v3z"/>
+                      </svg>
+                      Regenerate
+                    </>
+                  )}
+                    </button>
+
+                    <button
+                  className={`action-btn ${messageActions[m.id] === 'liked' ? 'liked' : ''}`}
+                  onMouseDown={(e) => e.preventDefault()}
+                  disabled={messageActions[m.id] === 'regenerating' || isLoading}
+                  onClick={() => {
+                    if (messageActions[m.id] !== 'regenerating' && !isLoading) {
+                      handleThumbsUp(m.id, currentSessionId)
+                    }
+                  }}
+                      title={messageActions[m.id] === 'liked' ? 'Remove rating' : 'Good response'}
+                    >
+                      <svg viewBox="0 0 24 24" fill="currentColor" className="action-icon">
+                        <path d="M1 21h4V9H1v12zm22-11c0-1.1-.9-2-2-2h-6.31l.95-4.57.03-.32c0-.41-.17-.79-.44-1.06L14.17 1 7.59 7.59C7.22 7.95 7 8.45 7 9v10c0 1.1.9 2 2 2h9c.83 0 1.54-.5 1.84-1.22l3.02-7.05c.09-.23.14-.47.14-.73v-2z"/>
+                      </svg>
+                  {messageActions[m.id] === 'liked' ? 'Liked' : 'Good'}
+                    </button>
+
+                <button
+                  className={`action-btn ${messageActions[m.id] === 'disliked' ? 'disliked' : ''}`}
+                  onMouseDown={(e) => e.preventDefault()}
+                  disabled={messageActions[m.id] === 'regenerating' || isLoading}
+                  onClick={() => {
+                    if (messageActions[m.id] !== 'regenerating' && !isLoading) {
+                      handleThumbsDown(m.id, currentSessionId)
+                    }
+                  }}
+                  title={messageActions[m.id] === 'disliked' ? 'Change or remove feedback' : 'Bad response'}
+                >
+                  <svg viewBox="0 0 24 24" fill="currentColor" className="action-icon">
+                    <path d="M15 3H6c-.83 0-1.54.5-1.84 1.22l-3.02 7.05c-.09.23-.14.47-.14.73v2c0 1.1.9 2 2 2h6.31l-.95 4.57-.03.32c0 .41.17.79.44 1.06L9.83 23l6.59-6.59c.38-.38.59-.88.59-1.41V5c0-1.1-.9-2-2-2zm4 0v12h4V3h-4z"/>
+                  </svg>
+                  {messageActions[m.id] === 'disliked' ? 'Disliked' : 'Bad'}
+                </button>
+
+                {routingTraceFor(m) && (
+                  <button
+                    className={`action-btn ${openRoutingPanels[m.id] ? 'active' : ''}`}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => setOpenRoutingPanels(prev => ({ ...prev, [m.id]: !prev[m.id] }))}
+                    title="Show how auto mode picked the model for this answer"
+                  >
+                    Why this model?
+                  </button>
+                )}
+              </div>
+            )}
+            {m.role === 'assistant' && openRoutingPanels[m.id] && routingTraceFor(m) && (
+              <RoutingPanel trace={routingTraceFor(m)} escalation={escalationInfo[m.id]} />
+            )}
+            {sessionCompareRuns.filter(run => run.afterMessageId === m.id).map(renderComparisonRun)}
+          </div>
+        ))
+      )}
+      {sessionCompareRuns.filter(run => !messages.some(m => m.id === run.afterMessageId)).map(renderComparisonRun)}
+
+      <div ref={messagesEndRef} />
+    </section>
+  )
+}
+
+export default ChatMessages
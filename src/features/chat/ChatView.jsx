@@ -0,0 +1,77 @@
+import { useRef } from 'react'
+import { useAppStore } from '../../store'
+import UserMenu from '../auth/UserMenu'
+import { setEditingSystemPrompt } from '../sessions/state'
+import ChatMessages from './ChatMessages'
+import Composer from './Composer'
+import { addAttachments } from './actions'
+import { setIsDraggingFiles } from './state'
+
+// Drag-and-drop anywhere on the chat
+const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+
+// The chat column: header, conversation and composer
+const ChatView = () => {
+  const isDraggingFiles = useAppStore(s => s.chat.isDraggingFiles)
+  const currentSessionId = useAppStore(s => s.sessions.currentSessionId)
+  const hasSystemPrompt = useAppStore(s => Boolean(s.sessions.systemPrompts[s.sessions.currentSessionId]))
+  const dragDepthRef = useRef(0) // dragenter/dragleave fire for every child element
+
+  const handleDragEnter = (e) => {
+    if (!hasDraggedFiles(e)) return
+    e.preventDefault()
+    dragDepthRef.current += 1
+    setIsDraggingFiles(true)
+  }
+
+  const handleDragLeave = (e) => {
+    if (!hasDraggedFiles(e)) return
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0)
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false)
+  }
+
+  const handleDrop = (e) => {
+    if (!hasDraggedFiles(e)) return
+    e.preventDefault()
+    dragDepthRef.current = 0
+    setIsDraggingFiles(false)
+    addAttachments(Array.from(e.dataTransfer.files))
+  }
+
+  return (
+    <main
+      className="chat-layout"
+      onDragEnter={handleDragEnter}
+      onDragOver={(e) => { if (hasDraggedFiles(e)) e.preventDefault() }}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDraggingFiles && (
+        <div className="attachment-drop-overlay">
+          <div className="attachment-drop-message">Drop files to attach</div>
+        </div>
+      )}
+      <header className="chat-header">
+        <div className="header-left">
+          <div className="chat-title">Vector Chat</div>
+          <div className="chat-subtitle">AI-powered conversation interface</div>
+        </div>
+        <button
+          className={`system-prompt-btn ${hasSystemPrompt ? 'active' : ''}`}
+          onClick={() => setEditingSystemPrompt(true)}
+          disabled={!currentSessionId}
+          title={currentSessionId ? 'Instructions for this conversation only' : 'Send a message first to start a conversation'}
+        >
+          System prompt
+        </button>
+        <UserMenu />
+      </header>
+
+      <ChatMessages />
+
+      <Composer />
+    </main>
+  )
+}
+
+export default ChatView
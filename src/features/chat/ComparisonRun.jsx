@@ -0,0 +1,54 @@
+import MessageMarkdown from '../../MessageMarkdown'
+
+// One prompt answered by several models side by side (compare mode)
+const ComparisonRun = ({ run, onPickWinner, disabled }) => {
+  const finished = run.columns.every(col => col.status !== 'loading')
+  return (
+    <div className="compare-run">
+      <div className="compare-run-prompt">
+        <span className="compare-run-label">Compare</span>
+        {run.prompt}
+      </div>
+      <div className="compare-columns" style={{ gridTemplateColumns: `repeat(${run.columns.length}, minmax(0, 1fr))` }}>
+        {run.columns.map((col, idx) => (
+          <div key={col.model} className={`compare-column ${run.winner === idx ? 'winner' : ''}`}>
+            <div className="compare-column-header">
+              <span className="compare-model-name" title={col.modelUsed || col.model}>{col.model}</span>
+              {run.winner === idx && <span className="compare-winner-badge">Winner</span>}
+            </div>
+            <div className="compare-column-body">
+              {col.status === 'loading' && (
+                <span className="thinking-dots">
+                  <span className="dot"></span>
+                  <span className="dot"></span>
+                  <span className="dot"></span>
+                </span>
+              )}
+              {col.status === 'error' && <div className="compare-error">{col.error}</div>}
+              {col.status === 'done' && <MessageMarkdown content={col.content} codeBlocks={col.codeBlocks} />}
+            </div>
+            <div className="compare-metrics">
+              <span title="Time to full answer">{col.latencyMs != null ? `${(col.latencyMs / 1000).toFixed(1)}s` : '–'}</span>
+              <span title="Total tokens">{col.tokens != null ? `${col.tokens.toLocaleString()} tok` : '– tok'}</span>
+              <span title={col.costEstimated ? 'Estimated from the model price' : 'Reported by the backend'}>
+                {col.cost != null ? `${col.costEstimated ? '~' : ''}$${col.cost.toFixed(col.cost < 0.01 ? 5 : 3)}` : '$–'}
+              </span>
+            </div>
+            {col.status === 'done' && (
+              <button
+                className={`action-btn compare-pick-btn ${run.winner === idx ? 'liked' : ''}`}
+                onClick={() => onPickWinner(run.id, idx)}
+                disabled={disabled || !finished || run.winner !== null}
+                title={finished ? 'Mark this answer as the best one' : 'Wait for every model to finish'}
+              >
+                {run.winner === idx ? 'Picked' : 'Pick winner'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ComparisonRun
@@ -0,0 +1,184 @@
+import { useEffect, useRef } from 'react'
+import AttachmentList from '../../AttachmentList'
+import { ACCEPTED_FILE_TYPES } from '../../attachments'
+import { useAppStore } from '../../store'
+import GenerationControls from './GenerationControls'
+import {
+  MAX_COMPARE_MODELS,
+  addAttachments,
+  removeAttachment,
+  toggleCompareModel,
+  sendMessage,
+  cancelRequest
+} from './actions'
+import { setInput, setQueryMode, setSelectedModel, setCompareMode } from './state'
+
+// Query mode toggle, model picker, sampling controls and the message input
+const Composer = () => {
+  const input = useAppStore(s => s.chat.input)
+  const isLoading = useAppStore(s => s.chat.isLoading)
+  const queryMode = useAppStore(s => s.chat.queryMode)
+  const selectedModel = useAppStore(s => s.chat.selectedModel)
+  const availableModels = useAppStore(s => s.chat.availableModels)
+  const compareMode = useAppStore(s => s.chat.compareMode)
+  const compareModels = useAppStore(s => s.chat.compareModels)
+  const attachments = useAppStore(s => s.chat.attachments)
+  const textareaRef = useRef(null)
+  const fileInputRef = useRef(null)
+
+  // Grow with the text up to a limit; clearing the input after a send shrinks it back
+  useEffect(() => {
+    const textarea = textareaRef.current
+    if (textarea) {
+      textarea.style.height = 'auto'
+      const scrollHeight = textarea.scrollHeight
+      textarea.style.height = `${Math.min(scrollHeight, 200)}px`
+    }
+  }, [input])
+
+  return (
+    <footer className="chat-input-wrapper">
+      <div className="query-mode-toggle">
+        <button
+          className={`mode-btn ${queryMode === 'normal' ? 'active' : ''}`}
+          onClick={() => setQueryMode('normal')}
+          title="Normal Query (mistral:7b)"
+        >
+          <svg className="mode-icon-svg" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm-1-13h2v6h-2zm0 8h2v2h-2z"/>
+          </svg>
+        </button>
+        <button
+          className={`mode-btn ${queryMode === 'web_search' ? 'active' : ''}`}
+          onClick={() => setQueryMode('web_search')}
+          title="Web Search"
+        >
+          <svg className="mode-icon-svg" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 17.93c-3.95-.49-7-3.85-7-7.93 0-.62.08-1.21.21-1.79L9 15v1c0 1.1.9 2 2 2v1.93zm6.9-2.54c-.26-.81-1-1.39-1.9-1.39h-1v-3c0-.55-.45-1-1-1H8v-2h2c.55 0 1-.45 1-1V7h2c1.1 0 2-.9 2-2v-.41c2.93 1.19 5 4.06 5 7.41 0 2.08-.8 3.97-2.1 5.39z"/>
+          </svg>
+        </button>
+        <button
+          className={`mode-btn ${queryMode === 'code' ? 'active' : ''}`}
+          onClick={() => setQueryMode('code')}
+          title="Code Assistant (codellama:7b)"
+        >
+          <svg className="mode-icon-svg" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z"/>
+          </svg>
+        </button>
+      </div>
+      <form className="chat-input-form" onSubmit={sendMessage}>
+        <div className="model-select-wrapper">
+          {compareMode ? (
+            <div className="compare-model-picker">
+              {availableModels.map((model) => {
+                const picked = compareModels.includes(model.model_name)
+                return (
+                  <button
+                    type="button"
+                    key={model.model_name}
+                    className={`compare-model-chip ${picked ? 'selected' : ''}`}
+                    onClick={() => toggleCompareModel(model.model_name)}
+                    disabled={isLoading || (!picked && compareModels.length >= MAX_COMPARE_MODELS)}
+                  >
+                    {model.model_name} {model.cost_per_1M_tokens > 0 ? `($${model.cost_per_1M_tokens}/1M)` : '(Free)'}
+                  </button>
+                )
+              })}
+              <span className="compare-model-hint">{compareModels.length}/{MAX_COMPARE_MODELS} picked - choose 2 to {MAX_COMPARE_MODELS}</span>
+            </div>
+          ) : (
+            <select
+              className="model-select"
+              value={selectedModel}
+              onChange={(e) => setSelectedModel(e.target.value)}
+              disabled={isLoading}
+            >
+              <option value="auto">Auto (Recommended)</option>
+              {availableModels.map((model) => (
+                <option key={model.model_name} value={model.model_name}>
+                  {model.model_name} {model.cost_per_1M_tokens > 0 ? `($${model.cost_per_1M_tokens}/1M)` : '(Free)'}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            className={`compare-toggle-btn ${compareMode ? 'active' : ''}`}
+            onClick={() => setCompareMode(prev => !prev)}
+            disabled={isLoading}
+            title="Send each prompt to several models and compare the answers"
+          >
+            Compare
+          </button>
+          <GenerationControls />
+        </div>
+        {attachments.length > 0 && (
+          <AttachmentList attachments={attachments} onRemove={removeAttachment} className="attachment-tray" />
+        )}
+        <div className="chat-input-container">
+          <textarea
+            ref={textareaRef}
+            className="chat-input"
+            placeholder="Send a message..."
+            rows={1}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault()
+                sendMessage(e)
+              }
+            }}
+            onPaste={(e) => {
+              // Pasted files (screenshots, copied files) become attachments; plain text pastes as usual
+              const files = Array.from(e.clipboardData.items)
+                .filter(item => item.kind === 'file')
+                .map(item => item.getAsFile())
+                .filter(Boolean)
+              if (files.length) {
+                e.preventDefault()
+                addAttachments(files)
+              }
+            }}
+          />
+          <input
+            type="file"
+            ref={fileInputRef}
+            accept={ACCEPTED_FILE_TYPES}
+            multiple
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              addAttachments(Array.from(e.target.files || []))
+              e.target.value = '' // so picking the same file again still fires onChange
+            }}
+          />
+          <button
+            type="button"
+            className="image-upload-btn"
+            onClick={() => fileInputRef.current?.click()}
+            title="Attach files"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+            </svg>
+          </button>
+        </div>
+        {isLoading ? (
+          <button type="button" className="send-btn stop-btn" onClick={cancelRequest}>⏹</button>
+        ) : (
+          <button
+            type="submit"
+            className="send-btn"
+            disabled={(!input.trim() && attachments.length === 0) || (compareMode && compareModels.length < 2)}
+          >➤</button>
+        )}
+      </form>
+      <p className="chat-input-helper">
+        Vector may produce inaccurate information about people, places, or facts.
+      </p>
+    </footer>
+  )
+}
+
+export default Composer
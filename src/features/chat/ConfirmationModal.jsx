@@ -0,0 +1,75 @@
+import { getState, useAppStore } from '../../store'
+import { selectEscalationLimit } from '../../store/selectors'
+import { fetchUsageSummary } from '../billing/actions'
+import { confirmInternetCall, loadSession } from './actions'
+import { setIsLoading, setCodeBlocksCache, setEscalationInfo, setPendingConfirmation, setShowConfirmationModal } from './state'
+
+// The backend asks before a prompt goes out to the internet
+const ConfirmationModal = () => {
+  const showConfirmationModal = useAppStore(s => s.chat.showConfirmationModal)
+  const pendingConfirmation = useAppStore(s => s.chat.pendingConfirmation)
+
+  if (!showConfirmationModal || !pendingConfirmation) return null
+
+  const handleConfirm = async () => {
+    setIsLoading(true)
+    const result = await confirmInternetCall(
+      pendingConfirmation.confirmationId,
+      true,
+      pendingConfirmation.chatInput
+    )
+
+    if (result) {
+      // Store code_blocks if provided
+      if (result.message_id && result.code_blocks && result.code_blocks.length > 0) {
+        setCodeBlocksCache(prev => ({
+          ...prev,
+          [result.message_id]: result.code_blocks
+        }))
+      }
+
+      // Store escalation info if provided
+      if (result.message_id && result.escalation_level !== undefined) {
+        setEscalationInfo(prev => ({
+          ...prev,
+          [result.message_id]: {
+            currentLevel: result.escalation_level,
+            maxLevel: selectEscalationLimit(getState()),
+            model: result.model_used || 'Unknown'
+          }
+        }))
+      }
+
+      // Refresh usage
+      await fetchUsageSummary()
+
+      // Reload session
+      await loadSession(getState().sessions.currentSessionId)
+    }
+
+    setShowConfirmationModal(false)
+    setPendingConfirmation(null)
+    setIsLoading(false)
+  }
+
+  const handleCancel = () => {
+    setShowConfirmationModal(false)
+    setPendingConfirmation(null)
+    setIsLoading(false)
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content confirmation-modal">
+        <h2>Internet Call Required</h2>
+        <p>{pendingConfirmation.message}</p>
+        <div className="confirmation-actions">
+          <button className="btn-secondary" onClick={handleCancel}>Cancel</button>
+          <button className="btn-primary" onClick={handleConfirm}>Proceed with Internet</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConfirmationModal
@@ -0,0 +1,89 @@
+import { useState } from 'react'
+import { FEEDBACK_CATEGORIES } from '../../feedback'
+import { useAppStore } from '../../store'
+import { submitFeedback, retractFeedback } from './actions'
+import { setFeedbackDialog } from './state'
+
+// What was wrong with an answer - opened by its thumbs down. Re-opening it on a
+// rated answer edits that rating, or removes it.
+const FeedbackDialog = () => {
+  const { messageId, sessionId } = useAppStore(s => s.chat.feedbackDialog)
+  const existing = useAppStore(s => s.chat.messageFeedback[messageId])
+  const previous = existing?.rating === 'dislike' ? existing : null
+  const [categories, setCategories] = useState(previous?.categories || [])
+  const [comment, setComment] = useState(previous?.comment || '')
+  const [idealAnswer, setIdealAnswer] = useState(previous?.idealAnswer || '')
+
+  const handleClose = () => setFeedbackDialog(null)
+
+  const toggleCategory = (key) => {
+    setCategories(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]))
+  }
+
+  const handleSubmit = () => {
+    submitFeedback(messageId, sessionId, {
+      rating: 'dislike',
+      categories,
+      comment: comment.trim(),
+      idealAnswer: idealAnswer.trim()
+    })
+    handleClose()
+  }
+
+  const handleRemove = () => {
+    retractFeedback(messageId)
+    handleClose()
+  }
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content feedback-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>What was wrong with this answer?</h3>
+        <div className="feedback-categories">
+          {FEEDBACK_CATEGORIES.map(category => (
+            <button
+              key={category.key}
+              type="button"
+              className={`feedback-category ${categories.includes(category.key) ? 'selected' : ''}`}
+              onClick={() => toggleCategory(category.key)}
+            >
+              {category.label}
+            </button>
+          ))}
+        </div>
+        <label className="feedback-field">
+          <span>Comment</span>
+          <textarea
+            rows={3}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What happened?"
+          />
+        </label>
+        <label className="feedback-field">
+          <span>Ideal answer (optional)</span>
+          <textarea
+            rows={5}
+            value={idealAnswer}
+            onChange={(e) => setIdealAnswer(e.target.value)}
+            placeholder="The answer you expected"
+          />
+        </label>
+        <p className="export-hint">Feedback helps tune which model answers which prompts.</p>
+        <div className="confirmation-actions">
+          {existing && (
+            <button className="btn-secondary feedback-remove-btn" onClick={handleRemove}>
+              Remove feedback
+            </button>
+          )}
+          <button className="btn-secondary" onClick={handleClose}>Cancel</button>
+          <button className="btn-primary" onClick={handleSubmit}>
+            {previous ? 'Update feedback' : 'Send feedback'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FeedbackDialog
@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from 'react'
+import {
+  BUILTIN_DEFAULTS,
+  MAX_STOP_SEQUENCES,
+  PARAM_LIMITS,
+  describeParams,
+  isBuiltinDefault,
+  paramsForMode
+} from '../../generation'
+import { MODE_LABELS } from '../../modes'
+import { useAppStore } from '../../store'
+import { saveGenerationDefaults } from '../settings/actions'
+import { setGenerationOverrides } from './state'
+
+// "Advanced" next to the model picker: sampling params for the current mode.
+// Edits apply to the next prompts of this visit; "Save as default" keeps them
+// for the mode in the user's settings.
+const GenerationControls = () => {
+  const queryMode = useAppStore(s => s.chat.queryMode)
+  const selectedModel = useAppStore(s => s.chat.selectedModel)
+  const compareMode = useAppStore(s => s.chat.compareMode)
+  const isLoading = useAppStore(s => s.chat.isLoading)
+  const generationDefaults = useAppStore(s => s.settings.generationDefaults)
+  const generationOverrides = useAppStore(s => s.chat.generationOverrides)
+  const [open, setOpen] = useState(false)
+  const [saveStatus, setSaveStatus] = useState(null) // saving | saved | local
+  const popoverRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const handleClickOutside = (event) => {
+      if (popoverRef.current && !popoverRef.current.contains(event.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [open])
+
+  const params = paramsForMode(generationDefaults, generationOverrides, queryMode)
+  // Inputs show the edits as typed (e.g. a stop sequence line still empty)
+  const draft = generationOverrides[queryMode] || params
+  const edited = Boolean(generationOverrides[queryMode])
+  const customised = !isBuiltinDefault(params, queryMode)
+
+  const update = (changes) => {
+    setGenerationOverrides(prev => ({ ...prev, [queryMode]: { ...draft, ...changes } }))
+    setSaveStatus(null)
+  }
+
+  const discardEdits = () => {
+    setGenerationOverrides(prev => {
+      const next = { ...prev }
+      delete next[queryMode]
+      return next
+    })
+  }
+
+  const handleSaveDefault = async () => {
+    setSaveStatus('saving')
+    const synced = await saveGenerationDefaults(queryMode, params)
+    discardEdits()
+    setSaveStatus(synced ? 'saved' : 'local')
+  }
+
+  return (
+    <div className="generation-controls" ref={popoverRef}>
+      <button
+        type="button"
+        className={`compare-toggle-btn generation-toggle-btn ${customised ? 'customised' : ''}`}
+        onClick={() => setOpen(prev => !prev)}
+        disabled={isLoading}
+        title={describeParams(params)}
+      >
+        Advanced
+      </button>
+      {open && (
+        <div
+          className="generation-popover"
+          // Enter in a field must not send the message
+          onKeyDown={(e) => { if (e.key === 'Enter' && e.target.tagName === 'INPUT') e.preventDefault() }}
+        >
+          <div className="generation-popover-title">
+            Sampling · {MODE_LABELS[queryMode] || queryMode} mode
+            {edited && <span className="generation-edited">edited</span>}
+          </div>
+          <label className="generation-field">
+            <span>Temperature <strong>{params.temperature}</strong></span>
+            <input
+              type="range"
+              {...PARAM_LIMITS.temperature}
+              value={params.temperature}
+              onChange={(e) => update({ temperature: Number(e.target.value) })}
+            />
+          </label>
+          <label className="generation-field">
+            <span>Top-p <strong>{params.top_p}</strong></span>
+            <input
+              type="range"
+              {...PARAM_LIMITS.top_p}
+              value={params.top_p}
+              onChange={(e) => update({ top_p: Number(e.target.value) })}
+            />
+          </label>
+          <label className="generation-field">
+            <span>Max output tokens</span>
+            <input
+              type="number"
+              min={PARAM_LIMITS.max_tokens.min}
+              max={PARAM_LIMITS.max_tokens.max}
+              placeholder="Model default"
+              value={draft.max_tokens ?? ''}
+              onChange={(e) => update({ max_tokens: e.target.value === '' ? null : Number(e.target.value) })}
+            />
+          </label>
+          <label className="generation-field">
+            <span>Stop sequences</span>
+            <textarea
+              rows={2}
+              placeholder={`One per line, up to ${MAX_STOP_SEQUENCES}`}
+              value={(draft.stop || []).join('\n')}
+              onChange={(e) => update({ stop: e.target.value.split('\n') })}
+            />
+          </label>
+          <label className="generation-checkbox">
+            <input
+              type="checkbox"
+              checked={params.json_mode}
+              onChange={(e) => update({ json_mode: e.target.checked })}
+            />
+            JSON mode - answers come back as one JSON object
+          </label>
+          <p className="export-hint">
+            {compareMode
+              ? 'Every model in the comparison gets these settings.'
+              : selectedModel === 'auto'
+                ? 'Auto still picks the model, among the ones that support these settings.'
+                : `Sent to ${selectedModel} with every prompt.`}
+          </p>
+          <div className="generation-popover-actions">
+            <button type="button" className="btn-small btn-secondary" onClick={() => update(BUILTIN_DEFAULTS[queryMode] || BUILTIN_DEFAULTS.normal)}>
+              Built-in defaults
+            </button>
+            <button type="button" className="btn-small btn-secondary" onClick={discardEdits} disabled={!edited}>
+              Undo edits
+            </button>
+            <button type="button" className="btn-small btn-primary" onClick={handleSaveDefault} disabled={!edited || saveStatus === 'saving'}>
+              {saveStatus === 'saving' ? 'Saving…' : 'Save as default'}
+            </button>
+          </div>
+          {saveStatus === 'saved' && <p className="generation-save-status">Saved as the {MODE_LABELS[queryMode] || queryMode} mode default</p>}
+          {saveStatus === 'local' && <p className="generation-save-status">Saved on this device only - the server didn't accept them</p>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GenerationControls
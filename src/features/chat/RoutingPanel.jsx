@@ -0,0 +1,101 @@
+const formatScore = (score) => (typeof score === 'number' ? score.toFixed(2) : '–')
+
+// "Why this model?" - the routing trace behind one answer
+const RoutingPanel = ({ trace, escalation }) => {
+  const scores = Object.entries(trace.classification?.scores || {}).sort((a, b) => b[1] - a[1])
+  const costs = trace.attempts.filter(a => a.cost != null)
+  const totalCost = costs.reduce((sum, a) => sum + a.cost, 0)
+  const level = escalation?.currentLevel ?? trace.escalationLevel
+
+  return (
+    <div className="routing-panel">
+      <div className="routing-panel-summary">
+        Answered by <strong>{trace.selectedModel || 'unknown model'}</strong>
+        {level > 0 ? ` after ${level} escalation${level === 1 ? '' : 's'}` : ' (default model, no escalation)'}
+        {escalation?.maxLevel != null && ` - your plan allows ${escalation.maxLevel}`}
+      </div>
+
+      {trace.classification && (
+        <div className="routing-section">
+          <div className="routing-section-title">Classification</div>
+          <div className="routing-meta">
+            {trace.classification.domain && <span>Domain: {trace.classification.domain}</span>}
+            {trace.classification.riskScore != null && <span>Risk: {formatScore(trace.classification.riskScore)}</span>}
+            {trace.classification.adequacyScore != null && <span>Adequacy: {formatScore(trace.classification.adequacyScore)}</span>}
+          </div>
+          {scores.length > 0 && (
+            <div className="routing-scores">
+              {scores.map(([label, score]) => (
+                <div key={label} className="routing-score-row">
+                  <span className="routing-score-label">{label}</span>
+                  <div className="routing-score-bar">
+                    <div style={{ width: `${Math.round(Math.min(Math.max(score, 0), 1) * 100)}%` }} />
+                  </div>
+                  <span className="routing-score-value">{formatScore(score)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {trace.candidates.length > 0 && (
+        <div className="routing-section">
+          <div className="routing-section-title">Candidates</div>
+          <table className="routing-table">
+            <thead>
+              <tr><th>Model</th><th>Score</th><th>Reason</th></tr>
+            </thead>
+            <tbody>
+              {trace.candidates.map(c => (
+                <tr key={c.model} className={c.model === trace.selectedModel ? 'selected' : ''}>
+                  <td>{c.model}</td>
+                  <td>{formatScore(c.score)}</td>
+                  <td>{c.reason || '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {trace.attempts.length > 0 && (
+        <div className="routing-section">
+          <div className="routing-section-title">Attempts</div>
+          <table className="routing-table">
+            <thead>
+              <tr><th>Level</th><th>Model</th><th>Result</th><th>Latency</th><th>Tokens</th><th>Cost</th></tr>
+            </thead>
+            <tbody>
+              {trace.attempts.map((a, idx) => (
+                <tr key={`${a.model}-${idx}`}>
+                  <td>{a.level}</td>
+                  <td>{a.model}</td>
+                  <td className={`routing-status-${a.status}`} title={a.reason || ''}>
+                    {a.status}{a.reason ? ` - ${a.reason}` : ''}
+                  </td>
+                  <td>{a.latencyMs != null ? `${(a.latencyMs / 1000).toFixed(1)}s` : '–'}</td>
+                  <td>{a.tokens != null ? a.tokens.toLocaleString() : '–'}</td>
+                  <td>{a.cost != null ? `$${a.cost.toFixed(5)}` : '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+            {costs.length > 0 && (
+              <tfoot>
+                <tr><td colSpan={5}>Total</td><td>${totalCost.toFixed(5)}</td></tr>
+              </tfoot>
+            )}
+          </table>
+        </div>
+      )}
+
+      {trace.legacy && (
+        <div className="routing-legacy-note">
+          Rebuilt from status messages - the backend did not send a structured routing trace for this answer.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RoutingPanel
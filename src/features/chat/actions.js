@@ -0,0 +1,1501 @@
+// ===== CHAT =====
+// Sending prompts (streamed, compare mode, regenerate, edit & resend), loading
+// sessions along their branches, attachments and answer feedback
+import { api, isUnauthorizedError, messagesFrom } from '../../api/client'
+import {
+  loadBranchStore,
+  saveBranchStore,
+  branchParentKey,
+  resolveBranches,
+  addBranchVariant,
+  selectBranchVariant,
+  appendToVariant,
+  hideMessages
+} from '../../branches'
+import {
+  routingTraceFrom,
+  applyRoutingEvent,
+  wasEscalated,
+  attemptedModels,
+  escalationSummary,
+  isEscalationStatus
+} from '../../routing'
+import {
+  validateAttachments,
+  readAttachment,
+  toRequestAttachments,
+  attachmentsFromMessage,
+  formatFileSize
+} from '../../attachments'
+import { canPreprocess, MAX_SOURCE_IMAGE_BYTES } from '../../imageProcessing'
+import { loadSearchIndex, saveSearchIndex, indexEntryFor } from '../../search'
+import {
+  loadFeedbackStore,
+  saveFeedbackStore,
+  mergeFeedback,
+  toFeedbackRequest,
+  actionForRating,
+  ratedExchange
+} from '../../feedback'
+import { recordQualityEvent } from '../../leaderboard'
+import { loadCompareRuns, saveCompareRuns, separateCompareRuns } from '../../compareRuns'
+import { loadSessionPrompts, toRequestInstructions } from '../../instructions'
+import { loadMessageParams, paramsForMode, paramsFromServer, recordMessageParams, toRequestParams } from '../../generation'
+import { getState } from '../../store'
+import { selectEscalationLimit } from '../../store/selectors'
+import { setError } from '../auth/state'
+import { setShowSettings } from '../settings/state'
+import { setCurrentSessionId, setShowSearch, setSystemPrompts } from '../sessions/state'
+import { loadSessions } from '../sessions/actions'
+import { fetchUsageSummary, checkLimit } from '../billing/actions'
+import {
+  setMessages,
+  setInput,
+  setIsLoading,
+  setAvailableModels,
+  setModelsLoading,
+  setCompareModels,
+  setCompareRuns,
+  setGenerationParams,
+  setRoutingTraces,
+  setAttachments,
+  setEditingMessage,
+  setPendingImages,
+  setHighlightedMessageId,
+  setMessageActions,
+  setMessageFeedback,
+  setFeedbackDialog,
+  setRegenerateCounts,
+  setLastModelUsed,
+  setCodeBlocksCache,
+  setEscalationInfo,
+  setStatusBanner,
+  setStatusSteps,
+  setShowLimitWarning,
+  setLimitWarningMessage,
+  setPendingConfirmation,
+  setShowConfirmationModal
+} from './state'
+
+export const MAX_COMPARE_MODELS = 4
+
+// Token usage and cost for one answer. The backend reports these under a few
+// different names depending on the handler, so try each in turn.
+const responseUsage = (data) => {
+  const splitTokens = (data.input_tokens || 0) + (data.output_tokens || 0)
+  return {
+    tokens: data.total_tokens ?? data.tokens_used ?? data.usage?.total_tokens ?? (splitTokens || null),
+    cost: data.cost ?? data.total_cost ?? data.usage?.cost ?? null
+  }
+}
+
+// Escalation banner for a finished answer - null when auto mode kept the default model
+const escalationBannerFrom = (trace) => (wasEscalated(trace)
+  ? { type: 'escalation', messages: escalationSummary(trace), models: attemptedModels(trace) }
+  : null)
+
+// Every answer feeds the model leaderboard (see leaderboard.js)
+const logAnswer = (data, trace, mode) => {
+  if (!data.model_used) return
+  recordQualityEvent(getState().auth.user?.id, { type: 'answer', model: data.model_used, mode, escalated: wasEscalated(trace) })
+}
+
+// Standing instructions sent with every prompt in `sessionId` (see instructions.js)
+const instructionsFor = (sessionId) => toRequestInstructions(
+  getState().settings.customInstructions,
+  getState().sessions.systemPrompts[sessionId]
+)
+
+// Sampling params for the next prompt in the current mode (see generation.js)
+const currentGenerationParams = () => {
+  const { settings, chat } = getState()
+  return paramsForMode(settings.generationDefaults, chat.generationOverrides, chat.queryMode)
+}
+
+// Request state shared by the actions below; none of it is rendered
+const statusTimerRef = { current: null }
+const generationParamsRef = { current: null } // Sampling params of the request in flight, recorded on its answer
+const thinkingMessageIdRef = { current: null }
+const streamBufferRef = { current: '' } // Token deltas not yet flushed into messages
+const streamFrameRef = { current: null } // Pending requestAnimationFrame id for the flush
+const abortControllerRef = { current: null }
+const sessionLoadControllerRef = { current: null } // In-flight loadSession request, aborted when another starts
+const serverMessagesRef = { current: { sessionId: null, messages: [] } } // Last history the backend returned
+const branchLayoutRef = { current: { liveUntil: 0, tailOwner: null } } // Where the shown branch leaves the server's path
+const scrollTargetRef = { current: null } // Message to scroll to once the next load renders, instead of the bottom
+
+// Keep the params an answer was generated with, for reproducing it later
+const recordAnswerParams = (data) => {
+  const params = paramsFromServer(data.generation_params) || generationParamsRef.current
+  if (!data.message_id || !params) return
+  setGenerationParams(prev => ({ ...prev, [data.message_id]: params }))
+  recordMessageParams(getState().auth.user?.id, data.message_id, params)
+}
+
+// Message the next render should scroll to (consumed on read)
+export const takeScrollTarget = () => {
+  const target = scrollTargetRef.current
+  scrollTargetRef.current = null
+  return target
+}
+
+export const fetchAvailableModels = async () => {
+  const { queryMode } = getState().chat
+  setModelsLoading(true)
+  try {
+    const data = await api.chat.availableModels(queryMode)
+    const models = data?.models || []
+    setAvailableModels(models)
+    // Drop compare picks the new mode doesn't offer
+    setCompareModels(prev => prev.filter(name => models.some(m => m.model_name === name)))
+  } catch (err) {
+    console.error('Error fetching available models:', err)
+  } finally {
+    setModelsLoading(false)
+  }
+}
+
+// Add files from the picker, a paste or a drop to the attachment tray.
+// Photos go through the image editor first (resize / re-encode / crop).
+export const addAttachments = async (files, { skipEditor = false } = {}) => {
+  if (!files || files.length === 0) return
+  const all = Array.from(files)
+  const toEdit = skipEditor ? [] : all.filter(canPreprocess)
+  const tooLarge = toEdit.filter(file => file.size > MAX_SOURCE_IMAGE_BYTES)
+  if (toEdit.length) {
+    const queued = toEdit
+      .filter(file => !tooLarge.includes(file))
+      .map(file => ({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, file }))
+    setPendingImages(prev => [...prev, ...queued])
+  }
+
+  const { accepted, errors } = validateAttachments(getState().chat.attachments, all.filter(file => !toEdit.includes(file)))
+  tooLarge.forEach(file => errors.push(`${file.name}: images must be under ${formatFileSize(MAX_SOURCE_IMAGE_BYTES)}`))
+  if (errors.length) alert(errors.join('\n'))
+  if (accepted.length === 0) return
+
+  try {
+    const read = await Promise.all(accepted.map(readAttachment))
+    setAttachments(prev => [...prev, ...read])
+  } catch (err) {
+    console.error('Failed to read attachment:', err)
+    alert('Could not read one of the attached files')
+  }
+}
+
+// The image editor finished (or skipped) the first queued photo
+export const finishPendingImage = (processedFile) => {
+  setPendingImages(prev => prev.slice(1))
+  if (processedFile) addAttachments([processedFile], { skipEditor: true })
+}
+
+export const removeAttachment = (id) => {
+  setAttachments(prev => prev.filter(a => a.id !== id))
+}
+
+export const createNewChat = async () => {
+  const { emailVerificationPending, user } = getState().auth
+  if (emailVerificationPending) return
+  try {
+    const data = await api.sessions.create()
+    setCurrentSessionId(data.session_id)
+    serverMessagesRef.current = { sessionId: data.session_id, messages: [] }
+    branchLayoutRef.current = { liveUntil: 0, tailOwner: null }
+    setMessages([{
+      id: Date.now(),
+      role: 'assistant',
+      content: "Hi, I'm your AI assistant. Ask me anything!"
+    }])
+    await loadSessions(user.id)
+  } catch (err) {
+    console.error('Failed to create new chat:', err)
+  }
+}
+
+// Lay out `serverMessages` along the selected branches, remember the result
+// and return the messages to show
+const applyBranchLayout = (sessionId, serverMessages, store) => {
+  const resolved = resolveBranches(serverMessages, store)
+  saveBranchStore(sessionId, resolved.store)
+  serverMessagesRef.current = { sessionId, messages: serverMessages }
+  branchLayoutRef.current = { liveUntil: resolved.liveUntil, tailOwner: resolved.tailOwner }
+  return resolved.messages
+}
+
+// `updateBranches(store, serverMessages, newMessages)` lets a caller fork the
+// conversation once the reloaded history is known
+export const loadSession = async (sessionId, updateBranches) => {
+  const { user } = getState().auth
+  const { sessions } = getState().sessions
+  const { codeBlocksCache } = getState().chat
+  // Switching sessions quickly must not let an older response overwrite a newer one
+  if (sessionLoadControllerRef.current) sessionLoadControllerRef.current.abort()
+  const controller = new AbortController()
+  sessionLoadControllerRef.current = controller
+  try {
+    const responseData = await api.sessions.get(sessionId, { signal: controller.signal })
+    setCurrentSessionId(sessionId)
+
+    // The session's system prompt - the backend's copy when it keeps one
+    const serverPrompt = !Array.isArray(responseData) && typeof responseData.system_prompt === 'string' ? responseData.system_prompt : null
+    const systemPrompt = serverPrompt ?? loadSessionPrompts(user?.id)[sessionId] ?? ''
+    setSystemPrompts(prev => ({ ...prev, [sessionId]: systemPrompt }))
+
+    const messages = messagesFrom(responseData)
+
+    // Format messages and merge code_blocks from cache
+    const formattedMessages = messages.map(msg => {
+      const dbId = msg.id
+
+      if (!dbId) {
+        console.warn('Message missing database ID:', msg)
+      }
+
+      // Merge code_blocks from cache if available (from message response)
+      const cachedCodeBlocks = codeBlocksCache[dbId]
+
+      const statusMessages = msg.status_messages || []
+
+      return {
+        id: dbId,
+        role: msg.role,
+        content: msg.content,
+        code_blocks: cachedCodeBlocks || msg.code_blocks || [],
+        status_messages: statusMessages,
+        models_tried: msg.models_tried || [],
+        domain: msg.domain,
+        risk_score: msg.risk_score,
+        adequacy_score: msg.adequacy_score,
+        is_region_red: msg.is_region_red,
+        model_used: msg.model_used,
+        routing_trace: msg.routing_trace,
+        compare_group_id: msg.compare_group_id,
+        attachments: attachmentsFromMessage(msg)
+      }
+    })
+
+    // Compare-mode exchanges show as their columns, not in the thread (see compareRuns.js).
+    // Runs of this session still in flight stay as they are.
+    const { messages: threadMessages, runs } = separateCompareRuns(sessionId, formattedMessages, loadCompareRuns(sessionId))
+    setCompareRuns(prev => [
+      ...prev.filter(run => run.sessionId !== sessionId || (
+        run.columns.some(col => col.status === 'loading') && !runs.some(r => String(r.id) === String(run.id))
+      )),
+      ...runs
+    ])
+
+    // Messages the backend added since the last load of this session
+    const previous = serverMessagesRef.current
+    const knownIds = previous.sessionId === sessionId ? new Set(previous.messages.map(m => String(m.id))) : null
+    const newMessages = knownIds ? threadMessages.filter(m => !knownIds.has(String(m.id))) : []
+
+    let branchStore = loadBranchStore(sessionId)
+    if (updateBranches) {
+      branchStore = updateBranches(branchStore, threadMessages, newMessages)
+    } else if (newMessages.length && branchLayoutRef.current.tailOwner) {
+      // Sent while an older variant was shown - the exchange continues that variant
+      branchStore = appendToVariant(branchStore, branchLayoutRef.current.tailOwner, newMessages)
+    }
+    const visibleMessages = applyBranchLayout(sessionId, threadMessages, branchStore)
+    restoreFeedback(sessionId, messages)
+    restoreGenerationParams(messages)
+
+    // Keep the local search index (see search.js) current for sessions that get opened
+    if (user?.id) {
+      const searchIndex = loadSearchIndex(user.id)
+      if (Object.keys(searchIndex).length) {
+        const session = sessions.find(s => s.session_id === sessionId) || { session_id: sessionId }
+        saveSearchIndex(user.id, { ...searchIndex, [sessionId]: indexEntryFor(session, messages) })
+      }
+    }
+
+    const latestAssistant = visibleMessages.slice().reverse().find(m => m.role === 'assistant')
+    setStatusBanner(escalationBannerFrom(routingTraceFrom(latestAssistant)))
+
+    setMessages(visibleMessages)
+  } catch (err) {
+    if (err.name !== 'AbortError') console.error('Failed to load session:', err)
+  } finally {
+    if (sessionLoadControllerRef.current === controller) sessionLoadControllerRef.current = null
+  }
+}
+
+// Open a search result: load its session and scroll to / flash the message
+export const openSearchResult = async (result) => {
+  setShowSearch(false)
+  setShowSettings(false)
+  scrollTargetRef.current = result.messageId
+  setHighlightedMessageId(result.messageId)
+  await loadSession(result.sessionId)
+  setTimeout(() => setHighlightedMessageId(prev => (prev === result.messageId ? null : prev)), 3000)
+}
+
+// Show another variant of a forked message (the `< 2/3 >` navigator)
+export const selectBranch = (key, index) => {
+  const { sessionId, messages: serverMessages } = serverMessagesRef.current
+  if (!sessionId || getState().chat.isLoading) return
+  const store = selectBranchVariant(loadBranchStore(sessionId), key, index)
+  setMessages(applyBranchLayout(sessionId, serverMessages, store))
+}
+
+export const cancelRequest = () => {
+  if (abortControllerRef.current) {
+    abortControllerRef.current.abort()
+    abortControllerRef.current = null
+    setIsLoading(false)
+
+    // Remove thinking message if it exists and replace with cancellation message
+    // (keep whatever was already streamed so a partial answer isn't lost)
+    if (thinkingMessageIdRef.current) {
+      const thinkingId = thinkingMessageIdRef.current
+      flushStreamBuffer()
+      setMessages((prev) => prev.map(msg =>
+        msg.id === thinkingId
+          ? { ...msg, isThinking: false, isStreaming: false, content: msg.content || 'Request cancelled by user.' }
+          : msg
+      ))
+      thinkingMessageIdRef.current = null
+    } else {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now() + 1,
+          role: 'assistant',
+          content: 'Request cancelled by user.'
+        }
+      ])
+    }
+
+    setStatusBanner(null)
+    if (statusTimerRef.current) {
+      clearTimeout(statusTimerRef.current)
+    }
+  }
+}
+
+// Append buffered token deltas to the thinking message. Deltas can arrive
+// many times per frame, so they are batched into one state update per frame.
+const flushStreamBuffer = () => {
+  if (streamFrameRef.current) {
+    cancelAnimationFrame(streamFrameRef.current)
+    streamFrameRef.current = null
+  }
+  const text = streamBufferRef.current
+  const messageId = thinkingMessageIdRef.current
+  streamBufferRef.current = ''
+  if (!text || !messageId) return
+
+  setMessages((prev) => prev.map(msg =>
+    msg.id === messageId
+      ? { ...msg, isThinking: false, isStreaming: true, content: (msg.content || '') + text }
+      : msg
+  ))
+}
+
+const appendStreamDelta = (text) => {
+  if (!text || !thinkingMessageIdRef.current) return
+
+  // First token: the answer is arriving, so the "thinking longer" timer is moot
+  if (!streamBufferRef.current && statusTimerRef.current) {
+    clearTimeout(statusTimerRef.current)
+  }
+
+  streamBufferRef.current += text
+  if (!streamFrameRef.current) {
+    streamFrameRef.current = requestAnimationFrame(() => {
+      streamFrameRef.current = null
+      flushStreamBuffer()
+    })
+  }
+}
+
+// Handle SSE events
+const handleSSEEvent = (event) => {
+  switch (event.type) {
+    case 'status': {
+      // Update thinking message in real-time
+      const statusMessage = event.message
+      const modelName = event.model_name || null
+
+      if (thinkingMessageIdRef.current) {
+        // Update the thinking message with the current status step immediately
+        setMessages((prev) => prev.map(msg =>
+          msg.id === thinkingMessageIdRef.current
+            ? { ...msg, thinkingStatus: statusMessage }
+            : msg
+        ))
+
+        // Skip "thinking" and "thinking longer" messages - they're not part of Chain-of-Thought
+        if (statusMessage === 'thinking' || statusMessage === 'thinking longer') {
+          // Don't clear banner for these, just update thinking status
+          return
+        }
+
+        // Add status step to accumulated list and update banner
+        setStatusSteps((prev) => {
+          const newStep = {
+            message: statusMessage,
+            modelName: modelName,
+            timestamp: Date.now()
+          }
+          // Avoid duplicates (same message and model)
+          const exists = prev.some(s =>
+            s.message === statusMessage &&
+            (s.modelName === modelName || (!s.modelName && !modelName))
+          )
+          if (!exists) {
+            const updatedSteps = [...prev, newStep]
+
+            // Update status banner with all accumulated steps
+            const allMessages = updatedSteps.map(s => s.message)
+            const allModels = updatedSteps.filter(s => s.modelName).map(s => s.modelName)
+
+            // Determine banner type
+            const bannerType = isEscalationStatus(event) ? 'escalation' : 'info'
+
+            const bannerData = {
+              type: bannerType,
+              messages: allMessages,
+              models: [...new Set(allModels)], // Remove duplicates
+              steps: updatedSteps // Store full step data for Chain-of-Thought display
+            }
+            setStatusBanner(bannerData)
+
+            return updatedSteps
+          }
+          return prev
+        })
+      }
+      break
+    }
+
+    case 'routing': {
+      // Structured routing step - build the trace for the answer being generated
+      const thinkingId = thinkingMessageIdRef.current
+      if (thinkingId) {
+        setRoutingTraces(prev => ({ ...prev, [thinkingId]: applyRoutingEvent(prev[thinkingId], event) }))
+      }
+      if (event.stage === 'escalation') {
+        setStatusBanner(prev => ({
+          ...(prev || {}),
+          type: 'escalation',
+          messages: prev?.messages || [],
+          models: [...new Set([...(prev?.models || []), event.attempt?.model].filter(Boolean))]
+        }))
+      }
+      break
+    }
+
+    case 'delta':
+    case 'token': {
+      // Incremental answer text - append to the thinking message as it arrives
+      appendStreamDelta(event.delta ?? event.token ?? event.content ?? '')
+      break
+    }
+
+    case 'complete':
+      // Process final response
+      processCompleteResponse(event.result)
+      // Clear status steps and banner after a short delay to show final state
+      setTimeout(() => {
+        setStatusSteps([])
+        setStatusBanner(null)
+      }, 2000)
+      break
+
+    case 'error':
+      // Show error - replace thinking message with error
+      console.error('SSE Error:', event.error)
+      if (thinkingMessageIdRef.current) {
+        const thinkingId = thinkingMessageIdRef.current
+        flushStreamBuffer()
+        setMessages((prev) => prev.map(msg =>
+          msg.id === thinkingId
+            ? {
+                ...msg,
+                isThinking: false,
+                isStreaming: false,
+                content: msg.content ? `${msg.content}\n\nError: ${event.error}` : `Error: ${event.error}`
+              }
+            : msg
+        ))
+        thinkingMessageIdRef.current = null
+      } else {
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: Date.now() + 1,
+            role: 'assistant',
+            content: `Error: ${event.error}`
+          }
+        ])
+      }
+      setIsLoading(false)
+      setStatusBanner(null)
+      if (statusTimerRef.current) {
+        clearTimeout(statusTimerRef.current)
+      }
+      break
+  }
+}
+
+// Process complete response from SSE
+const processCompleteResponse = async (data) => {
+  // Reconcile a streamed answer with the final payload: keep the text on screen
+  // and attach the database id and metadata before the session reload replaces it
+  const streamedMessageId = thinkingMessageIdRef.current
+  if (streamedMessageId) {
+    flushStreamBuffer()
+    setMessages((prev) => prev.map(msg =>
+      msg.id === streamedMessageId && msg.isStreaming
+        ? {
+            ...msg,
+            id: data.message_id || msg.id,
+            content: data.response || data.content || msg.content,
+            isStreaming: false,
+            code_blocks: data.code_blocks || [],
+            status_messages: data.status_messages || [],
+            models_tried: data.models_tried || [],
+            model_used: data.model_used
+          }
+        : msg
+    ))
+  }
+
+  // Store code_blocks in cache using message_id from response
+  if (data.message_id && data.code_blocks && data.code_blocks.length > 0) {
+    setCodeBlocksCache(prev => ({
+      ...prev,
+      [data.message_id]: data.code_blocks
+    }))
+  }
+
+  // The complete payload's trace wins over the one assembled from routing events
+  const finalTrace = data.routing_trace ? routingTraceFrom(data) : null
+  setRoutingTraces(prev => {
+    const trace = finalTrace || (streamedMessageId && prev[streamedMessageId]) || routingTraceFrom(data)
+    const next = { ...prev }
+    if (streamedMessageId) delete next[streamedMessageId]
+    if (data.message_id && trace) next[data.message_id] = trace
+    return next
+  })
+
+  // Update status banner from the routing trace (only show escalation, not thinking)
+  setStatusBanner(escalationBannerFrom(finalTrace || routingTraceFrom(data)))
+  logAnswer(data, finalTrace || routingTraceFrom(data), getState().chat.queryMode)
+  recordAnswerParams(data)
+  if (statusTimerRef.current) {
+    clearTimeout(statusTimerRef.current)
+  }
+
+  // Capture escalation info if present
+  if (data.message_id && (data.models_tried || data.model_used)) {
+    setEscalationInfo(prev => ({
+      ...prev,
+      [data.message_id]: {
+        currentLevel: (data.models_tried && data.models_tried.length > 0) ? data.models_tried.length - 1 : 0,
+        maxLevel: selectEscalationLimit(getState()),
+        model: (data.models_tried && data.models_tried.length > 0)
+          ? (typeof data.models_tried[data.models_tried.length - 1] === 'string'
+            ? data.models_tried[data.models_tried.length - 1]
+            : (data.models_tried[data.models_tried.length - 1].model || 'default model'))
+          : (data.model_used || 'default model')
+      }
+    }))
+  }
+
+  // Store escalation info if provided
+  if (data.message_id && data.escalation_level !== undefined) {
+    setEscalationInfo(prev => ({
+      ...prev,
+      [data.message_id]: {
+        currentLevel: data.escalation_level,
+        maxLevel: selectEscalationLimit(getState()),
+        model: data.model_used || 'Unknown'
+      }
+    }))
+  }
+
+  // Refresh usage after successful request
+  await fetchUsageSummary()
+
+  // Clear thinking message ref - it will be replaced by actual message from loadSession
+  thinkingMessageIdRef.current = null
+
+  // Reload session to get updated messages
+  await loadSession(getState().sessions.currentSessionId)
+
+  setIsLoading(false)
+  if (statusTimerRef.current) {
+    clearTimeout(statusTimerRef.current)
+  }
+}
+
+// Read SSE stream
+const readSSEStream = async (response) => {
+  const reader = response.body?.getReader()
+  const decoder = new TextDecoder()
+
+  if (!reader) {
+    throw new Error('No response body reader available')
+  }
+
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+
+      if (done) {
+        break
+      }
+
+      // Decode chunk
+      buffer += decoder.decode(value, { stream: true })
+
+      // Process complete SSE messages (lines ending with \n\n)
+      const lines = buffer.split('\n\n')
+      buffer = lines.pop() || '' // Keep incomplete line in buffer
+
+      for (const line of lines) {
+        if (line.startsWith('data: ')) {
+          const jsonStr = line.substring(6) // Remove 'data: ' prefix
+          try {
+            const event = JSON.parse(jsonStr)
+            handleSSEEvent(event)
+          } catch (e) {
+            console.error('Failed to parse SSE event:', e, jsonStr)
+            // If parsing fails, it might be a raw error message from backend
+            // Try to handle it as an error event
+            if (jsonStr && jsonStr.trim()) {
+              handleSSEEvent({
+                type: 'error',
+                error: jsonStr.includes('Error') || jsonStr.includes('error')
+                  ? jsonStr
+                  : `Backend error: ${jsonStr}`
+              })
+            }
+          }
+        } else if (line.trim() && !line.startsWith('event:') && !line.startsWith('id:')) {
+          // Handle non-SSE formatted error messages
+          console.error('SSE received non-formatted message:', line)
+          if (line.includes('Error') || line.includes('error') || line.includes('__format__')) {
+            handleSSEEvent({
+              type: 'error',
+              error: line.trim()
+            })
+          }
+        }
+      }
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error('SSE stream error:', err)
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now() + 1,
+          role: 'assistant',
+          content: 'Sorry, there was an error processing your message.'
+        }
+      ])
+    }
+  } finally {
+    reader.releaseLock()
+    setIsLoading(false)
+    // Don't clear status banner immediately - let it show until complete
+    // setStatusBanner(null)
+    // Stream ended without a 'complete' event - settle any partial answer
+    if (thinkingMessageIdRef.current) {
+      const thinkingId = thinkingMessageIdRef.current
+      flushStreamBuffer()
+      setMessages((prev) => prev.map(msg =>
+        msg.id === thinkingId && msg.isStreaming ? { ...msg, isStreaming: false } : msg
+      ))
+    }
+    thinkingMessageIdRef.current = null
+    if (statusTimerRef.current) {
+      clearTimeout(statusTimerRef.current)
+    }
+  }
+}
+
+export const toggleCompareModel = (modelName) => {
+  setCompareModels(prev => {
+    if (prev.includes(modelName)) return prev.filter(name => name !== modelName)
+    if (prev.length >= MAX_COMPARE_MODELS) return prev
+    return [...prev, modelName]
+  })
+}
+
+// Finished runs of `sessionId` survive reloads (see compareRuns.js)
+const persistCompareRuns = (sessionId) => {
+  saveCompareRuns(sessionId, getState().chat.compareRuns.filter(run => run.sessionId === sessionId))
+}
+
+// Compare mode: send the same prompt to every picked model in parallel and
+// show the answers in columns instead of the usual streamed message
+const sendComparison = async (prompt) => {
+  const { currentSessionId } = getState().sessions
+  const { messages, queryMode, compareModels, availableModels, attachments } = getState().chat
+  if (compareModels.length < 2) {
+    setError('Pick at least two models to compare')
+    return
+  }
+
+  const runId = Date.now()
+  const models = compareModels.slice()
+  const updateColumn = (col, patch) => {
+    setCompareRuns(prev => prev.map(run => run.id === runId
+      ? { ...run, columns: run.columns.map((c, idx) => idx === col ? { ...c, ...patch } : c) }
+      : run
+    ))
+  }
+
+  setCompareRuns(prev => [...prev, {
+    id: runId,
+    sessionId: currentSessionId,
+    afterMessageId: messages.length ? messages[messages.length - 1].id : null,
+    prompt: prompt || '[Image uploaded]',
+    mode: queryMode,
+    columns: models.map(model => ({ model, status: 'loading' })),
+    winner: null
+  }])
+  setInput('')
+  setIsLoading(true)
+
+  const controller = new AbortController()
+  abortControllerRef.current = controller
+
+  const baseBody = {
+    query: prompt,
+    session_id: currentSessionId,
+    mode: queryMode,
+    ...instructionsFor(currentSessionId),
+    generation_params: toRequestParams(currentGenerationParams()),
+    // Lets the backend group the parallel answers of one comparison
+    compare_group_id: String(runId)
+  }
+  if (attachments.length) baseBody.attachments = toRequestAttachments(attachments)
+  setAttachments([])
+
+  await Promise.allSettled(models.map(async (model, col) => {
+    const startedAt = performance.now()
+    try {
+      const res = await api.chat.sendMessage({ ...baseBody, selected_model: model }, { signal: controller.signal })
+      const data = await res.json()
+      const { tokens, cost } = responseUsage(data)
+      const price = availableModels.find(m => m.model_name === model)?.cost_per_1M_tokens
+      const estimate = cost == null && tokens != null && price != null
+      updateColumn(col, {
+        status: 'done',
+        content: data.response || data.content || '',
+        codeBlocks: data.code_blocks || [],
+        messageId: data.message_id,
+        modelUsed: data.model_used,
+        latencyMs: Math.round(performance.now() - startedAt),
+        tokens,
+        cost: estimate ? (tokens * price) / 1000000 : cost,
+        costEstimated: estimate
+      })
+    } catch (err) {
+      updateColumn(col, {
+        status: 'error',
+        error: err.name === 'AbortError' ? 'Cancelled' : (err.data?.error || err.message || 'Request failed'),
+        latencyMs: Math.round(performance.now() - startedAt)
+      })
+    }
+  }))
+
+  if (abortControllerRef.current === controller) abortControllerRef.current = null
+  setIsLoading(false)
+  persistCompareRuns(currentSessionId)
+  await fetchUsageSummary()
+}
+
+// Record which column won - feeds the router's feedback like a thumbs up
+export const pickComparisonWinner = async (runId, col) => {
+  const run = getState().chat.compareRuns.find(r => r.id === runId)
+  if (!run || run.winner !== null) return
+  const winner = run.columns[col]
+  setCompareRuns(prev => prev.map(r => r.id === runId ? { ...r, winner: col } : r))
+  persistCompareRuns(run.sessionId)
+  recordQualityEvent(getState().auth.user?.id, {
+    type: 'comparison',
+    mode: run.mode,
+    models: run.columns.map(c => c.model),
+    winner: winner.model
+  })
+
+  const messageIdInt = parseInt(winner.messageId, 10)
+  if (isNaN(messageIdInt) || messageIdInt <= 0) {
+    console.error('Invalid message_id for comparison feedback:', winner.messageId)
+    return
+  }
+  try {
+    await api.chat.feedback({
+      message_id: messageIdInt,
+      session_id: run.sessionId,
+      feedback_type: 'like',
+      comparison: {
+        group_id: String(run.id),
+        models: run.columns.map(c => c.model),
+        winner_model: winner.model,
+        metrics: run.columns.map(c => ({
+          model: c.model,
+          message_id: c.messageId ?? null,
+          latency_ms: c.latencyMs ?? null,
+          tokens: c.tokens ?? null,
+          cost: c.cost ?? null
+        }))
+      }
+    })
+  } catch (err) {
+    console.error('Failed to send comparison feedback:', err)
+  }
+}
+
+export const sendMessage = async (e) => {
+  e.preventDefault()
+  const { currentSessionId } = getState().sessions
+  const { messages, input, isLoading, queryMode, selectedModel, compareMode, attachments } = getState().chat
+  const trimmed = input.trim()
+  // Allow sending if there's either text or an attachment
+  if ((!trimmed && attachments.length === 0) || isLoading) return
+
+  if (!currentSessionId) {
+    await createNewChat()
+    setTimeout(() => setInput(trimmed), 500)
+    return
+  }
+
+  // Check limits before sending
+  const limitCheck = checkLimit(queryMode)
+  if (!limitCheck.allowed) {
+    setError(limitCheck.error)
+    setShowLimitWarning(true)
+    setLimitWarningMessage(limitCheck.error)
+    return
+  }
+
+  if (compareMode) {
+    await sendComparison(trimmed)
+    return
+  }
+
+  const userMessage = {
+    id: Date.now(),
+    role: 'user',
+    content: trimmed,
+    attachments: attachments.map(a => ({ ...a, url: a.preview }))
+  }
+
+  setMessages((prev) => [...prev, userMessage])
+  setInput('')
+  setAttachments([])
+  setIsLoading(true)
+
+  // Create placeholder thinking message
+  const thinkingMessageId = Date.now() + 1
+  thinkingMessageIdRef.current = thinkingMessageId
+  const thinkingMessage = {
+    id: thinkingMessageId,
+    role: 'assistant',
+    content: '',
+    isThinking: true,
+    thinkingStatus: 'thinking'
+  }
+  setMessages((prev) => [...prev, thinkingMessage])
+  streamBufferRef.current = ''
+
+  // Reset status steps for new request
+  setStatusSteps([])
+  // Show initial status banner immediately
+  setStatusBanner({
+    type: 'info',
+    messages: ['Initializing...'],
+    models: [],
+    steps: []
+  })
+  // Clear any previous status
+  if (statusTimerRef.current) clearTimeout(statusTimerRef.current)
+  statusTimerRef.current = setTimeout(() => {
+    // Update thinking message to "thinking longer"
+    setMessages((prev) => prev.map(msg =>
+      msg.id === thinkingMessageId
+        ? { ...msg, thinkingStatus: 'thinking longer' }
+        : msg
+    ))
+  }, 20000)
+
+  abortControllerRef.current = new AbortController()
+
+  try {
+    generationParamsRef.current = currentGenerationParams()
+    let requestBody = {
+      query: trimmed,
+      session_id: currentSessionId,
+      ...instructionsFor(currentSessionId),
+      generation_params: toRequestParams(generationParamsRef.current)
+    }
+
+    if (attachments.length) {
+      requestBody.attachments = toRequestAttachments(attachments)
+    }
+
+    // Set mode based on queryMode
+    if (queryMode === 'web_search') {
+      requestBody.mode = 'web_search'
+    } else if (queryMode === 'code') {
+      requestBody.mode = 'code'
+    } else {
+      requestBody.mode = 'normal'
+    }
+
+    // Add selected_model (Section 4 - Manual Override)
+    // NEW SCHEMA: Only use selected_model, NOT model/handler
+    // If user selected a model, use it; otherwise use "auto" (null means auto)
+    if (selectedModel && selectedModel !== 'auto') {
+      requestBody.selected_model = selectedModel
+    } else {
+      requestBody.selected_model = null  // null means "auto" routing
+    }
+
+    // REMOVED: Old schema fields (model, handler) - no longer needed
+    // The backend will determine the handler based on selected_model or auto-routing
+
+    // Viewing an older branch - tell the backend which message this follows up on
+    if (branchLayoutRef.current.tailOwner && messages.length > 0) {
+      requestBody.parent_message_id = messages[messages.length - 1].id
+    }
+
+    // Enable SSE streaming for real-time status updates and answer tokens
+    requestBody.stream_status = true
+    requestBody.stream_tokens = true
+
+    console.log('[Sending Message]', 'Payload:', requestBody, 'Stream Status:', requestBody.stream_status)
+
+    let res
+    try {
+      res = await api.chat.sendMessage(requestBody, { signal: abortControllerRef.current.signal })
+    } catch (err) {
+      // Session expired modal is already shown by the API client
+      if (isUnauthorizedError(err)) return
+      const errorData = err.data || {}
+      // Check for limit error response
+      if (errorData.error && errorData.limit_type) {
+        setError(errorData.error)
+        setShowLimitWarning(true)
+        setLimitWarningMessage(errorData.error)
+        return
+      }
+      // Check for internet confirmation required
+      if (errorData.requires_confirmation) {
+        setPendingConfirmation({
+          confirmationId: errorData.confirmation_id,
+          message: errorData.message,
+          chatInput: requestBody
+        })
+        setShowConfirmationModal(true)
+        return
+      }
+      throw err
+    }
+
+    // Check if response is SSE stream
+    const contentType = res.headers.get('content-type') || ''
+    if (contentType.includes('text/event-stream')) {
+      // Handle SSE streaming
+      await readSSEStream(res)
+      return
+    }
+
+    // Fallback: regular JSON response
+    const data = await res.json()
+
+    // Remove thinking message if it exists (will be replaced by actual message from loadSession)
+    if (thinkingMessageIdRef.current) {
+      setMessages((prev) => prev.filter(msg => msg.id !== thinkingMessageIdRef.current))
+      thinkingMessageIdRef.current = null
+    }
+
+    // Store code_blocks in cache using message_id from response
+    if (data.message_id && data.code_blocks && data.code_blocks.length > 0) {
+      setCodeBlocksCache(prev => ({
+        ...prev,
+        [data.message_id]: data.code_blocks
+      }))
+    }
+
+    const trace = routingTraceFrom(data)
+    if (data.message_id && trace) {
+      setRoutingTraces(prev => ({ ...prev, [data.message_id]: trace }))
+    }
+
+    // Update status banner from the routing trace (only show escalation, not thinking)
+    setStatusBanner(escalationBannerFrom(trace))
+    logAnswer(data, trace, queryMode)
+    recordAnswerParams(data)
+    if (statusTimerRef.current) {
+      clearTimeout(statusTimerRef.current)
+    }
+
+    // Capture escalation info if present
+    if (data.message_id && (data.models_tried || data.model_used)) {
+      setEscalationInfo(prev => ({
+        ...prev,
+        [data.message_id]: {
+          currentLevel: (data.models_tried && data.models_tried.length > 0) ? data.models_tried.length - 1 : 0,
+          maxLevel: selectEscalationLimit(getState()),
+          model: (data.models_tried && data.models_tried.length > 0)
+            ? (typeof data.models_tried[data.models_tried.length - 1] === 'string'
+              ? data.models_tried[data.models_tried.length - 1]
+              : (data.models_tried[data.models_tried.length - 1].model || 'default model'))
+            : (data.model_used || 'default model')
+        }
+      }))
+    }
+
+    // Store escalation info if provided
+    if (data.message_id && data.escalation_level !== undefined) {
+      setEscalationInfo(prev => ({
+        ...prev,
+        [data.message_id]: {
+          currentLevel: data.escalation_level,
+          maxLevel: selectEscalationLimit(getState()),
+          model: data.model_used || 'Unknown'
+        }
+      }))
+    }
+
+    // Refresh usage after successful request
+    await fetchUsageSummary()
+
+    // Reload session to get updated messages
+    await loadSession(currentSessionId)
+
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error('Chat error:', err)
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now() + 1,
+          role: 'assistant',
+          content: 'Sorry, there was an error processing your message.'
+        }
+      ])
+    }
+  } finally {
+    setIsLoading(false)
+    abortControllerRef.current = null
+  }
+}
+
+export const confirmInternetCall = async (confirmationId, confirmed, chatInput) => {
+  try {
+    return await api.chat.confirm(confirmationId, confirmed, chatInput)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return null
+    console.error('Failed to confirm internet call:', err)
+    return null
+  }
+}
+
+export const handleRegenerateResponse = async (messageId, originalQuery) => {
+  const { currentSessionId } = getState().sessions
+  const { messages, isLoading, queryMode, selectedModel, escalationInfo, regenerateCounts, lastModelUsed } = getState().chat
+  if (isLoading) return
+
+  // Check escalation limits
+  const escalationInfoForMsg = escalationInfo[messageId]
+  if (escalationInfoForMsg && escalationInfoForMsg.maxLevel !== null) {
+    if (escalationInfoForMsg.currentLevel >= escalationInfoForMsg.maxLevel) {
+      setError(`Maximum escalations reached for your plan (${escalationInfoForMsg.maxLevel + 1}). Upgrade to continue.`)
+      setShowLimitWarning(true)
+      setLimitWarningMessage(`Maximum escalations reached for your plan. Upgrade to continue.`)
+      return
+    }
+  }
+
+  // Get current regenerate count for this message
+  const currentCount = regenerateCounts[messageId] || 0
+  const newCount = currentCount + 1
+  const lastModel = lastModelUsed[messageId] || null
+
+  setMessageActions(prev => ({ ...prev, [messageId]: 'regenerating' }))
+  recordQualityEvent(getState().auth.user?.id, {
+    type: 'regenerate',
+    model: lastModel || messages.find(m => m.id === messageId)?.model_used || null,
+    mode: queryMode
+  })
+
+  // The new answer becomes a sibling of this one instead of replacing it
+  const messageIndex = messages.findIndex(m => m.id === messageId)
+  const branchKey = branchParentKey(messages, messageIndex)
+  const previousTail = messages.slice(messageIndex)
+  const onLivePath = messageIndex <= branchLayoutRef.current.liveUntil
+
+  try {
+    generationParamsRef.current = currentGenerationParams()
+    let requestBody = {
+      query: originalQuery,
+      session_id: currentSessionId,
+      regenerate_count: newCount,
+      last_model_used: lastModel,
+      ...instructionsFor(currentSessionId),
+      generation_params: toRequestParams(generationParamsRef.current)
+    }
+    if (!onLivePath && messageIndex > 0) {
+      requestBody.parent_message_id = messages[messageIndex - 1].id
+    }
+
+    // Set mode based on queryMode
+    if (queryMode === 'web_search') {
+      requestBody.mode = 'web_search'
+    } else if (queryMode === 'code') {
+      requestBody.mode = 'code'
+    } else {
+      requestBody.mode = 'normal'
+    }
+
+    // Add selected_model (Section 4 - Manual Override)
+    // NEW SCHEMA: Only use selected_model, NOT model/handler
+    // If user selected a model, use it; otherwise use "auto" (null means auto)
+    if (selectedModel && selectedModel !== 'auto') {
+      requestBody.selected_model = selectedModel
+    } else {
+      requestBody.selected_model = null  // null means "auto" routing
+    }
+
+    // REMOVED: Old schema fields (model, handler) - no longer needed
+    // The backend will determine the handler based on selected_model or auto-routing
+
+    console.log('Regenerating with payload:', requestBody)
+
+    const res = await api.chat.sendMessage(requestBody)
+    const data = await res.json()
+
+    // Update regenerate count and last model used
+    setRegenerateCounts(prev => ({ ...prev, [messageId]: newCount }))
+    if (data.model_used) {
+      setLastModelUsed(prev => ({ ...prev, [messageId]: data.model_used }))
+    }
+
+    const trace = routingTraceFrom(data)
+    if (data.message_id && trace) {
+      setRoutingTraces(prev => ({ ...prev, [data.message_id]: trace }))
+    }
+    logAnswer(data, trace, queryMode)
+    recordAnswerParams(data)
+
+    // Update status banner from orchestrator status messages
+    if (data.status_messages && data.status_messages.length > 0) {
+      const escalated = wasEscalated(trace)
+      setStatusBanner({
+        type: escalated ? 'escalation' : 'info',
+        messages: escalated ? escalationSummary(trace) : data.status_messages,
+        models: attemptedModels(trace)
+      })
+    } else {
+      setStatusBanner(null)
+      if (statusTimerRef.current) {
+        clearTimeout(statusTimerRef.current)
+      }
+    }
+
+    // Update escalation info
+    if (data.escalation_level !== undefined) {
+      setEscalationInfo(prev => ({
+        ...prev,
+        [messageId]: {
+          currentLevel: data.escalation_level,
+          maxLevel: selectEscalationLimit(getState()),
+          model: data.model_used || 'Unknown'
+        }
+      }))
+    }
+
+    // Store code_blocks if provided
+    if (data.message_id && data.code_blocks && data.code_blocks.length > 0) {
+      setCodeBlocksCache(prev => ({
+        ...prev,
+        [data.message_id]: data.code_blocks
+      }))
+    }
+
+    // Refresh usage after regeneration
+    await fetchUsageSummary()
+
+    // Reload the full session and file the new answer as a new variant
+    let newAnswerId = null
+    await loadSession(currentSessionId, (store, serverMessages, newMessages) => {
+      // The backend either appends the new answer or rewrites the old one in place
+      const previousIds = new Set(previousTail.map(m => String(m.id)))
+      let newTail = newMessages.length ? newMessages : serverMessages.filter(m => previousIds.has(String(m.id)))
+      // Don't show the re-sent question twice if the backend stored it again
+      if (newTail[0]?.role === 'user' && newTail[0].content === originalQuery) {
+        store = hideMessages(store, [newTail[0].id])
+        newTail = newTail.slice(1)
+      }
+      if (!newTail.length) return store
+      newAnswerId = newTail[0].id
+      return addBranchVariant(store, { key: branchKey, previousTail, newTail, onLivePath })
+    })
+
+    // Keep counting escalations across the variants of this answer
+    if (newAnswerId && newAnswerId !== messageId) {
+      setRegenerateCounts(prev => ({ ...prev, [newAnswerId]: newCount }))
+      if (data.model_used) {
+        setLastModelUsed(prev => ({ ...prev, [newAnswerId]: data.model_used }))
+      }
+    }
+
+    // Reset the regenerating state after reload
+    setMessageActions(prev => ({ ...prev, [messageId]: 'regenerated' }))
+  } catch (err) {
+    if (isUnauthorizedError(err)) {
+      setIsLoading(false)
+      return
+    }
+    console.error('Regenerate error:', err)
+    if (err.data?.error && err.data?.limit_type) {
+      setError(err.data.error)
+      setShowLimitWarning(true)
+      setLimitWarningMessage(err.data.error)
+    }
+    setMessageActions(prev => ({ ...prev, [messageId]: 'error' }))
+  }
+}
+
+// Edit a previous prompt and re-run the conversation from there. The old
+// downstream messages stay available as the previous branch variant, and the
+// backend is told which message the edited prompt follows so its history
+// forks at the same point.
+export const handleEditAndResend = async (messageId, newText, keptAttachments) => {
+  const { currentSessionId } = getState().sessions
+  const { messages, isLoading, queryMode, selectedModel } = getState().chat
+  const trimmed = newText.trim()
+  if (isLoading || (!trimmed && keptAttachments.length === 0)) return
+
+  const limitCheck = checkLimit(queryMode)
+  if (!limitCheck.allowed) {
+    setError(limitCheck.error)
+    setShowLimitWarning(true)
+    setLimitWarningMessage(limitCheck.error)
+    return
+  }
+
+  const messageIndex = messages.findIndex(m => m.id === messageId)
+  if (messageIndex === -1) return
+  const branchKey = branchParentKey(messages, messageIndex)
+  const previousTail = messages.slice(messageIndex)
+  const onLivePath = messageIndex <= branchLayoutRef.current.liveUntil
+
+  setEditingMessage(null)
+  setIsLoading(true)
+  // Show the edited prompt right away while the answer is generated
+  const thinkingMessageId = Date.now() + 1
+  setMessages(prev => [
+    ...prev.slice(0, messageIndex),
+    { id: Date.now(), role: 'user', content: trimmed, attachments: keptAttachments },
+    { id: thinkingMessageId, role: 'assistant', content: '', isThinking: true, thinkingStatus: 'thinking' }
+  ])
+
+  try {
+    generationParamsRef.current = currentGenerationParams()
+    const requestBody = {
+      query: trimmed,
+      session_id: currentSessionId,
+      mode: queryMode === 'web_search' || queryMode === 'code' ? queryMode : 'normal',
+      selected_model: selectedModel && selectedModel !== 'auto' ? selectedModel : null,
+      parent_message_id: messageIndex > 0 ? messages[messageIndex - 1].id : null,
+      edited_message_id: messageId,
+      ...instructionsFor(currentSessionId),
+      generation_params: toRequestParams(generationParamsRef.current)
+    }
+    if (keptAttachments.length) {
+      requestBody.attachments = toRequestAttachments(keptAttachments)
+    }
+
+    const res = await api.chat.sendMessage(requestBody)
+    const data = await res.json()
+
+    if (data.message_id && data.code_blocks && data.code_blocks.length > 0) {
+      setCodeBlocksCache(prev => ({ ...prev, [data.message_id]: data.code_blocks }))
+    }
+    const trace = routingTraceFrom(data)
+    if (data.message_id && trace) {
+      setRoutingTraces(prev => ({ ...prev, [data.message_id]: trace }))
+    }
+    logAnswer(data, trace, queryMode)
+    recordAnswerParams(data)
+
+    await fetchUsageSummary()
+
+    // File the edited prompt and its answer as a new variant of this point
+    await loadSession(currentSessionId, (store, serverMessages, newMessages) => {
+      // The backend either appends the new exchange or rewrites the old one in place
+      const previousIds = new Set(previousTail.map(m => String(m.id)))
+      const newTail = newMessages.length ? newMessages : serverMessages.filter(m => previousIds.has(String(m.id)))
+      if (!newTail.length) return store
+      return addBranchVariant(store, { key: branchKey, previousTail, newTail, onLivePath })
+    })
+  } catch (err) {
+    if (!isUnauthorizedError(err)) {
+      console.error('Edit and resend error:', err)
+      if (err.data?.error && err.data?.limit_type) {
+        setError(err.data.error)
+        setShowLimitWarning(true)
+        setLimitWarningMessage(err.data.error)
+      } else {
+        setError('Failed to resend the edited message')
+      }
+    }
+    // Put the conversation back the way it was
+    await loadSession(currentSessionId)
+  } finally {
+    setIsLoading(false)
+  }
+}
+
+// messageId should be the database ID from the API response - messages that
+// only exist locally carry a Date.now() id and can't be rated yet
+const feedbackMessageId = (messageId) => {
+  let messageIdInt
+
+  if (typeof messageId === 'number') {
+    // Database IDs are typically small integers, timestamps are large numbers
+    if (messageId > 1000000000000) {
+      console.error('Invalid message_id: appears to be a timestamp, not database ID:', messageId)
+      return null
+    }
+    messageIdInt = Math.floor(messageId)
+  } else if (typeof messageId === 'string') {
+    messageIdInt = parseInt(messageId, 10)
+  } else {
+    messageIdInt = parseInt(String(messageId), 10)
+  }
+
+  // Ensure it's a valid integer and reasonable database ID
+  if (isNaN(messageIdInt) || messageIdInt <= 0 || messageIdInt > 1000000000000) {
+    console.error('Invalid message_id for feedback:', messageId, 'Expected database ID')
+    return null
+  }
+  return messageIdInt
+}
+
+// Show a rating (or its removal) everywhere and keep the local copy in step
+const applyFeedback = (messageId, entry) => {
+  const userId = getState().auth.user?.id
+  const store = { ...loadFeedbackStore(userId) }
+  if (entry) {
+    store[messageId] = entry
+  } else {
+    delete store[messageId]
+  }
+  saveFeedbackStore(userId, store)
+
+  setMessageFeedback(prev => {
+    const next = { ...prev }
+    if (entry) next[messageId] = entry
+    else delete next[messageId]
+    return next
+  })
+  setMessageActions(prev => {
+    const next = { ...prev }
+    if (entry) next[messageId] = actionForRating(entry.rating)
+    else if (next[messageId] === 'liked' || next[messageId] === 'disliked') delete next[messageId]
+    return next
+  })
+}
+
+// Sampling params of a session's answers: what the backend returned, else the local copy
+const restoreGenerationParams = (serverMessages) => {
+  const local = loadMessageParams(getState().auth.user?.id)
+  const restored = {}
+  serverMessages.forEach(msg => {
+    const params = paramsFromServer(msg.generation_params) || local[msg.id]
+    if (msg.role === 'assistant' && params) restored[msg.id] = params
+  })
+  setGenerationParams(prev => ({ ...prev, ...restored }))
+}
+
+// Ratings of a session's messages: what the backend returned, else the local copy
+const restoreFeedback = (sessionId, serverMessages) => {
+  const local = loadFeedbackStore(getState().auth.user?.id)
+  const restored = {}
+  serverMessages.forEach(msg => {
+    const entry = mergeFeedback(msg.feedback, local[msg.id])
+    if (entry) restored[msg.id] = { ...entry, sessionId }
+  })
+  const ids = serverMessages.map(msg => String(msg.id))
+  const withoutSession = (prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => !ids.includes(id)))
+
+  setMessageFeedback(prev => ({ ...withoutSession(prev), ...restored }))
+  setMessageActions(prev => {
+    // Leave regenerate progress alone, only ratings come from the store
+    const next = Object.fromEntries(Object.entries(prev).filter(([id, action]) => (
+      !ids.includes(id) || (action !== 'liked' && action !== 'disliked')
+    )))
+    Object.entries(restored).forEach(([id, entry]) => {
+      if (!next[id]) next[id] = actionForRating(entry.rating)
+    })
+    return next
+  })
+}
+
+// Record (or replace) the rating of an answer. Fire and forget - the UI
+// doesn't wait for the backend.
+export const submitFeedback = async (messageId, sessionId, details) => {
+  const messageIdInt = feedbackMessageId(messageId)
+  if (!messageIdInt) return
+  const targetSessionId = sessionId || getState().sessions.currentSessionId
+  const { messages, queryMode, messageFeedback } = getState().chat
+  const entry = {
+    // Kept from an earlier rating when the answer is no longer on screen
+    ...messageFeedback[messageId],
+    ...ratedExchange(messages, messageId, queryMode),
+    rating: details.rating,
+    categories: details.categories || [],
+    comment: details.comment || '',
+    idealAnswer: details.idealAnswer || '',
+    sessionId: targetSessionId,
+    updatedAt: new Date().toISOString()
+  }
+  applyFeedback(messageId, entry)
+
+  try {
+    await api.chat.feedback(toFeedbackRequest(messageIdInt, targetSessionId, entry))
+  } catch (err) {
+    console.error('Failed to send feedback:', err)
+    // Don't revert UI - fire and forget
+  }
+}
+
+export const retractFeedback = async (messageId) => {
+  const messageIdInt = feedbackMessageId(messageId)
+  if (!messageIdInt) return
+  applyFeedback(messageId, null)
+
+  try {
+    await api.chat.removeFeedback(messageIdInt)
+  } catch (err) {
+    console.error('Failed to remove feedback:', err)
+  }
+}
+
+// A second thumbs up takes the rating back
+export const handleThumbsUp = (messageId, sessionId) => {
+  if (getState().chat.messageFeedback[messageId]?.rating === 'like') {
+    retractFeedback(messageId)
+  } else {
+    submitFeedback(messageId, sessionId, { rating: 'like' })
+  }
+}
+
+// Thumbs down asks what went wrong first (see FeedbackDialog)
+export const handleThumbsDown = (messageId, sessionId) => {
+  if (!feedbackMessageId(messageId)) return
+  setFeedbackDialog({ messageId, sessionId: sessionId || getState().sessions.currentSessionId })
+}
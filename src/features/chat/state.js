@@ -0,0 +1,36 @@
+// ===== CHAT STATE =====
+// Setters for the `chat` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setMessages = setterFor('chat', 'messages')
+export const setInput = setterFor('chat', 'input')
+export const setIsLoading = setterFor('chat', 'isLoading')
+export const setQueryMode = setterFor('chat', 'queryMode')
+export const setSelectedModel = setterFor('chat', 'selectedModel')
+export const setAvailableModels = setterFor('chat', 'availableModels')
+export const setModelsLoading = setterFor('chat', 'modelsLoading')
+export const setCompareMode = setterFor('chat', 'compareMode')
+export const setCompareModels = setterFor('chat', 'compareModels')
+export const setCompareRuns = setterFor('chat', 'compareRuns')
+export const setGenerationOverrides = setterFor('chat', 'generationOverrides')
+export const setGenerationParams = setterFor('chat', 'generationParams')
+export const setRoutingTraces = setterFor('chat', 'routingTraces')
+export const setOpenRoutingPanels = setterFor('chat', 'openRoutingPanels')
+export const setAttachments = setterFor('chat', 'attachments')
+export const setEditingMessage = setterFor('chat', 'editingMessage')
+export const setPendingImages = setterFor('chat', 'pendingImages')
+export const setIsDraggingFiles = setterFor('chat', 'isDraggingFiles')
+export const setHighlightedMessageId = setterFor('chat', 'highlightedMessageId')
+export const setMessageActions = setterFor('chat', 'messageActions')
+export const setMessageFeedback = setterFor('chat', 'messageFeedback')
+export const setFeedbackDialog = setterFor('chat', 'feedbackDialog')
+export const setRegenerateCounts = setterFor('chat', 'regenerateCounts')
+export const setLastModelUsed = setterFor('chat', 'lastModelUsed')
+export const setCodeBlocksCache = setterFor('chat', 'codeBlocksCache')
+export const setEscalationInfo = setterFor('chat', 'escalationInfo')
+export const setStatusBanner = setterFor('chat', 'statusBanner')
+export const setStatusSteps = setterFor('chat', 'statusSteps')
+export const setShowLimitWarning = setterFor('chat', 'showLimitWarning')
+export const setLimitWarningMessage = setterFor('chat', 'limitWarningMessage')
+export const setPendingConfirmation = setterFor('chat', 'pendingConfirmation')
+export const setShowConfirmationModal = setterFor('chat', 'showConfirmationModal')
@@ -0,0 +1,117 @@
+import { useMemo, useState } from 'react'
+import { categoryLabel, filterHistory } from '../../feedback'
+import { useAppStore } from '../../store'
+import { openSearchResult } from '../chat/actions'
+import { exportFeedbackJsonl } from './actions'
+
+const formatRated = (value) => {
+  if (!value) return '-'
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? '-' : date.toLocaleString()
+}
+
+const clip = (text, length = 160) => (text && text.length > length ? `${text.slice(0, length)}…` : text || '')
+
+// Settings > Feedback: every answer the user rated, filterable, exportable as a
+// JSONL dataset
+const FeedbackHistory = () => {
+  const entries = useAppStore(s => s.feedback.feedbackHistory)
+  const loading = useAppStore(s => s.feedback.feedbackHistoryLoading)
+  const error = useAppStore(s => s.feedback.feedbackHistoryError)
+  const [filters, setFilters] = useState({ rating: 'all', model: '', start: '', end: '' })
+
+  const models = useMemo(() => [...new Set(entries.map(e => e.model).filter(Boolean))].sort(), [entries])
+  const visible = useMemo(() => filterHistory(entries, filters), [entries, filters])
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
+
+  if (loading) return <div className="loading">Loading feedback...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="feedback-history">
+      <div className="feedback-history-header">
+        <h2>Feedback</h2>
+        <button
+          className="btn-small btn-primary"
+          onClick={() => exportFeedbackJsonl(visible)}
+          disabled={visible.length === 0}
+          title="One JSON object per rated answer, for eval or fine-tuning datasets"
+        >
+          Export JSONL
+        </button>
+      </div>
+      <p className="shared-links-intro">
+        Answers you rated, with the labels you gave them. The export contains the rows shown below.
+      </p>
+      <div className="feedback-history-filters">
+        <select value={filters.rating} onChange={(e) => updateFilter('rating', e.target.value)}>
+          <option value="all">All ratings</option>
+          <option value="like">👍 Good</option>
+          <option value="dislike">👎 Bad</option>
+        </select>
+        <select value={filters.model} onChange={(e) => updateFilter('model', e.target.value)}>
+          <option value="">All models</option>
+          {models.map(model => <option key={model} value={model}>{model}</option>)}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.start} max={filters.end || undefined} onChange={(e) => updateFilter('start', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.end} min={filters.start || undefined} onChange={(e) => updateFilter('end', e.target.value)} />
+        </label>
+        <span className="feedback-history-count">{visible.length} of {entries.length}</span>
+      </div>
+      {entries.length === 0 ? (
+        <p className="shared-links-empty">You haven't rated any answers yet. Use 👍 / 👎 under an answer.</p>
+      ) : visible.length === 0 ? (
+        <p className="shared-links-empty">No feedback matches these filters.</p>
+      ) : (
+        <div className="feedback-history-list">
+          {visible.map(entry => (
+            <div key={entry.messageId} className={`feedback-history-item ${entry.rating}`}>
+              <div className="feedback-history-meta">
+                <span className="feedback-history-rating">{entry.rating === 'like' ? '👍' : '👎'}</span>
+                <span>{formatRated(entry.updatedAt)}</span>
+                {entry.model && <span className="model-chip">{entry.model}</span>}
+                {entry.mode && <span className="feedback-history-mode">{entry.mode}</span>}
+                {entry.sessionId && (
+                  <button
+                    className="btn-small btn-secondary"
+                    onClick={() => openSearchResult({ sessionId: entry.sessionId, messageId: entry.messageId })}
+                  >
+                    Open
+                  </button>
+                )}
+              </div>
+              <div className="feedback-history-text">
+                <strong>Prompt</strong>
+                <p>{clip(entry.prompt) || '-'}</p>
+              </div>
+              <div className="feedback-history-text">
+                <strong>Answer</strong>
+                <p>{clip(entry.answer) || '-'}</p>
+              </div>
+              {entry.categories?.length > 0 && (
+                <div className="feedback-categories">
+                  {entry.categories.map(key => <span key={key} className="feedback-category selected">{categoryLabel(key)}</span>)}
+                </div>
+              )}
+              {entry.comment && <p className="feedback-history-comment">“{entry.comment}”</p>}
+              {entry.idealAnswer && (
+                <div className="feedback-history-text">
+                  <strong>Ideal answer</strong>
+                  <p>{clip(entry.idealAnswer)}</p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FeedbackHistory
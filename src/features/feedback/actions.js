@@ -0,0 +1,34 @@
+// ===== FEEDBACK HISTORY =====
+// Every rating the user has given, for Settings > Feedback (see feedback.js)
+import { api, isMissingRoute, isUnauthorizedError } from '../../api/client'
+import { loadFeedbackStore, historyEntryFromServer, historyFromStore, toFeedbackJsonl } from '../../feedback'
+import { downloadFile } from '../../exporters'
+import { getState } from '../../store'
+import { setFeedbackHistory, setFeedbackHistoryLoading, setFeedbackHistoryError } from './state'
+
+export const fetchFeedbackHistory = async () => {
+  if (getState().auth.emailVerificationPending) return
+  setFeedbackHistoryLoading(true)
+  setFeedbackHistoryError(null)
+  try {
+    const data = await api.chat.feedbackHistory()
+    const entries = Array.isArray(data) ? data : data?.feedback || []
+    setFeedbackHistory(entries.map(historyEntryFromServer).filter(entry => entry.rating))
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    if (isMissingRoute(err)) {
+      // Only what was rated in this browser
+      setFeedbackHistory(historyFromStore(loadFeedbackStore(getState().auth.user?.id)))
+    } else {
+      console.error('Failed to fetch feedback history:', err)
+      setFeedbackHistoryError(err.message || 'Failed to load feedback')
+    }
+  } finally {
+    setFeedbackHistoryLoading(false)
+  }
+}
+
+export const exportFeedbackJsonl = (entries) => {
+  const date = new Date().toISOString().slice(0, 10)
+  downloadFile(toFeedbackJsonl(entries), `feedback-${date}.jsonl`, 'application/jsonl')
+}
@@ -0,0 +1,7 @@
+// ===== FEEDBACK STATE =====
+// Setters for the `feedback` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setFeedbackHistory = setterFor('feedback', 'feedbackHistory')
+export const setFeedbackHistoryLoading = setterFor('feedback', 'feedbackHistoryLoading')
+export const setFeedbackHistoryError = setterFor('feedback', 'feedbackHistoryError')
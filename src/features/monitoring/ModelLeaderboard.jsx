@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import Plot from 'react-plotly.js'
+import { useAppStore } from '../../store'
+
+const formatRate = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`)
+
+// Settings > Monitoring: which models (and modes) give answers users keep
+const ModelLeaderboard = () => {
+  const modelLeaderboard = useAppStore(s => s.monitoring.modelLeaderboard)
+  const leaderboardTrendPlot = useAppStore(s => s.monitoring.leaderboardTrendPlot)
+  const [groupBy, setGroupBy] = useState('model')
+
+  if (!modelLeaderboard) return null
+  const rows = groupBy === 'model' ? modelLeaderboard.byModel : modelLeaderboard.byMode
+
+  return (
+    <div className="model-leaderboard">
+      <div className="model-leaderboard-header">
+        <h4>Model Leaderboard</h4>
+        <div className="usage-view-toggle">
+          <button className={groupBy === 'model' ? 'active' : ''} onClick={() => setGroupBy('model')}>By model</button>
+          <button className={groupBy === 'mode' ? 'active' : ''} onClick={() => setGroupBy('mode')}>By mode</button>
+        </div>
+      </div>
+      {rows.length === 0 ? (
+        <p className="shared-links-empty">No answers rated, regenerated or compared yet.</p>
+      ) : (
+        <table className="shared-links-table model-leaderboard-table">
+          <thead>
+            <tr>
+              <th>{groupBy === 'model' ? 'Model' : 'Mode'}</th>
+              <th>Answers</th>
+              <th>👍</th>
+              <th>👎</th>
+              <th>Approval</th>
+              <th>Regenerated</th>
+              <th>Escalated</th>
+              {groupBy === 'model' && <th>Compare wins</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td>{row.key}</td>
+                <td>{row.answers}</td>
+                <td>{row.likes}</td>
+                <td>{row.dislikes}</td>
+                <td className="model-leaderboard-approval">{formatRate(row.approval)}</td>
+                <td>{row.regenerations} ({formatRate(row.regenerateRate)})</td>
+                <td>{row.escalations} ({formatRate(row.escalationRate)})</td>
+                {groupBy === 'model' && <td>{row.wins}/{row.comparisons} ({formatRate(row.winRate)})</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="export-hint">
+        Ratings come from your feedback history; answers, regenerations, escalations and compare picks are counted in this browser.
+      </p>
+      {leaderboardTrendPlot && (
+        <div className="monitoring-chart-card">
+          <h4>Approval Over Time</h4>
+          <Plot
+            data={leaderboardTrendPlot.data || []}
+            layout={leaderboardTrendPlot.layout || {}}
+            style={{ width: '100%', height: '400px' }}
+            config={{ displayModeBar: false }}
+          />
+          <p className="export-hint">Solid lines: share of 👍 among rated answers. Dotted: compare-mode win rate.</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ModelLeaderboard
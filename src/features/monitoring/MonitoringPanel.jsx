@@ -0,0 +1,137 @@
+import Plot from 'react-plotly.js'
+import { useAppStore } from '../../store'
+import ModelLeaderboard from './ModelLeaderboard'
+
+// Settings > Monitoring: routing cost and usage charts and the model leaderboard (see actions.js)
+const MonitoringPanel = () => {
+  const monitoringLoading = useAppStore(s => s.monitoring.monitoringLoading)
+  const monitoringError = useAppStore(s => s.monitoring.monitoringError)
+  const monitoringUsagePlot = useAppStore(s => s.monitoring.monitoringUsagePlot)
+  const monitoringCostPlot = useAppStore(s => s.monitoring.monitoringCostPlot)
+  const monitoringTokenUsagePlot = useAppStore(s => s.monitoring.monitoringTokenUsagePlot)
+  const monitoringVendorCostPlot = useAppStore(s => s.monitoring.monitoringVendorCostPlot)
+  const averageCostSaved = useAppStore(s => s.monitoring.averageCostSaved)
+  const currentMonthActualCost = useAppStore(s => s.monitoring.currentMonthActualCost)
+  const currentMonthSavings = useAppStore(s => s.monitoring.currentMonthSavings)
+  const showMoneyAnimation = useAppStore(s => s.monitoring.showMoneyAnimation)
+
+  return (
+    <div className="monitoring-section">
+      <div className="monitoring-header">
+        <h3>Routing Monitoring</h3>
+        {/* Summary table on top right */}
+        <div className="monitoring-summary-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Actual Cost (Current Month)</td>
+                <td>${currentMonthActualCost.toFixed(4)}</td>
+              </tr>
+              <tr>
+                <td>Savings</td>
+                <td className="savings-positive">${currentMonthSavings.toFixed(4)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {monitoringLoading && (
+        <div className="loading">Loading analytics…</div>
+      )}
+      {monitoringError && (
+        <div className="error-message">{monitoringError}</div>
+      )}
+      {!monitoringLoading && !monitoringError && (
+        <>
+          {/* Overall saving and actual cost at top */}
+          {averageCostSaved > 0 && (
+            <div className="monitoring-top-summary">
+              <div className="summary-item">
+                <span className="summary-label">Average Cost Saved:</span>
+                <span className="summary-value savings-positive">${averageCostSaved.toFixed(4)}</span>
+              </div>
+              <div className="summary-item">
+                <span className="summary-label">Actual Cost:</span>
+                <span className="summary-value">${currentMonthActualCost.toFixed(4)}</span>
+              </div>
+            </div>
+          )}
+          <div className="monitoring-charts-grid">
+            {monitoringUsagePlot && (
+              <div className="monitoring-chart-card">
+                <h4>Model Usage</h4>
+                <Plot
+                  data={monitoringUsagePlot.data || []}
+                  layout={monitoringUsagePlot.layout || {}}
+                  style={{ width: '100%', height: '400px' }}
+                />
+              </div>
+            )}
+
+            {monitoringCostPlot && (
+              <div className="monitoring-chart-card">
+                <h4>Average Cost per Request</h4>
+                <Plot
+                  data={monitoringCostPlot.data || []}
+                  layout={monitoringCostPlot.layout || {}}
+                  style={{ width: '100%', height: '400px' }}
+                  config={{ displayModeBar: false }}
+                />
+              </div>
+            )}
+
+            {monitoringTokenUsagePlot && (
+              <div className="monitoring-chart-card">
+                <h4>Tokens By Model</h4>
+                <Plot
+                  data={monitoringTokenUsagePlot.data || []}
+                  layout={monitoringTokenUsagePlot.layout || {}}
+                  style={{ width: '100%', height: '400px' }}
+                  config={{ displayModeBar: false }}
+                />
+              </div>
+            )}
+
+            {/* Vendor Cost Comparison Graph */}
+            {monitoringVendorCostPlot && (
+              <div className="monitoring-chart-card">
+                <h4>Vendor Cost Comparison</h4>
+                {showMoneyAnimation && averageCostSaved > 0 && (
+                  <div className="money-drip-animation">
+                    💰 ${averageCostSaved.toFixed(4)} Average Savings
+                  </div>
+                )}
+                <Plot
+                  data={monitoringVendorCostPlot.data || []}
+                  layout={monitoringVendorCostPlot.layout || {}}
+                  style={{ width: '100%', height: '400px' }}
+                  config={{ displayModeBar: false }}
+                />
+                <div className="vendor-cost-legend">
+                  <div className="legend-item">
+                    <span className="legend-color" style={{ backgroundColor: '#28a745' }}></span>
+                    <span className="legend-label">Actual Cost</span>
+                  </div>
+                  <div className="legend-item">
+                    <span className="legend-color" style={{ backgroundColor: '#6c757d' }}></span>
+                    <span className="legend-label">Would Cost (Comparison)</span>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <ModelLeaderboard />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MonitoringPanel
@@ -0,0 +1,319 @@
+// ===== MONITORING =====
+// Settings > Monitoring: usage, token, cost and vendor-savings charts (Plotly
+// figures) and the model leaderboard
+import { api } from '../../api/client'
+import { loadQualityLog, leaderboardRows, leaderboardTrend } from '../../leaderboard'
+import { getState } from '../../store'
+import { fetchFeedbackHistory } from '../feedback/actions'
+import {
+  setMonitoringLoading,
+  setMonitoringError,
+  setMonitoringUsagePlot,
+  setMonitoringCostPlot,
+  setMonitoringTokenUsagePlot,
+  setMonitoringVendorCostPlot,
+  setAverageCostSaved,
+  setCurrentMonthActualCost,
+  setCurrentMonthSavings,
+  setShowMoneyAnimation,
+  setModelLeaderboard,
+  setLeaderboardTrendPlot
+} from './state'
+
+export const fetchMonitoringData = async () => {
+  if (getState().auth.emailVerificationPending) return
+  try {
+    setMonitoringLoading(true)
+    setMonitoringError(null)
+
+    // Fetch from database-based endpoints (user-specific data from billing table)
+    // Get model usage from API endpoint instead of log files
+    // Charts render independently, so one failing endpoint doesn't blank the others
+    const results = await Promise.allSettled([
+      api.user.modelUsage(),
+      api.analytics.tokenUsage(),
+      api.analytics.tokenUsageTimeseries(),
+      api.analytics.costStats(),
+      api.analytics.vendorCostComparison()
+    ])
+    const [usageData, , timeSeriesData, costData, vendorData] = results.map(r => r.status === 'fulfilled' ? r.value : null)
+
+    // Process model usage data from API endpoint (grouped by model name with usage count)
+    if (usageData) {
+      // Filter out negative usage values
+      const filteredUsage = usageData.filter(item => item.request_number > 0)
+
+      // Create bar chart for model usage
+      const plotData = {
+        data: [{
+          type: 'bar',
+          x: filteredUsage.map(item => item.model_name),
+          y: filteredUsage.map(item => item.request_number),
+          marker: {
+            color: 'rgb(55, 83, 109)'
+          },
+          hovertemplate: '<b>%{x}</b><br>Usage: %{y} requests<extra></extra>'
+        }],
+        layout: {
+          title: 'Model Usage',
+          xaxis: {
+            title: 'Model',
+            tickangle: -45
+          },
+          yaxis: {
+            title: 'Number of Requests',
+            tickformat: ',.0f'
+          },
+          hovermode: 'closest'
+        }
+      }
+      setMonitoringUsagePlot(plotData)
+    }
+
+    // Process token usage time series data from database - show stacked bars over time
+    if (timeSeriesData) {
+      // Group by timestamp and model
+      const timeGroups = {}
+      const modelSet = new Set()
+
+      timeSeriesData.forEach(item => {
+        const timestamp = item.timestamp
+        const model = item.model
+        modelSet.add(model)
+
+        if (!timeGroups[timestamp]) {
+          timeGroups[timestamp] = {}
+        }
+        if (!timeGroups[timestamp][model]) {
+          timeGroups[timestamp][model] = 0
+        }
+        timeGroups[timestamp][model] += item.total_tokens
+      })
+
+      // Sort timestamps
+      const sortedTimestamps = Object.keys(timeGroups).sort()
+      const models = Array.from(modelSet).sort()
+
+      // Create stacked bar chart data
+      const plotData = {
+        data: models.map((model, idx) => ({
+          type: 'bar',
+          name: model,
+          x: sortedTimestamps,
+          y: sortedTimestamps.map(ts => timeGroups[ts][model] || 0),
+          hovertemplate: `<b>${model}</b><br>Time: %{x}<br>Tokens: %{y:,.0f}<extra></extra>`,
+          marker: {
+            color: `hsl(${(idx * 360 / models.length) % 360}, 70%, 50%)`
+          }
+        })),
+        layout: {
+          title: 'Tokens By Model',
+          xaxis: {
+            title: 'Time',
+            type: 'date'
+          },
+          yaxis: {
+            title: 'Tokens',
+            tickformat: ',.0f'
+          },
+          barmode: 'stack',
+          hovermode: 'x unified', // Filter on hover instead of click
+          showlegend: true,
+          legend: {
+            orientation: 'h',
+            y: -0.2
+          }
+        }
+      }
+      setMonitoringTokenUsagePlot(plotData)
+    }
+
+    // Process cost stats data from database - show average cost per request
+    if (costData) {
+      // Create cost vs success plot showing models, total cost, and average cost per request
+      const plotData = {
+        data: [{
+          type: 'scatter',
+          mode: 'markers+text',
+          x: costData.map(item => item.total_requests),
+          y: costData.map(item => item.avg_cost_per_request),
+          text: costData.map(item => item.model),
+          textposition: 'top center',
+          marker: {
+            size: costData.map(item => Math.max(8, Math.min(30, Math.sqrt(item.total_cost) * 3))),
+            color: costData.map(item => item.total_cost),
+            colorscale: 'Viridis',
+            showscale: true,
+            colorbar: { title: 'Total Cost ($)' }
+          },
+          hovertemplate: '<b>%{text}</b><br>Total Cost: $%{marker.color:.4f}<br>Avg Cost/Request: $%{y:.4f}<br>Total Requests: %{x}<br>Total Tokens: %{customdata}<extra></extra>',
+          customdata: costData.map(item => item.total_tokens.toLocaleString())
+        }],
+        layout: {
+          title: 'Average Cost per Request',
+          xaxis: { title: 'Total Requests' },
+          yaxis: { title: 'Average Cost per Request ($)' },
+          hovermode: 'closest'
+        }
+      }
+      setMonitoringCostPlot(plotData)
+    }
+
+    // Process vendor cost comparison
+    if (vendorData) {
+      // Check if actual cost is the same for all vendors
+      const actualCosts = vendorData.map(v => v.actual_cost)
+      const allSameCost = actualCosts.length > 0 && actualCosts.every(cost => cost === actualCosts[0])
+
+      // Only show if actual costs are different, or if there are savings
+      if (!allSameCost || vendorData.some(v => v.savings > 0)) {
+
+        // Calculate totals for current month
+        const actualCost = vendorData.length > 0 ? vendorData[0].actual_cost : 0
+        const totalSavings = vendorData.reduce((sum, v) => sum + Math.max(0, v.savings), 0) // Only positive savings
+        setCurrentMonthActualCost(actualCost)
+        setCurrentMonthSavings(totalSavings)
+
+        // Calculate average cost saved - average of all vendor savings (positive and negative)
+        // Get average of total vendor average savings
+        const totalSavingsAll = vendorData.reduce((sum, v) => sum + v.savings, 0)
+        const avgSaved = vendorData.length > 0 ? totalSavingsAll / vendorData.length : 0
+        setAverageCostSaved(avgSaved)
+
+        // Create vendor cost comparison graph
+        const vendors = vendorData.map(v => v.vendor)
+        const wouldCosts = vendorData.map(v => v.would_cost)
+        const actualCostValue = vendorData.length > 0 ? vendorData[0].actual_cost : 0
+
+        const plotData = {
+          data: [
+            // Actual cost bar (green)
+            {
+              type: 'bar',
+              name: 'Actual Cost',
+              x: vendors,
+              y: vendors.map(() => actualCostValue),
+              marker: { color: '#28a745' }, // Green for actual cost
+              hovertemplate: '<b>Actual Cost</b><br>Vendor: %{x}<br>Cost: $%{y:.4f}<extra></extra>'
+            },
+            // Would cost bars (blue/gray for comparison)
+            {
+              type: 'bar',
+              name: 'Would Cost',
+              x: vendors,
+              y: wouldCosts,
+              marker: { color: '#6c757d' }, // Gray for would cost (future comparison)
+              hovertemplate: '<b>Would Cost</b><br>Vendor: %{x}<br>Cost: $%{y:.4f}<extra></extra>'
+            }
+          ],
+          layout: {
+            title: 'Vendor Cost Comparison',
+            xaxis: {
+              title: 'Vendor',
+              tickangle: -45
+            },
+            yaxis: {
+              title: 'Cost ($)',
+              tickformat: '$.4f'
+            },
+            barmode: 'group',
+            hovermode: 'closest',
+            showlegend: true,
+            legend: {
+              orientation: 'h',
+              y: -0.2
+            }
+          }
+        }
+        setMonitoringVendorCostPlot(plotData)
+
+        // Show money animation if there are savings (only once, when avgSaved > 0)
+        if (avgSaved > 0 && !getState().monitoring.showMoneyAnimation) {
+          setShowMoneyAnimation(true)
+          setTimeout(() => setShowMoneyAnimation(false), 3000) // Hide after 3 seconds
+        }
+      } else {
+        // Don't show if all costs are same and no savings
+        setMonitoringVendorCostPlot(null)
+        setAverageCostSaved(0)
+        setCurrentMonthActualCost(0)
+        setCurrentMonthSavings(0)
+      }
+    }
+  } catch {
+    setMonitoringError('Failed to load monitoring charts')
+  } finally {
+    setMonitoringLoading(false)
+  }
+}
+
+
+// Ratings come from the feedback history, everything else from this browser's
+// quality log (see leaderboard.js)
+export const fetchModelLeaderboard = async () => {
+  if (getState().auth.emailVerificationPending) return
+  await fetchFeedbackHistory()
+  const feedback = getState().feedback.feedbackHistory
+  const log = loadQualityLog(getState().auth.user?.id)
+
+  setModelLeaderboard({
+    byModel: leaderboardRows(log, feedback, 'model'),
+    byMode: leaderboardRows(log, feedback, 'mode')
+  })
+
+  // Approval (solid) and comparison win rate (dotted) per model, week by week
+  const trend = leaderboardTrend(log, feedback)
+  const models = Object.keys(trend.models).sort()
+  if (trend.weeks.length === 0) {
+    setLeaderboardTrendPlot(null)
+    return
+  }
+  setLeaderboardTrendPlot({
+    data: models.flatMap((model, idx) => {
+      const color = `hsl(${(idx * 360 / models.length) % 360}, 70%, 50%)`
+      return [
+        {
+          type: 'scatter',
+          mode: 'lines+markers',
+          name: model,
+          legendgroup: model,
+          x: trend.weeks,
+          y: trend.models[model].approval,
+          connectgaps: true,
+          line: { color },
+          hovertemplate: `<b>${model}</b><br>Week of %{x}<br>Approval: %{y:.0%}<extra></extra>`
+        },
+        {
+          type: 'scatter',
+          mode: 'lines+markers',
+          name: `${model} (compare wins)`,
+          legendgroup: model,
+          showlegend: false,
+          x: trend.weeks,
+          y: trend.models[model].winRate,
+          connectgaps: true,
+          line: { color, dash: 'dot' },
+          hovertemplate: `<b>${model}</b><br>Week of %{x}<br>Compare win rate: %{y:.0%}<extra></extra>`
+        }
+      ]
+    }),
+    layout: {
+      title: 'Approval Over Time',
+      xaxis: {
+        title: 'Week',
+        type: 'date'
+      },
+      yaxis: {
+        title: 'Rate',
+        tickformat: '.0%',
+        range: [0, 1.05]
+      },
+      hovermode: 'closest',
+      showlegend: true,
+      legend: {
+        orientation: 'h',
+        y: -0.2
+      }
+    }
+  })
+}
@@ -0,0 +1,16 @@
+// ===== MONITORING STATE =====
+// Setters for the `monitoring` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setMonitoringLoading = setterFor('monitoring', 'monitoringLoading')
+export const setMonitoringError = setterFor('monitoring', 'monitoringError')
+export const setMonitoringUsagePlot = setterFor('monitoring', 'monitoringUsagePlot')
+export const setMonitoringCostPlot = setterFor('monitoring', 'monitoringCostPlot')
+export const setMonitoringTokenUsagePlot = setterFor('monitoring', 'monitoringTokenUsagePlot')
+export const setMonitoringVendorCostPlot = setterFor('monitoring', 'monitoringVendorCostPlot')
+export const setAverageCostSaved = setterFor('monitoring', 'averageCostSaved')
+export const setCurrentMonthActualCost = setterFor('monitoring', 'currentMonthActualCost')
+export const setCurrentMonthSavings = setterFor('monitoring', 'currentMonthSavings')
+export const setShowMoneyAnimation = setterFor('monitoring', 'showMoneyAnimation')
+export const setModelLeaderboard = setterFor('monitoring', 'modelLeaderboard')
+export const setLeaderboardTrendPlot = setterFor('monitoring', 'leaderboardTrendPlot')
@@ -0,0 +1,393 @@
+import { useEffect, useMemo, useRef } from 'react'
+import {
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  togglePinned,
+  moveToFolder,
+  createTag,
+  deleteTag,
+  toggleSessionTag,
+  tagsFor,
+  groupSessions
+} from '../../sessionOrganizer'
+import { useAppStore } from '../../store'
+import { selectOrganizer } from '../../store/selectors'
+import { createNewChat, loadSession } from '../chat/actions'
+import { openSettingsTab } from '../settings/actions'
+import { updateOrganizer, deleteSession, renameSession } from './actions'
+import {
+  setContextMenuView,
+  setNewTagName,
+  setFolderDraft,
+  setTagFilter,
+  setDragOverSection,
+  setShowContextMenu,
+  setRenamingSession,
+  setRenameValue,
+  setShowSearch,
+  setExportSelection,
+  setShowImport,
+  setShareSession
+} from './state'
+
+// Session list with pins, folders, tags and date groups (see sessionOrganizer.js)
+const Sidebar = () => {
+  const sessions = useAppStore(s => s.sessions.sessions)
+  const currentSessionId = useAppStore(s => s.sessions.currentSessionId)
+  const organizer = useAppStore(selectOrganizer)
+  const contextMenuView = useAppStore(s => s.sessions.contextMenuView)
+  const newTagName = useAppStore(s => s.sessions.newTagName)
+  const folderDraft = useAppStore(s => s.sessions.folderDraft)
+  const tagFilter = useAppStore(s => s.sessions.tagFilter)
+  const dragOverSection = useAppStore(s => s.sessions.dragOverSection)
+  const showContextMenu = useAppStore(s => s.sessions.showContextMenu)
+  const renamingSession = useAppStore(s => s.sessions.renamingSession)
+  const renameValue = useAppStore(s => s.sessions.renameValue)
+  const contextMenuRef = useRef(null)
+
+  const sessionSections = useMemo(
+    () => groupSessions(sessions, organizer, { tagFilter: tagFilter.filter(id => organizer.tags.some(t => t.id === id)) }),
+    [sessions, organizer, tagFilter]
+  )
+
+  // Close the session menu on a click anywhere else
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (contextMenuRef.current && !contextMenuRef.current.contains(event.target)) {
+        setShowContextMenu(null)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  return (
+    <>
+      <div className="sidebar-header">
+        <button className="new-chat-btn" onClick={createNewChat}>+ New chat</button>
+        <button className="sidebar-search-btn" onClick={() => setShowSearch(true)} title="Search conversations (Ctrl+K)">
+          🔍 Search
+        </button>
+      </div>
+      <div className="sidebar-section">
+        <div className="sidebar-section-header">
+          <p className="sidebar-label">Chats</p>
+          <div className="sidebar-section-actions">
+            <button className="sidebar-export-btn" onClick={() => setShowImport(true)} title="Import conversations">
+              ⤒ Import
+            </button>
+            <button className="sidebar-export-btn" onClick={() => setExportSelection([])} title="Export conversations">
+              ⤓ Export
+            </button>
+            <button className="sidebar-add-folder-btn" onClick={() => setFolderDraft({ id: null, name: '' })} title="New folder">
+              + Folder
+            </button>
+          </div>
+        </div>
+        {folderDraft && folderDraft.id === null && (
+          <div className="rename-input-wrapper">
+            <input
+              type="text"
+              className="rename-input"
+              placeholder="Folder name"
+              value={folderDraft.name}
+              onChange={(e) => setFolderDraft(prev => ({ ...prev, name: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && folderDraft.name.trim()) {
+                  updateOrganizer(store => createFolder(store, folderDraft.name))
+                  setFolderDraft(null)
+                } else if (e.key === 'Escape') {
+                  setFolderDraft(null)
+                }
+              }}
+              onBlur={() => {
+                if (folderDraft.name.trim()) updateOrganizer(store => createFolder(store, folderDraft.name))
+                setFolderDraft(null)
+              }}
+              autoFocus
+            />
+          </div>
+        )}
+        {organizer.tags.length > 0 && (
+          <div className="sidebar-tag-filter">
+            {organizer.tags.map(tag => (
+              <button
+                key={tag.id}
+                className={`session-tag-chip ${tagFilter.includes(tag.id) ? 'active' : ''}`}
+                style={{ '--tag-color': tag.color }}
+                onClick={() => setTagFilter(prev => (prev.includes(tag.id) ? prev.filter(id => id !== tag.id) : [...prev, tag.id]))}
+                title={tagFilter.includes(tag.id) ? 'Show all chats' : `Only chats tagged ${tag.name}`}
+              >
+                {tag.name}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="sidebar-sessions">
+          {sessions.length === 0 ? (
+            <p className="no-sessions">No conversations yet</p>
+          ) : (
+            sessionSections.map(section => (
+              <div
+                key={section.key}
+                className={`sidebar-group ${dragOverSection === section.key ? 'drag-over' : ''}`}
+                onDragOver={(e) => {
+                  if (!Array.from(e.dataTransfer.types).includes('application/x-session-id')) return
+                  e.preventDefault()
+                  if (dragOverSection !== section.key) setDragOverSection(section.key)
+                }}
+                onDragLeave={(e) => {
+                  if (!e.currentTarget.contains(e.relatedTarget)) setDragOverSection(null)
+                }}
+                onDrop={(e) => {
+                  const sessionId = e.dataTransfer.getData('application/x-session-id')
+                  setDragOverSection(null)
+                  if (!sessionId) return
+                  e.preventDefault()
+                  // Onto a folder files it there, onto Pinned pins it, onto a date group takes it out of its folder
+                  if (section.key === 'pinned') {
+                    if (!organizer.pinned.includes(sessionId)) updateOrganizer(store => togglePinned(store, sessionId))
+                  } else {
+                    updateOrganizer(store => moveToFolder(store, sessionId, section.folder ? section.folder.id : null))
+                  }
+                }}
+              >
+                {section.folder ? (
+                  folderDraft?.id === section.folder.id ? (
+                    <div className="rename-input-wrapper">
+                      <input
+                        type="text"
+                        className="rename-input"
+                        value={folderDraft.name}
+                        onChange={(e) => setFolderDraft(prev => ({ ...prev, name: e.target.value }))}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' && folderDraft.name.trim()) {
+                            updateOrganizer(store => updateFolder(store, section.folder.id, { name: folderDraft.name.trim() }))
+                            setFolderDraft(null)
+                          } else if (e.key === 'Escape') {
+                            setFolderDraft(null)
+                          }
+                        }}
+                        onBlur={() => {
+                          if (folderDraft.name.trim()) updateOrganizer(store => updateFolder(store, section.folder.id, { name: folderDraft.name.trim() }))
+                          setFolderDraft(null)
+                        }}
+                        autoFocus
+                      />
+                    </div>
+                  ) : (
+                    <div className="sidebar-folder-header">
+                      <button
+                        className="sidebar-folder-toggle"
+                        onClick={() => updateOrganizer(store => updateFolder(store, section.folder.id, { collapsed: !section.folder.collapsed }))}
+                      >
+                        <span className="sidebar-folder-caret">{section.folder.collapsed ? '▸' : '▾'}</span>
+                        📁 {section.folder.name}
+                        <span className="sidebar-folder-count">{section.sessions.length}</span>
+                      </button>
+                      <button
+                        className="sidebar-folder-action"
+                        onClick={() => setFolderDraft({ id: section.folder.id, name: section.folder.name })}
+                        title="Rename folder"
+                      >
+                        ✎
+                      </button>
+                      <button
+                        className="sidebar-folder-action"
+                        onClick={() => updateOrganizer(store => deleteFolder(store, section.folder.id))}
+                        title="Delete folder (its chats are kept)"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  )
+                ) : (
+                  <p className="sidebar-group-label">{section.label}</p>
+                )}
+                {section.folder && !section.folder.collapsed && section.sessions.length === 0 && (
+                  <p className="sidebar-folder-empty">Drag chats here</p>
+                )}
+                {!section.folder?.collapsed && section.sessions.map((session) => (
+                  <div
+                    key={session.session_id}
+                    className="session-item-wrapper"
+                    draggable={renamingSession !== session.session_id}
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData('application/x-session-id', session.session_id)
+                      e.dataTransfer.effectAllowed = 'move'
+                    }}
+                    onDragEnd={() => setDragOverSection(null)}
+                  >
+                    {renamingSession === session.session_id ? (
+                      <div className="rename-input-wrapper">
+                        <input
+                          type="text"
+                          className="rename-input"
+                          value={renameValue}
+                          onChange={(e) => setRenameValue(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              renameSession(session.session_id, renameValue)
+                            } else if (e.key === 'Escape') {
+                              setRenamingSession(null)
+                              setRenameValue('')
+                            }
+                          }}
+                          onBlur={() => {
+                            if (renameValue.trim()) {
+                              renameSession(session.session_id, renameValue)
+                            } else {
+                              setRenamingSession(null)
+                              setRenameValue('')
+                            }
+                          }}
+                          autoFocus
+                        />
+                      </div>
+                    ) : (
+                      <>
+                        <button
+                          className={`sidebar-item ${currentSessionId === session.session_id ? 'active' : ''}`}
+                          onClick={() => loadSession(session.session_id)}
+                        >
+                          {organizer.pinned.includes(session.session_id) && <span className="session-pin-icon" title="Pinned">📌</span>}
+                          <span className="session-item-title">{session.title || session.summary || 'New conversation'}</span>
+                          {tagsFor(organizer, session.session_id).map(tag => (
+                            <span key={tag.id} className="session-tag-dot" style={{ backgroundColor: tag.color }} title={tag.name} />
+                          ))}
+                        </button>
+                        <button
+                          className="session-menu-btn"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            setShowContextMenu(showContextMenu === session.session_id ? null : session.session_id)
+                            setContextMenuView('main')
+                          }}
+                        >
+                          ⋮
+                        </button>
+                        {showContextMenu === session.session_id && (
+                          <div className="context-menu" ref={contextMenuRef}>
+                            {contextMenuView === 'folders' ? (
+                              <>
+                                <button className="context-menu-back" onClick={() => setContextMenuView('main')}>‹ Move to folder</button>
+                                {organizer.folders.length === 0 && <p className="context-menu-empty">No folders yet</p>}
+                                {organizer.folders.map(folder => (
+                                  <button
+                                    key={folder.id}
+                                    onClick={() => {
+                                      updateOrganizer(store => moveToFolder(store, session.session_id, folder.id))
+                                      setShowContextMenu(null)
+                                    }}
+                                  >
+                                    {organizer.sessionFolders[session.session_id] === folder.id ? '✓ ' : ''}{folder.name}
+                                  </button>
+                                ))}
+                                {organizer.sessionFolders[session.session_id] && (
+                                  <button
+                                    onClick={() => {
+                                      updateOrganizer(store => moveToFolder(store, session.session_id, null))
+                                      setShowContextMenu(null)
+                                    }}
+                                  >
+                                    Remove from folder
+                                  </button>
+                                )}
+                              </>
+                            ) : contextMenuView === 'tags' ? (
+                              <>
+                                <button className="context-menu-back" onClick={() => setContextMenuView('main')}>‹ Tags</button>
+                                {organizer.tags.map(tag => (
+                                  <div key={tag.id} className="context-menu-tag-row">
+                                    <button onClick={() => updateOrganizer(store => toggleSessionTag(store, session.session_id, tag.id))}>
+                                      <span className="session-tag-dot" style={{ backgroundColor: tag.color }} />
+                                      {(organizer.sessionTags[session.session_id] || []).includes(tag.id) ? '✓ ' : ''}{tag.name}
+                                    </button>
+                                    <button
+                                      className="context-menu-tag-delete"
+                                      onClick={() => updateOrganizer(store => deleteTag(store, tag.id))}
+                                      title="Delete tag everywhere"
+                                    >
+                                      ×
+                                    </button>
+                                  </div>
+                                ))}
+                                <input
+                                  type="text"
+                                  className="context-menu-input"
+                                  placeholder="New tag…"
+                                  value={newTagName}
+                                  onChange={(e) => setNewTagName(e.target.value)}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter' && newTagName.trim()) {
+                                      updateOrganizer(store => {
+                                        const { store: withTag, tag } = createTag(store, newTagName)
+                                        return toggleSessionTag(withTag, session.session_id, tag.id)
+                                      })
+                                      setNewTagName('')
+                                    }
+                                  }}
+                                />
+                              </>
+                            ) : (
+                              <>
+                                <button
+                                  onClick={() => {
+                                    updateOrganizer(store => togglePinned(store, session.session_id))
+                                    setShowContextMenu(null)
+                                  }}
+                                >
+                                  {organizer.pinned.includes(session.session_id) ? 'Unpin' : 'Pin'}
+                                </button>
+                                <button onClick={() => setContextMenuView('folders')}>Move to folder ›</button>
+                                <button onClick={() => setContextMenuView('tags')}>Tags ›</button>
+                                <button
+                                  onClick={() => {
+                                    setShareSession(session)
+                                    setShowContextMenu(null)
+                                  }}
+                                >
+                                  Share…
+                                </button>
+                                <button
+                                  onClick={() => {
+                                    setExportSelection([session.session_id])
+                                    setShowContextMenu(null)
+                                  }}
+                                >
+                                  Export…
+                                </button>
+                                <button onClick={() => {
+                                  setRenamingSession(session.session_id)
+                                  setRenameValue(session.title || session.summary || 'New conversation')
+                                  setShowContextMenu(null)
+                                }}>
+                                  Rename
+                                </button>
+                                <button onClick={() => deleteSession(session.session_id)}>
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+      <div className="sidebar-footer">
+            <button className="sidebar-footer-item" onClick={() => openSettingsTab('overview')}>
+          ⚙️ Settings
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default Sidebar
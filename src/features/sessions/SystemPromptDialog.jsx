@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { MAX_INSTRUCTIONS_LENGTH } from '../../instructions'
+import { useAppStore } from '../../store'
+import { saveSystemPrompt } from './actions'
+import { setEditingSystemPrompt } from './state'
+
+// Edit the current conversation's system prompt (opened from the chat header)
+const SystemPromptDialog = () => {
+  const currentSessionId = useAppStore(s => s.sessions.currentSessionId)
+  const savedPrompt = useAppStore(s => s.sessions.systemPrompts[currentSessionId] || '')
+  const [draft, setDraft] = useState(savedPrompt)
+
+  const handleClose = () => setEditingSystemPrompt(false)
+
+  const handleSave = () => {
+    saveSystemPrompt(currentSessionId, draft)
+    handleClose()
+  }
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content system-prompt-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>System prompt</h3>
+        <p className="export-hint">
+          Applies to every message in this conversation, on top of your custom instructions.
+          It's shown at the top of the conversation, including to people you share it with.
+        </p>
+        <textarea
+          className="custom-instructions-input"
+          rows={8}
+          autoFocus
+          maxLength={MAX_INSTRUCTIONS_LENGTH}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="You are a careful reviewer. Point out risks before suggesting changes."
+        />
+        <div className="confirmation-actions">
+          {savedPrompt && (
+            <button
+              className="btn-secondary feedback-remove-btn"
+              onClick={() => {
+                saveSystemPrompt(currentSessionId, '')
+                handleClose()
+              }}
+            >
+              Remove
+            </button>
+          )}
+          <button className="btn-secondary" onClick={handleClose}>Cancel</button>
+          <button className="btn-primary" onClick={handleSave} disabled={draft.trim() === savedPrompt}>Save</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SystemPromptDialog
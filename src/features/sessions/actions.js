@@ -0,0 +1,142 @@
+// ===== SESSIONS =====
+// Session list, rename / delete, system prompts, sidebar organization and shared links
+import { api, isUnauthorizedError } from '../../api/client'
+import { clearBranchStore } from '../../branches'
+import { clearCompareRuns } from '../../compareRuns'
+import { saveOrganizer, pruneOrganizer } from '../../sessionOrganizer'
+import { saveSessionPrompt } from '../../instructions'
+import { getState } from '../../store'
+import { selectOrganizer } from '../../store/selectors'
+import { setMessages } from '../chat/state'
+import {
+  setSessions,
+  setCurrentSessionId,
+  setOrganizerEdits,
+  setShowContextMenu,
+  setRenamingSession,
+  setRenameValue,
+  setSharedLinks,
+  setSharedLinksLoading,
+  setSharedLinksError,
+  setSystemPrompts
+} from './state'
+
+export const loadSessions = async (userId) => {
+  if (getState().auth.emailVerificationPending) return []
+  try {
+    const data = await api.sessions.list(userId)
+    // API returns sessions with 'title' field, map it to both 'title' and 'summary' for compatibility
+    const sessionsWithTitle = (data || []).map(session => ({
+      ...session,
+      summary: session.title || session.summary, // Use title from API, fallback to summary if exists
+      title: session.title || session.summary
+    }))
+    setSessions(sessionsWithTitle)
+    return sessionsWithTitle
+  } catch (err) {
+    console.error('Failed to load sessions:', err)
+  }
+  return []
+}
+
+// Apply `change` to the sidebar organization and persist it for this user
+export const updateOrganizer = (change) => {
+  const state = getState()
+  const userId = state.auth.user?.id
+  const next = change(selectOrganizer(state))
+  saveOrganizer(userId, next)
+  setOrganizerEdits({ userId, store: next })
+}
+
+export const updateChatTitle = async (sessionId, title) => {
+  const { user } = getState().auth
+  try {
+    await api.sessions.rename(sessionId, title)
+    // Reload sessions to update the UI
+    if (user && user.id) {
+      await loadSessions(user.id)
+    }
+    return true
+  } catch (err) {
+    console.error('Failed to update title:', err)
+    return false
+  }
+}
+
+export const deleteSession = async (sessionId) => {
+  const { user } = getState().auth
+  const { sessions, currentSessionId } = getState().sessions
+  try {
+    await api.sessions.remove(sessionId)
+    clearBranchStore(sessionId)
+    clearCompareRuns(sessionId)
+    updateOrganizer(store => pruneOrganizer(store, sessions.filter(s => s.session_id !== sessionId)))
+    if (currentSessionId === sessionId) {
+      setCurrentSessionId(null)
+      setMessages([])
+      localStorage.removeItem('current_session_id')
+    }
+    await loadSessions(user.id)
+    setShowContextMenu(null)
+  } catch (err) {
+    console.error('Failed to delete session:', err)
+    if (!isUnauthorizedError(err)) setShowContextMenu(null)
+  }
+}
+
+export const renameSession = async (sessionId, newTitle) => {
+  if (!newTitle.trim()) {
+    setRenamingSession(null)
+    setRenameValue('')
+    return
+  }
+
+  // This is the ONLY POST call for title update - when user clicks Rename
+  // (updateChatTitle reloads the session list on success)
+  await updateChatTitle(sessionId, newTitle)
+
+  setRenamingSession(null)
+  setRenameValue('')
+  setShowContextMenu(null)
+}
+
+export const fetchSharedLinks = async () => {
+  if (getState().auth.emailVerificationPending) return
+  setSharedLinksLoading(true)
+  setSharedLinksError(null)
+  try {
+    const data = await api.shares.list()
+    setSharedLinks(Array.isArray(data) ? data : data?.shares || [])
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to fetch shared links:', err)
+    setSharedLinksError(err.message || 'Failed to load shared links')
+  } finally {
+    setSharedLinksLoading(false)
+  }
+}
+
+export const revokeSharedLink = async (share) => {
+  if (!confirm(`Revoke the link to "${share.title || 'this conversation'}"? Anyone using it will lose access.`)) return
+  try {
+    await api.shares.revoke(share.share_id)
+    setSharedLinks(prev => prev.filter(s => s.share_id !== share.share_id))
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    alert(err.message || 'Failed to revoke link')
+  }
+}
+
+// Applies to the next prompt right away; the backend copy is what collaborators
+// (and other devices) see
+export const saveSystemPrompt = async (sessionId, prompt) => {
+  const value = prompt.trim()
+  saveSessionPrompt(getState().auth.user?.id, sessionId, value)
+  setSystemPrompts(prev => ({ ...prev, [sessionId]: value }))
+  try {
+    await api.sessions.updateSystemPrompt(sessionId, value || null)
+  } catch (err) {
+    if (isUnauthorizedError(err)) return
+    console.error('Failed to save system prompt:', err)
+  }
+}
@@ -0,0 +1,24 @@
+// ===== SESSIONS STATE =====
+// Setters for the `sessions` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setSessions = setterFor('sessions', 'sessions')
+export const setCurrentSessionId = setterFor('sessions', 'currentSessionId')
+export const setOrganizerEdits = setterFor('sessions', 'organizerEdits')
+export const setContextMenuView = setterFor('sessions', 'contextMenuView')
+export const setNewTagName = setterFor('sessions', 'newTagName')
+export const setFolderDraft = setterFor('sessions', 'folderDraft')
+export const setTagFilter = setterFor('sessions', 'tagFilter')
+export const setDragOverSection = setterFor('sessions', 'dragOverSection')
+export const setShowContextMenu = setterFor('sessions', 'showContextMenu')
+export const setRenamingSession = setterFor('sessions', 'renamingSession')
+export const setRenameValue = setterFor('sessions', 'renameValue')
+export const setShowSearch = setterFor('sessions', 'showSearch')
+export const setExportSelection = setterFor('sessions', 'exportSelection')
+export const setShowImport = setterFor('sessions', 'showImport')
+export const setShareSession = setterFor('sessions', 'shareSession')
+export const setSystemPrompts = setterFor('sessions', 'systemPrompts')
+export const setEditingSystemPrompt = setterFor('sessions', 'editingSystemPrompt')
+export const setSharedLinks = setterFor('sessions', 'sharedLinks')
+export const setSharedLinksLoading = setterFor('sessions', 'sharedLinksLoading')
+export const setSharedLinksError = setterFor('sessions', 'sharedLinksError')
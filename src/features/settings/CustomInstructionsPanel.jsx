@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { MAX_INSTRUCTIONS_LENGTH } from '../../instructions'
+import { useAppStore } from '../../store'
+import { saveCustomInstructions } from './actions'
+
+// Settings > Custom instructions: standing instructions for every conversation
+const CustomInstructionsPanel = () => {
+  const customInstructions = useAppStore(s => s.settings.customInstructions)
+  const [draft, setDraft] = useState(customInstructions)
+  const [loadedValue, setLoadedValue] = useState(customInstructions)
+  const [status, setStatus] = useState(null) // saving | saved | local
+
+  // The profile can arrive after the panel opens (a /settings/instructions
+  // deep link) - follow it unless the user already started editing
+  if (customInstructions !== loadedValue) {
+    setLoadedValue(customInstructions)
+    if (draft === loadedValue) setDraft(customInstructions)
+  }
+  const changed = draft.trim() !== customInstructions
+
+  const handleSave = async () => {
+    setStatus('saving')
+    const synced = await saveCustomInstructions(draft)
+    setStatus(synced ? 'saved' : 'local')
+  }
+
+  return (
+    <div className="custom-instructions-panel">
+      <h2>Custom instructions</h2>
+      <p className="shared-links-intro">
+        Sent with every message, in every conversation - for example “answer concisely” or “use metric units”.
+        A conversation's own system prompt (set from the chat header) applies on top of these.
+      </p>
+      <textarea
+        className="custom-instructions-input"
+        rows={8}
+        maxLength={MAX_INSTRUCTIONS_LENGTH}
+        value={draft}
+        onChange={(e) => {
+          setDraft(e.target.value)
+          setStatus(null)
+        }}
+        placeholder="How should the assistant answer you?"
+      />
+      <div className="custom-instructions-footer">
+        <span className="export-hint">{draft.length}/{MAX_INSTRUCTIONS_LENGTH}</span>
+        {status === 'saved' && <span className="custom-instructions-status">Saved</span>}
+        {status === 'local' && <span className="custom-instructions-status">Saved on this device only - the server didn't accept them</span>}
+        <button className="btn-primary" onClick={handleSave} disabled={!changed || status === 'saving'}>
+          {status === 'saving' ? 'Saving…' : 'Save'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CustomInstructionsPanel
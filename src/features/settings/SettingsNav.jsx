@@ -0,0 +1,57 @@
+import { useAppStore } from '../../store'
+import { openSettingsTab } from './actions'
+
+// Sidebar while settings are open
+const SettingsNav = () => {
+  const userProfile = useAppStore(s => s.auth.userProfile)
+  const settingsTab = useAppStore(s => s.settings.settingsTab)
+
+  return (
+    <div className="settings-nav">
+      <div className="settings-nav-header">
+        <div className="settings-nav-name">{`${userProfile?.first_name || ''} ${userProfile?.last_name || ''}`.trim() || 'User'}</div>
+        <div className="settings-nav-email">{userProfile?.email || ''}</div>
+      </div>
+      <div className="settings-nav-items">
+        <button
+          className={`settings-nav-item ${settingsTab === 'overview' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('overview')}
+        >
+          Overview
+        </button>
+        <button
+          className={`settings-nav-item ${settingsTab === 'usage' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('usage')}
+        >
+          Usage
+        </button>
+        <button
+          className={`settings-nav-item ${settingsTab === 'billing' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('billing')}
+        >
+          Billing & Invoices
+        </button>
+        <button
+          className={`settings-nav-item ${settingsTab === 'shares' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('shares')}
+        >
+          Shared links
+        </button>
+        <button
+          className={`settings-nav-item ${settingsTab === 'feedback' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('feedback')}
+        >
+          Feedback
+        </button>
+        <button
+          className={`settings-nav-item ${settingsTab === 'instructions' ? 'active' : ''}`}
+          onClick={() => openSettingsTab('instructions')}
+        >
+          Custom instructions
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsNav
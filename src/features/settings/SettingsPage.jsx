@@ -0,0 +1,133 @@
+import { useEffect, useRef } from 'react'
+import SharedLinksPanel from '../../SharedLinksPanel'
+import { useAppStore } from '../../store'
+import ApiKeysPanel from '../api-keys/ApiKeysPanel'
+import BillingSection from '../billing/BillingSection'
+import PlanCheckout from '../billing/PlanCheckout'
+import PlansOverview from '../billing/PlansOverview'
+import UsageDashboard from '../billing/UsageDashboard'
+import { fetchBillingInfo } from '../billing/actions'
+import FeedbackHistory from '../feedback/FeedbackHistory'
+import MonitoringPanel from '../monitoring/MonitoringPanel'
+import { revokeSharedLink } from '../sessions/actions'
+import CustomInstructionsPanel from './CustomInstructionsPanel'
+import { openSettingsTab } from './actions'
+import { setShowSettings } from './state'
+
+// Settings overlay: one tab per settings area, each panel reads its own slice
+const SettingsPage = () => {
+  const settingsTab = useAppStore(s => s.settings.settingsTab)
+  const billingInfo = useAppStore(s => s.billing.billingInfo)
+  const sharedLinks = useAppStore(s => s.sessions.sharedLinks)
+  const sharedLinksLoading = useAppStore(s => s.sessions.sharedLinksLoading)
+  const sharedLinksError = useAppStore(s => s.sessions.sharedLinksError)
+  const settingsRef = useRef(null)
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (settingsRef.current && !settingsRef.current.contains(event.target)) {
+        setShowSettings(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  // Fetch billing info when settings opens to check for BYOK plan (lazy - only plan info)
+  useEffect(() => {
+    fetchBillingInfo(false)
+  }, [])
+
+  return (
+    <div className="settings-page" ref={settingsRef}>
+      <div className="settings-header">
+        <h2>Settings</h2>
+        <button className="close-btn" onClick={() => setShowSettings(false)}>✕</button>
+      </div>
+      <div className="settings-content">
+        <div className="settings-sidebar">
+          <button
+            className={`settings-tab ${settingsTab === 'overview' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('overview')}
+          >
+            Overview
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'usage' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('usage')}
+          >
+            Usage
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'billing' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('billing')}
+          >
+            Billing & Invoices
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'monitoring' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('monitoring')}
+          >
+            Monitoring
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'shares' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('shares')}
+          >
+            Shared links
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'feedback' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('feedback')}
+          >
+            Feedback
+          </button>
+          <button
+            className={`settings-tab ${settingsTab === 'instructions' ? 'active' : ''}`}
+            onClick={() => openSettingsTab('instructions')}
+          >
+            Custom instructions
+          </button>
+          {/* Show API Keys only for BYOK plan users */}
+          {billingInfo && billingInfo.plan_tier === 'byok' && (
+            <button
+              className={`settings-tab ${settingsTab === 'api-keys' ? 'active' : ''}`}
+              onClick={() => openSettingsTab('api-keys')}
+            >
+              API Keys
+            </button>
+          )}
+        </div>
+        <div className="settings-body">
+          {settingsTab === 'overview' ? (
+            <PlansOverview />
+          ) : settingsTab === 'monitoring' ? (
+            <MonitoringPanel />
+          ) : settingsTab === 'usage' ? (
+            <UsageDashboard />
+          ) : settingsTab === 'billing' ? (
+            <BillingSection />
+          ) : settingsTab === 'shares' ? (
+            <SharedLinksPanel
+              links={sharedLinks}
+              loading={sharedLinksLoading}
+              error={sharedLinksError}
+              onRevoke={revokeSharedLink}
+            />
+          ) : settingsTab === 'feedback' ? (
+            <FeedbackHistory />
+          ) : settingsTab === 'instructions' ? (
+            <CustomInstructionsPanel />
+          ) : settingsTab === 'api-keys' ? (
+            <ApiKeysPanel />
+          ) : null}
+        </div>
+      </div>
+
+      <PlanCheckout />
+    </div>
+  )
+}
+
+export default SettingsPage
@@ -0,0 +1,69 @@
+// ===== SETTINGS =====
+import { isUnauthorizedError } from '../../api/client'
+import { saveLocalInstructions } from '../../instructions'
+import { normalizeParams, saveLocalDefaults } from '../../generation'
+import { getState } from '../../store'
+import { updateProfileFields } from '../auth/actions'
+import { fetchBillingInfo, fetchUsageSummary, fetchBillingHistory, fetchInvoices } from '../billing/actions'
+import { fetchMonitoringData, fetchModelLeaderboard } from '../monitoring/actions'
+import { fetchSharedLinks } from '../sessions/actions'
+import { fetchAPIKeysStatus } from '../api-keys/actions'
+import { fetchFeedbackHistory } from '../feedback/actions'
+import { setShowSettings, setSettingsTab, setCustomInstructions, setGenerationDefaults } from './state'
+
+// Data each settings tab shows is only fetched once the tab is opened
+export const loadSettingsTab = (tab) => {
+  if (tab === 'overview') {
+    fetchBillingInfo(false)
+  } else if (tab === 'usage') {
+    fetchUsageSummary()
+    fetchBillingHistory()
+  } else if (tab === 'billing') {
+    fetchBillingInfo(false) // Don't fetch additional data
+    fetchInvoices()
+  } else if (tab === 'monitoring') {
+    fetchMonitoringData()
+    fetchModelLeaderboard()
+  } else if (tab === 'shares') {
+    fetchSharedLinks()
+  } else if (tab === 'feedback') {
+    fetchFeedbackHistory()
+  } else if (tab === 'api-keys') {
+    fetchAPIKeysStatus()
+  }
+}
+
+export const openSettingsTab = (tab) => {
+  setSettingsTab(tab)
+  setShowSettings(true)
+  loadSettingsTab(tab)
+}
+
+// Kept locally first so the next prompt already uses them; resolves to whether
+// the profile took them too
+export const saveCustomInstructions = async (text) => {
+  const value = text.trim()
+  saveLocalInstructions(getState().auth.user?.id, value)
+  setCustomInstructions(value)
+  try {
+    await updateProfileFields({ custom_instructions: value })
+    return true
+  } catch (err) {
+    if (!isUnauthorizedError(err)) console.error('Failed to save custom instructions:', err)
+    return false
+  }
+}
+
+// Sampling defaults for one query mode (see generation.js), kept the same way
+export const saveGenerationDefaults = async (mode, params) => {
+  const defaults = { ...getState().settings.generationDefaults, [mode]: normalizeParams(params, mode) }
+  saveLocalDefaults(getState().auth.user?.id, defaults)
+  setGenerationDefaults(defaults)
+  try {
+    await updateProfileFields({ generation_defaults: defaults })
+    return true
+  } catch (err) {
+    if (!isUnauthorizedError(err)) console.error('Failed to save generation defaults:', err)
+    return false
+  }
+}
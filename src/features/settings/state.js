@@ -0,0 +1,8 @@
+// ===== SETTINGS STATE =====
+// Setters for the `settings` slice of the app store (fields and defaults in src/store)
+import { setterFor } from '../../store'
+
+export const setShowSettings = setterFor('settings', 'showSettings')
+export const setSettingsTab = setterFor('settings', 'settingsTab')
+export const setCustomInstructions = setterFor('settings', 'customInstructions')
+export const setGenerationDefaults = setterFor('settings', 'generationDefaults')
@@ -0,0 +1,143 @@
+// ===== MESSAGE FEEDBACK =====
+// Ratings on assistant answers. A thumbs down carries labels for the routing
+// team: what went wrong, a comment and optionally the answer that was wanted.
+//
+//   POST   /api/feedback              { message_id, session_id, feedback_type: 'like' | 'dislike',
+//                                        categories, comment, ideal_answer } records or replaces it
+//   DELETE /api/feedback/:message_id  retracts it
+//   GET    /api/feedback              -> { feedback: [{ message_id, session_id, feedback_type, categories,
+//                                        comment, ideal_answer, prompt, answer, model_used, mode, updated_at }] }
+//
+// Messages from /api/sessions/:id carry it back as `feedback` (either the bare
+// feedback_type or the object above). A copy is also kept per user in
+// localStorage, so ratings come back on backends that don't return them and
+// Settings > Feedback can list them without GET /api/feedback.
+//
+// store = { [messageId]: { rating, categories, comment, idealAnswer, sessionId, updatedAt,
+//                          prompt, answer, model, mode } }
+
+export const FEEDBACK_CATEGORIES = [
+  { key: 'wrong', label: 'Wrong or inaccurate' },
+  { key: 'outdated', label: 'Outdated' },
+  { key: 'unsafe', label: 'Unsafe or inappropriate' },
+  { key: 'wrong_model', label: 'Wrong model choice' },
+  { key: 'too_slow', label: 'Too slow' },
+  { key: 'too_expensive', label: 'Too expensive' }
+]
+
+export const categoryLabel = (key) => FEEDBACK_CATEGORIES.find(c => c.key === key)?.label || key
+
+const storageKey = (userId) => `message_feedback_${userId}`
+
+export const loadFeedbackStore = (userId) => {
+  if (!userId) return {}
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+export const saveFeedbackStore = (userId, store) => {
+  if (!userId) return
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(store))
+  } catch (err) {
+    console.error('Failed to persist feedback:', err)
+  }
+}
+
+// Feedback as the backend returned it on a message, or null when there is none
+export const feedbackFromServer = (raw) => {
+  if (!raw) return null
+  if (typeof raw === 'string') return raw === 'like' || raw === 'dislike' ? { rating: raw, categories: [], comment: '', idealAnswer: '' } : null
+  const rating = raw.feedback_type || raw.rating
+  if (rating !== 'like' && rating !== 'dislike') return null
+  return {
+    rating,
+    categories: Array.isArray(raw.categories) ? raw.categories : [],
+    comment: raw.comment || '',
+    idealAnswer: raw.ideal_answer || '',
+    ...((raw.updated_at || raw.created_at) && { updatedAt: raw.updated_at || raw.created_at })
+  }
+}
+
+// A message's feedback: what the backend returned, else the local copy. A bare
+// rating from the backend keeps the local labels when they agree.
+export const mergeFeedback = (raw, local) => {
+  const fromServer = feedbackFromServer(raw)
+  if (!fromServer) return local || null
+  if (typeof raw === 'string' && local?.rating === fromServer.rating) return { ...fromServer, ...local }
+  return { ...local, ...fromServer }
+}
+
+export const toFeedbackRequest = (messageId, sessionId, entry) => ({
+  message_id: messageId,
+  session_id: sessionId,
+  feedback_type: entry.rating,
+  categories: entry.categories,
+  comment: entry.comment || undefined,
+  ideal_answer: entry.idealAnswer || undefined
+})
+
+// messageActions value the message toolbar shows for a rating
+export const actionForRating = (rating) => (rating === 'like' ? 'liked' : 'disliked')
+
+// The exchange behind a rated answer, as shown in `messages` - saved with the
+// rating so the history has it without reloading the session
+export const ratedExchange = (messages, messageId, fallbackMode) => {
+  const index = messages.findIndex(m => String(m.id) === String(messageId))
+  if (index === -1) return {}
+  const answer = messages[index]
+  const prompt = messages.slice(0, index).reverse().find(m => m.role === 'user')
+  return {
+    prompt: prompt?.content || '',
+    answer: answer.content || '',
+    model: answer.model_used || null,
+    mode: answer.mode || prompt?.mode || fallbackMode || null
+  }
+}
+
+// One row of the feedback history, from GET /api/feedback
+export const historyEntryFromServer = (raw) => ({
+  ...feedbackFromServer(raw),
+  messageId: raw.message_id,
+  sessionId: raw.session_id,
+  prompt: raw.prompt || '',
+  answer: raw.answer || '',
+  model: raw.model_used || raw.model || null,
+  mode: raw.mode || null
+})
+
+// The local copy as history rows, newest first
+export const historyFromStore = (store) => Object.entries(store)
+  .map(([messageId, entry]) => ({ ...entry, messageId }))
+  .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+
+// filters = { rating: 'all' | 'like' | 'dislike', model: '' | name, start, end } (dates as YYYY-MM-DD)
+export const filterHistory = (entries, { rating = 'all', model = '', start = '', end = '' } = {}) => entries.filter(entry => {
+  if (rating !== 'all' && entry.rating !== rating) return false
+  if (model && entry.model !== model) return false
+  const day = entry.updatedAt ? String(entry.updatedAt).slice(0, 10) : ''
+  if (start && (!day || day < start)) return false
+  if (end && (!day || day > end)) return false
+  return true
+})
+
+// One JSON object per line, chat-formatted so eval and fine-tuning tools can
+// read the exchange directly; the labels ride along next to it.
+export const toFeedbackJsonl = (entries) => entries.map(entry => JSON.stringify({
+  messages: [
+    { role: 'user', content: entry.prompt || '' },
+    { role: 'assistant', content: entry.answer || '' }
+  ],
+  rating: entry.rating,
+  categories: entry.categories || [],
+  comment: entry.comment || null,
+  ideal_answer: entry.idealAnswer || null,
+  model: entry.model || null,
+  mode: entry.mode || null,
+  session_id: entry.sessionId ?? null,
+  message_id: entry.messageId ?? null,
+  rated_at: entry.updatedAt || null
+})).join('\n') + (entries.length ? '\n' : '')
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { feedbackFromServer, filterHistory, historyFromStore, mergeFeedback, toFeedbackJsonl } from './feedback'
+
+const entries = [
+  { messageId: '1', rating: 'like', model: 'gpt-4o', updatedAt: '2026-03-01T10:00:00Z' },
+  { messageId: '2', rating: 'dislike', model: 'claude', updatedAt: '2026-03-05T10:00:00Z' },
+  { messageId: '3', rating: 'dislike', model: 'gpt-4o', updatedAt: '2026-03-10T23:59:00Z' },
+  { messageId: '4', rating: 'like', model: 'claude' }
+]
+
+const ids = (list) => list.map(entry => entry.messageId)
+
+describe('filterHistory', () => {
+  it('returns everything without filters', () => {
+    expect(filterHistory(entries)).toEqual(entries)
+  })
+
+  it('filters by rating and model', () => {
+    expect(ids(filterHistory(entries, { rating: 'dislike' }))).toEqual(['2', '3'])
+    expect(ids(filterHistory(entries, { rating: 'like', model: 'claude' }))).toEqual(['4'])
+  })
+
+  it('keeps both ends of the date range and drops undated entries', () => {
+    expect(ids(filterHistory(entries, { start: '2026-03-05', end: '2026-03-10' }))).toEqual(['2', '3'])
+    expect(ids(filterHistory(entries, { end: '2026-03-01' }))).toEqual(['1'])
+  })
+})
+
+describe('historyFromStore', () => {
+  it('lists the local copy newest first with the message id', () => {
+    const store = {
+      a: { rating: 'like', updatedAt: '2026-03-01T00:00:00Z' },
+      b: { rating: 'dislike', updatedAt: '2026-03-02T00:00:00Z' },
+      c: { rating: 'like' }
+    }
+    expect(ids(historyFromStore(store))).toEqual(['b', 'a', 'c'])
+  })
+})
+
+describe('feedbackFromServer', () => {
+  it('accepts the bare feedback type or the full object', () => {
+    expect(feedbackFromServer('like')).toEqual({ rating: 'like', categories: [], comment: '', idealAnswer: '' })
+    expect(feedbackFromServer({ feedback_type: 'dislike', categories: ['outdated'], ideal_answer: 'Paris', updated_at: '2026-03-01' }))
+      .toEqual({ rating: 'dislike', categories: ['outdated'], comment: '', idealAnswer: 'Paris', updatedAt: '2026-03-01' })
+  })
+
+  it('ignores missing or unknown ratings', () => {
+    expect(feedbackFromServer(null)).toBeNull()
+    expect(feedbackFromServer('meh')).toBeNull()
+    expect(feedbackFromServer({ feedback_type: 'meh' })).toBeNull()
+  })
+})
+
+describe('mergeFeedback', () => {
+  const local = { rating: 'dislike', categories: ['wrong'], comment: 'Off by one', idealAnswer: '42', updatedAt: '2026-03-01' }
+
+  it('keeps the local labels behind a bare rating that agrees', () => {
+    expect(mergeFeedback('dislike', local)).toEqual(local)
+  })
+
+  it('lets the backend win when it disagrees or sends the details itself', () => {
+    expect(mergeFeedback('like', local)).toMatchObject({ rating: 'like', categories: [], comment: '' })
+    expect(mergeFeedback({ feedback_type: 'dislike', categories: ['outdated'] }, local))
+      .toMatchObject({ rating: 'dislike', categories: ['outdated'], comment: '', updatedAt: '2026-03-01' })
+  })
+
+  it('falls back to the local copy', () => {
+    expect(mergeFeedback(null, local)).toBe(local)
+    expect(mergeFeedback(undefined, undefined)).toBeNull()
+  })
+})
+
+describe('toFeedbackJsonl', () => {
+  it('writes one chat-formatted object per line', () => {
+    const jsonl = toFeedbackJsonl([
+      { messageId: '2', sessionId: 7, rating: 'dislike', categories: ['wrong'], comment: 'Off by one', idealAnswer: '42', prompt: 'Answer?', answer: '41', model: 'claude', mode: 'normal', updatedAt: '2026-03-05T10:00:00Z' },
+      { messageId: '1', rating: 'like', prompt: 'Hi', answer: 'Hello' }
+    ])
+    const lines = jsonl.split('\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[2]).toBe('')
+    expect(JSON.parse(lines[0])).toEqual({
+      messages: [{ role: 'user', content: 'Answer?' }, { role: 'assistant', content: '41' }],
+      rating: 'dislike',
+      categories: ['wrong'],
+      comment: 'Off by one',
+      ideal_answer: '42',
+      model: 'claude',
+      mode: 'normal',
+      session_id: 7,
+      message_id: '2',
+      rated_at: '2026-03-05T10:00:00Z'
+    })
+    expect(JSON.parse(lines[1])).toMatchObject({ rating: 'like', categories: [], comment: null, session_id: null })
+  })
+
+  it('is empty without entries', () => {
+    expect(toFeedbackJsonl([])).toBe('')
+  })
+})
@@ -0,0 +1,119 @@
+// ===== GENERATION PARAMETERS =====
+// Sampling settings sent with every /api/chat/message request as
+//
+//   generation_params { temperature, top_p, max_tokens?, stop?, response_format? }
+//
+// max_tokens and stop are left out when unset (the model's own limits apply),
+// response_format is 'json_object' in JSON mode. They constrain auto-routing
+// too: with selected_model null the backend still picks the model, among the
+// ones that accept these settings.
+//
+// Each mode has its own defaults, kept in the profile (PUT /api/user/profile
+// { generation_defaults: { [mode]: params } }) and per user in localStorage.
+// The params an answer was generated with are recorded per message id - the
+// backend returns them as `generation_params` on stored messages, and a local
+// copy covers backends that don't.
+
+export const PARAM_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  top_p: { min: 0, max: 1, step: 0.05 },
+  max_tokens: { min: 1, max: 32768 }
+}
+
+export const MAX_STOP_SEQUENCES = 4
+
+// params = { temperature, top_p, max_tokens: number | null, stop: [string], json_mode }
+const BASE_PARAMS = { temperature: 0.7, top_p: 1, max_tokens: null, stop: [], json_mode: false }
+
+export const BUILTIN_DEFAULTS = {
+  normal: BASE_PARAMS,
+  web_search: { ...BASE_PARAMS, temperature: 0.3 },
+  code: { ...BASE_PARAMS, temperature: 0.2 }
+}
+
+const clamp = (value, { min, max }) => Math.min(Math.max(value, min), max)
+
+// Fills gaps and pulls out-of-range values back in, so stored or hand-typed
+// params are always safe to send
+export const normalizeParams = (params, mode = 'normal') => {
+  const base = BUILTIN_DEFAULTS[mode] || BASE_PARAMS
+  const temperature = Number(params?.temperature)
+  const topP = Number(params?.top_p)
+  const maxTokens = Math.round(Number(params?.max_tokens))
+  return {
+    temperature: Number.isFinite(temperature) ? clamp(temperature, PARAM_LIMITS.temperature) : base.temperature,
+    top_p: Number.isFinite(topP) ? clamp(topP, PARAM_LIMITS.top_p) : base.top_p,
+    max_tokens: params?.max_tokens && maxTokens > 0 ? clamp(maxTokens, PARAM_LIMITS.max_tokens) : null,
+    stop: (Array.isArray(params?.stop) ? params.stop : []).filter(s => typeof s === 'string' && s).slice(0, MAX_STOP_SEQUENCES),
+    json_mode: Boolean(params?.json_mode)
+  }
+}
+
+// What the composer sends in `mode`: this visit's edits, else the saved defaults
+export const paramsForMode = (defaults, overrides, mode) => (
+  normalizeParams(overrides?.[mode] || defaults?.[mode] || BUILTIN_DEFAULTS[mode], mode)
+)
+
+export const isBuiltinDefault = (params, mode) => (
+  JSON.stringify(normalizeParams(params, mode)) === JSON.stringify(normalizeParams(BUILTIN_DEFAULTS[mode], mode))
+)
+
+export const toRequestParams = (params) => ({
+  temperature: params.temperature,
+  top_p: params.top_p,
+  max_tokens: params.max_tokens || undefined,
+  stop: params.stop.length ? params.stop : undefined,
+  response_format: params.json_mode ? 'json_object' : undefined
+})
+
+// Back from a stored message's `generation_params` (the request shape)
+export const paramsFromServer = (raw) => (raw
+  ? normalizeParams({ ...raw, json_mode: raw.json_mode ?? raw.response_format === 'json_object' })
+  : null)
+
+// "T 0.7 · top-p 1 · 512 tokens · JSON" for a message's chip
+export const describeParams = (params) => [
+  `T ${params.temperature}`,
+  `top-p ${params.top_p}`,
+  params.max_tokens && `${params.max_tokens} tokens`,
+  params.stop.length > 0 && `stop: ${params.stop.map(s => JSON.stringify(s)).join(', ')}`,
+  params.json_mode && 'JSON'
+].filter(Boolean).join(' · ')
+
+const defaultsKey = (userId) => `generation_defaults_${userId}`
+const messageParamsKey = (userId) => `generation_params_${userId}`
+
+// Oldest messages drop off past this
+const MAX_RECORDED_MESSAGES = 2000
+
+const readJSON = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    console.error('Failed to persist generation params:', err)
+  }
+}
+
+// { [mode]: params }
+export const loadLocalDefaults = (userId) => (userId ? readJSON(defaultsKey(userId)) : {})
+
+export const saveLocalDefaults = (userId, defaults) => {
+  if (userId) writeJSON(defaultsKey(userId), defaults)
+}
+
+// { [messageId]: params }
+export const loadMessageParams = (userId) => (userId ? readJSON(messageParamsKey(userId)) : {})
+
+export const recordMessageParams = (userId, messageId, params) => {
+  if (!userId || messageId == null) return
+  const entries = Object.entries({ ...loadMessageParams(userId), [messageId]: params })
+  writeJSON(messageParamsKey(userId), Object.fromEntries(entries.slice(-MAX_RECORDED_MESSAGES)))
+}
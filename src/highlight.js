@@ -0,0 +1,112 @@
+import hljs from 'highlight.js/lib/core'
+import bash from 'highlight.js/lib/languages/bash'
+import c from 'highlight.js/lib/languages/c'
+import cpp from 'highlight.js/lib/languages/cpp'
+import csharp from 'highlight.js/lib/languages/csharp'
+import css from 'highlight.js/lib/languages/css'
+import diff from 'highlight.js/lib/languages/diff'
+import dockerfile from 'highlight.js/lib/languages/dockerfile'
+import go from 'highlight.js/lib/languages/go'
+import ini from 'highlight.js/lib/languages/ini'
+import java from 'highlight.js/lib/languages/java'
+import javascript from 'highlight.js/lib/languages/javascript'
+import json from 'highlight.js/lib/languages/json'
+import kotlin from 'highlight.js/lib/languages/kotlin'
+import markdown from 'highlight.js/lib/languages/markdown'
+import php from 'highlight.js/lib/languages/php'
+import plaintext from 'highlight.js/lib/languages/plaintext'
+import python from 'highlight.js/lib/languages/python'
+import r from 'highlight.js/lib/languages/r'
+import ruby from 'highlight.js/lib/languages/ruby'
+import rust from 'highlight.js/lib/languages/rust'
+import scala from 'highlight.js/lib/languages/scala'
+import shell from 'highlight.js/lib/languages/shell'
+import sql from 'highlight.js/lib/languages/sql'
+import swift from 'highlight.js/lib/languages/swift'
+import typescript from 'highlight.js/lib/languages/typescript'
+import xml from 'highlight.js/lib/languages/xml'
+import yaml from 'highlight.js/lib/languages/yaml'
+
+// ===== SYNTAX HIGHLIGHTING =====
+// Only the languages the backend's code_blocks report in practice are bundled
+// (highlight.js core + these grammars), so highlighting works offline without
+// pulling in all ~190 grammars.
+const LANGUAGES = {
+  bash, c, cpp, csharp, css, diff, dockerfile, go, ini, java, javascript, json, kotlin,
+  markdown, php, plaintext, python, r, ruby, rust, scala, shell, sql, swift, typescript, xml, yaml
+}
+Object.entries(LANGUAGES).forEach(([name, grammar]) => hljs.registerLanguage(name, grammar))
+
+// File extension for "download as file", keyed by highlight.js language name
+const EXTENSIONS = {
+  bash: 'sh', c: 'c', cpp: 'cpp', csharp: 'cs', css: 'css', diff: 'diff', dockerfile: 'Dockerfile',
+  go: 'go', ini: 'ini', java: 'java', javascript: 'js', json: 'json', kotlin: 'kt', markdown: 'md',
+  php: 'php', plaintext: 'txt', python: 'py', r: 'r', ruby: 'rb', rust: 'rs', scala: 'scala',
+  shell: 'sh', sql: 'sql', swift: 'swift', typescript: 'ts', xml: 'xml', yaml: 'yml'
+}
+
+// Names the backend / models use that highlight.js doesn't know as aliases
+const EXTRA_ALIASES = { jsx: 'javascript', tsx: 'typescript', html: 'xml', sh: 'bash', zsh: 'bash', console: 'shell', text: 'plaintext', txt: 'plaintext' }
+
+// Canonical highlight.js language for a reported language, or null if unknown
+export const resolveLanguage = (language) => {
+  if (!language) return null
+  const key = String(language).trim().toLowerCase()
+  const alias = EXTRA_ALIASES[key] || key
+  const grammar = hljs.getLanguage(alias)
+  if (!grammar) return null
+  // getLanguage() also resolves aliases (py, js, ...) - map back to the registered name
+  return Object.keys(LANGUAGES).find(name => hljs.getLanguage(name) === grammar) || null
+}
+
+// Highlighted HTML for `code`. Unknown / missing languages are auto-detected.
+// highlight.js escapes the source, so the result is safe to inject.
+export const highlightCode = (code, language) => {
+  const resolved = resolveLanguage(language)
+  try {
+    if (resolved) {
+      return { html: hljs.highlight(code, { language: resolved, ignoreIllegals: true }).value, language: resolved }
+    }
+    const auto = hljs.highlightAuto(code)
+    return { html: auto.value, language: auto.language || null }
+  } catch {
+    return { html: hljs.highlight(code, { language: 'plaintext' }).value, language: null }
+  }
+}
+
+// Split highlighted HTML into one string per source line. Spans that cross a
+// newline (block comments, multi-line strings) are closed at the end of the
+// line and reopened on the next, so every line is valid markup on its own.
+export const splitHighlightedLines = (html) => {
+  const lines = []
+  const open = []
+  let current = ''
+  const tokenRegex = /(<span[^>]*>)|(<\/span>)|(\n)|([^<\n]+|<)/g
+  let match
+  while ((match = tokenRegex.exec(html)) !== null) {
+    const [, openTag, closeTag, newline, text] = match
+    if (openTag) {
+      open.push(openTag)
+      current += openTag
+    } else if (closeTag) {
+      open.pop()
+      current += closeTag
+    } else if (newline) {
+      lines.push(current + '</span>'.repeat(open.length))
+      current = open.join('')
+    } else {
+      current += text
+    }
+  }
+  lines.push(current + '</span>'.repeat(open.length))
+  return lines
+}
+
+// Reported names whose file type is more specific than their grammar (html is highlighted as xml)
+const REPORTED_EXTENSIONS = { html: 'html', jsx: 'jsx', tsx: 'tsx', svg: 'svg' }
+
+export const fileExtensionFor = (language) => (
+  REPORTED_EXTENSIONS[String(language || '').trim().toLowerCase()] ||
+  EXTENSIONS[resolveLanguage(language)] ||
+  'txt'
+)
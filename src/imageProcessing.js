@@ -0,0 +1,80 @@
+// ===== IMAGE PREPROCESSING =====
+// Photos are re-drawn onto a canvas before upload: rotated, cropped, scaled
+// down to a max dimension and re-encoded as WebP or JPEG. Re-encoding from
+// pixels drops all EXIF metadata (camera, timestamps, GPS) - only the
+// orientation is honoured first so the picture stays upright.
+
+const PREFS_KEY = 'image_upload_prefs'
+
+export const DEFAULT_IMAGE_PREFS = {
+  maxDimension: 1600, // px on the longest side; 0 = keep original size
+  format: 'image/webp',
+  quality: 0.85
+}
+
+export const MAX_DIMENSION_OPTIONS = [1024, 1600, 2048, 0]
+
+// Originals can be far over the attachment limit - only the processed image has to fit
+export const MAX_SOURCE_IMAGE_BYTES = 50 * 1024 * 1024
+
+export const loadImagePrefs = () => {
+  try {
+    return { ...DEFAULT_IMAGE_PREFS, ...JSON.parse(localStorage.getItem(PREFS_KEY)) }
+  } catch {
+    return { ...DEFAULT_IMAGE_PREFS }
+  }
+}
+
+export const saveImagePrefs = (prefs) => {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs))
+}
+
+// Animated GIFs would lose their animation on a canvas, so they're sent as-is
+export const canPreprocess = (file) => ['image/png', 'image/jpeg', 'image/webp'].includes(file.type)
+
+// Decoded bitmap with EXIF orientation applied
+export const decodeImage = (file) => createImageBitmap(file, { imageOrientation: 'from-image' })
+
+const canvasToBlob = (canvas, format, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))), format, quality)
+})
+
+// Rotate `bitmap` by `rotation` degrees (multiple of 90), crop to `crop` - fractions
+// { x, y, width, height } of the rotated image - then fit into maxDimension.
+export const renderImage = async (bitmap, { rotation = 0, crop = null, maxDimension = 0, format, quality }) => {
+  const quarterTurn = rotation % 180 !== 0
+  const rotatedWidth = quarterTurn ? bitmap.height : bitmap.width
+  const rotatedHeight = quarterTurn ? bitmap.width : bitmap.height
+  const area = crop || { x: 0, y: 0, width: 1, height: 1 }
+  const sourceWidth = Math.max(1, Math.round(area.width * rotatedWidth))
+  const sourceHeight = Math.max(1, Math.round(area.height * rotatedHeight))
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight)) : 1
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale))
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale))
+  const ctx = canvas.getContext('2d')
+  if (format === 'image/jpeg') {
+    // JPEG has no alpha - transparent PNG areas would otherwise turn black
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+  ctx.imageSmoothingQuality = 'high'
+  ctx.scale(scale, scale)
+  // Move the crop's top-left to the origin, then rotate about the rotated image's centre
+  ctx.translate(-area.x * rotatedWidth, -area.y * rotatedHeight)
+  ctx.translate(rotatedWidth / 2, rotatedHeight / 2)
+  ctx.rotate((rotation * Math.PI) / 180)
+  ctx.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2)
+
+  const blob = await canvasToBlob(canvas, format, quality)
+  return { blob, width: canvas.width, height: canvas.height }
+}
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg' }
+
+// The processed image as a File, named after the original with the new extension
+export const toImageFile = (blob, originalName) => {
+  const base = (originalName || 'image').replace(/\.[^.]+$/, '')
+  return new File([blob], `${base}.${EXTENSIONS[blob.type] || 'png'}`, { type: blob.type })
+}
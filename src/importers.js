@@ -0,0 +1,193 @@
+// ===== CONVERSATION IMPORT =====
+// Chat archives turned into new sessions. Understands this app's JSON export
+// (see exporters.js), ChatGPT's and Claude's data exports, and plain
+// [{ role, content }] message lists - as JSON or JSONL.
+//
+// Each conversation is sent to POST /api/sessions/import as
+//   { title, mode, messages: [{ role: 'user' | 'assistant', content, created_at, model_used, attachments }] }
+// and the backend answers with the new { session_id }, whose history the
+// router picks up like any other session.
+//
+// conversation = { key, title, createdAt, messages: [{ role, content, created_at, model_used, attachments }] }
+// Roles are kept as found; anything other than user / assistant is mapped
+// (or skipped) when the request is built.
+
+export const MAX_IMPORT_BYTES = 100 * 1024 * 1024
+
+export const IMPORT_FORMAT_LABELS = {
+  vector: 'Vector export',
+  chatgpt: 'ChatGPT export',
+  claude: 'Claude export',
+  messages: 'Message list (role / content)'
+}
+
+export const STANDARD_ROLES = ['user', 'assistant']
+
+const toISO = (value) => {
+  if (value == null || value === '') return null
+  // ChatGPT uses epoch seconds
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// String content, or the text parts of an OpenAI / Anthropic style parts array
+const textOf = (content) => {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.type === 'text' || part?.text ? part.text || '' : ''))
+      .filter(Boolean)
+      .join('\n\n')
+  }
+  return ''
+}
+
+const isMessageList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(m => m && typeof m.role === 'string' && 'content' in m)
+
+const fromVector = (conversation, idx) => ({
+  key: `vector-${idx}`,
+  title: conversation.title || 'Imported conversation',
+  createdAt: toISO(conversation.created_at),
+  messages: (conversation.messages || []).map(m => ({
+    role: m.role,
+    content: m.content || '',
+    created_at: toISO(m.created_at),
+    model_used: m.model_used || null,
+    attachments: m.attachments || []
+  }))
+})
+
+// ChatGPT keeps a tree of messages (`mapping`); the conversation as last seen
+// is the path from `current_node` back to the root
+const fromChatGPT = (conversation, idx) => {
+  const mapping = conversation.mapping || {}
+  const path = []
+  let nodeId = conversation.current_node
+  const seen = new Set()
+  while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+    seen.add(nodeId)
+    path.unshift(mapping[nodeId])
+    nodeId = mapping[nodeId].parent
+  }
+  return {
+    key: `chatgpt-${conversation.id || conversation.conversation_id || idx}`,
+    title: conversation.title || 'Imported conversation',
+    createdAt: toISO(conversation.create_time),
+    messages: path
+      .map(node => node.message)
+      .filter(message => message && !message.metadata?.is_visually_hidden_from_conversation)
+      .map(message => ({
+        role: message.author?.role || 'user',
+        content: message.content?.parts ? textOf(message.content.parts) : message.content?.text || '',
+        created_at: toISO(message.create_time),
+        model_used: message.metadata?.model_slug || null,
+        attachments: []
+      }))
+      .filter(message => message.content.trim())
+  }
+}
+
+const fromClaude = (conversation, idx) => ({
+  key: `claude-${conversation.uuid || idx}`,
+  title: conversation.name || 'Imported conversation',
+  createdAt: toISO(conversation.created_at),
+  messages: (conversation.chat_messages || [])
+    .map(message => ({
+      role: message.sender === 'human' ? 'user' : message.sender,
+      content: message.text || textOf(message.content),
+      created_at: toISO(message.created_at),
+      model_used: null,
+      attachments: []
+    }))
+    .filter(message => message.content.trim())
+})
+
+const fromMessages = (messages, idx, title) => ({
+  key: `messages-${idx}`,
+  title: title || 'Imported conversation',
+  createdAt: null,
+  messages: messages
+    .map(m => ({
+      role: m.role,
+      content: textOf(m.content),
+      created_at: toISO(m.created_at || m.timestamp),
+      model_used: m.model || null,
+      attachments: []
+    }))
+    .filter(message => message.content.trim())
+})
+
+const detect = (data, filename) => {
+  const baseTitle = (filename || '').replace(/\.[^.]+$/, '')
+  if (data && !Array.isArray(data)) {
+    if (Array.isArray(data.conversations)) return detect(data.conversations, filename)
+    if (Array.isArray(data.messages) && data.session_id !== undefined) {
+      return { format: 'vector', conversations: [fromVector(data, 0)] }
+    }
+    if (isMessageList(data.messages)) {
+      return { format: 'messages', conversations: [fromMessages(data.messages, 0, data.title || baseTitle)] }
+    }
+    return null
+  }
+  if (!Array.isArray(data) || data.length === 0) return null
+  if (data.every(c => c && c.mapping)) return { format: 'chatgpt', conversations: data.map(fromChatGPT) }
+  if (data.every(c => c && Array.isArray(c.chat_messages))) return { format: 'claude', conversations: data.map(fromClaude) }
+  if (data.every(c => c && Array.isArray(c.messages) && c.session_id !== undefined)) {
+    return { format: 'vector', conversations: data.map(fromVector) }
+  }
+  if (isMessageList(data)) return { format: 'messages', conversations: [fromMessages(data, 0, baseTitle)] }
+  if (data.every(c => isMessageList(c?.messages))) {
+    return { format: 'messages', conversations: data.map((c, idx) => fromMessages(c.messages, idx, c.title)) }
+  }
+  return null
+}
+
+// { format, conversations } for the text of an archive; throws when the file
+// isn't one of the supported formats
+export const parseImportFile = (text, filename) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    // JSONL: one message or one conversation per line
+    try {
+      data = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    } catch {
+      throw new Error('The file is not valid JSON or JSONL.')
+    }
+  }
+  const detected = detect(data, filename)
+  if (!detected) throw new Error('This file doesn\'t look like a supported chat export.')
+  const conversations = detected.conversations.filter(c => c.messages.length > 0)
+  if (conversations.length === 0) throw new Error('The file contains no messages to import.')
+  return { format: detected.format, conversations }
+}
+
+// Roles other than user / assistant found in `conversations` - they need a mapping
+export const extraRoles = (conversations) => [...new Set(
+  conversations.flatMap(c => c.messages.map(m => m.role)).filter(role => !STANDARD_ROLES.includes(role))
+)]
+
+const requestAttachment = (a) => {
+  const payload = { filename: a.filename, mime_type: a.mime_type, size: a.size, kind: a.kind }
+  if (a.url?.startsWith('data:')) return { ...payload, data: a.url.split(',')[1] || '' }
+  return { ...payload, url: a.url }
+}
+
+// Body for /api/sessions/import. `roleMap` sends each extra role to 'user',
+// 'assistant' or 'skip'.
+export const toImportRequest = (conversation, { title, mode, roleMap }) => ({
+  title: (title || '').trim() || conversation.title,
+  mode,
+  messages: conversation.messages
+    .map(m => ({ ...m, role: STANDARD_ROLES.includes(m.role) ? m.role : roleMap[m.role] || 'skip' }))
+    .filter(m => m.role !== 'skip')
+    .map(m => ({
+      role: m.role,
+      content: m.content,
+      created_at: m.created_at,
+      model_used: m.role === 'assistant' ? m.model_used : null,
+      attachments: m.attachments.filter(a => a.url).map(requestAttachment)
+    }))
+})
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest'
+import { extraRoles, parseImportFile, toImportRequest } from './importers'
+
+const parse = (data, filename = 'archive.json') => parseImportFile(typeof data === 'string' ? data : JSON.stringify(data), filename)
+
+const brief = (conversation) => conversation.messages.map(m => [m.role, m.content])
+
+describe('parseImportFile', () => {
+  it('reads a Vector export of one or several conversations', () => {
+    const exported = {
+      session_id: 7,
+      title: 'Units',
+      created_at: '2026-03-01T10:00:00Z',
+      messages: [
+        { id: 1, role: 'user', content: 'How many metres in a km?', created_at: '2026-03-01T10:00:00Z' },
+        { id: 2, role: 'assistant', content: '1000', model_used: 'gpt-4o', attachments: [{ filename: 'a.png', url: 'data:image/png;base64,AAAA' }] }
+      ]
+    }
+    const single = parse(exported)
+    expect(single.format).toBe('vector')
+    expect(single.conversations).toEqual([{
+      key: 'vector-0',
+      title: 'Units',
+      createdAt: '2026-03-01T10:00:00.000Z',
+      messages: [
+        { role: 'user', content: 'How many metres in a km?', created_at: '2026-03-01T10:00:00.000Z', model_used: null, attachments: [] },
+        { role: 'assistant', content: '1000', created_at: null, model_used: 'gpt-4o', attachments: [{ filename: 'a.png', url: 'data:image/png;base64,AAAA' }] }
+      ]
+    }])
+    const several = parse({ exported_at: '2026-03-02', conversations: [exported, { ...exported, title: 'Again' }] })
+    expect(several.conversations.map(c => c.title)).toEqual(['Units', 'Again'])
+  })
+
+  it('follows a ChatGPT mapping tree from current_node back to the root', () => {
+    const node = (id, parent, role, parts, extra = {}) => ({
+      id,
+      parent,
+      message: { author: { role }, content: { parts }, create_time: 1772359200, ...extra }
+    })
+    const { format, conversations } = parse([{
+      id: 'c1',
+      title: 'Trip',
+      create_time: 1772359200,
+      current_node: 'a2',
+      mapping: {
+        root: { id: 'root', parent: null, message: null },
+        sys: node('sys', 'root', 'system', ['hidden'], { metadata: { is_visually_hidden_from_conversation: true } }),
+        u1: node('u1', 'sys', 'user', ['Plan a trip']),
+        a1: node('a1', 'u1', 'assistant', ['First draft']),
+        a2: node('a2', 'u1', 'assistant', ['Day 1', 'Day 2'], { metadata: { model_slug: 'gpt-4o' } })
+      }
+    }])
+    expect(format).toBe('chatgpt')
+    expect(conversations[0]).toMatchObject({ key: 'chatgpt-c1', title: 'Trip', createdAt: '2026-03-01T10:00:00.000Z' })
+    expect(brief(conversations[0])).toEqual([['user', 'Plan a trip'], ['assistant', 'Day 1\n\nDay 2']])
+    expect(conversations[0].messages[1].model_used).toBe('gpt-4o')
+  })
+
+  it('reads a Claude export', () => {
+    const { format, conversations } = parse([{
+      uuid: 'u-1',
+      name: 'Poem',
+      created_at: '2026-03-01T10:00:00Z',
+      chat_messages: [
+        { sender: 'human', text: 'Write a haiku', created_at: '2026-03-01T10:00:00Z' },
+        { sender: 'assistant', text: '', content: [{ type: 'text', text: 'Old pond' }] },
+        { sender: 'assistant', text: '   ' }
+      ]
+    }])
+    expect(format).toBe('claude')
+    expect(conversations[0]).toMatchObject({ key: 'claude-u-1', title: 'Poem' })
+    expect(brief(conversations[0])).toEqual([['user', 'Write a haiku'], ['assistant', 'Old pond']])
+  })
+
+  it('reads a plain message list, titled after the file', () => {
+    const { format, conversations } = parse([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: [{ type: 'text', text: 'Hi' }] },
+      { role: 'assistant', content: 'Hello', model: 'claude' }
+    ], 'greeting.json')
+    expect(format).toBe('messages')
+    expect(conversations[0].title).toBe('greeting')
+    expect(brief(conversations[0])).toEqual([['system', 'Be brief'], ['user', 'Hi'], ['assistant', 'Hello']])
+    expect(extraRoles(conversations)).toEqual(['system'])
+  })
+
+  it('reads JSONL with one message or one conversation per line', () => {
+    const messages = parse('{"role":"user","content":"Hi"}\n\n{"role":"assistant","content":"Hello"}\n', 'chat.jsonl')
+    expect(messages.format).toBe('messages')
+    expect(brief(messages.conversations[0])).toEqual([['user', 'Hi'], ['assistant', 'Hello']])
+
+    const conversations = parse([
+      JSON.stringify({ title: 'One', messages: [{ role: 'user', content: 'a' }] }),
+      JSON.stringify({ title: 'Two', messages: [{ role: 'user', content: 'b' }] })
+    ].join('\n'), 'many.jsonl')
+    expect(conversations.conversations.map(c => c.title)).toEqual(['One', 'Two'])
+  })
+
+  it('rejects files it cannot read', () => {
+    expect(() => parse('{"role": "user", "content": ', 'broken.json')).toThrow('The file is not valid JSON or JSONL.')
+    expect(() => parse({ hello: 'world' })).toThrow('This file doesn\'t look like a supported chat export.')
+    expect(() => parse([])).toThrow('This file doesn\'t look like a supported chat export.')
+    expect(() => parse([{ role: 'user', content: '  ' }])).toThrow('The file contains no messages to import.')
+  })
+})
+
+describe('toImportRequest', () => {
+  it('maps or skips extra roles and sends data: attachments inline', () => {
+    const conversation = {
+      title: 'Imported',
+      messages: [
+        { role: 'system', content: 'Be brief', created_at: null, model_used: null, attachments: [] },
+        { role: 'tool', content: 'result', created_at: null, model_used: null, attachments: [] },
+        { role: 'user', content: 'Hi', created_at: null, model_used: 'ignored', attachments: [{ filename: 'a.png', mime_type: 'image/png', size: 3, kind: 'image', url: 'data:image/png;base64,AAAA' }] },
+        { role: 'assistant', content: 'Hello', created_at: null, model_used: 'claude', attachments: [{ filename: 'lost.txt' }] }
+      ]
+    }
+    expect(toImportRequest(conversation, { title: '  ', mode: 'normal', roleMap: { system: 'user' } })).toEqual({
+      title: 'Imported',
+      mode: 'normal',
+      messages: [
+        { role: 'user', content: 'Be brief', created_at: null, model_used: null, attachments: [] },
+        { role: 'user', content: 'Hi', created_at: null, model_used: null, attachments: [{ filename: 'a.png', mime_type: 'image/png', size: 3, kind: 'image', data: 'AAAA' }] },
+        { role: 'assistant', content: 'Hello', created_at: null, model_used: 'claude', attachments: [] }
+      ]
+    })
+  })
+})
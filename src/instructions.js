@@ -0,0 +1,52 @@
+// ===== CUSTOM INSTRUCTIONS =====
+// Two layers of standing instructions, sent with every /api/chat/message request:
+//
+//   custom_instructions  account-wide ("answer concisely, use metric units"),
+//                        kept in the profile: PUT /api/user/profile { custom_instructions }
+//   system_prompt        one session's system prompt, shown at the top of that
+//                        session: PATCH /api/sessions/:id { system_prompt },
+//                        returned by GET /api/sessions/:id as `system_prompt`
+//
+// Both are also kept per user in localStorage, so they still apply on
+// backends that don't store them.
+
+export const MAX_INSTRUCTIONS_LENGTH = 4000
+
+const instructionsKey = (userId) => `custom_instructions_${userId}`
+const sessionPromptsKey = (userId) => `session_prompts_${userId}`
+
+export const loadLocalInstructions = (userId) => (userId && localStorage.getItem(instructionsKey(userId))) || ''
+
+export const saveLocalInstructions = (userId, text) => {
+  if (!userId) return
+  if (text) localStorage.setItem(instructionsKey(userId), text)
+  else localStorage.removeItem(instructionsKey(userId))
+}
+
+// { [sessionId]: prompt }
+export const loadSessionPrompts = (userId) => {
+  if (!userId) return {}
+  try {
+    return JSON.parse(localStorage.getItem(sessionPromptsKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+export const saveSessionPrompt = (userId, sessionId, prompt) => {
+  if (!userId || !sessionId) return
+  const prompts = { ...loadSessionPrompts(userId) }
+  if (prompt) prompts[sessionId] = prompt
+  else delete prompts[sessionId]
+  try {
+    localStorage.setItem(sessionPromptsKey(userId), JSON.stringify(prompts))
+  } catch (err) {
+    console.error('Failed to persist system prompt:', err)
+  }
+}
+
+// Request fields for /api/chat/message - blank ones are left out
+export const toRequestInstructions = (customInstructions, systemPrompt) => ({
+  custom_instructions: customInstructions?.trim() || undefined,
+  system_prompt: systemPrompt?.trim() || undefined
+})
@@ -0,0 +1,123 @@
+// ===== MODEL LEADERBOARD =====
+// Answer quality per model and per mode, from what users did with the answers:
+// thumbs up / down (the feedback history, see feedback.js), regenerations,
+// escalations and compare-mode picks. Everything but the ratings is logged
+// per user in localStorage as it happens.
+//
+// log = [{ type, at, mode, ... }]
+//   answer      { model, escalated }  an answer arrived (escalated: a stronger model had to take over)
+//   regenerate  { model }             an answer by `model` was regenerated
+//   comparison  { models, winner }    a compare-mode pick
+
+const logKey = (userId) => `quality_log_${userId}`
+
+// Oldest events drop off past this
+const MAX_LOG_EVENTS = 5000
+
+export const loadQualityLog = (userId) => {
+  if (!userId) return []
+  try {
+    const stored = JSON.parse(localStorage.getItem(logKey(userId)))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export const recordQualityEvent = (userId, event) => {
+  if (!userId) return
+  const log = [...loadQualityLog(userId), { ...event, at: new Date().toISOString() }].slice(-MAX_LOG_EVENTS)
+  try {
+    localStorage.setItem(logKey(userId), JSON.stringify(log))
+  } catch (err) {
+    console.error('Failed to persist quality log:', err)
+  }
+}
+
+const emptyRow = (key) => ({
+  key,
+  answers: 0,
+  likes: 0,
+  dislikes: 0,
+  regenerations: 0,
+  escalations: 0,
+  comparisons: 0,
+  wins: 0
+})
+
+const rate = (part, whole) => (whole > 0 ? part / whole : null)
+
+// One row per model (groupBy 'model') or per mode ('mode'), best approval first.
+// Comparison picks only count per model - every column of a run shares its mode.
+export const leaderboardRows = (log, feedback, groupBy = 'model') => {
+  const rows = {}
+  const rowFor = (key) => {
+    const name = key || 'unknown'
+    if (!rows[name]) rows[name] = emptyRow(name)
+    return rows[name]
+  }
+
+  log.forEach(event => {
+    if (event.type === 'answer') {
+      const row = rowFor(event[groupBy])
+      row.answers += 1
+      if (event.escalated) row.escalations += 1
+    } else if (event.type === 'regenerate') {
+      rowFor(event[groupBy]).regenerations += 1
+    } else if (event.type === 'comparison' && groupBy === 'model') {
+      event.models.forEach(model => { rowFor(model).comparisons += 1 })
+      if (event.winner) rowFor(event.winner).wins += 1
+    }
+  })
+  feedback.forEach(entry => {
+    if (entry.rating === 'like') rowFor(entry[groupBy]).likes += 1
+    else if (entry.rating === 'dislike') rowFor(entry[groupBy]).dislikes += 1
+  })
+
+  return Object.values(rows)
+    .map(row => ({
+      ...row,
+      approval: rate(row.likes, row.likes + row.dislikes),
+      regenerateRate: rate(row.regenerations, row.answers),
+      escalationRate: rate(row.escalations, row.answers),
+      winRate: rate(row.wins, row.comparisons)
+    }))
+    .sort((a, b) => (b.approval ?? -1) - (a.approval ?? -1) || (b.likes + b.dislikes) - (a.likes + a.dislikes) || b.answers - a.answers)
+}
+
+// Monday of the week `timestamp` falls in, as YYYY-MM-DD
+const weekOf = (timestamp) => {
+  const date = new Date(timestamp)
+  if (Number.isNaN(date.getTime())) return null
+  date.setUTCHours(0, 0, 0, 0)
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7))
+  return date.toISOString().slice(0, 10)
+}
+
+// Weekly approval and win rate per model, for the trend chart:
+// { weeks: [YYYY-MM-DD], models: { [model]: { approval: [rate|null], winRate: [rate|null] } } }
+export const leaderboardTrend = (log, feedback) => {
+  const counts = {} // model -> week -> { likes, dislikes, comparisons, wins }
+  const bump = (model, week, field) => {
+    if (!model || !week) return
+    counts[model] = counts[model] || {}
+    counts[model][week] = counts[model][week] || { likes: 0, dislikes: 0, comparisons: 0, wins: 0 }
+    counts[model][week][field] += 1
+  }
+
+  feedback.forEach(entry => {
+    if (entry.rating === 'like' || entry.rating === 'dislike') bump(entry.model, weekOf(entry.updatedAt), entry.rating === 'like' ? 'likes' : 'dislikes')
+  })
+  log.filter(event => event.type === 'comparison').forEach(event => {
+    const week = weekOf(event.at)
+    event.models.forEach(model => bump(model, week, 'comparisons'))
+    if (event.winner) bump(event.winner, week, 'wins')
+  })
+
+  const weeks = [...new Set(Object.values(counts).flatMap(byWeek => Object.keys(byWeek)))].sort()
+  const models = Object.fromEntries(Object.entries(counts).map(([model, byWeek]) => [model, {
+    approval: weeks.map(week => (byWeek[week] ? rate(byWeek[week].likes, byWeek[week].likes + byWeek[week].dislikes) : null)),
+    winRate: weeks.map(week => (byWeek[week] ? rate(byWeek[week].wins, byWeek[week].comparisons) : null))
+  }]))
+  return { weeks, models }
+}
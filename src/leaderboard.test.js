@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { leaderboardRows, leaderboardTrend } from './leaderboard'
+
+const log = [
+  { type: 'answer', model: 'gpt-4o', mode: 'normal', at: '2026-03-02T10:00:00Z' },
+  { type: 'answer', model: 'gpt-4o', mode: 'code', escalated: true, at: '2026-03-02T11:00:00Z' },
+  { type: 'answer', model: 'claude', mode: 'normal', at: '2026-03-03T10:00:00Z' },
+  { type: 'regenerate', model: 'gpt-4o', mode: 'code', at: '2026-03-03T12:00:00Z' },
+  { type: 'comparison', models: ['gpt-4o', 'claude'], winner: 'claude', mode: 'normal', at: '2026-03-04T10:00:00Z' },
+  { type: 'comparison', models: ['gpt-4o', 'claude'], winner: null, mode: 'normal', at: '2026-03-11T10:00:00Z' }
+]
+
+const feedback = [
+  { rating: 'like', model: 'claude', mode: 'normal', updatedAt: '2026-03-03T12:00:00Z' },
+  { rating: 'dislike', model: 'gpt-4o', mode: 'code', updatedAt: '2026-03-02T12:00:00Z' },
+  { rating: 'like', model: 'gpt-4o', mode: 'normal', updatedAt: '2026-03-12T12:00:00Z' }
+]
+
+describe('leaderboardRows', () => {
+  it('counts each signal per model, best approval first', () => {
+    const [claude, gpt] = leaderboardRows(log, feedback)
+    expect(claude).toMatchObject({ key: 'claude', answers: 1, likes: 1, dislikes: 0, comparisons: 2, wins: 1, approval: 1, winRate: 0.5 })
+    expect(gpt).toMatchObject({ key: 'gpt-4o', answers: 2, likes: 1, dislikes: 1, regenerations: 1, escalations: 1, wins: 0, approval: 0.5 })
+    expect(gpt.regenerateRate).toBe(0.5)
+    expect(gpt.escalationRate).toBe(0.5)
+  })
+
+  it('groups by mode without counting comparison picks', () => {
+    const rows = leaderboardRows(log, feedback, 'mode')
+    expect(rows.map(row => row.key)).toEqual(['normal', 'code'])
+    expect(rows[0]).toMatchObject({ answers: 2, likes: 2, comparisons: 0, approval: 1, winRate: null })
+    expect(rows[1]).toMatchObject({ answers: 1, dislikes: 1, regenerations: 1, approval: 0 })
+  })
+
+  it('files events without a model under unknown and leaves rates empty', () => {
+    const [row] = leaderboardRows([{ type: 'answer' }], [])
+    expect(row).toMatchObject({ key: 'unknown', answers: 1, approval: null, winRate: null, regenerateRate: 0 })
+  })
+})
+
+describe('leaderboardTrend', () => {
+  it('buckets ratings and picks by week, starting Monday', () => {
+    const { weeks, models } = leaderboardTrend(log, feedback)
+    expect(weeks).toEqual(['2026-03-02', '2026-03-09'])
+    expect(models['gpt-4o']).toEqual({ approval: [0, 1], winRate: [0, 0] })
+    expect(models.claude).toEqual({ approval: [1, null], winRate: [1, 0] })
+  })
+
+  it('skips entries without a usable date', () => {
+    expect(leaderboardTrend([], [{ rating: 'like', model: 'claude', updatedAt: 'never' }])).toEqual({ weeks: [], models: {} })
+  })
+})
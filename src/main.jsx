@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedConversation from './SharedConversation.jsx'
+import { shareIdFromPath } from './shares'
+
+// Share links (/share/:id) open a read-only viewer instead of the app
+const shareId = shareIdFromPath(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareId ? <SharedConversation shareId={shareId} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,89 @@
+// ===== MESSAGE MARKDOWN SOURCE =====
+// Turns a stored message into the markdown that gets rendered (MessageMarkdown)
+// or exported (exporters.js): backend code_blocks become fences and LaTeX
+// delimiters become remark-math's dollar syntax.
+
+// Ranges sometimes cover only the code, leaving its ``` lines behind in the text
+const stripTrailingFence = (text) => ((text.match(/```/g) || []).length % 2 === 1
+  ? text.replace(/```[^\n`]*\n?$/, '')
+  : text)
+const stripLeadingFence = (text) => text.replace(/^\n?[ \t]*```[ \t]*(\n|$)/, '')
+
+// The backend reports where it found code (`code_blocks` with start_pos/end_pos),
+// sometimes for code that isn't fenced in the text. Swap each of those ranges
+// for a proper fence so the markdown parser sees the code exactly as the
+// backend extracted it and the rest of the document keeps its structure.
+export const withCodeBlockFences = (content, codeBlocks) => {
+  if (!content || !codeBlocks || codeBlocks.length === 0) return content || ''
+
+  const sorted = [...codeBlocks]
+    .filter(block => block.code)
+    .sort((a, b) => (a.start_pos || 0) - (b.start_pos || 0))
+  let result = ''
+  let lastIndex = 0
+
+  sorted.forEach(block => {
+    const startPos = block.start_pos || 0
+    const endPos = block.end_pos || content.length
+    if (startPos < lastIndex) return // overlapping ranges - keep the first
+    const language = block.language || block.raw_language || ''
+    // Longer than any backtick run inside the code, so the fence can't close early
+    const longestRun = Math.max(2, ...(block.code.match(/`+/g) || []).map(run => run.length))
+    const fence = '`'.repeat(longestRun + 1)
+    let before = content.substring(lastIndex, startPos)
+    if (lastIndex > 0) before = stripLeadingFence(before)
+    before = stripTrailingFence(before)
+    result += `${before}${before && !before.endsWith('\n') ? '\n' : ''}${fence}${language}\n${block.code.replace(/\n$/, '')}\n${fence}\n`
+    lastIndex = endPos
+  })
+
+  return result + (lastIndex > 0 ? stripLeadingFence(content.substring(lastIndex)) : content.substring(lastIndex))
+}
+
+// Models write LaTeX delimiters as often as dollar signs, but markdown reads
+// `\[` / `\(` as escaped brackets. Rewrite them to the $$ / $ syntax remark-math
+// understands - outside fenced blocks and inline code, which stay verbatim.
+// Prices ("$5 and $10") are escaped first so they don't pair up into math.
+const FENCE_LINE = /^ {0,3}(`{3,}|~{3,})/
+const CURRENCY = /(^|[^\\$])\$(?=\d[\d,.]*(?:[kKmMbB]\b|\s|$|[,.;:!?)](?!\d)))/gm
+
+const latexToDollars = (text) => text
+  .replace(CURRENCY, '$1\\$$')
+  .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => `\n$$\n${tex.trim()}\n$$\n`)
+  .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => `$${tex.trim()}$`)
+
+// Split on inline code spans (matching backtick runs) and convert the rest
+const convertOutsideInlineCode = (text) => text
+  .split(/((`+)[\s\S]*?[^`]\2(?!`))/)
+  .filter((_, idx) => idx % 3 !== 2) // drop the captured backtick run itself
+  .map((part, idx) => (idx % 2 === 0 ? latexToDollars(part) : part))
+  .join('')
+
+export const withMathDelimiters = (markdown) => {
+  if (!markdown.includes('$') && !markdown.includes('\\[') && !markdown.includes('\\(')) return markdown
+  const output = []
+  let prose = []
+  let openFence = null
+  const flushProse = () => {
+    if (prose.length) output.push(convertOutsideInlineCode(prose.join('\n')))
+    prose = []
+  }
+  markdown.split('\n').forEach(line => {
+    const fence = line.match(FENCE_LINE)
+    if (openFence) {
+      output.push(line)
+      // A fence closes on a run of the same character at least as long
+      if (fence && fence[1][0] === openFence[0] && fence[1].length >= openFence.length && !line.trim().slice(fence[1].length).trim()) openFence = null
+    } else if (fence) {
+      flushProse()
+      output.push(line)
+      openFence = fence[1]
+    } else {
+      prose.push(line)
+    }
+  })
+  flushProse()
+  return output.join('\n')
+}
+
+export const messageMarkdownSource = (content, codeBlocks) => withMathDelimiters(withCodeBlockFences(content, codeBlocks))
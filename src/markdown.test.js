@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { withCodeBlockFences, withMathDelimiters } from './markdown'
+
+describe('withCodeBlockFences', () => {
+  it('returns the content unchanged without code blocks', () => {
+    expect(withCodeBlockFences('plain *text*', [])).toBe('plain *text*')
+    expect(withCodeBlockFences(null, null)).toBe('')
+  })
+
+  it('fences code the backend found in unfenced text', () => {
+    const content = 'Run this:\nprint(1)\nDone.'
+    const start = content.indexOf('print')
+    const blocks = [{ code: 'print(1)', language: 'python', start_pos: start, end_pos: start + 'print(1)\n'.length }]
+    expect(withCodeBlockFences(content, blocks)).toBe('Run this:\n```python\nprint(1)\n```\nDone.')
+  })
+
+  it('drops the fence lines a range left behind', () => {
+    const content = 'Before\n```js\nconst a = 1\n```\nAfter'
+    const start = content.indexOf('const')
+    const blocks = [{ code: 'const a = 1', language: 'js', start_pos: start, end_pos: start + 'const a = 1\n'.length }]
+    expect(withCodeBlockFences(content, blocks)).toBe('Before\n```js\nconst a = 1\n```\nAfter')
+  })
+
+  it('uses a fence longer than any backtick run in the code', () => {
+    const code = 'echo ```nested```'
+    const result = withCodeBlockFences(code, [{ code, language: 'sh', start_pos: 0, end_pos: code.length }])
+    expect(result).toBe('````sh\necho ```nested```\n````\n')
+  })
+
+  it('keeps the first of two overlapping ranges', () => {
+    const content = 'abcdef'
+    const blocks = [
+      { code: 'abcd', start_pos: 0, end_pos: 4 },
+      { code: 'cdef', start_pos: 2, end_pos: 6 }
+    ]
+    expect(withCodeBlockFences(content, blocks)).toBe('```\nabcd\n```\nef')
+  })
+})
+
+describe('withMathDelimiters', () => {
+  it('leaves prices alone so they do not pair up into math', () => {
+    expect(withMathDelimiters('It costs $5 and $10.')).toBe('It costs \\$5 and \\$10.')
+    expect(withMathDelimiters('Budget: $1,200 or $3.5k')).toBe('Budget: \\$1,200 or \\$3.5k')
+  })
+
+  it('keeps real inline math next to prices', () => {
+    expect(withMathDelimiters('Pay $5 when $x^2$ is even')).toBe('Pay \\$5 when $x^2$ is even')
+  })
+
+  it('rewrites LaTeX delimiters to dollar syntax', () => {
+    expect(withMathDelimiters('Inline \\(a+b\\) here')).toBe('Inline $a+b$ here')
+    expect(withMathDelimiters('Display \\[ x = 1 \\] done')).toBe('Display \n$$\nx = 1\n$$\n done')
+  })
+
+  it('does not touch fenced blocks or inline code', () => {
+    const source = 'Use `\\(x\\)` and `$5`\n```\ncost = $5 and $10 \\(y\\)\n```\n\\(z\\)'
+    expect(withMathDelimiters(source)).toBe('Use `\\(x\\)` and `$5`\n```\ncost = $5 and $10 \\(y\\)\n```\n$z$')
+  })
+
+  it('skips text without math', () => {
+    const source = '- item\n  - nested | with pipe'
+    expect(withMathDelimiters(source)).toBe(source)
+  })
+})
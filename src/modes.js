@@ -0,0 +1,6 @@
+// ===== QUERY MODES =====
+// The modes a message is sent in, as the composer offers them
+
+export const QUERY_MODES = ['normal', 'web_search', 'code']
+
+export const MODE_LABELS = { normal: 'Normal', web_search: 'Web search', code: 'Code' }
@@ -0,0 +1,49 @@
+// ===== ROUTES =====
+// Client-side URLs for the app's screens. App keeps its view state
+// (showSettings, settingsTab, currentSessionId, ...) and mirrors it into the
+// address bar; the URL is read when the page loads and on back / forward.
+//
+//   /                                  last or new conversation
+//   /c/:sessionId                      a conversation
+//   /settings/:tab                     overview | usage | billing | monitoring | shares | feedback | instructions | api-keys
+//   /verify-email?email=&code=         email verification, code prefilled from the email link
+//   /reset-password?token=&email=      new-password step of the reset flow
+//   /share/:id                         read-only viewer (mounted by main.jsx, outside App)
+//
+// nginx answers every unknown path with index.html (docker/nginx.conf).
+
+export const SETTINGS_TABS = ['overview', 'usage', 'billing', 'monitoring', 'shares', 'feedback', 'instructions', 'api-keys']
+
+export const parseLocation = ({ pathname, search }) => {
+  const params = new URLSearchParams(search)
+  const chat = /^\/c\/([^/]+)\/?$/.exec(pathname)
+  if (chat) return { name: 'chat', sessionId: decodeURIComponent(chat[1]) }
+  const settings = /^\/settings(?:\/([^/]+))?\/?$/.exec(pathname)
+  if (settings) return { name: 'settings', tab: SETTINGS_TABS.includes(settings[1]) ? settings[1] : 'overview' }
+  if (/^\/verify-email\/?$/.test(pathname)) {
+    return { name: 'verify-email', email: params.get('email'), code: params.get('code') || params.get('otp') }
+  }
+  if (/^\/reset-password\/?$/.test(pathname)) {
+    return { name: 'reset-password', token: params.get('token'), email: params.get('email') }
+  }
+  return { name: 'home' }
+}
+
+export const chatPath = (sessionId) => `/c/${encodeURIComponent(sessionId)}`
+export const settingsPath = (tab) => (tab && tab !== 'overview' ? `/settings/${tab}` : '/settings')
+
+// Path of the screen being shown - App mirrors it into the address bar
+export const viewPath = ({ needsEmailVerification, showSettings, settingsTab, currentSessionId }) => {
+  if (needsEmailVerification) return '/verify-email'
+  if (showSettings) return settingsPath(settingsTab)
+  if (currentSessionId) return chatPath(currentSessionId)
+  return '/'
+}
+
+// Point the address bar at `path` without reloading. `replace` rewrites the
+// current history entry instead of adding one.
+export const navigate = (path, { replace = false } = {}) => {
+  if (path === `${window.location.pathname}${window.location.search}`) return
+  if (replace) window.history.replaceState(null, '', path)
+  else window.history.pushState(null, '', path)
+}
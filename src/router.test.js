@@ -0,0 +1,56 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { chatPath, parseLocation, settingsPath, viewPath } from './router'
+
+describe('parseLocation', () => {
+  it('reads conversations, settings tabs and email links', () => {
+    expect(parseLocation({ pathname: '/c/abc%201', search: '' })).toEqual({ name: 'chat', sessionId: 'abc 1' })
+    expect(parseLocation({ pathname: '/settings/usage', search: '' })).toEqual({ name: 'settings', tab: 'usage' })
+    expect(parseLocation({ pathname: '/settings/nope', search: '' })).toEqual({ name: 'settings', tab: 'overview' })
+    expect(parseLocation({ pathname: '/verify-email', search: '?email=a%40b.c&otp=123' }))
+      .toEqual({ name: 'verify-email', email: 'a@b.c', code: '123' })
+    expect(parseLocation({ pathname: '/reset-password', search: '?token=t' })).toEqual({ name: 'reset-password', token: 't', email: null })
+    expect(parseLocation({ pathname: '/elsewhere', search: '' })).toEqual({ name: 'home' })
+  })
+
+  it('round-trips the paths it builds', () => {
+    expect(parseLocation({ pathname: chatPath('a/b'), search: '' })).toEqual({ name: 'chat', sessionId: 'a/b' })
+    expect(settingsPath('overview')).toBe('/settings')
+  })
+})
+
+describe('viewPath', () => {
+  const view = { needsEmailVerification: false, showSettings: false, settingsTab: 'overview', currentSessionId: null }
+
+  it('points at the screen being shown', () => {
+    expect(viewPath(view)).toBe('/')
+    expect(viewPath({ ...view, currentSessionId: 42 })).toBe('/c/42')
+    expect(viewPath({ ...view, currentSessionId: 42, showSettings: true, settingsTab: 'billing' })).toBe('/settings/billing')
+    expect(viewPath({ ...view, showSettings: true, needsEmailVerification: true })).toBe('/verify-email')
+  })
+})
+
+describe('opening a /c/:id link while signed in', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.resetModules()
+  })
+
+  it('adds no history entry before the session is applied', async () => {
+    const history = { pushState: vi.fn(), replaceState: vi.fn() }
+    vi.stubGlobal('window', { location: { pathname: '/c/42', search: '' }, history })
+    vi.stubGlobal('localStorage', { getItem: () => null, setItem: () => {}, removeItem: () => {} })
+    vi.resetModules()
+    const { getState } = await import('./store')
+    const { navigate } = await import('./router')
+
+    // The profile marks the user signed in before the session list and the
+    // session itself have loaded - the first URL sync runs on the seeded state
+    const { settings, sessions } = getState()
+    const path = viewPath({ needsEmailVerification: false, showSettings: settings.showSettings, settingsTab: settings.settingsTab, currentSessionId: sessions.currentSessionId })
+    navigate(path, { replace: window.location.pathname === '/' })
+
+    expect(path).toBe('/c/42')
+    expect(history.pushState).not.toHaveBeenCalled()
+    expect(history.replaceState).not.toHaveBeenCalled()
+  })
+})
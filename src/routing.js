@@ -0,0 +1,148 @@
+// ===== ROUTING TRACE =====
+// How auto mode (selected_model: null) picked the model for an answer.
+//
+// The backend sends the trace in three places, all with the same shape:
+//   - SSE `{ type: 'routing', stage, ... }` events while the request runs
+//   - `routing_trace` on the `complete` result / non-streamed response
+//   - `routing_trace` on each assistant message returned by /api/sessions/:id
+//
+// routing_trace = {
+//   classification: { domain, scores: { [label]: number }, risk_score, adequacy_score },
+//   candidates: [{ model, score, reason }],
+//   attempts: [{ model, level, status: 'running' | 'accepted' | 'rejected' | 'error', reason, latency_ms, tokens, cost }],
+//   escalation_level: number,   // index of the accepted attempt, 0 = default model
+//   selected_model: string
+// }
+//
+// Routing SSE events, one per stage:
+//   { type: 'routing', stage: 'classification', classification }
+//   { type: 'routing', stage: 'candidates', candidates }
+//   { type: 'routing', stage: 'attempt', attempt }     // started, finished or rejected
+//   { type: 'routing', stage: 'escalation', attempt }  // moving on to a stronger model
+//   { type: 'routing', stage: 'selected', model }
+
+export const emptyRoutingTrace = () => ({
+  classification: null,
+  candidates: [],
+  attempts: [],
+  escalationLevel: 0,
+  selectedModel: null,
+  notes: [],
+  legacy: false
+})
+
+const modelName = (m) => (typeof m === 'string' ? m : (m?.model || 'default model'))
+
+const normalizeAttempt = (attempt, idx) => ({
+  model: modelName(attempt),
+  level: attempt.level ?? idx,
+  status: attempt.status || 'running',
+  reason: attempt.reason || null,
+  latencyMs: attempt.latency_ms ?? null,
+  tokens: attempt.tokens ?? null,
+  cost: attempt.cost ?? null
+})
+
+// Old backends only send `status_messages` strings and `models_tried`. Rebuild
+// what we can from those so the panel still shows something. This and
+// isEscalationStatus() are the only places that look at the wording of status
+// messages.
+const legacyTrace = (source) => {
+  const tried = source.models_tried || []
+  if (tried.length === 0 && !source.model_used) return null
+  const attempts = (tried.length ? tried : [source.model_used]).map((m, idx, all) => normalizeAttempt({
+    ...(typeof m === 'string' ? { model: m } : m),
+    status: idx === all.length - 1 ? 'accepted' : 'rejected'
+  }, idx))
+  const notes = (source.status_messages || []).filter(s => s.toLowerCase().includes('stronger'))
+  const escalated = attempts.length > 1 || notes.length > 0
+  return {
+    ...emptyRoutingTrace(),
+    classification: source.domain || source.risk_score !== undefined
+      ? { domain: source.domain, scores: {}, riskScore: source.risk_score, adequacyScore: source.adequacy_score }
+      : null,
+    attempts,
+    escalationLevel: escalated ? Math.max(attempts.length - 1, 1) : 0,
+    selectedModel: source.model_used || attempts[attempts.length - 1]?.model || null,
+    notes,
+    legacy: true
+  }
+}
+
+const normalizeClassification = (c) => (c ? {
+  domain: c.domain ?? null,
+  scores: c.scores || {},
+  riskScore: c.risk_score ?? null,
+  adequacyScore: c.adequacy_score ?? null
+} : null)
+
+// Trace for a message / complete payload; null when there's nothing to show
+export const routingTraceFrom = (source) => {
+  if (!source) return null
+  const raw = source.routing_trace
+  if (!raw) return legacyTrace(source)
+  const attempts = (raw.attempts || []).map(normalizeAttempt)
+  return {
+    classification: normalizeClassification(raw.classification),
+    candidates: (raw.candidates || []).map(c => ({ model: modelName(c), score: c.score ?? null, reason: c.reason || null })),
+    attempts,
+    escalationLevel: raw.escalation_level ?? Math.max(attempts.findIndex(a => a.status === 'accepted'), 0),
+    selectedModel: raw.selected_model || source.model_used || null,
+    notes: [],
+    legacy: false
+  }
+}
+
+// Fold one `routing` SSE event into the trace being built for a request
+export const applyRoutingEvent = (trace, event) => {
+  const next = { ...(trace || emptyRoutingTrace()) }
+  switch (event.stage) {
+    case 'classification':
+      next.classification = normalizeClassification(event.classification)
+      break
+    case 'candidates':
+      next.candidates = (event.candidates || []).map(c => ({ model: modelName(c), score: c.score ?? null, reason: c.reason || null }))
+      break
+    case 'attempt':
+    case 'escalation': {
+      const attempt = normalizeAttempt(event.attempt || {}, next.attempts.length)
+      // The same attempt is reported when it starts and again when it finishes
+      const existing = next.attempts.findIndex(a => a.level === attempt.level && a.model === attempt.model)
+      next.attempts = existing === -1
+        ? [...next.attempts, attempt]
+        : next.attempts.map((a, idx) => (idx === existing ? { ...a, ...attempt } : a))
+      if (event.stage === 'escalation') next.escalationLevel = Math.max(next.escalationLevel, attempt.level)
+      break
+    }
+    case 'selected':
+      next.selectedModel = event.model || next.selectedModel
+      break
+    default:
+      break
+  }
+  return next
+}
+
+export const wasEscalated = (trace) => Boolean(trace && trace.escalationLevel > 0)
+
+// Models in the order they were tried, for the escalation banner
+export const attemptedModels = (trace) => (trace ? trace.attempts.map(a => a.model) : [])
+
+// One line per escalation step, for the escalation banner
+export const escalationSummary = (trace) => {
+  if (!wasEscalated(trace)) return []
+  const steps = trace.attempts.slice(1).map((attempt, idx) => {
+    const from = trace.attempts[idx]
+    const why = from.reason ? ` (${from.reason})` : ''
+    return `Escalated from ${from.model} to ${attempt.model}${why}`
+  })
+  return steps.length ? steps : trace.notes
+}
+
+// Status events say they are an escalation step either structurally or, on
+// old backends, only in their wording
+export const isEscalationStatus = (event) => (
+  event.stage === 'escalation' ||
+  event.escalation === true ||
+  (typeof event.message === 'string' && event.message.toLowerCase().includes('stronger'))
+)
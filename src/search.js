@@ -0,0 +1,164 @@
+import { loadCompareRuns, separateCompareRuns, withCompareRuns } from './compareRuns'
+
+// ===== SESSION SEARCH =====
+// Full-text search over the messages of every session.
+//
+// GET /api/search/messages?q=&mode=&model= answers when the backend has it:
+//   { results: [{ session_id, session_title, message_id, role, content, created_at, mode, model_used }] }
+// Otherwise the search runs over a local index, kept per user in localStorage
+// and filled from /api/sessions/:id - sessions are (re)fetched when they are
+// new or changed since they were indexed, and whenever one is opened. The
+// stored copy is kept under a size budget by dropping the sessions updated
+// longest ago; those are fetched again the next time the index is built.
+//
+// index = { [sessionId]: { title, updatedAt, indexedAt, messages: [{ id, role, content, createdAt, mode, model }] } }
+
+const indexKey = (userId) => `search_index_${userId}`
+
+// Long answers are clipped in the index - search snippets only need the text near a match
+const MAX_INDEXED_CHARS = 20000
+// localStorage gives an origin about 5 MB, shared with everything else kept there
+const MAX_STORED_INDEX_CHARS = 2000000
+const SNIPPET_RADIUS = 70
+
+export const loadSearchIndex = (userId) => {
+  if (!userId) return {}
+  try {
+    return JSON.parse(localStorage.getItem(indexKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+// The index cut down to `maxChars` of JSON, most recently updated sessions kept
+export const trimSearchIndex = (index, maxChars = MAX_STORED_INDEX_CHARS) => {
+  let size = 2 // the braces
+  return Object.fromEntries(Object.entries(index)
+    .sort(([, a], [, b]) => String(b.updatedAt || b.indexedAt || '').localeCompare(String(a.updatedAt || a.indexedAt || '')))
+    .filter(([id, entry]) => {
+      size += JSON.stringify(id).length + JSON.stringify(entry).length + 2
+      return size <= maxChars
+    }))
+}
+
+export const saveSearchIndex = (userId, index) => {
+  if (!userId) return
+  try {
+    localStorage.setItem(indexKey(userId), JSON.stringify(trimSearchIndex(index)))
+  } catch (err) {
+    // Over quota - the in-memory index still works for this visit
+    console.error('Failed to persist search index:', err)
+  }
+}
+
+export const clearSearchIndex = (userId) => {
+  if (userId) localStorage.removeItem(indexKey(userId))
+}
+
+export const sessionUpdatedAt = (session) => session.updated_at || session.last_message_at || session.created_at || null
+
+// Index entry for one session's messages. Compare runs count once, as in
+// exports (see compareRuns.js). Modes are recorded on user messages and models
+// on assistant messages, so each side of an exchange borrows the other's to be
+// filterable by both.
+export const indexEntryFor = (session, serverMessages) => {
+  const { messages: threadMessages, runs } = separateCompareRuns(session.session_id, serverMessages, loadCompareRuns(session.session_id))
+  const entries = withCompareRuns(threadMessages, runs, serverMessages)
+    .filter(m => (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content)
+    .map(m => ({
+      id: m.id,
+      role: m.role,
+      content: m.content.slice(0, MAX_INDEXED_CHARS),
+      createdAt: m.created_at || m.timestamp || null,
+      mode: m.mode || session.mode || null,
+      model: m.role === 'assistant' ? (m.model_used || null) : null
+    }))
+  entries.forEach((entry, idx) => {
+    if (entry.role === 'user' && entries[idx + 1]?.role === 'assistant') entry.model = entries[idx + 1].model
+    if (entry.role === 'assistant' && entries[idx - 1]?.role === 'user') entry.mode = entry.mode || entries[idx - 1].mode
+  })
+  return {
+    title: session.title || session.summary || 'New conversation',
+    updatedAt: sessionUpdatedAt(session),
+    indexedAt: new Date().toISOString(),
+    messages: entries
+  }
+}
+
+// Sessions missing from the index or changed since they were indexed
+export const staleSessions = (index, sessions) => sessions.filter(session => {
+  const entry = index[session.session_id]
+  if (!entry) return true
+  const updatedAt = sessionUpdatedAt(session)
+  return Boolean(updatedAt && updatedAt !== entry.updatedAt)
+})
+
+// Drop sessions that no longer exist
+export const pruneSearchIndex = (index, sessions) => {
+  const ids = new Set(sessions.map(s => String(s.session_id)))
+  return Object.fromEntries(Object.entries(index).filter(([id]) => ids.has(id)))
+}
+
+const termsOf = (query) => query.toLowerCase().split(/\s+/).filter(Boolean)
+
+// Snippet around the first match as [{ text, match }] segments, so the caller
+// can wrap the matches in <mark> without building HTML
+export const snippetSegments = (content, query) => {
+  const terms = termsOf(query)
+  const lower = content.toLowerCase()
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i !== -1), content.length)
+  const start = Math.max(0, first - SNIPPET_RADIUS)
+  const end = Math.min(content.length, first + SNIPPET_RADIUS * 2)
+  const text = `${start > 0 ? '…' : ''}${content.slice(start, end).replace(/\s+/g, ' ')}${end < content.length ? '…' : ''}`
+
+  if (terms.length === 0) return [{ text, match: false }]
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi')
+  // split() with a capture group puts the matches at the odd indexes
+  return text.split(pattern)
+    .map((part, idx) => ({ text: part, match: idx % 2 === 1 }))
+    .filter(segment => segment.text)
+}
+
+// Every message containing all the query terms, best matches first
+export const searchIndex = (index, query, { mode = null, model = null, limit = 50 } = {}) => {
+  const terms = termsOf(query)
+  if (terms.length === 0) return []
+  const results = []
+  Object.entries(index).forEach(([sessionId, entry]) => {
+    entry.messages.forEach(message => {
+      if (mode && message.mode !== mode) return
+      if (model && message.model !== model) return
+      const lower = message.content.toLowerCase()
+      if (!terms.every(t => lower.includes(t))) return
+      const hits = terms.reduce((sum, t) => sum + lower.split(t).length - 1, 0)
+      results.push({
+        sessionId,
+        sessionTitle: entry.title,
+        messageId: message.id,
+        role: message.role,
+        content: message.content,
+        createdAt: message.createdAt || entry.updatedAt,
+        mode: message.mode,
+        model: message.model,
+        score: hits
+      })
+    })
+  })
+  return results
+    .sort((a, b) => b.score - a.score || String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+    .slice(0, limit)
+}
+
+// Normalize a backend search result to the local result shape
+export const fromServerResult = (r) => ({
+  sessionId: r.session_id,
+  sessionTitle: r.session_title || 'New conversation',
+  messageId: r.message_id,
+  role: r.role,
+  content: r.content || r.snippet || '',
+  createdAt: r.created_at || null,
+  mode: r.mode || null,
+  model: r.model_used || null,
+  score: r.score ?? 0
+})
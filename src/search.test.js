@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { indexEntryFor, searchIndex, snippetSegments, staleSessions, trimSearchIndex } from './search'
+
+const session = { session_id: 1, title: 'Trip planning', mode: 'normal', updated_at: '2026-03-02T10:00:00Z' }
+
+describe('indexEntryFor', () => {
+  it('keeps user and assistant text and lets each side borrow mode and model', () => {
+    const entry = indexEntryFor({ ...session, mode: undefined }, [
+      { id: 1, role: 'user', content: 'Plan a trip', mode: 'web_search', created_at: '2026-03-02T09:00:00Z' },
+      { id: 2, role: 'assistant', content: 'Here is a plan', model_used: 'gpt-4o' },
+      { id: 3, role: 'system', content: 'Be brief' },
+      { id: 4, role: 'assistant', content: '' }
+    ])
+    expect(entry).toMatchObject({ title: 'Trip planning', updatedAt: '2026-03-02T10:00:00Z' })
+    expect(entry.messages).toEqual([
+      { id: 1, role: 'user', content: 'Plan a trip', createdAt: '2026-03-02T09:00:00Z', mode: 'web_search', model: 'gpt-4o' },
+      { id: 2, role: 'assistant', content: 'Here is a plan', createdAt: null, mode: 'web_search', model: 'gpt-4o' }
+    ])
+  })
+
+  it('falls back to the session mode and clips long answers', () => {
+    const entry = indexEntryFor(session, [{ id: 1, role: 'assistant', content: 'x'.repeat(30000) }])
+    expect(entry.messages[0].mode).toBe('normal')
+    expect(entry.messages[0].content).toHaveLength(20000)
+  })
+
+  it('counts a tagged compare run once', () => {
+    const entry = indexEntryFor(session, [
+      { id: 1, role: 'user', content: 'Which is best?', compare_group_id: 'g1' },
+      { id: 2, role: 'assistant', content: 'A', model_used: 'gpt-4o', compare_group_id: 'g1' },
+      { id: 3, role: 'user', content: 'Which is best?', compare_group_id: 'g1' },
+      { id: 4, role: 'assistant', content: 'B', model_used: 'claude', compare_group_id: 'g1' }
+    ])
+    expect(entry.messages.map(m => m.id)).toEqual([1, 2, 4])
+  })
+})
+
+describe('searchIndex', () => {
+  const index = {
+    1: {
+      title: 'Trip planning',
+      updatedAt: '2026-03-02T10:00:00Z',
+      messages: [
+        { id: 1, role: 'user', content: 'Train to Rome or fly to Rome?', createdAt: '2026-03-01T00:00:00Z', mode: 'normal', model: 'gpt-4o' },
+        { id: 2, role: 'assistant', content: 'Take the train', createdAt: '2026-03-02T00:00:00Z', mode: 'normal', model: 'gpt-4o' }
+      ]
+    },
+    2: {
+      title: 'Code',
+      updatedAt: '2026-03-05T10:00:00Z',
+      messages: [
+        { id: 3, role: 'assistant', content: 'A Rome train timetable parser', mode: 'code', model: 'claude' }
+      ]
+    }
+  }
+
+  it('needs every term and ranks by how often they appear, newest first on ties', () => {
+    const results = searchIndex(index, 'ROME train')
+    expect(results.map(r => r.messageId)).toEqual([1, 3])
+    expect(results[0]).toMatchObject({ sessionId: '1', sessionTitle: 'Trip planning', score: 3 })
+    // a message without its own date takes the session's
+    expect(results[1]).toMatchObject({ score: 2, createdAt: '2026-03-05T10:00:00Z' })
+    expect(searchIndex(index, 'train').map(r => r.messageId)).toEqual([3, 2, 1])
+  })
+
+  it('filters by mode and model and caps the results', () => {
+    expect(searchIndex(index, 'train', { mode: 'code' }).map(r => r.messageId)).toEqual([3])
+    expect(searchIndex(index, 'train', { model: 'gpt-4o' }).map(r => r.messageId)).toEqual([2, 1])
+    expect(searchIndex(index, 'train', { limit: 1 })).toHaveLength(1)
+    expect(searchIndex(index, '   ')).toEqual([])
+  })
+})
+
+describe('snippetSegments', () => {
+  it('marks every term in the text around the first match', () => {
+    const content = `${'a '.repeat(100)}Rome by train`
+    const segments = snippetSegments(content, 'rome TRAIN')
+    expect(segments[0].text.startsWith('…')).toBe(true)
+    expect(segments.filter(s => s.match).map(s => s.text)).toEqual(['Rome', 'train'])
+  })
+})
+
+describe('staleSessions', () => {
+  it('lists sessions that are new or changed since they were indexed', () => {
+    const index = { 1: { updatedAt: '2026-03-01' }, 2: { updatedAt: '2026-03-01' } }
+    const sessions = [
+      { session_id: 1, updated_at: '2026-03-01' },
+      { session_id: 2, updated_at: '2026-03-04' },
+      { session_id: 3 }
+    ]
+    expect(staleSessions(index, sessions).map(s => s.session_id)).toEqual([2, 3])
+  })
+})
+
+describe('trimSearchIndex', () => {
+  const entry = (updatedAt) => ({ title: 't', updatedAt, messages: [{ id: 1, role: 'user', content: 'x'.repeat(100) }] })
+  const index = { 1: entry('2026-03-01'), 2: entry('2026-03-03'), 3: entry('2026-03-02') }
+
+  it('keeps everything under the budget', () => {
+    expect(trimSearchIndex(index)).toEqual(index)
+  })
+
+  it('drops the sessions updated longest ago first', () => {
+    const size = JSON.stringify(index).length
+    expect(Object.keys(trimSearchIndex(index, size - 1)).sort()).toEqual(['2', '3'])
+    expect(Object.keys(trimSearchIndex(index, Math.floor(size / 2)))).toEqual(['2'])
+    expect(JSON.stringify(trimSearchIndex(index, Math.floor(size / 2))).length).toBeLessThanOrEqual(size / 2)
+  })
+})
@@ -0,0 +1,158 @@
+import { sessionUpdatedAt } from './search'
+
+// ===== SESSION ORGANIZER =====
+// Pins, folders and tags for the sidebar. The backend only knows a flat list
+// of sessions, so the organization lives here, per user, in localStorage.
+//
+// store = {
+//   pinned: [sessionId],
+//   folders: [{ id, name, collapsed }],
+//   sessionFolders: { [sessionId]: folderId },
+//   tags: [{ id, name, color }],
+//   sessionTags: { [sessionId]: [tagId] }
+// }
+
+const storageKey = (userId) => `session_organizer_${userId}`
+
+export const TAG_COLORS = ['#667eea', '#28a745', '#dc3545', '#ffc107', '#17a2b8', '#e83e8c', '#fd7e14', '#6c757d']
+
+const emptyStore = () => ({ pinned: [], folders: [], sessionFolders: {}, tags: [], sessionTags: {} })
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+export const loadOrganizer = (userId) => {
+  if (!userId) return emptyStore()
+  try {
+    return { ...emptyStore(), ...JSON.parse(localStorage.getItem(storageKey(userId))) }
+  } catch {
+    return emptyStore()
+  }
+}
+
+export const saveOrganizer = (userId, store) => {
+  if (!userId) return
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(store))
+  } catch (err) {
+    console.error('Failed to persist session organization:', err)
+  }
+}
+
+export const togglePinned = (store, sessionId) => ({
+  ...store,
+  pinned: store.pinned.includes(sessionId)
+    ? store.pinned.filter(id => id !== sessionId)
+    : [sessionId, ...store.pinned]
+})
+
+export const createFolder = (store, name) => ({
+  ...store,
+  folders: [...store.folders, { id: newId('folder'), name: name.trim(), collapsed: false }]
+})
+
+export const updateFolder = (store, folderId, changes) => ({
+  ...store,
+  folders: store.folders.map(f => (f.id === folderId ? { ...f, ...changes } : f))
+})
+
+// Sessions in a deleted folder go back to the date groups
+export const deleteFolder = (store, folderId) => ({
+  ...store,
+  folders: store.folders.filter(f => f.id !== folderId),
+  sessionFolders: Object.fromEntries(Object.entries(store.sessionFolders).filter(([, id]) => id !== folderId))
+})
+
+// folderId null takes the session out of its folder
+export const moveToFolder = (store, sessionId, folderId) => {
+  const sessionFolders = { ...store.sessionFolders }
+  if (folderId) sessionFolders[sessionId] = folderId
+  else delete sessionFolders[sessionId]
+  return { ...store, sessionFolders }
+}
+
+export const createTag = (store, name) => {
+  const tag = { id: newId('tag'), name: name.trim(), color: TAG_COLORS[store.tags.length % TAG_COLORS.length] }
+  return { store: { ...store, tags: [...store.tags, tag] }, tag }
+}
+
+export const deleteTag = (store, tagId) => ({
+  ...store,
+  tags: store.tags.filter(t => t.id !== tagId),
+  sessionTags: Object.fromEntries(Object.entries(store.sessionTags).map(([id, tags]) => [id, tags.filter(t => t !== tagId)]))
+})
+
+export const toggleSessionTag = (store, sessionId, tagId) => {
+  const current = store.sessionTags[sessionId] || []
+  const next = current.includes(tagId) ? current.filter(t => t !== tagId) : [...current, tagId]
+  return { ...store, sessionTags: { ...store.sessionTags, [sessionId]: next } }
+}
+
+export const tagsFor = (store, sessionId) => (store.sessionTags[sessionId] || [])
+  .map(tagId => store.tags.find(t => t.id === tagId))
+  .filter(Boolean)
+
+// Forget pins / folders / tags of sessions that were deleted
+export const pruneOrganizer = (store, sessions) => {
+  const ids = new Set(sessions.map(s => String(s.session_id)))
+  return {
+    ...store,
+    pinned: store.pinned.filter(id => ids.has(String(id))),
+    sessionFolders: Object.fromEntries(Object.entries(store.sessionFolders).filter(([id]) => ids.has(id))),
+    sessionTags: Object.fromEntries(Object.entries(store.sessionTags).filter(([id]) => ids.has(id)))
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+
+const dateGroupOf = (session, today) => {
+  const updatedAt = sessionUpdatedAt(session)
+  const time = updatedAt ? new Date(updatedAt).getTime() : NaN
+  if (Number.isNaN(time)) return 'recent'
+  if (time >= today) return 'today'
+  if (time >= today - DAY_MS) return 'yesterday'
+  if (time >= today - 7 * DAY_MS) return 'week'
+  if (time >= today - 30 * DAY_MS) return 'month'
+  return 'older'
+}
+
+const DATE_GROUPS = [
+  { key: 'recent', label: 'Recent' }, // sessions the backend sent without a date
+  { key: 'today', label: 'Today' },
+  { key: 'yesterday', label: 'Yesterday' },
+  { key: 'week', label: 'Last 7 days' },
+  { key: 'month', label: 'Last 30 days' },
+  { key: 'older', label: 'Older' }
+]
+
+// Sidebar sections in display order: Pinned, each folder, then the remaining
+// sessions by date. Sessions keep the order the backend listed them in.
+// `tagFilter` (tag ids) keeps only sessions carrying all of them.
+export const groupSessions = (sessions, store, { tagFilter = [], now = new Date() } = {}) => {
+  const visible = tagFilter.length
+    ? sessions.filter(s => tagFilter.every(tagId => (store.sessionTags[s.session_id] || []).includes(tagId)))
+    : sessions
+  const folderIds = new Set(store.folders.map(f => f.id))
+  const pinned = visible.filter(s => store.pinned.includes(s.session_id))
+  const rest = visible.filter(s => !store.pinned.includes(s.session_id))
+
+  const sections = []
+  if (pinned.length) sections.push({ key: 'pinned', label: 'Pinned', sessions: pinned })
+  store.folders.forEach(folder => {
+    sections.push({
+      key: folder.id,
+      label: folder.name,
+      folder,
+      sessions: rest.filter(s => store.sessionFolders[s.session_id] === folder.id)
+    })
+  })
+
+  const today = startOfDay(now)
+  const unfiled = rest.filter(s => !folderIds.has(store.sessionFolders[s.session_id]))
+  DATE_GROUPS.forEach(group => {
+    const inGroup = unfiled.filter(s => dateGroupOf(s, today) === group.key)
+    if (inGroup.length) sections.push({ key: group.key, label: group.label, sessions: inGroup, dateGroup: true })
+  })
+  return sections
+}
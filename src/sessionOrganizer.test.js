@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+import {
+  createTag,
+  deleteFolder,
+  deleteTag,
+  groupSessions,
+  moveToFolder,
+  pruneOrganizer,
+  tagsFor,
+  toggleSessionTag,
+  togglePinned
+} from './sessionOrganizer'
+
+const NOW = new Date(2026, 5, 15, 12)
+const daysAgo = (days) => new Date(2026, 5, 15 - days, 9).toISOString()
+
+const emptyStore = () => ({ pinned: [], folders: [], sessionFolders: {}, tags: [], sessionTags: {} })
+
+const withFolder = (store, id, name) => ({ ...store, folders: [...store.folders, { id, name, collapsed: false }] })
+
+const keysOf = (sections) => sections.map(section => [section.key, section.sessions.map(s => s.session_id)])
+
+describe('groupSessions', () => {
+  const sessions = [
+    { session_id: 1, updated_at: daysAgo(0) },
+    { session_id: 2, updated_at: daysAgo(1) },
+    { session_id: 3, updated_at: daysAgo(5) },
+    { session_id: 4, updated_at: daysAgo(20) },
+    { session_id: 5, updated_at: daysAgo(90) },
+    { session_id: 6 }
+  ]
+
+  it('groups sessions by date in display order', () => {
+    expect(keysOf(groupSessions(sessions, emptyStore(), { now: NOW }))).toEqual([
+      ['recent', [6]],
+      ['today', [1]],
+      ['yesterday', [2]],
+      ['week', [3]],
+      ['month', [4]],
+      ['older', [5]]
+    ])
+  })
+
+  it('puts pinned sessions first and folders before the date groups', () => {
+    let store = withFolder(emptyStore(), 'f1', 'Work')
+    store = moveToFolder(togglePinned(store, 3), 4, 'f1')
+    const sections = groupSessions(sessions, store, { now: NOW })
+    expect(keysOf(sections).slice(0, 2)).toEqual([['pinned', [3]], ['f1', [4]]])
+    expect(sections[1].folder.name).toBe('Work')
+    expect(sections.flatMap(s => s.sessions)).toHaveLength(sessions.length)
+  })
+
+  it('keeps empty folders and drops empty date groups', () => {
+    const sections = groupSessions([sessions[0]], withFolder(emptyStore(), 'f1', 'Empty'), { now: NOW })
+    expect(keysOf(sections)).toEqual([['f1', []], ['today', [1]]])
+  })
+
+  it('keeps only sessions carrying every filtered tag', () => {
+    let { store, tag: red } = createTag(emptyStore(), 'red')
+    const created = createTag(store, 'blue')
+    store = created.store
+    store = toggleSessionTag(toggleSessionTag(store, 1, red.id), 1, created.tag.id)
+    store = toggleSessionTag(store, 2, red.id)
+    const all = (tagFilter) => groupSessions(sessions, store, { tagFilter, now: NOW }).flatMap(s => s.sessions.map(x => x.session_id))
+    expect(all([red.id])).toEqual([1, 2])
+    expect(all([red.id, created.tag.id])).toEqual([1])
+  })
+})
+
+describe('organizer updates', () => {
+  it('sends sessions of a deleted folder back to the date groups', () => {
+    const store = deleteFolder(moveToFolder(withFolder(emptyStore(), 'f1', 'Work'), 1, 'f1'), 'f1')
+    expect(store.folders).toEqual([])
+    expect(store.sessionFolders).toEqual({})
+  })
+
+  it('removes a deleted tag from every session', () => {
+    const { store, tag } = createTag(emptyStore(), ' urgent ')
+    expect(tag.name).toBe('urgent')
+    const tagged = toggleSessionTag(store, 1, tag.id)
+    expect(tagsFor(tagged, 1)).toEqual([tag])
+    expect(deleteTag(tagged, tag.id).sessionTags).toEqual({ 1: [] })
+  })
+
+  it('forgets sessions that no longer exist', () => {
+    let store = togglePinned(togglePinned(withFolder(emptyStore(), 'f1', 'Work'), 1), 2)
+    store = moveToFolder(store, 2, 'f1')
+    const pruned = pruneOrganizer(store, [{ session_id: 1 }])
+    expect(pruned.pinned).toEqual([1])
+    expect(pruned.sessionFolders).toEqual({})
+  })
+})
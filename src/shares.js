@@ -0,0 +1,30 @@
+// ===== SHARE LINKS =====
+// Read-only snapshots of a conversation, frozen at the moment they're shared
+// (later messages, edits and branch switches don't change them).
+//
+//   POST   /api/shares      { session_id, title, system_prompt?, visibility, messages } -> { share_id, url? }
+//   GET    /api/shares      -> [{ share_id, session_id, title, visibility, created_at, view_count? }]
+//   DELETE /api/shares/:id  revokes the link
+//   GET    /api/shared/:id  -> { share_id, title, system_prompt?, visibility, created_at, owner_name?, messages }
+//
+// messages use the export shape (see exporters.js), without feedback.
+// The viewer lives at /share/:id, outside the signed-in app.
+
+export const SHARE_VISIBILITIES = [
+  { key: 'public', label: 'Anyone with the link', hint: 'No account needed to view.' },
+  { key: 'org', label: 'My organization only', hint: 'Viewers must be signed in to your organization.' }
+]
+
+export const visibilityLabel = (visibility) => SHARE_VISIBILITIES.find(v => v.key === visibility)?.label || visibility
+
+export const shareUrl = (share) => share.url || `${window.location.origin}/share/${encodeURIComponent(share.share_id)}`
+
+// Share id when `pathname` is a viewer route, otherwise null
+export const shareIdFromPath = (pathname) => {
+  const match = /^\/share\/([^/]+)\/?$/.exec(pathname)
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+// Feedback is the owner's business - it stays out of the snapshot
+// (undefined fields are dropped when the request is serialized)
+export const snapshotMessages = (conversation) => conversation.messages.map(message => ({ ...message, feedback: undefined }))
@@ -0,0 +1,194 @@
+// ===== APP STORE =====
+// Shared state for the feature modules in src/features. One object with a
+// slice per feature; components subscribe to single fields with
+// useAppStore(selector) and only re-render when that field changes. Actions
+// read the latest state with getState() and write through the per-field
+// setters each feature declares in its state.js.
+import { useSyncExternalStore } from 'react'
+import { parseLocation } from '../router'
+
+const createStore = (initialState) => {
+  let state = initialState
+  const listeners = new Set()
+  return {
+    getState: () => state,
+    setState: (update) => {
+      state = { ...state, ...(typeof update === 'function' ? update(state) : update) }
+      listeners.forEach(listener => listener())
+    },
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+// URL the app was opened at (see router.js) - seeds the screens below
+export const initialRoute = parseLocation(window.location)
+
+// A /reset-password?token= link from the reset email opens straight on the new-password step
+const resetLink = initialRoute.name === 'reset-password' && initialRoute.token ? initialRoute : null
+
+export const EMPTY_UPGRADE_FORM = {
+  payment_method: 'stripe',
+  card_number: '',
+  expiry_date: '',
+  cvv: '',
+  billing_address: '',
+  city: '',
+  zip_code: '',
+  country: 'US',
+  upi_id: ''
+}
+
+const appStore = createStore({
+  auth: {
+    isAuthenticated: false,
+    showAuthModal: false,
+    authMode: 'login',
+    user: null,
+    userProfile: null,
+    error: null, // Message in the login / signup modal
+    showSessionExpired: false,
+    // Email verification flow
+    emailVerificationPending: false,
+    pendingVerificationEmail: initialRoute.name === 'verify-email' ? initialRoute.email : null,
+    verificationOtp: initialRoute.name === 'verify-email' ? initialRoute.code || '' : '',
+    verificationMessage: null,
+    // Password reset flow
+    showPasswordReset: Boolean(resetLink),
+    passwordResetStep: resetLink ? 'confirm' : 'request', // 'request' | 'confirm' | 'success'
+    passwordResetEmail: resetLink?.email || '',
+    passwordResetToken: resetLink?.token || '',
+    showUserMenu: false,
+    backendHealth: { status: 'unknown' } // unknown | checking | ok | down
+  },
+  settings: {
+    showSettings: initialRoute.name === 'settings',
+    settingsTab: initialRoute.name === 'settings' ? initialRoute.tab : 'overview',
+    customInstructions: '', // Account-wide, sent with every prompt (see instructions.js)
+    generationDefaults: {} // mode -> saved sampling params (see generation.js)
+  },
+  sessions: {
+    sessions: [],
+    // Seeded from a /c/:id link so the first URL sync doesn't point the address bar at / meanwhile
+    currentSessionId: initialRoute.name === 'chat' ? initialRoute.sessionId : null,
+    organizerEdits: { userId: null, store: null }, // Pins / folders / tags changed this visit
+    contextMenuView: 'main', // main | folders | tags - session menu page
+    newTagName: '',
+    folderDraft: null, // { id, name } - folder being created (id null) or renamed
+    tagFilter: [], // Tag ids the session list is narrowed to
+    dragOverSection: null, // Sidebar section a session is dragged over
+    showContextMenu: null,
+    renamingSession: null,
+    renameValue: '',
+    showSearch: false, // Cross-session message search (Ctrl/⌘+K)
+    exportSelection: null, // Session ids preselected in the open export dialog
+    showImport: false,
+    shareSession: null, // Session the share dialog is open for
+    systemPrompts: {}, // session id -> system prompt (see instructions.js)
+    editingSystemPrompt: false,
+    // Settings > Shared links
+    sharedLinks: [],
+    sharedLinksLoading: false,
+    sharedLinksError: null
+  },
+  chat: {
+    messages: [],
+    input: '',
+    isLoading: false,
+    queryMode: localStorage.getItem('query_mode') || 'normal',
+    selectedModel: 'auto', // 'auto' or model name
+    availableModels: [],
+    modelsLoading: false,
+    compareMode: false, // Send each prompt to several models side by side
+    compareModels: [], // Model names picked for compare mode (2-4)
+    compareRuns: [], // { id, sessionId, afterMessageId, prompt, columns, winner } (see compareRuns.js)
+    generationOverrides: {}, // mode -> sampling params changed in the composer this visit (see generation.js)
+    generationParams: {}, // message id -> sampling params the answer was generated with
+    routingTraces: {}, // message id -> routing trace (see routing.js)
+    openRoutingPanels: {}, // message id -> "Why this model?" panel open
+    attachments: [], // Files attached to the next message (see attachments.js)
+    editingMessage: null, // { id, text, attachments } - user message being edited inline
+    pendingImages: [], // { id, file } photos waiting in the image editor before they join the tray
+    isDraggingFiles: false,
+    highlightedMessageId: null, // Message a search result jumped to
+    messageActions: {}, // Track actions per message
+    messageFeedback: {}, // message id -> rating and thumbs-down details (see feedback.js)
+    feedbackDialog: null, // { messageId, sessionId } - answer whose thumbs down is being filled in
+    regenerateCounts: {}, // Track regenerate count per message
+    lastModelUsed: {}, // Track last model used per message
+    codeBlocksCache: {}, // message_id -> code_blocks
+    escalationInfo: {}, // messageId -> { currentLevel, maxLevel, model }
+    statusBanner: null,
+    statusSteps: [], // Status steps of the answer being generated
+    showLimitWarning: false,
+    limitWarningMessage: '',
+    pendingConfirmation: null, // { confirmationId, message, chatInput }
+    showConfirmationModal: false
+  },
+  billing: {
+    billingInfo: null,
+    subscriptionPlans: [],
+    selectedPlanForUpgrade: null,
+    showPlanSelection: false,
+    showBillingForm: false,
+    billingPeriod: 'monthly',
+    paymentIntent: null,
+    upgradeForm: EMPTY_UPGRADE_FORM,
+    selectedPaymentMethod: 'card', // 'card', 'apple_pay', 'upi'
+    usageSummary: null,
+    usageWarnings: [],
+    usageView: 'daily', // daily | all
+    usageRange: '1d', // for all-usage view: '1d' | '7d' | 'custom'
+    dateRange: { start: null, end: null }, // YYYY-MM-DD
+    billingHistory: [],
+    billingHistoryCount: 0, // Total count from API
+    showDownloadPrompt: false, // Show prompt when count > 100
+    invoices: [],
+    showManageSubscription: false
+  },
+  monitoring: {
+    monitoringLoading: false,
+    monitoringError: null,
+    monitoringUsagePlot: null,
+    monitoringCostPlot: null,
+    monitoringTokenUsagePlot: null,
+    monitoringVendorCostPlot: null,
+    averageCostSaved: 0,
+    currentMonthActualCost: 0,
+    currentMonthSavings: 0,
+    showMoneyAnimation: false,
+    modelLeaderboard: null, // { byModel, byMode } rows (see leaderboard.js)
+    leaderboardTrendPlot: null
+  },
+  // BYOK Plan - API Keys Management
+  apiKeys: {
+    apiKeysStatus: null, // { gemini: boolean, openai: boolean, groq: boolean, anthropic: boolean }
+    editingVendor: null, // 'gemini' | 'openai' | 'groq' | 'anthropic' | null
+    apiKeyValues: {}, // { vendor: key_value }
+    apiKeysLoading: false,
+    apiKeysError: null
+  },
+  // Settings > Feedback (see feedback.js)
+  feedback: {
+    feedbackHistory: [],
+    feedbackHistoryLoading: false,
+    feedbackHistoryError: null
+  }
+})
+
+export const getState = appStore.getState
+
+// Subscribe a component to `selector(state)`. The selector must return a
+// value from the store (or a primitive) - not a new object on every call.
+export const useAppStore = (selector) => useSyncExternalStore(appStore.subscribe, () => selector(appStore.getState()))
+
+// Setter for one field of a slice, called like a useState setter: with the
+// next value or with an updater that gets the current one
+export const setterFor = (slice, key) => (value) => {
+  const current = appStore.getState()[slice][key]
+  const next = typeof value === 'function' ? value(current) : value
+  if (Object.is(next, current)) return
+  appStore.setState(state => ({ [slice]: { ...state[slice], [key]: next } }))
+}
@@ -0,0 +1,37 @@
+// ===== SELECTORS =====
+// Values derived from the store that more than one feature needs. Each
+// returns a primitive or a value already held somewhere, so it can be passed
+// straight to useAppStore.
+import { loadOrganizer } from '../sessionOrganizer'
+
+// Shown instead of the app until the account's email is confirmed. Prefer
+// authoritative `user.email_verified` when available to avoid showing the page
+// for already-verified users (handles race conditions on profile fetch)
+export const selectNeedsEmailVerification = ({ auth }) => Boolean(auth.isAuthenticated && (
+  (auth.user && auth.user.email_verified === false) ||
+  (!auth.user && auth.emailVerificationPending)
+))
+
+// Only admins see which backend this build is talking to
+export const selectIsAdmin = ({ auth }) => !!(
+  auth.user?.is_admin || auth.user?.role === 'admin' || auth.userProfile?.is_admin || auth.userProfile?.role === 'admin'
+)
+
+// Most escalations the current plan allows for one answer (null: no limit known)
+export const selectEscalationLimit = ({ billing }) => {
+  const { billingInfo } = billing
+  if (billingInfo?.max_code_escalations !== null) return billingInfo?.max_code_escalations
+  return billingInfo?.max_web_search_escalation_level !== undefined ? billingInfo?.max_web_search_escalation_level : null
+}
+
+// Sidebar organization (see sessionOrganizer.js) - read once per user, then
+// edits made this visit take over
+let storedOrganizer = { userId: undefined, store: null }
+export const selectOrganizer = ({ auth, sessions }) => {
+  const userId = auth.user?.id
+  if (sessions.organizerEdits.userId === userId && sessions.organizerEdits.store) return sessions.organizerEdits.store
+  if (!storedOrganizer.store || storedOrganizer.userId !== userId) {
+    storedOrganizer = { userId, store: loadOrganizer(userId) }
+  }
+  return storedOrganizer.store
+}